@@ -2,14 +2,30 @@
 let allSessions = [];
 let filteredSessions = [];
 let charts = {};
+let comparison = null;
+let suite = null;
+
+// Filters on the setup recorded with each run, and how to read it from a run
+const SETUP_FILTERS = {
+  experimentFilter: (s) => s.experiment || "Unknown",
+  serverVersionFilter: (s) => s.serverVersion || "Unknown",
+  clientVersionFilter: (s) => s.clientVersion || "Unknown",
+  toolsFilter: (s) => s.toolsHash || "Unknown",
+  // Each run is matched on the instructions of its own variant
+  instructionsFilter: (s) =>
+    (s.instructionHashes && s.instructionHashes[s.mode]) || "Unknown",
+};
 
 async function loadData() {
   try {
     const response = await fetch("/metrics/summary.json");
     const data = await response.json();
+    const firstLoad = !allSessions.length;
 
     // Store the data globally
     allSessions = data;
+    comparison = await loadComparison();
+    suite = await loadSuite();
 
     // Update last updated time
     document.getElementById("lastUpdated").textContent =
@@ -30,14 +46,28 @@ async function loadData() {
     const modelFilter = document.getElementById("modelFilter");
     populateFilter(modelFilter, models);
 
-    // Set default to claude-3.7-sonnet
-    modelFilter.value = "claude-3.7-sonnet";
+    // Populate the experiment, version, tool set and instructions filters
+    Object.entries(SETUP_FILTERS).forEach(([id, value]) => {
+      populateFilter(document.getElementById(id), [
+        ...new Set(data.map(value)),
+      ]);
+    });
+
+    // Set default to claude-3.7-sonnet, keeping the selection on later loads
+    if (firstLoad) {
+      modelFilter.value = "claude-3.7-sonnet";
+    }
+
+    // Populate task tabs and filter from the suite
+    displayTasks();
+    displayModes();
 
     // Apply filters and update UI
     filterData();
     displayMetrics();
     displayModelMetrics();
     displaySessions();
+    displayToolUsage();
     initCharts();
     updateCharts();
   } catch (error) {
@@ -48,7 +78,273 @@ async function loadData() {
   }
 }
 
+async function loadComparison() {
+  // comparison.json is optional, older metrics directories may not have one
+  try {
+    const response = await fetch("/metrics/comparison.json");
+    return response.ok ? await response.json() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function loadSuite() {
+  // Older servers don't serve a suite, fall back to the tasks in the data
+  try {
+    const response = await fetch("/suite.json");
+    return response.ok ? await response.json() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getTaskIds() {
+  const ids = new Set((suite?.tasks || []).map((task) => task.id));
+  allSessions.forEach((session) => ids.add(session.taskId));
+  return [...ids].sort((a, b) => a - b);
+}
+
+function getTaskName(taskId) {
+  const task = (suite?.tasks || []).find((t) => t.id === taskId);
+  return task ? task.name : "";
+}
+
+function displayTasks() {
+  const taskIds = getTaskIds();
+  const taskTabs = document.getElementById("taskTabs");
+  const activeTab = taskTabs.querySelector(".tab.active");
+  const activeTask = activeTab
+    ? parseInt(activeTab.getAttribute("data-task"), 10)
+    : taskIds[0];
+
+  taskTabs.innerHTML = taskIds
+    .map(
+      (taskId) =>
+        `<div class="tab${taskId === activeTask ? " active" : ""}" data-task="${taskId}">Task ${taskId}</div>`,
+    )
+    .join("");
+
+  document.getElementById("taskContents").innerHTML = taskIds
+    .map((taskId) => {
+      const task = (suite?.tasks || []).find((t) => t.id === taskId) || {};
+      const name = task.name ? `: ${escapeHtml(task.name)}` : "";
+      return `
+            <div class="task-content" id="task-${taskId}" style="display: ${taskId === activeTask ? "block" : "none"}">
+                <div class="metric-card">
+                    <div class="metric-title">Task ${taskId}${name}</div>
+                    <p>${task.description ? escapeHtml(task.description) : "No description in the suite definition."}</p>
+                </div>
+            </div>
+        `;
+    })
+    .join("");
+
+  // Keep the selected task when the filter is rebuilt
+  const taskFilter = document.getElementById("taskFilter");
+  const selected = taskFilter.value;
+  while (taskFilter.options.length > 1) {
+    taskFilter.remove(1);
+  }
+  taskIds.forEach((taskId) => {
+    const optionElement = document.createElement("option");
+    optionElement.value = taskId.toString();
+    optionElement.textContent = `Task ${taskId}`;
+    optionElement.title = getTaskName(taskId);
+    taskFilter.appendChild(optionElement);
+  });
+  taskFilter.value = taskIds.some((taskId) => taskId.toString() === selected)
+    ? selected
+    : "all";
+}
+
+// Metrics shown for every arm, cache and token counts are averages per run
+const ARM_METRICS = [
+  {
+    key: "duration",
+    title: "Duration",
+    summaryTitle: "Average Duration",
+    unit: "seconds",
+  },
+  {
+    key: "activeDuration",
+    title: "Active Duration",
+    summaryTitle: "Average Active Duration",
+    unit: "seconds",
+  },
+  {
+    key: "apiCalls",
+    title: "API Calls",
+    summaryTitle: "Average API Calls",
+    unit: "calls",
+  },
+  {
+    key: "interactions",
+    title: "Interactions",
+    summaryTitle: "Average Interactions",
+    unit: "messages",
+  },
+  {
+    key: "tokens",
+    title: "Tokens",
+    summaryTitle: "Average Tokens",
+    unit: "tokens",
+  },
+  {
+    key: "cacheReads",
+    title: "Cache Reads",
+    summaryTitle: "Average Cache Reads",
+    unit: "tokens",
+  },
+  {
+    key: "cacheWrites",
+    title: "Cache Writes",
+    summaryTitle: "Average Cache Writes",
+    unit: "tokens",
+  },
+  { key: "cost", title: "Cost", summaryTitle: "Average Cost", unit: "$" },
+  {
+    key: "successRate",
+    title: "Success Rate",
+    summaryTitle: "Success Rate",
+    unit: "%",
+    higherIsBetter: true,
+  },
+  {
+    key: "costPerSuccess",
+    title: "Cost per Successful Task",
+    summaryTitle: "Cost per Successful Task",
+    unit: "$",
+  },
+];
+
+// Chart colors by arm position, the baseline always gets the first one
+const MODE_COLORS = [
+  "18, 28, 45",
+  "242, 47, 70",
+  "0, 122, 135",
+  "245, 166, 35",
+  "111, 66, 193",
+  "40, 167, 69",
+];
+
+function getModes() {
+  const modes = (suite?.variants || []).map((variant) => variant.id);
+  [...new Set(allSessions.map((s) => s.mode))].sort().forEach((mode) => {
+    if (mode && !modes.includes(mode)) modes.push(mode);
+  });
+  return modes;
+}
+
+function getBaselineMode() {
+  const modes = getModes();
+  return (
+    [comparison?.baseline, suite?.baseline, "control"].find(
+      (mode) => mode && modes.includes(mode),
+    ) || modes[0]
+  );
+}
+
+function getTreatmentModes() {
+  const baseline = getBaselineMode();
+  return getModes().filter((mode) => mode !== baseline);
+}
+
+function getSelectedTreatment() {
+  const treatmentFilter = document.getElementById("treatmentFilter");
+  return treatmentFilter.value || getTreatmentModes()[0];
+}
+
+function getModeLabel(mode) {
+  const variant = (suite?.variants || []).find((v) => v.id === mode);
+  return variant ? variant.name : mode;
+}
+
+function getModeColor(mode, alpha) {
+  const baseline = getBaselineMode();
+  const index = mode === baseline ? 0 : getTreatmentModes().indexOf(mode) + 1;
+  return `rgba(${MODE_COLORS[index % MODE_COLORS.length]}, ${alpha})`;
+}
+
+function displayModes() {
+  const baseline = getBaselineMode();
+
+  // Keep the selected mode and arm when the filters are rebuilt
+  const modeFilter = document.getElementById("modeFilter");
+  const selectedMode = modeFilter.value;
+  while (modeFilter.options.length > 1) {
+    modeFilter.remove(1);
+  }
+  getModes().forEach((mode) => {
+    const optionElement = document.createElement("option");
+    optionElement.value = mode;
+    optionElement.textContent = getModeLabel(mode);
+    modeFilter.appendChild(optionElement);
+  });
+  modeFilter.value = getModes().includes(selectedMode) ? selectedMode : "all";
+
+  const treatmentFilter = document.getElementById("treatmentFilter");
+  const selectedTreatment = treatmentFilter.value;
+  treatmentFilter.innerHTML = getTreatmentModes()
+    .map(
+      (mode) =>
+        `<option value="${mode}">${getModeLabel(mode)} vs ${getModeLabel(baseline)}</option>`,
+    )
+    .join("");
+  if (getTreatmentModes().includes(selectedTreatment)) {
+    treatmentFilter.value = selectedTreatment;
+  }
+}
+
+function groupByMode(sessions) {
+  return Object.fromEntries(
+    getModes().map((mode) => [
+      mode,
+      sessions.filter((session) => session.mode === mode),
+    ]),
+  );
+}
+
+// Duration without waiting for the user, the whole duration for runs
+// extracted before human wait was measured
+function activeDuration(session) {
+  return session.activeDuration ?? session.duration;
+}
+
+// Asks of a run by kind, shown when hovering its interactions
+function interactionsTitle(session) {
+  if (session.humanWait === undefined) return "";
+  return ` title="${session.toolApprovals || 0} tool approvals, ${session.followupQuestions || 0} follow-up questions, ${session.commandOutputPrompts || 0} command output prompts, ${session.otherPrompts || 0} other prompts; waited ${(session.humanWait / 1000).toFixed(2)}s for the user"`;
+}
+
+function calculateArmMetrics(sessions) {
+  return {
+    duration: average(sessions.map((s) => s.duration)) / 1000, // Convert to seconds
+    activeDuration: average(sessions.map(activeDuration)) / 1000,
+    apiCalls: average(sessions.map((s) => s.apiCalls)),
+    interactions: average(sessions.map((s) => s.interactions)),
+    tokens: average(sessions.map((s) => s.totalTokens || 0)),
+    cacheReads: average(sessions.map((s) => s.cacheReads || 0)),
+    cacheWrites: average(sessions.map((s) => s.cacheWrites || 0)),
+    cost: average(sessions.map((s) => s.cost || 0)),
+    successRate: successRate(sessions),
+    costPerSuccess: costPerSuccess(sessions),
+  };
+}
+
+function formatArmValue(metric, value) {
+  return `${value.toFixed(2)}${metric.unit === "%" ? "%" : ""}`;
+}
+
+function changeClass(metric, change) {
+  const improved = metric.higherIsBetter
+    ? parseFloat(change) > 0
+    : parseFloat(change) < 0;
+  return improved ? "change-positive" : "change-negative";
+}
+
 function populateFilter(selectElement, options) {
+  const selected = selectElement.value;
+
   // Clear existing options except the first one (All)
   while (selectElement.options.length > 1) {
     selectElement.remove(1);
@@ -61,6 +357,21 @@ function populateFilter(selectElement, options) {
     optionElement.textContent = option;
     selectElement.appendChild(optionElement);
   });
+
+  if (options.includes(selected)) {
+    selectElement.value = selected;
+  }
+}
+
+// Reload the data whenever the server reports new metrics, which it does
+// when started with --watch
+function watchUpdates() {
+  if (!window.EventSource) return;
+
+  const events = new EventSource("/events");
+  events.addEventListener("update", () => {
+    loadData();
+  });
 }
 
 function filterData() {
@@ -69,6 +380,7 @@ function filterData() {
   const modelFilter = document.getElementById("modelFilter").value;
   const taskFilter = document.getElementById("taskFilter").value;
   const modeFilter = document.getElementById("modeFilter").value;
+  const showExcluded = document.getElementById("showExcludedFilter").checked;
 
   filteredSessions = allSessions.filter((session) => {
     const matchesMcpServer =
@@ -84,22 +396,31 @@ function filterData() {
     const matchesTask =
       taskFilter === "all" || session.taskId.toString() === taskFilter;
     const matchesMode = modeFilter === "all" || session.mode === modeFilter;
+    const matchesSetup = Object.entries(SETUP_FILTERS).every(([id, value]) => {
+      const selected = document.getElementById(id).value;
+      return selected === "all" || value(session) === selected;
+    });
+    // Runs excluded with the exclude command are hidden unless requested
+    const matchesExclusion = showExcluded || !session.exclusion;
 
     return (
       matchesMcpServer &&
       matchesMcpClient &&
       matchesModel &&
       matchesTask &&
-      matchesMode
+      matchesMode &&
+      matchesSetup &&
+      matchesExclusion
     );
   });
 }
 
 function displayMetrics() {
-  const controlSessions = filteredSessions.filter((s) => s.mode === "control");
-  const mcpSessions = filteredSessions.filter((s) => s.mode === "mcp");
+  const baseline = getBaselineMode();
+  const treatment = getSelectedTreatment();
+  const byMode = groupByMode(filteredSessions);
 
-  if (controlSessions.length === 0 || mcpSessions.length === 0) {
+  if (!byMode[baseline]?.length || !byMode[treatment]?.length) {
     document.getElementById("summary").innerHTML =
       "<p>No data available for the selected filters.</p>";
     // Clear executive summary values when no data is available - safely handle potentially missing elements
@@ -121,89 +442,26 @@ function displayMetrics() {
     return;
   }
 
-  const metrics = {
-    "Average Duration": {
-      control: average(controlSessions.map((s) => s.duration)) / 1000, // Convert to seconds
-      mcp: average(mcpSessions.map((s) => s.duration)) / 1000,
-      unit: "seconds",
-    },
-    "Average API Calls": {
-      control: average(controlSessions.map((s) => s.apiCalls)),
-      mcp: average(mcpSessions.map((s) => s.apiCalls)),
-      unit: "calls",
-    },
-    "Average Interactions": {
-      control: average(controlSessions.map((s) => s.interactions)),
-      mcp: average(mcpSessions.map((s) => s.interactions)),
-      unit: "messages",
-    },
-    "Average Tokens": {
-      control: average(controlSessions.map((s) => s.totalTokens || 0)),
-      mcp: average(mcpSessions.map((s) => s.totalTokens || 0)),
-      unit: "tokens",
-    },
-    "Average Cache Reads": {
-      control: average(controlSessions.map((s) => s.cacheReads || 0)),
-      mcp: average(mcpSessions.map((s) => s.cacheReads || 0)),
-      unit: "tokens",
-    },
-    "Average Cache Writes": {
-      control: average(controlSessions.map((s) => s.cacheWrites || 0)),
-      mcp: average(mcpSessions.map((s) => s.cacheWrites || 0)),
-      unit: "tokens",
-    },
-    "Average Cost": {
-      control: average(controlSessions.map((s) => s.cost || 0)),
-      mcp: average(mcpSessions.map((s) => s.cost || 0)),
-      unit: "$",
-    },
-    "Success Rate": {
-      control: percentage(
-        controlSessions.filter((s) => s.success).length,
-        controlSessions.length,
-      ),
-      mcp: percentage(
-        mcpSessions.filter((s) => s.success).length,
-        mcpSessions.length,
-      ),
-      unit: "%",
-    },
-  };
+  // Every arm with data is shown, the headline numbers compare the selected arm
+  const arms = [baseline, ...getTreatmentModes()].filter(
+    (mode) => byMode[mode].length > 0,
+  );
+  const armMetrics = Object.fromEntries(
+    arms.map((mode) => [mode, calculateArmMetrics(byMode[mode])]),
+  );
+  const change = (key) =>
+    percentageChange(armMetrics[treatment][key], armMetrics[baseline][key]);
 
   // Update improvement stats
   const improvements = {
-    time: percentageChange(
-      metrics["Average Duration"].mcp,
-      metrics["Average Duration"].control,
-    ),
-    calls: percentageChange(
-      metrics["Average API Calls"].mcp,
-      metrics["Average API Calls"].control,
-    ),
-    interactions: percentageChange(
-      metrics["Average Interactions"].mcp,
-      metrics["Average Interactions"].control,
-    ),
-    tokens: percentageChange(
-      metrics["Average Tokens"].mcp,
-      metrics["Average Tokens"].control,
-    ),
-    cacheReads: percentageChange(
-      metrics["Average Cache Reads"].mcp,
-      metrics["Average Cache Reads"].control,
-    ),
-    cacheWrites: percentageChange(
-      metrics["Average Cache Writes"].mcp,
-      metrics["Average Cache Writes"].control,
-    ),
-    cost: percentageChange(
-      metrics["Average Cost"].mcp,
-      metrics["Average Cost"].control,
-    ),
-    success: percentageChange(
-      metrics["Success Rate"].mcp,
-      metrics["Success Rate"].control,
-    ),
+    time: change("duration"),
+    calls: change("apiCalls"),
+    interactions: change("interactions"),
+    tokens: change("tokens"),
+    cacheReads: change("cacheReads"),
+    cacheWrites: change("cacheWrites"),
+    cost: change("cost"),
+    success: change("successRate"),
   };
 
   // Update overall performance stats - safely handle potentially missing elements
@@ -246,149 +504,101 @@ function displayMetrics() {
   });
 
   const summaryEl = document.getElementById("summary");
-  summaryEl.innerHTML = Object.entries(metrics)
-    .map(([title, values]) => {
-      const change = percentageChange(values.mcp, values.control);
-      const changeClass = (
-        title === "Success Rate"
-          ? parseFloat(change) > 0
-          : parseFloat(change) < 0
+  summaryEl.innerHTML = ARM_METRICS.map((metric) => {
+    const values = arms
+      .map(
+        (mode) => `
+                    <div class="metric-value">
+                        <span class="mode">${getModeLabel(mode)}:</span>
+                        <span>${formatArmValue(metric, armMetrics[mode][metric.key])}</span>
+                    </div>`,
       )
-        ? "change-positive"
-        : "change-negative";
+      .join("");
+    const changes = arms
+      .filter((mode) => mode !== baseline)
+      .map((mode) => {
+        const armChange = percentageChange(
+          armMetrics[mode][metric.key],
+          armMetrics[baseline][metric.key],
+        );
+        const label =
+          arms.length > 2 ? `${getModeLabel(mode)} change` : "Change";
+        return `
+                    <div class="metric-value">
+                        <span class="mode">${label}:</span>
+                        <span class="${changeClass(metric, armChange)}">${armChange}%</span>
+                    </div>`;
+      })
+      .join("");
 
-      return `
+    return `
                 <div class="metric-card">
-                    <div class="metric-title">${title}</div>
-                    <div class="metric-unit">Measured in ${values.unit}</div>
-                    <div class="metric-value">
-                        <span class="mode">Control:</span>
-                        <span>${values.control.toFixed(2)}${title.includes("Rate") ? "%" : ""}</span>
-                    </div>
-                    <div class="metric-value">
-                        <span class="mode">MCP:</span>
-                        <span>${values.mcp.toFixed(2)}${title.includes("Rate") ? "%" : ""}</span>
-                    </div>
-                    <div class="metric-value">
-                        <span class="mode">Change:</span>
-                        <span class="${changeClass}">${change}%</span>
-                    </div>
+                    <div class="metric-title">${metric.summaryTitle}</div>
+                    <div class="metric-unit">Measured in ${metric.unit}</div>${values}${changes}
                 </div>
             `;
-    })
-    .join("");
+  }).join("");
 }
 
 function displayModelMetrics() {
+  const baseline = getBaselineMode();
+
   // Group sessions by model
   const models = {};
   filteredSessions.forEach((session) => {
     const model = session.model || "unknown";
     if (!models[model]) {
-      models[model] = {
-        control: [],
-        mcp: [],
-      };
-    }
-
-    if (session.mode === "control") {
-      models[model].control.push(session);
-    } else if (session.mode === "mcp") {
-      models[model].mcp.push(session);
+      models[model] = [];
     }
+    models[model].push(session);
   });
 
   // Create metrics per model
   const modelMetricsEl = document.getElementById("modelMetrics");
   modelMetricsEl.innerHTML = "";
 
-  for (const [model, data] of Object.entries(models)) {
-    // Skip if there's no data for either control or MCP
-    if (data.control.length === 0 || data.mcp.length === 0) continue;
-
-    // Calculate task run counts
-    const taskCounts = {
-      control: {},
-      mcp: {},
-    };
+  for (const [model, sessions] of Object.entries(models)) {
+    const byMode = groupByMode(sessions);
+    const arms = [baseline, ...getTreatmentModes()].filter(
+      (mode) => byMode[mode].length > 0,
+    );
 
-    // Count control runs per task
-    data.control.forEach((session) => {
-      taskCounts.control[session.taskId] =
-        (taskCounts.control[session.taskId] || 0) + 1;
-    });
+    // Skip if there's no data for the baseline or for any other arm
+    if (!byMode[baseline]?.length || arms.length < 2) continue;
 
-    // Count MCP runs per task
-    data.mcp.forEach((session) => {
-      taskCounts.mcp[session.taskId] =
-        (taskCounts.mcp[session.taskId] || 0) + 1;
+    // Calculate task run counts per arm
+    const taskCounts = Object.fromEntries(arms.map((mode) => [mode, {}]));
+    arms.forEach((mode) => {
+      byMode[mode].forEach((session) => {
+        taskCounts[mode][session.taskId] =
+          (taskCounts[mode][session.taskId] || 0) + 1;
+      });
     });
 
-    const metrics = {
-      Duration: {
-        control: average(data.control.map((s) => s.duration)) / 1000,
-        mcp: average(data.mcp.map((s) => s.duration)) / 1000,
-        unit: "seconds",
-      },
-      "API Calls": {
-        control: average(data.control.map((s) => s.apiCalls)),
-        mcp: average(data.mcp.map((s) => s.apiCalls)),
-        unit: "calls",
-      },
-      Interactions: {
-        control: average(data.control.map((s) => s.interactions)),
-        mcp: average(data.mcp.map((s) => s.interactions)),
-        unit: "messages",
-      },
-      Tokens: {
-        control: average(data.control.map((s) => s.totalTokens || 0)),
-        mcp: average(data.mcp.map((s) => s.totalTokens || 0)),
-        unit: "tokens",
-      },
-      "Cache Reads": {
-        control: average(data.control.map((s) => s.cacheReads || 0)),
-        mcp: average(data.mcp.map((s) => s.cacheReads || 0)),
-        unit: "reads",
-      },
-      "Cache Writes": {
-        control: average(data.control.map((s) => s.cacheWrites || 0)),
-        mcp: average(data.mcp.map((s) => s.cacheWrites || 0)),
-        unit: "writes",
-      },
-      Cost: {
-        control: average(data.control.map((s) => s.cost || 0)),
-        mcp: average(data.mcp.map((s) => s.cost || 0)),
-        unit: "$",
-      },
-      "Success Rate": {
-        control: percentage(
-          data.control.filter((s) => s.success).length,
-          data.control.length,
-        ),
-        mcp: percentage(
-          data.mcp.filter((s) => s.success).length,
-          data.mcp.length,
-        ),
-        unit: "%",
-      },
-    };
+    const armMetrics = Object.fromEntries(
+      arms.map((mode) => [mode, calculateArmMetrics(byMode[mode])]),
+    );
 
     const section = document.createElement("div");
     section.className = "model-section card";
 
     section.innerHTML = `
-            <div class="model-title">Model: ${model}</div>
+            <div class="model-title">Model: ${model}${assumedModelNote(sessions)}</div>
             <div class="run-counts-section">
                 <div class="run-counts-title">Task Run Distribution</div>
                 <div class="run-counts-grid">
-                    ${[1, 2, 3]
+                    ${getTaskIds()
                       .map(
                         (taskId) => `
                         <div class="run-count-card">
                             <div class="run-count-title">Task ${taskId}</div>
                             <div class="run-count-values">
-                                <div>Control: ${taskCounts.control[taskId] || 0}</div>
-                                <div>MCP: ${taskCounts.mcp[taskId] || 0}</div>
+                                ${arms
+                                  .map(
+                                    (mode) =>
+                                      `<div>${getModeLabel(mode)}: ${taskCounts[mode][taskId] || 0}</div>`,
+                                  )
+                                  .join("")}
                             </div>
                         </div>
                     `,
@@ -397,32 +607,32 @@ function displayModelMetrics() {
                 </div>
             </div>
             <div class="model-metrics-grid">
-                ${Object.entries(metrics)
-                  .map(([title, values]) => {
-                    const change = percentageChange(values.mcp, values.control);
-                    const changeClass = (
-                      title === "Success Rate"
-                        ? parseFloat(change) > 0
-                        : parseFloat(change) < 0
-                    )
-                      ? "change-positive"
-                      : "change-negative";
+                ${ARM_METRICS.map((metric) => {
+                  const content = arms
+                    .map((mode) => {
+                      const value = `
+                                <div class="compact-metric-label">${getModeLabel(mode)}:</div>
+                                <div class="compact-metric-value">${formatArmValue(metric, armMetrics[mode][metric.key])}</div>`;
+                      if (mode === baseline) return value;
+
+                      const change = percentageChange(
+                        armMetrics[mode][metric.key],
+                        armMetrics[baseline][metric.key],
+                      );
+                      return `${value}
+                                <div class="compact-metric-label">Change:</div>
+                                <div class="compact-metric-value ${changeClass(metric, change)}">${change}%</div>`;
+                    })
+                    .join("");
 
-                    return `
+                  return `
                         <div class="compact-metric-card">
-                            <div class="compact-metric-title">${title}</div>
-                            <div class="compact-metric-content">
-                                <div class="compact-metric-label">Control:</div>
-                                <div class="compact-metric-value">${values.control.toFixed(2)}${title.includes("Rate") ? "%" : ""}</div>
-                                <div class="compact-metric-label">MCP:</div>
-                                <div class="compact-metric-value">${values.mcp.toFixed(2)}${title.includes("Rate") ? "%" : ""}</div>
-                                <div class="compact-metric-label">Change:</div>
-                                <div class="compact-metric-value ${changeClass}">${change}%</div>
+                            <div class="compact-metric-title">${metric.title}</div>
+                            <div class="compact-metric-content">${content}
                             </div>
                         </div>
                     `;
-                  })
-                  .join("")}
+                }).join("")}
             </div>
         `;
 
@@ -443,7 +653,7 @@ function displaySessions() {
   const tbody = document.getElementById("sessionsBody");
 
   if (filteredSessions.length === 0) {
-    tbody.innerHTML = `<tr><td colspan="15" style="text-align: center;">No data available for the selected filters.</td></tr>`;
+    tbody.innerHTML = `<tr><td colspan="16" style="text-align: center;">No data available for the selected filters.</td></tr>`;
     return;
   }
 
@@ -464,28 +674,145 @@ function displaySessions() {
     })
     .map(
       (s) => `
-            <tr>
-                <td><strong>${s.directoryId || "Unknown"}</strong></td>
-                <td><strong>${s.mcpServer || "Unknown"}</strong></td>
-                <td><strong>${s.mcpClient || "Unknown"}</strong></td>
+            <tr${s.exclusion ? ` class="excluded-run" title="Excluded by ${escapeHtml(s.exclusion.user)}: ${escapeHtml(s.exclusion.reason)}"` : ""}>
+                <td><strong><a href="/session.html?file=${encodeURIComponent(`${s.mode}_task${s.taskId}_${s.directoryId}.json`)}" title="Show the timeline of this run">${escapeHtml(s.directoryId || "Unknown")}</a></strong>${outlierFlag(s)}</td>
+                <td><strong>${escapeHtml(s.mcpServer || "Unknown")}</strong></td>
+                <td><strong>${escapeHtml(s.mcpClient || "Unknown")}</strong></td>
                 <td>Task ${s.taskId}</td>
-                <td><span class="badge badge-${s.mode}">${s.mode}</span></td>
-                <td><strong>${s.model || "Unknown"}</strong></td>
+                <td><span class="badge ${s.mode === getBaselineMode() ? "badge-baseline" : "badge-treatment"}">${escapeHtml(getModeLabel(s.mode))}</span></td>
+                <td><strong>${escapeHtml(s.model || "Unknown")}</strong>${modelFlag(s)}</td>
                 <td>${(s.duration / 1000).toFixed(2)}</td>
+                <td>${(activeDuration(s) / 1000).toFixed(2)}</td>
                 <td>${s.apiCalls}</td>
-                <td>${s.interactions}</td>
+                <td${interactionsTitle(s)}>${s.interactions}</td>
                 <td>${s.totalTokens || 0}</td>
                 <td>${s.cacheReads || 0}</td>
                 <td>${s.cacheWrites || 0}</td>
                 <td>${(s.cost || 0).toFixed(4)}</td>
-                <td class="${s.success ? "success" : "failure"}">${s.success ? "✓" : "✗"}</td>
-                <td>${s.notes || "-"}</td>
+                <td class="${outcomeClass(s)}" title="${outcomeOf(s)}">${outcomeSymbol(s)}</td>
+                <td>${escapeHtml(s.notes || "-")}</td>
             </tr>
         `,
     )
     .join("");
 }
 
+// Note on model sections holding runs whose model was assumed
+function assumedModelNote(sessions) {
+  const assumed = sessions.filter((s) => s.modelSource === "default").length;
+  if (!assumed) return "";
+  return ` <span class="model-flag" title="The logs of these runs do not name their model">(assumed for ${assumed} of ${sessions.length} runs)</span>`;
+}
+
+// Question mark on runs whose model was not found in the logs
+function modelFlag(session) {
+  if (session.modelSource !== "default") return "";
+  return ` <span class="model-flag" title="Model not found in the logs, assumed. Pass --model to extract-metrics to set it">?</span>`;
+}
+
+// Warning sign on runs far from the other runs of their model, mode and task
+function outlierFlag(session) {
+  if (!session.outliers) return "";
+  const format = (value) => Number(value.toFixed(2));
+  const details = session.outliers
+    .map((outlier) =>
+      outlier.method === "capped"
+        ? `${outlier.metric} capped at ${format(outlier.high)}`
+        : `${outlier.metric} ${format(outlier.value)} outside ${format(outlier.low)}-${format(outlier.high)} (${outlier.method})`,
+    )
+    .join(", ");
+  return ` <span class="outlier-flag" title="Outlier: ${escapeHtml(details)}">⚠</span>`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function displayToolUsage() {
+  const toolUsageEl = document.getElementById("toolUsage");
+  const tools = {};
+
+  filteredSessions.forEach((session) => {
+    (session.toolCalls || []).forEach((call) => {
+      const name = call.server ? `${call.server} / ${call.tool}` : call.tool;
+      const key = `${session.mode}|${name}`;
+      if (!tools[key]) {
+        tools[key] = {
+          mode: session.mode,
+          name,
+          calls: [],
+          runs: new Set(),
+        };
+      }
+      tools[key].calls.push(call);
+      tools[key].runs.add(session.directoryId);
+    });
+  });
+
+  const rows = Object.values(tools).sort(
+    (a, b) => b.calls.length - a.calls.length,
+  );
+
+  if (rows.length === 0) {
+    toolUsageEl.innerHTML =
+      "<p>No tool calls recorded for the selected filters. Re-run extract-metrics with --force to record them.</p>";
+    return;
+  }
+
+  toolUsageEl.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Tool</th>
+                    <th>Mode</th>
+                    <th>Calls</th>
+                    <th>Runs</th>
+                    <th>Avg Duration (s)</th>
+                    <th>Avg Tokens</th>
+                    <th>Avg Cost ($)</th>
+                    <th>Total Cost ($)</th>
+                    <th>Errors</th>
+                    <th>Retries</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows
+                  .map((row) => {
+                    const errors = row.calls.filter(
+                      (c) => c.outcome === "error",
+                    ).length;
+                    const retries = row.calls.filter(
+                      (c) => c.attempt > 1,
+                    ).length;
+                    const totalCost = row.calls.reduce(
+                      (sum, c) => sum + (c.cost || 0),
+                      0,
+                    );
+                    return `
+                    <tr>
+                        <td><strong>${escapeHtml(row.name)}</strong></td>
+                        <td><span class="badge badge-${escapeHtml(row.mode)}">${escapeHtml(row.mode)}</span></td>
+                        <td>${row.calls.length}</td>
+                        <td>${row.runs.size}</td>
+                        <td>${(average(row.calls.map((c) => c.duration)) / 1000).toFixed(2)}</td>
+                        <td>${average(row.calls.map((c) => (c.tokensIn || 0) + (c.tokensOut || 0))).toFixed(0)}</td>
+                        <td>${(totalCost / row.calls.length).toFixed(4)}</td>
+                        <td>${totalCost.toFixed(4)}</td>
+                        <td class="${errors ? "failure" : ""}">${errors} (${percentage(errors, row.calls.length).toFixed(0)}%)</td>
+                        <td>${retries}</td>
+                    </tr>
+                `;
+                  })
+                  .join("")}
+            </tbody>
+        </table>
+    `;
+}
+
 function initCharts() {
   const textColor = "#001B2D";
   const gridColor = "rgba(0, 0, 0, 0.1)";
@@ -496,28 +823,52 @@ function initCharts() {
     .getContext("2d");
   if (charts.comparison) charts.comparison.destroy();
 
+  // Line charts of the per-request series, one line per arm
+  ["cumulativeCost", "contextSize"].forEach((name) => {
+    if (charts[name]) charts[name].destroy();
+    charts[name] = new Chart(
+      document.getElementById(`${name}Chart`).getContext("2d"),
+      {
+        type: "line",
+        data: { labels: [], datasets: [] },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          interaction: { mode: "index", intersect: false },
+          scales: {
+            x: {
+              title: { display: true, text: "API request", color: textColor },
+              grid: { color: gridColor },
+              ticks: { color: textColor },
+            },
+            y: {
+              grid: { color: gridColor },
+              ticks: { color: textColor },
+              beginAtZero: true,
+            },
+          },
+          plugins: {
+            legend: {
+              labels: { color: textColor, usePointStyle: true },
+            },
+            title: {
+              display: true,
+              text: GROWTH_CHARTS[name].title,
+              color: textColor,
+              font: { size: 16, weight: "600" },
+            },
+          },
+        },
+      },
+    );
+  });
+
   charts.comparison = new Chart(comparisonCtx, {
     type: "bar",
     data: {
-      labels: ["Task 1", "Task 2", "Task 3"],
-      datasets: [
-        {
-          label: "Control",
-          data: [0, 0, 0],
-          backgroundColor: `rgba(18, 28, 45, 0.9)`,
-          borderColor: `rgba(18, 28, 45, 1)`,
-          borderWidth: 2,
-          borderRadius: 4,
-        },
-        {
-          label: "MCP",
-          data: [0, 0, 0],
-          backgroundColor: `rgba(242, 47, 70, 0.9)`,
-          borderColor: `rgba(242, 47, 70, 1)`,
-          borderWidth: 2,
-          borderRadius: 4,
-        },
-      ],
+      labels: [],
+      // Datasets are built per arm in updateComparisonChart
+      datasets: [],
     },
     options: {
       responsive: true,
@@ -583,10 +934,16 @@ function initCharts() {
 function updateCharts() {
   if (!charts.comparison) return;
 
-  const controlSessions = filteredSessions.filter((s) => s.mode === "control");
-  const mcpSessions = filteredSessions.filter((s) => s.mode === "mcp");
+  updateGrowthCharts();
 
-  if (controlSessions.length === 0 || mcpSessions.length === 0) {
+  const baselineSessions = filteredSessions.filter(
+    (s) => s.mode === getBaselineMode(),
+  );
+  const treatmentSessions = filteredSessions.filter(
+    (s) => s.mode !== getBaselineMode(),
+  );
+
+  if (baselineSessions.length === 0 || treatmentSessions.length === 0) {
     // Reset chart data if no data available
     updateComparisonChart("duration");
     return;
@@ -600,192 +957,282 @@ function updateCharts() {
   updateComparisonChart(activeMetric);
 }
 
+// Chart title and per-task value for each chart tab, null values are skipped
+const CHART_METRICS = {
+  duration: {
+    title: "Duration Comparison (seconds)",
+    value: (sessions) =>
+      average(sessions.map((s) => s.duration).filter((d) => d !== null)) / 1000,
+  },
+  activeDuration: {
+    title: "Active Duration Comparison (seconds, without waiting for the user)",
+    value: (sessions) => average(sessions.map(activeDuration)) / 1000,
+  },
+  apiCalls: {
+    title: "API Calls Comparison (count)",
+    value: (sessions) =>
+      average(sessions.map((s) => s.apiCalls).filter((c) => c !== null)),
+  },
+  interactions: {
+    title: "User Interactions Comparison (messages)",
+    value: (sessions) =>
+      average(sessions.map((s) => s.interactions).filter((i) => i !== null)),
+  },
+  tokens: {
+    title: "Token Usage Comparison (tokens)",
+    value: (sessions) => average(sessions.map((s) => s.totalTokens || 0)),
+  },
+  cacheReads: {
+    title: "Cache Reads Comparison (tokens)",
+    value: (sessions) => average(sessions.map((s) => s.cacheReads || 0)),
+  },
+  cacheWrites: {
+    title: "Cache Writes Comparison (tokens)",
+    value: (sessions) => average(sessions.map((s) => s.cacheWrites || 0)),
+  },
+  cost: {
+    title: "Cost Comparison ($)",
+    value: (sessions) => average(sessions.map((s) => s.cost || 0)),
+  },
+  success: {
+    title: "Success Rate Comparison (%)",
+    // Runs whose outcome could not be verified are excluded
+    value: (sessions) => successRate(sessions),
+  },
+};
+
+// Title and per-request value of the context growth charts. Each value is
+// averaged over the runs of an arm, null when no run made that many requests.
+const GROWTH_CHARTS = {
+  cumulativeCost: {
+    title: "Cumulative Cost per Request ($)",
+    value: (series, turn) => {
+      if (!series.some((requests) => requests.length >= turn)) return null;
+      return average(
+        series.map((requests) =>
+          requests.slice(0, turn).reduce((sum, r) => sum + r.cost, 0),
+        ),
+      );
+    },
+  },
+  contextSize: {
+    title: "Context Size per Request (tokens)",
+    value: (series, turn) => {
+      const reached = series.filter((requests) => requests.length >= turn);
+      if (!reached.length) return null;
+      return average(
+        reached.map((requests) => {
+          const request = requests[turn - 1];
+          return request.tokensIn + request.cacheReads + request.cacheWrites;
+        }),
+      );
+    },
+  },
+};
+
+function updateGrowthCharts() {
+  if (!charts.cumulativeCost || !charts.contextSize) return;
+
+  // Request series of each arm, from the runs extracted with one
+  const baseline = getBaselineMode();
+  const series = {};
+  filteredSessions.forEach((s) => {
+    if (!s.requests?.length) return;
+    series[s.mode] = [...(series[s.mode] || []), s.requests];
+  });
+  const modes = Object.keys(series).sort((a, b) =>
+    a === baseline ? -1 : b === baseline ? 1 : a.localeCompare(b),
+  );
+  const turns = Math.max(
+    0,
+    ...Object.values(series).flatMap((runs) => runs.map((r) => r.length)),
+  );
+  const labels = Array.from({ length: turns }, (_, index) => index + 1);
+
+  Object.entries(GROWTH_CHARTS).forEach(([name, growthChart]) => {
+    charts[name].data.labels = labels;
+    charts[name].data.datasets = modes.map((mode) => ({
+      label: `${getModeLabel(mode)} (${series[mode].length} runs)`,
+      data: labels.map((turn) => growthChart.value(series[mode], turn)),
+      borderColor: getModeColor(mode, 1),
+      backgroundColor: getModeColor(mode, 0.9),
+      borderWidth: 2,
+      pointRadius: 2,
+      tension: 0.2,
+    }));
+    charts[name].update();
+  });
+}
+
 function updateComparisonChart(metric) {
   if (!charts.comparison) return;
 
-  // Group sessions by task
-  const taskData = {
-    1: { control: [], mcp: [] },
-    2: { control: [], mcp: [] },
-    3: { control: [], mcp: [] },
-  };
+  const chartMetric = CHART_METRICS[metric] || CHART_METRICS.duration;
+  const baseline = getBaselineMode();
+  const taskIds = getTaskIds();
+
+  // One dataset per arm with data, the baseline always comes first
+  const modes = getModes().filter(
+    (mode) =>
+      mode === baseline || filteredSessions.some((s) => s.mode === mode),
+  );
+  const ordered = [baseline, ...modes.filter((mode) => mode !== baseline)];
+
+  charts.comparison.data.labels = taskIds.map((taskId) => `Task ${taskId}`);
+  charts.comparison.data.datasets = ordered.map((mode) => ({
+    label: getModeLabel(mode),
+    data: taskIds.map((taskId) =>
+      chartMetric.value(
+        filteredSessions.filter((s) => s.mode === mode && s.taskId === taskId),
+      ),
+    ),
+    backgroundColor: getModeColor(mode, 0.9),
+    borderColor: getModeColor(mode, 1),
+    borderWidth: 2,
+    borderRadius: 4,
+  }));
+  charts.comparison.options.plugins.title.text = chartMetric.title;
+  charts.comparison.update();
 
-  filteredSessions.forEach((session) => {
-    const taskId = session.taskId.toString();
-    if (taskData[taskId] && session.mode) {
-      taskData[taskId][session.mode].push(session);
-    }
-  });
+  displaySignificance(metric);
+}
 
-  // Calculate metrics for each task
-  const data = {
-    control: [0, 0, 0],
-    mcp: [0, 0, 0],
-  };
+function displaySignificance(metric) {
+  const significanceEl = document.getElementById("significance");
+  const modelFilter = document.getElementById("modelFilter").value;
+  const taskFilter = document.getElementById("taskFilter").value;
+  const modeFilter = document.getElementById("modeFilter").value;
 
-  let titleText = "";
-
-  switch (metric) {
-    case "duration":
-      titleText = "Duration Comparison (seconds)";
-      for (let i = 1; i <= 3; i++) {
-        const taskId = i.toString();
-        // Only include sessions with non-null duration
-        const controlDurations = taskData[taskId].control
-          .map((s) => s.duration)
-          .filter((d) => d !== null);
-        const mcpDurations = taskData[taskId].mcp
-          .map((s) => s.duration)
-          .filter((d) => d !== null);
-        data.control[i - 1] = average(controlDurations) / 1000;
-        data.mcp[i - 1] = average(mcpDurations) / 1000;
-      }
-      break;
-    case "apiCalls":
-      titleText = "API Calls Comparison (count)";
-      for (let i = 1; i <= 3; i++) {
-        const taskId = i.toString();
-        // Only include sessions with non-null apiCalls
-        const controlCalls = taskData[taskId].control
-          .map((s) => s.apiCalls)
-          .filter((c) => c !== null);
-        const mcpCalls = taskData[taskId].mcp
-          .map((s) => s.apiCalls)
-          .filter((c) => c !== null);
-        data.control[i - 1] = average(controlCalls);
-        data.mcp[i - 1] = average(mcpCalls);
-      }
-      break;
-    case "interactions":
-      titleText = "User Interactions Comparison (messages)";
-      for (let i = 1; i <= 3; i++) {
-        const taskId = i.toString();
-        // Only include sessions with non-null interactions
-        const controlInteractions = taskData[taskId].control
-          .map((s) => s.interactions)
-          .filter((i) => i !== null);
-        const mcpInteractions = taskData[taskId].mcp
-          .map((s) => s.interactions)
-          .filter((i) => i !== null);
-        data.control[i - 1] = average(controlInteractions);
-        data.mcp[i - 1] = average(mcpInteractions);
-      }
-      break;
-    case "tokens":
-      titleText = "Token Usage Comparison (tokens)";
-      for (let i = 1; i <= 3; i++) {
-        const taskId = i.toString();
-        // Only include sessions with non-null tokens
-        const controlTokens = taskData[taskId].control
-          .map((s) => s.totalTokens || 0)
-          .filter((t) => t !== null);
-        const mcpTokens = taskData[taskId].mcp
-          .map((s) => s.totalTokens || 0)
-          .filter((t) => t !== null);
-        data.control[i - 1] = average(controlTokens);
-        data.mcp[i - 1] = average(mcpTokens);
-      }
-      break;
-    case "cacheReads":
-      titleText = "Cache Reads Comparison (tokens)";
-      for (let i = 1; i <= 3; i++) {
-        const taskId = i.toString();
-        // Only include sessions with non-null cache reads
-        const controlReads = taskData[taskId].control
-          .map((s) => s.cacheReads || 0)
-          .filter((r) => r !== null);
-        const mcpReads = taskData[taskId].mcp
-          .map((s) => s.cacheReads || 0)
-          .filter((r) => r !== null);
-        data.control[i - 1] = average(controlReads);
-        data.mcp[i - 1] = average(mcpReads);
-      }
-      break;
-    case "cacheWrites":
-      titleText = "Cache Writes Comparison (tokens)";
-      for (let i = 1; i <= 3; i++) {
-        const taskId = i.toString();
-        // Only include sessions with non-null cache writes
-        const controlWrites = taskData[taskId].control
-          .map((s) => s.cacheWrites || 0)
-          .filter((w) => w !== null);
-        const mcpWrites = taskData[taskId].mcp
-          .map((s) => s.cacheWrites || 0)
-          .filter((w) => w !== null);
-        data.control[i - 1] = average(controlWrites);
-        data.mcp[i - 1] = average(mcpWrites);
-      }
-      break;
-    case "cost":
-      titleText = "Cost Comparison ($)";
-      for (let i = 1; i <= 3; i++) {
-        const taskId = i.toString();
-        // Only include sessions with non-null cost
-        const controlCost = taskData[taskId].control
-          .map((s) => s.cost || 0)
-          .filter((c) => c !== null);
-        const mcpCost = taskData[taskId].mcp
-          .map((s) => s.cost || 0)
-          .filter((c) => c !== null);
-        data.control[i - 1] = average(controlCost);
-        data.mcp[i - 1] = average(mcpCost);
-      }
-      break;
-    case "success":
-      titleText = "Success Rate Comparison (%)";
-      for (let i = 1; i <= 3; i++) {
-        const taskId = i.toString();
-        // Include all sessions for success rate calculation
-        data.control[i - 1] = percentage(
-          taskData[taskId].control.filter((s) => s.success).length,
-          taskData[taskId].control.length,
-        );
-        data.mcp[i - 1] = percentage(
-          taskData[taskId].mcp.filter((s) => s.success).length,
-          taskData[taskId].mcp.length,
-        );
-      }
-      break;
+  const groups = (comparison?.groups || []).filter(
+    (group) =>
+      group.metrics[metric] &&
+      (modelFilter === "all" || group.model === modelFilter) &&
+      (taskFilter === "all" ||
+        group.taskId === null ||
+        group.taskId.toString() === taskFilter) &&
+      (modeFilter === "all" ||
+        modeFilter === comparison.baseline ||
+        group.treatment === modeFilter),
+  );
+
+  if (groups.length === 0) {
+    significanceEl.innerHTML =
+      "<p>No significance data available for this metric. Run generate-summary to create comparison.json.</p>";
+    return;
   }
 
-  // Update chart data
-  charts.comparison.data.datasets[0].data = data.control;
-  charts.comparison.data.datasets[1].data = data.mcp;
-  charts.comparison.options.plugins.title.text = titleText;
-  charts.comparison.update();
+  const formatNumber = (value, digits = 2) =>
+    value === null || value === undefined ? "N/A" : value.toFixed(digits);
+
+  significanceEl.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Model</th>
+                    <th>Task</th>
+                    <th>Arm</th>
+                    <th>Runs (Baseline/Arm)</th>
+                    <th>Median (Baseline/Arm)</th>
+                    <th>Change</th>
+                    <th>95% CI</th>
+                    <th>Mann-Whitney p</th>
+                    <th>Welch p</th>
+                    <th>Verdict</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${groups
+                  .map((group) => {
+                    const stats = group.metrics[metric];
+                    const ci = stats.percentChangeCi95
+                      ? `${formatNumber(stats.percentChangeCi95[0], 1)}% to ${formatNumber(stats.percentChangeCi95[1], 1)}%`
+                      : "N/A";
+                    return `
+                    <tr>
+                        <td><strong>${group.model}</strong></td>
+                        <td>${group.taskId === null ? "Overall" : `Task ${group.taskId}`}</td>
+                        <td>${getModeLabel(group.treatment)} vs ${getModeLabel(comparison.baseline)}</td>
+                        <td>${stats.baseline.n}/${stats.treatment.n}</td>
+                        <td>${formatNumber(stats.baseline.median)}/${formatNumber(stats.treatment.median)}</td>
+                        <td>${formatNumber(stats.percentChange, 1)}%</td>
+                        <td>${ci}</td>
+                        <td>${formatNumber(stats.mannWhitneyU?.pValue, 3)}</td>
+                        <td>${formatNumber(stats.welchT?.pValue, 3)}</td>
+                        <td>${stats.significant ? "Significant" : "Within noise"}</td>
+                    </tr>
+                `;
+                  })
+                  .join("")}
+            </tbody>
+        </table>
+        ${allSessions.some((s) => s.exclusion) ? '<p class="note">Significance tests leave out excluded runs.</p>' : ""}
+    `;
 }
 
-function downloadCsv() {
-  let csvContent = "data:text/csv;charset=utf-8,";
+// Quote a CSV field as described in RFC 4180
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
+function downloadCsv() {
   // Add headers
-  csvContent +=
-    "Directory ID,MCP Server,MCP Client,Task ID,Mode,Model,Duration (s),API Calls (count),User Interactions (count),Tokens (count),Cache Reads (count),Cache Writes (count),Cost ($),Success,Notes\n";
+  let csvContent =
+    "Directory ID,MCP Server,MCP Client,Task ID,Mode,Model,Model Source,Duration (s),Active Duration (s),Human Wait (s),API Calls (count),User Interactions (count),Tool Approvals (count),Follow-up Questions (count),Command Output Prompts (count),Other Prompts (count),Tokens (count),Cache Reads (count),Cache Writes (count),Cost ($),Success,Outcome,Notes,Excluded,Baseline,Duration vs Baseline (%),Cost vs Baseline (%)\r\n";
+
+  // Each run is compared with the baseline mean for the same model and task
+  const baseline = getBaselineMode();
+  const changeFromBaseline = (session, getValue) => {
+    const baselineRuns = allSessions.filter(
+      (b) =>
+        b.mode === baseline &&
+        b.model === session.model &&
+        b.taskId === session.taskId &&
+        !b.exclusion,
+    );
+    return baselineRuns.length
+      ? percentageChange(getValue(session), average(baselineRuns.map(getValue)))
+      : "N/A";
+  };
 
   // Add data rows
   filteredSessions.forEach((s) => {
     const row = [
       s.directoryId || "Unknown",
       s.mcpServer || "Twilio",
-      s.mcpClient || "Cursor",
+      s.mcpClient || "Cline",
       s.taskId,
       s.mode,
       s.model || "unknown",
+      s.modelSource || "",
       (s.duration / 1000).toFixed(2),
+      (activeDuration(s) / 1000).toFixed(2),
+      ((s.humanWait || 0) / 1000).toFixed(2),
       s.apiCalls,
       s.interactions,
+      s.toolApprovals ?? "",
+      s.followupQuestions ?? "",
+      s.commandOutputPrompts ?? "",
+      s.otherPrompts ?? "",
       s.totalTokens || 0,
       s.cacheReads || 0,
       s.cacheWrites || 0,
       (s.cost || 0).toFixed(4),
       s.success ? "Yes" : "No",
-      (s.notes || "").replace(/,/g, ";"), // Replace commas to avoid CSV issues
-    ].join(",");
-    csvContent += row + "\n";
+      outcomeOf(s),
+      s.notes || "",
+      s.exclusion ? s.exclusion.reason : "",
+      baseline,
+      changeFromBaseline(s, (run) => run.duration),
+      changeFromBaseline(s, (run) => run.cost || 0),
+    ]
+      .map(csvField)
+      .join(",");
+    csvContent += row + "\r\n";
   });
 
   // Create download link
-  const encodedUri = encodeURI(csvContent);
+  const encodedUri = `data:text/csv;charset=utf-8,${encodeURIComponent(csvContent)}`;
   const link = document.createElement("a");
   link.setAttribute("href", encodedUri);
   link.setAttribute("download", "mcp_performance_data.csv");
@@ -806,6 +1253,39 @@ function percentage(part, total) {
   return total ? (part / total) * 100 : 0;
 }
 
+function outcomeOf(session) {
+  // Sessions extracted before success checks existed only carry the success flag
+  return session.outcome || (session.success ? "passed" : "failed");
+}
+
+function outcomeClass(session) {
+  const outcome = outcomeOf(session);
+  if (outcome === "unknown") return "";
+  return outcome === "passed" ? "success" : "failure";
+}
+
+function outcomeSymbol(session) {
+  const outcome = outcomeOf(session);
+  if (outcome === "unknown") return "?";
+  return outcome === "passed" ? "✓" : "✗";
+}
+
+function successRate(sessions) {
+  const verified = sessions.filter((s) => outcomeOf(s) !== "unknown");
+  return percentage(
+    verified.filter((s) => outcomeOf(s) === "passed").length,
+    verified.length,
+  );
+}
+
+function costPerSuccess(sessions) {
+  const verified = sessions.filter((s) => outcomeOf(s) !== "unknown");
+  const passed = verified.filter((s) => outcomeOf(s) === "passed").length;
+  return passed
+    ? verified.reduce((sum, s) => sum + (s.cost || 0), 0) / passed
+    : 0;
+}
+
 function percentageChange(newValue, oldValue) {
   if (!oldValue) return "N/A";
   const result = ((newValue - oldValue) / oldValue) * 100;
@@ -816,6 +1296,7 @@ function percentageChange(newValue, oldValue) {
 document.addEventListener("DOMContentLoaded", () => {
   // Load data when page loads
   loadData();
+  watchUpdates();
 
   // Add event listeners for task tabs
   document.getElementById("taskTabs").addEventListener("click", (e) => {
@@ -864,6 +1345,7 @@ document.addEventListener("DOMContentLoaded", () => {
     displayMetrics();
     displayModelMetrics();
     displaySessions();
+    displayToolUsage();
     updateCharts();
   });
 
@@ -872,6 +1354,7 @@ document.addEventListener("DOMContentLoaded", () => {
     displayMetrics();
     displayModelMetrics();
     displaySessions();
+    displayToolUsage();
     updateCharts();
   });
 
@@ -880,6 +1363,7 @@ document.addEventListener("DOMContentLoaded", () => {
     displayMetrics();
     displayModelMetrics();
     displaySessions();
+    displayToolUsage();
     updateCharts();
   });
 
@@ -888,17 +1372,45 @@ document.addEventListener("DOMContentLoaded", () => {
     displayMetrics();
     displayModelMetrics();
     displaySessions();
+    displayToolUsage();
     updateCharts();
   });
 
+  Object.keys(SETUP_FILTERS).forEach((id) => {
+    document.getElementById(id).addEventListener("change", () => {
+      filterData();
+      displayMetrics();
+      displayModelMetrics();
+      displaySessions();
+      displayToolUsage();
+      updateCharts();
+    });
+  });
+
+  document.getElementById("treatmentFilter").addEventListener("change", () => {
+    displayMetrics();
+  });
+
   document.getElementById("modeFilter").addEventListener("change", () => {
     filterData();
     displayMetrics();
     displayModelMetrics();
     displaySessions();
+    displayToolUsage();
     updateCharts();
   });
 
+  document
+    .getElementById("showExcludedFilter")
+    .addEventListener("change", () => {
+      filterData();
+      displayMetrics();
+      displayModelMetrics();
+      displaySessions();
+      displayToolUsage();
+      updateCharts();
+    });
+
   // Add refresh button functionality
   document.getElementById("refreshBtn").addEventListener("click", () => {
     loadData();
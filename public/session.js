@@ -0,0 +1,176 @@
+// Session detail page: the reconstructed timeline of one task run
+
+const STEP_LABELS = {
+  user: "User",
+  request: "API Request",
+  assistant: "Assistant",
+  tool_call: "Tool Call",
+  tool_result: "Tool Result",
+  command: "Command",
+  command_output: "Command Output",
+  completion: "Completion",
+  ask: "Ask",
+  error: "Error",
+};
+
+document.addEventListener("DOMContentLoaded", loadSession);
+
+function getSessionFile() {
+  const file = new URLSearchParams(window.location.search).get("file") || "";
+  // Same naming as the task files written by extract-metrics
+  return /^[\w-]+?_task\d+_.*\.json$/.test(file) ? file : null;
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  return response.ok ? response.json() : null;
+}
+
+async function loadSession() {
+  const file = getSessionFile();
+  if (!file) {
+    showMessage("No session selected.");
+    return;
+  }
+
+  try {
+    const [task, timeline] = await Promise.all([
+      fetchJson(`/metrics/${file}`),
+      fetchJson(`/timelines/${file}`),
+    ]);
+    if (!task) {
+      showMessage(`Task file ${file} not found.`);
+      return;
+    }
+
+    displaySummary(task);
+    if (!timeline) {
+      showMessage(
+        "No timeline was saved for this run. Run extract-metrics with --force to record it.",
+      );
+      return;
+    }
+    displayTimeline(timeline.steps || []);
+  } catch (error) {
+    console.error("Error loading session:", error);
+    showMessage("Failed to load the session.");
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function showMessage(message) {
+  document.getElementById("timelineBody").innerHTML =
+    `<tr><td colspan="10" style="text-align: center;">${escapeHtml(message)}</td></tr>`;
+}
+
+function displaySummary(task) {
+  document.getElementById("sessionTitle").textContent =
+    `Task ${task.taskId ?? task.taskNumber} (${task.mode}) - ${task.directoryId}`;
+
+  const outcome = task.outcome || (task.success ? "passed" : "failed");
+  const items = [
+    ["Model", task.model || "Unknown"],
+    ["MCP Server", task.mcpServer || "Unknown"],
+    ["MCP Client", task.mcpClient || "Unknown"],
+    ["Started", new Date(task.startTime).toLocaleString()],
+    ["Duration", `${((task.duration || 0) / 1000).toFixed(2)}s`],
+    ...(task.humanWait === undefined
+      ? []
+      : [
+          [
+            "Active Duration",
+            `${((task.activeDuration || 0) / 1000).toFixed(2)}s`,
+          ],
+          ["Waiting for User", `${(task.humanWait / 1000).toFixed(2)}s`],
+        ]),
+    ["API Calls", task.apiCalls || 0],
+    ["Interactions", task.interactions || 0],
+    ...(task.humanWait === undefined
+      ? []
+      : [
+          ["Tool Approvals", task.toolApprovals || 0],
+          ["Follow-up Questions", task.followupQuestions || 0],
+          ["Command Output Prompts", task.commandOutputPrompts || 0],
+          ["Other Prompts", task.otherPrompts || 0],
+        ]),
+    ["Tokens", (task.totalTokens || 0).toLocaleString()],
+    ["Cache Reads", (task.cacheReads || 0).toLocaleString()],
+    ["Cache Writes", (task.cacheWrites || 0).toLocaleString()],
+    ["Cost", `$${(task.cost || 0).toFixed(4)}`],
+    ["Outcome", outcome],
+  ];
+
+  document.getElementById("sessionSummary").innerHTML = `
+        <div class="compact-metric-card">
+            <div class="compact-metric-content">
+                ${items
+                  .map(
+                    ([label, value]) => `
+                    <div class="compact-metric-label">${label}</div>
+                    <div class="compact-metric-value">${escapeHtml(value)}</div>
+                `,
+                  )
+                  .join("")}
+            </div>
+        </div>
+    `;
+  document.getElementById("sessionNotes").textContent = task.notes || "";
+}
+
+function describeStep(step) {
+  if (step.kind === "request") {
+    return "";
+  }
+  const tool = step.server ? `${step.server} / ${step.tool}` : step.tool;
+  const heading = tool ? `<strong>${escapeHtml(tool)}</strong>\n` : "";
+  return `<div class="timeline-text">${heading}${escapeHtml(step.text || "")}</div>`;
+}
+
+function formatCount(value) {
+  return value === undefined ? "" : value.toLocaleString();
+}
+
+function displayTimeline(steps) {
+  if (steps.length === 0) {
+    showMessage("The timeline of this run is empty.");
+    return;
+  }
+
+  let requests = 0;
+  document.getElementById("timelineBody").innerHTML = steps
+    .map((step, index) => {
+      const isRequest = step.kind === "request";
+      if (isRequest) requests++;
+      const rowClass = [
+        isRequest ? "timeline-request" : "",
+        step.isError ? "timeline-error" : "",
+      ]
+        .filter(Boolean)
+        .join(" ");
+      const label = isRequest
+        ? `${STEP_LABELS.request} ${requests}`
+        : STEP_LABELS[step.kind] || step.kind;
+      return `
+            <tr class="${rowClass}">
+                <td>${index + 1}</td>
+                <td>${(step.elapsed / 1000).toFixed(1)}</td>
+                <td>${(step.delta / 1000).toFixed(1)}</td>
+                <td>${label}${step.isError ? " ✗" : ""}</td>
+                <td>${describeStep(step)}</td>
+                <td>${formatCount(step.tokensIn)}</td>
+                <td>${formatCount(step.tokensOut)}</td>
+                <td>${formatCount(step.cacheReads)}</td>
+                <td>${formatCount(step.cacheWrites)}</td>
+                <td>${step.cost === undefined ? "" : step.cost.toFixed(4)}</td>
+            </tr>
+        `;
+    })
+    .join("");
+}
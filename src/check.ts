@@ -0,0 +1,207 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { hideBin } from 'yargs/helpers';
+import yargs from 'yargs/yargs';
+
+import { withoutExcluded } from './metrics/exclusions';
+import { loadModelAliases } from './metrics/models';
+import { loadSummary } from './metrics/schema';
+import { findSuiteFile, loadSuite } from './metrics/suite';
+import SummaryGenerator from './metrics/summary-generator';
+import {
+  evaluateThresholds,
+  formatJUnitReport,
+  formatThresholdValue,
+  loadThresholds,
+  ThresholdResult,
+} from './metrics/thresholds';
+import { logger } from './utils';
+
+type CheckResult = {
+  success: boolean;
+  message: string;
+  results: ThresholdResult[];
+};
+
+class Check {
+  /**
+   * Static method to parse args and check a candidate summary against
+   * regression thresholds
+   * @param argv Command line arguments
+   * @returns Promise with check result
+   */
+  static async check(argv: string[]): Promise<CheckResult> {
+    const parsedArgs = yargs(hideBin(argv))
+      .option('directory', {
+        alias: 'd',
+        type: 'string',
+        description: 'Specify a custom metrics directory path',
+        default: path.join(os.homedir(), '.mcp-te-benchmark'),
+      })
+      .option('baseline', {
+        alias: 'b',
+        type: 'string',
+        description: 'Summary file of the baseline, e.g. the last release',
+        demandOption: true,
+      })
+      .option('candidate', {
+        alias: 'c',
+        type: 'string',
+        description:
+          'Summary file of the candidate (defaults to summary.json in the metrics directory)',
+      })
+      .option('thresholds', {
+        alias: 't',
+        type: 'string',
+        description:
+          'Thresholds file (defaults to thresholds.json in the metrics directory)',
+      })
+      .option('regenerate', {
+        type: 'boolean',
+        description:
+          'Regenerate the candidate summary from the metrics directory tasks before checking',
+        default: false,
+      })
+      .option('suite', {
+        type: 'string',
+        description:
+          'Suite definition file whose baseline --regenerate compares against (defaults to suite.json in the metrics directory)',
+      })
+      .option('allow-skipped', {
+        type: 'boolean',
+        description:
+          'Pass thresholds that cannot be evaluated, e.g. because no candidate runs match them, instead of failing them',
+        default: false,
+      })
+      .option('junit', {
+        type: 'string',
+        description: 'Write a JUnit XML report to this file',
+      })
+      .option('json', {
+        type: 'string',
+        description: 'Write a JSON report to this file',
+      })
+      .help()
+      .alias('help', 'h')
+      .parseSync();
+
+    const candidateFile =
+      parsedArgs.candidate ?? path.join(parsedArgs.directory, 'summary.json');
+    if (parsedArgs.regenerate) {
+      const suite = await loadSuite(
+        await findSuiteFile(parsedArgs.directory, parsedArgs.suite),
+      );
+      const generator = new SummaryGenerator(
+        parsedArgs.directory,
+        suite.baseline,
+      );
+      const summary = await generator.generateSummaryFromFiles();
+      if (!summary.success) {
+        return { success: false, message: summary.message, results: [] };
+      }
+    }
+
+    const config = await loadThresholds(
+      parsedArgs.thresholds ??
+        path.join(parsedArgs.directory, 'thresholds.json'),
+      await loadModelAliases(
+        path.join(parsedArgs.directory, 'model-aliases.json'),
+        true,
+      ),
+    );
+    const baseline = withoutExcluded(await loadSummary(parsedArgs.baseline));
+    const candidate = withoutExcluded(await loadSummary(candidateFile));
+    logger.info(
+      `Checking ${candidate.length} candidate runs from ${candidateFile} against ${baseline.length} baseline runs from ${parsedArgs.baseline}`,
+    );
+
+    // An empty or broken candidate must not pass the gate unnoticed
+    const results = evaluateThresholds(config, baseline, candidate).map(
+      (result): ThresholdResult =>
+        result.status === 'skipped' && !parsedArgs.allowSkipped
+          ? {
+              ...result,
+              status: 'failed',
+              message: `${result.message} (pass --allow-skipped to skip it)`,
+            }
+          : result,
+    );
+    Check.printResults(results);
+
+    if (parsedArgs.junit) {
+      await fs.writeFile(parsedArgs.junit, formatJUnitReport(results));
+      logger.info(`JUnit report written to ${parsedArgs.junit}`);
+    }
+    if (parsedArgs.json) {
+      await fs.writeFile(
+        parsedArgs.json,
+        JSON.stringify(
+          {
+            generatedAt: new Date().toISOString(),
+            baseline: parsedArgs.baseline,
+            candidate: candidateFile,
+            results,
+          },
+          null,
+          2,
+        ),
+      );
+      logger.info(`JSON report written to ${parsedArgs.json}`);
+    }
+
+    const failed = results.filter((r) => r.status === 'failed').length;
+    const skipped = results.filter((r) => r.status === 'skipped').length;
+    const passed = results.length - failed - skipped;
+    return {
+      success: failed === 0,
+      message: `${passed} passed, ${failed} failed, ${skipped} skipped`,
+      results,
+    };
+  }
+
+  /**
+   * Print the results as a table
+   * @param {ThresholdResult[]} results Threshold results
+   */
+  private static printResults(results: ThresholdResult[]): void {
+    const rows = results.map((result) => [
+      result.status.toUpperCase(),
+      result.name,
+      formatThresholdValue(result.baselineValue),
+      formatThresholdValue(result.candidateValue),
+      result.percentChange === null
+        ? 'n/a'
+        : `${result.percentChange > 0 ? '+' : ''}${result.percentChange.toFixed(1)}%`,
+      result.message,
+    ]);
+    const header = [
+      'Status',
+      'Threshold',
+      'Baseline',
+      'Candidate',
+      'Change',
+      'Details',
+    ];
+    const widths = header.map((title, column) =>
+      Math.max(title.length, ...rows.map((row) => row[column].length)),
+    );
+    const format = (row: string[]) =>
+      row.map((cell, column) => cell.padEnd(widths[column])).join('  ');
+
+    logger.info('\nThreshold Check:');
+    logger.info(format(header));
+    logger.info(format(widths.map((width) => '-'.repeat(width))));
+    rows.forEach((row) => {
+      const line = format(row);
+      if (row[0] === 'FAILED') {
+        logger.error(line);
+      } else {
+        logger.info(line);
+      }
+    });
+  }
+}
+
+export default Check;
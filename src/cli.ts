@@ -2,10 +2,22 @@
 import { hideBin } from 'yargs/helpers';
 import yargs from 'yargs/yargs';
 
+import Check from './check';
+import ExcludeRuns from './exclude-runs';
+import ExportRuns from './export-runs';
 import ExtractMetrics from './extract-metrics';
 import GenerateSummary from './generate-summary';
+import LlmStub from './llm-stub';
+import Report from './report';
+import Reprice from './reprice';
+import Run from './run';
 import ServerDashboard from './server-dashboard';
-import { logger } from './utils';
+import ToolOverhead from './tool-overhead';
+import TwilioMock from './twilio-mock';
+import { logger, logToFiles } from './utils';
+import Validate from './validate';
+
+logToFiles();
 
 // Define the main CLI command structure
 yargs(hideBin(process.argv))
@@ -22,6 +34,7 @@ yargs(hideBin(process.argv))
 
         if (result.success) {
           logger.info(`Extraction completed successfully: ${result.message}`);
+          result.errors.forEach((error) => logger.warn(error));
         } else {
           logger.error(`Extraction completed with errors: ${result.message}`);
           if (result.errors.length > 0) {
@@ -51,6 +64,179 @@ yargs(hideBin(process.argv))
       }
     },
   )
+  .command(
+    'reprice',
+    'Recompute the cost of every metric file under a price sheet',
+    () => {},
+    async () => {
+      try {
+        const subArgs = process.argv.slice(0, 2).concat(process.argv.slice(3));
+        const result = await Reprice.reprice(subArgs);
+
+        if (result.success) {
+          logger.info(result.message);
+        } else {
+          logger.error(`Repricing completed with errors: ${result.message}`);
+          process.exit(1);
+        }
+      } catch (error) {
+        logger.error('Unexpected error during repricing:', error);
+        process.exit(1);
+      }
+    },
+  )
+  .command(
+    'run',
+    'Run the task suite headlessly against a model endpoint',
+    () => {},
+    async () => {
+      try {
+        const subArgs = process.argv.slice(0, 2).concat(process.argv.slice(3));
+        const result = await Run.run(subArgs);
+
+        if (result.success) {
+          logger.info(`Run completed successfully: ${result.message}`);
+        } else {
+          logger.error(`Run completed with errors: ${result.message}`);
+          if (result.errors.length > 0) {
+            logger.error(
+              `Encountered ${result.errors.length} errors during the run`,
+            );
+          }
+          process.exit(1);
+        }
+      } catch (error) {
+        logger.error('Unexpected error during run:', error);
+        process.exit(1);
+      }
+    },
+  )
+  .command(
+    'check',
+    'Check a summary against regression thresholds',
+    () => {},
+    async () => {
+      try {
+        const subArgs = process.argv.slice(0, 2).concat(process.argv.slice(3));
+        const result = await Check.check(subArgs);
+
+        if (result.success) {
+          logger.info(`Threshold check passed: ${result.message}`);
+        } else {
+          logger.error(`Threshold check failed: ${result.message}`);
+          process.exit(1);
+        }
+      } catch (error) {
+        logger.error('Unexpected error during threshold check:', error);
+        process.exit(1);
+      }
+    },
+  )
+  .command(
+    'exclude',
+    'Exclude runs from summaries with a reason, or include them again',
+    () => {},
+    async () => {
+      try {
+        const subArgs = process.argv.slice(0, 2).concat(process.argv.slice(3));
+        const result = await ExcludeRuns.exclude(subArgs);
+
+        if (result.success) {
+          logger.info(result.message);
+        } else {
+          logger.error(`Exclusion failed: ${result.message}`);
+          process.exit(1);
+        }
+      } catch (error) {
+        logger.error('Unexpected error during exclusion:', error);
+        process.exit(1);
+      }
+    },
+  )
+  .command(
+    'report',
+    'Render a summary into self-contained HTML and Markdown reports',
+    () => {},
+    async () => {
+      try {
+        const subArgs = process.argv.slice(0, 2).concat(process.argv.slice(3));
+        const result = await Report.report(subArgs);
+
+        if (result.success) {
+          logger.info(result.message);
+        } else {
+          logger.error(`Report failed: ${result.message}`);
+          process.exit(1);
+        }
+      } catch (error) {
+        logger.error('Unexpected error during report generation:', error);
+        process.exit(1);
+      }
+    },
+  )
+  .command(
+    'export',
+    'Export runs as CSV, JSON Lines and Parquet for analysis',
+    () => {},
+    async () => {
+      try {
+        const subArgs = process.argv.slice(0, 2).concat(process.argv.slice(3));
+        const result = await ExportRuns.export(subArgs);
+
+        if (result.success) {
+          logger.info(result.message);
+        } else {
+          logger.error(`Export failed: ${result.message}`);
+          process.exit(1);
+        }
+      } catch (error) {
+        logger.error('Unexpected error during export:', error);
+        process.exit(1);
+      }
+    },
+  )
+  .command(
+    'validate',
+    'Validate task files and summaries against their schemas',
+    () => {},
+    async () => {
+      try {
+        const subArgs = process.argv.slice(0, 2).concat(process.argv.slice(3));
+        const result = await Validate.validate(subArgs);
+
+        if (result.success) {
+          logger.info(result.message);
+        } else {
+          logger.error(`Validation failed: ${result.message}`);
+          process.exit(1);
+        }
+      } catch (error) {
+        logger.error('Unexpected error during validation:', error);
+        process.exit(1);
+      }
+    },
+  )
+  .command(
+    'tool-overhead',
+    'Measure the tokens of MCP tool definitions and instructions sent with every request',
+    () => {},
+    async () => {
+      try {
+        const subArgs = process.argv.slice(0, 2).concat(process.argv.slice(3));
+        const result = await ToolOverhead.measure(subArgs);
+
+        if (result.success) {
+          logger.info(result.message);
+        } else {
+          logger.error(`Measurement failed: ${result.message}`);
+          process.exit(1);
+        }
+      } catch (error) {
+        logger.error('Unexpected error while measuring tool overhead:', error);
+        process.exit(1);
+      }
+    },
+  )
   .command(
     'dashboard',
     'Start the dashboard web server',
@@ -65,6 +251,34 @@ yargs(hideBin(process.argv))
       }
     },
   )
+  .command(
+    'twilio-mock',
+    'Start a local mock of the Twilio REST endpoints used by the tasks',
+    () => {},
+    async () => {
+      try {
+        const subArgs = process.argv.slice(0, 2).concat(process.argv.slice(3));
+        await TwilioMock.run(subArgs);
+      } catch (error) {
+        logger.error('Unexpected error while starting Twilio mock:', error);
+        process.exit(1);
+      }
+    },
+  )
+  .command(
+    'llm-stub',
+    'Start a local model endpoint that answers with a script, for testing runs',
+    () => {},
+    async () => {
+      try {
+        const subArgs = process.argv.slice(0, 2).concat(process.argv.slice(3));
+        await LlmStub.run(subArgs);
+      } catch (error) {
+        logger.error('Unexpected error while starting LLM stub:', error);
+        process.exit(1);
+      }
+    },
+  )
   .demandCommand(1, 'You must specify a command to run')
   .help()
   .alias('help', 'h')
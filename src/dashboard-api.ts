@@ -0,0 +1,188 @@
+import http from 'http';
+import path from 'path';
+
+import {
+  aggregateRuns,
+  filterRuns,
+  parseGroupBy,
+  parseRunFilters,
+} from './metrics/run-query';
+import { loadSummary } from './metrics/schema';
+import { loadTimeline } from './metrics/timeline';
+import { TaskMetrics } from './metrics/types';
+import { logger } from './utils';
+
+type ApiResponse = {
+  status: number;
+  body: unknown;
+};
+
+/**
+ * Create an error response
+ * @param {number} status HTTP status
+ * @param {string} message Error message
+ * @returns {ApiResponse} The response
+ */
+function apiError(status: number, message: string): ApiResponse {
+  return { status, body: { error: { status, message } } };
+}
+
+/**
+ * Parse a non-negative integer query parameter
+ * @param {string} name Parameter name
+ * @param {string|null} value Parameter value
+ * @returns {number|undefined} The value or undefined if not set
+ */
+function parseCount(name: string, value: string | null): number | undefined {
+  if (value === null || value === '') return undefined;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid ${name} "${value}", expected a positive integer`);
+  }
+  return count;
+}
+
+/**
+ * JSON API of the dashboard server, answering queries over the runs in the
+ * metrics directory's summary.json
+ *
+ * GET /api/runs?model=&task=&mode=&server=&client=&experiment=&serverVersion=&clientVersion=&outcome=&since=&until=
+ * GET /api/aggregates?groupBy=model,task,mode
+ * GET /api/runs/:directoryId
+ */
+class DashboardApi {
+  private readonly directory: string;
+
+  /**
+   * Create the API for a metrics directory
+   * @param {string} directory Metrics directory
+   */
+  constructor(directory: string) {
+    this.directory = directory;
+  }
+
+  /**
+   * Answer an API request
+   * @param {http.IncomingMessage} req The request
+   * @param {http.ServerResponse} res The response
+   * @param {URL} url Parsed request URL
+   */
+  async handle(
+    req: http.IncomingMessage,
+    res: http.ServerResponse,
+    url: URL,
+  ): Promise<void> {
+    let response: ApiResponse;
+    try {
+      response = await this.route(req.method ?? 'GET', url);
+    } catch (error) {
+      logger.error(
+        `API error for ${url.pathname}: ${(error as Error).message}`,
+      );
+      response = apiError(500, 'Internal server error');
+    }
+
+    res.writeHead(response.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response.body), 'utf-8');
+  }
+
+  /**
+   * Dispatch a request to its endpoint
+   * @param {string} method HTTP method
+   * @param {URL} url Parsed request URL
+   * @returns {Promise<ApiResponse>} The response
+   */
+  private async route(method: string, url: URL): Promise<ApiResponse> {
+    const segments = url.pathname.split('/').filter(Boolean).slice(1);
+    const endpoint = segments.join('/');
+    const isRunDetail = segments.length === 2 && segments[0] === 'runs';
+
+    if (endpoint !== 'runs' && endpoint !== 'aggregates' && !isRunDetail) {
+      return apiError(404, `Unknown endpoint ${url.pathname}`);
+    }
+    if (method !== 'GET') {
+      return apiError(405, `Method ${method} not allowed, use GET`);
+    }
+
+    const runs = await this.loadRuns();
+    if (!runs) {
+      return apiError(
+        404,
+        'No summary.json in the metrics directory, run extract-metrics first',
+      );
+    }
+
+    try {
+      if (isRunDetail) {
+        return await this.getRun(runs, decodeURIComponent(segments[1]));
+      }
+
+      if (endpoint === 'aggregates') {
+        const groupBy = parseGroupBy(url.searchParams.get('groupBy'));
+        const selected = filterRuns(runs, parseRunFilters(url.searchParams));
+        return {
+          status: 200,
+          body: {
+            groupBy,
+            total: selected.length,
+            groups: aggregateRuns(selected, groupBy),
+          },
+        };
+      }
+
+      const selected = filterRuns(runs, parseRunFilters(url.searchParams));
+      const offset = parseCount('offset', url.searchParams.get('offset')) ?? 0;
+      const limit = parseCount('limit', url.searchParams.get('limit'));
+      return {
+        status: 200,
+        body: {
+          total: selected.length,
+          offset,
+          runs: selected.slice(
+            offset,
+            limit === undefined ? undefined : offset + limit,
+          ),
+        },
+      };
+    } catch (error) {
+      // Only the request URL is parsed here, so errors are the client's
+      return apiError(400, (error as Error).message);
+    }
+  }
+
+  /**
+   * Get a run with its timeline
+   * @param {TaskMetrics[]} runs All runs
+   * @param {string} directoryId Directory ID of the run
+   * @returns {Promise<ApiResponse>} The response
+   */
+  private async getRun(
+    runs: TaskMetrics[],
+    directoryId: string,
+  ): Promise<ApiResponse> {
+    const run = runs.find((item) => item.directoryId === directoryId);
+    if (!run) {
+      return apiError(404, `No run with directory ID ${directoryId}`);
+    }
+
+    const timeline = await loadTimeline(this.directory, run);
+
+    return { status: 200, body: { run, timeline } };
+  }
+
+  /**
+   * Load the runs of the summary file, read on every request so the API
+   * reflects the latest extraction
+   * @returns {Promise<TaskMetrics[]|undefined>} The runs or undefined if there is no summary
+   */
+  private async loadRuns(): Promise<TaskMetrics[] | undefined> {
+    try {
+      return await loadSummary(path.join(this.directory, 'summary.json'));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+}
+
+export default DashboardApi;
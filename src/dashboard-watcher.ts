@@ -0,0 +1,178 @@
+import fs, { promises as fsPromises } from 'fs';
+import path from 'path';
+
+import ExtractMetrics from './extract-metrics';
+import SummaryGenerator from './metrics/summary-generator';
+import { logger } from './utils';
+
+export type DashboardUpdate = {
+  runs: number;
+  time: number;
+};
+
+type WatcherOptions = {
+  directory: string;
+  baseline?: string;
+  // Chat logs to extract from, not watched if undefined
+  logsDir?: string;
+  extractor?: ExtractMetrics;
+  debounce: number;
+  onUpdate: (update: DashboardUpdate) => void;
+};
+
+/**
+ * Watches the chat logs and the metric files of a metrics directory, extracts
+ * new and changed chats and regenerates the summary, and reports every change
+ * of the summary so the dashboard can push it to open browsers
+ */
+class DashboardWatcher {
+  private readonly options: WatcherOptions;
+
+  private readonly watchers: fs.FSWatcher[] = [];
+
+  // Changed chat log paths since the last sync, null if a full extraction is needed
+  private changedPaths: Set<string> | null = new Set();
+
+  private logsChanged = false;
+
+  private timer?: NodeJS.Timeout;
+
+  private syncing = false;
+
+  private lastSummary?: string;
+
+  constructor(options: WatcherOptions) {
+    this.options = options;
+  }
+
+  /**
+   * Start watching
+   */
+  async start(): Promise<void> {
+    const tasksDir = path.join(this.options.directory, 'tasks');
+    await fsPromises.mkdir(tasksDir, { recursive: true });
+    this.lastSummary = await this.readSummary();
+
+    // Metric files written by other commands only need a new summary
+    this.watch(tasksDir, false);
+
+    const { logsDir, extractor } = this.options;
+    if (logsDir && extractor) {
+      this.watch(logsDir, true, (filename) => {
+        this.logsChanged = true;
+        if (filename === null) {
+          this.changedPaths = null;
+        } else {
+          this.changedPaths?.add(path.join(logsDir, filename));
+        }
+      });
+    }
+  }
+
+  /**
+   * Stop watching
+   */
+  stop(): void {
+    clearTimeout(this.timer);
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers.length = 0;
+  }
+
+  /**
+   * Watch a directory and schedule a sync on every change
+   * @param {string} directory Directory to watch
+   * @param {boolean} recursive Also watch subdirectories
+   * @param {Function} [onChange] Records the change before the sync is scheduled
+   */
+  private watch(
+    directory: string,
+    recursive: boolean,
+    onChange?: (filename: string | null) => void,
+  ): void {
+    try {
+      const watcher = fs.watch(directory, { recursive }, (_, filename) => {
+        onChange?.(filename);
+        this.schedule();
+      });
+      watcher.on('error', (error) => {
+        logger.warn(`Stopped watching ${directory}: ${error.message}`);
+      });
+      this.watchers.push(watcher);
+      logger.info(`Watching ${directory} for changes`);
+    } catch (error) {
+      logger.warn(`Cannot watch ${directory}: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * Sync once the files stop changing, as clients write chats in many steps
+   */
+  private schedule(): void {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.sync();
+    }, this.options.debounce);
+  }
+
+  /**
+   * Extract the changed chats or regenerate the summary from the metric files,
+   * and report an update if the summary changed
+   */
+  private async sync(): Promise<void> {
+    if (this.syncing) {
+      // Changes during a sync are picked up by the next one
+      this.schedule();
+      return;
+    }
+
+    this.syncing = true;
+    const { logsChanged, changedPaths } = this;
+    this.logsChanged = false;
+    this.changedPaths = new Set();
+
+    try {
+      if (logsChanged && this.options.extractor) {
+        await this.options.extractor.extractChatMetrics(
+          changedPaths ? [...changedPaths] : undefined,
+        );
+      } else {
+        await new SummaryGenerator(
+          this.options.directory,
+          this.options.baseline,
+        ).generateSummaryFromFiles();
+      }
+
+      // Writing metric files triggers another sync, which leaves the summary unchanged
+      const summary = await this.readSummary();
+      if (summary !== undefined && summary !== this.lastSummary) {
+        this.lastSummary = summary;
+        const runs = JSON.parse(summary);
+        this.options.onUpdate({
+          runs: Array.isArray(runs) ? runs.length : 0,
+          time: Date.now(),
+        });
+      }
+    } catch (error) {
+      logger.error(`Error updating metrics: ${(error as Error).message}`);
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Read the summary file
+   * @returns {Promise<string|undefined>} Its content or undefined if it does not exist
+   */
+  private async readSummary(): Promise<string | undefined> {
+    try {
+      return await fsPromises.readFile(
+        path.join(this.options.directory, 'summary.json'),
+        'utf8',
+      );
+    } catch (error) {
+      return undefined;
+    }
+  }
+}
+
+export default DashboardWatcher;
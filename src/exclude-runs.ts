@@ -0,0 +1,186 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { hideBin } from 'yargs/helpers';
+import yargs from 'yargs/yargs';
+
+import {
+  appendExclusionLog,
+  ExclusionAction,
+  EXCLUSIONS_FILE,
+  getExclusions,
+  loadExclusionLog,
+} from './metrics/exclusions';
+import { METRIC_FILE_PATTERN } from './metrics/metrics-utils';
+import SummaryGenerator from './metrics/summary-generator';
+import { logger } from './utils';
+
+type ExcludeResult = {
+  success: boolean;
+  message: string;
+  actions: ExclusionAction[];
+};
+
+class ExcludeRuns {
+  /**
+   * Static method to parse args and exclude runs from summaries, or include
+   * them again, recording each change in the exclusion log
+   * @param argv Command line arguments
+   * @returns Promise with exclusion result
+   */
+  static async exclude(argv: string[]): Promise<ExcludeResult> {
+    const parsedArgs = yargs(hideBin(argv))
+      .option('directory', {
+        alias: 'd',
+        type: 'string',
+        description: 'Specify a custom metrics directory path',
+        default: path.join(os.homedir(), '.mcp-te-benchmark'),
+      })
+      .option('run', {
+        alias: 'r',
+        type: 'array',
+        string: true,
+        description: 'Directory IDs of the runs',
+      })
+      .option('reason', {
+        type: 'string',
+        description: 'Why the runs are excluded or included again',
+      })
+      .option('include', {
+        type: 'boolean',
+        description: 'Include previously excluded runs again',
+        default: false,
+      })
+      .option('user', {
+        type: 'string',
+        description: 'Who made the change, recorded in the exclusion log',
+        default: ExcludeRuns.getUser(),
+      })
+      .option('list', {
+        type: 'boolean',
+        description: 'List the excluded runs and exit',
+        default: false,
+      })
+      .option('regenerate', {
+        type: 'boolean',
+        description: 'Regenerate the summary after the change',
+        default: true,
+      })
+      .help()
+      .alias('help', 'h')
+      .parseSync();
+
+    const { directory } = parsedArgs;
+    const log = await loadExclusionLog(directory);
+    const exclusions = getExclusions(log);
+
+    if (parsedArgs.list) {
+      exclusions.forEach((exclusion, directoryId) => {
+        logger.info(
+          `${directoryId}: ${exclusion.reason} (${exclusion.user}, ${exclusion.time})`,
+        );
+      });
+      return {
+        success: true,
+        message: `${exclusions.size} runs excluded, ${log.length} changes in ${path.join(directory, EXCLUSIONS_FILE)}`,
+        actions: [],
+      };
+    }
+
+    const runs = parsedArgs.run ?? [];
+    if (!runs.length) {
+      return { success: false, message: 'Pass --run', actions: [] };
+    }
+    if (!parsedArgs.include && !parsedArgs.reason) {
+      return {
+        success: false,
+        message: 'Pass --reason to record why the runs are excluded',
+        actions: [],
+      };
+    }
+
+    const known = await ExcludeRuns.getDirectoryIds(directory);
+    const unknown = runs.filter((run) => !known.has(run));
+    if (unknown.length) {
+      return {
+        success: false,
+        message: `No task files for runs ${unknown.join(', ')} in ${directory}`,
+        actions: [],
+      };
+    }
+
+    const time = new Date().toISOString();
+    const actions: ExclusionAction[] = runs
+      .filter((directoryId) => {
+        if (parsedArgs.include && !exclusions.has(directoryId)) {
+          logger.warn(`Run ${directoryId} is not excluded`);
+          return false;
+        }
+        return true;
+      })
+      .map((directoryId) => ({
+        directoryId,
+        action: parsedArgs.include ? 'include' : 'exclude',
+        reason: parsedArgs.reason ?? '',
+        user: parsedArgs.user,
+        time,
+      }));
+    if (!actions.length) {
+      return { success: true, message: 'Nothing to change', actions };
+    }
+
+    await appendExclusionLog(directory, actions);
+    actions.forEach((action) => {
+      logger.info(
+        `${action.action === 'include' ? 'Included' : 'Excluded'} run ${action.directoryId}`,
+      );
+    });
+
+    if (parsedArgs.regenerate) {
+      const summaryGenerator = new SummaryGenerator(directory);
+      const summaryResult = await summaryGenerator.generateSummaryFromFiles();
+      if (!summaryResult.success) {
+        logger.warn(`Summary generation had issues: ${summaryResult.message}`);
+      }
+    }
+
+    return {
+      success: true,
+      message: `${parsedArgs.include ? 'Included' : 'Excluded'} ${actions.length} runs, recorded in ${path.join(directory, EXCLUSIONS_FILE)}`,
+      actions,
+    };
+  }
+
+  /**
+   * Get the directory IDs of the runs with task files
+   * @param {string} directory Metrics directory
+   * @returns {Promise<Set<string>>} Directory IDs
+   */
+  private static async getDirectoryIds(
+    directory: string,
+  ): Promise<Set<string>> {
+    const files = await fs
+      .readdir(path.join(directory, 'tasks'))
+      .catch(() => [] as string[]);
+    return new Set(
+      files
+        .filter((file) => METRIC_FILE_PATTERN.test(file))
+        .map((file) => file.replace(/^.*?_task\d+_(.*)\.json$/, '$1')),
+    );
+  }
+
+  /**
+   * Get the name of the current user for the exclusion log
+   * @returns {string} User name, "unknown" if it cannot be determined
+   */
+  private static getUser(): string {
+    try {
+      return os.userInfo().username;
+    } catch (error) {
+      return process.env.USER ?? 'unknown';
+    }
+  }
+}
+
+export default ExcludeRuns;
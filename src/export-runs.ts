@@ -0,0 +1,187 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { hideBin } from 'yargs/helpers';
+import yargs from 'yargs/yargs';
+
+import { EXPORT_FORMATS, ExportFormat, ExportRun, formatRuns } from './export';
+import { filterRuns, parseRunFilters } from './metrics/run-query';
+import { loadSummary } from './metrics/schema';
+import { loadTimeline } from './metrics/timeline';
+import { logger } from './utils';
+
+// Options filtering the runs, named like the dashboard API parameters
+const FILTER_OPTIONS = [
+  'model',
+  'task',
+  'mode',
+  'server',
+  'client',
+  'experiment',
+  'serverVersion',
+  'clientVersion',
+  'outcome',
+  'since',
+  'until',
+  'includeExcluded',
+];
+
+const FORMAT_FILES: Record<ExportFormat, { name: string; extension: string }> =
+  {
+    csv: { name: 'CSV', extension: '.csv' },
+    jsonl: { name: 'JSON Lines', extension: '.jsonl' },
+    parquet: { name: 'Parquet', extension: '.parquet' },
+  };
+
+type ExportResult = {
+  success: boolean;
+  message: string;
+  files: string[];
+};
+
+class ExportRuns {
+  /**
+   * Static method to parse args and export the runs of a summary for analysis
+   * @param argv Command line arguments
+   * @returns Promise with export result
+   */
+  static async export(argv: string[]): Promise<ExportResult> {
+    const parsedArgs = yargs(hideBin(argv))
+      .option('directory', {
+        alias: 'd',
+        type: 'string',
+        description: 'Specify a custom metrics directory path',
+        default: path.join(os.homedir(), '.mcp-te-benchmark'),
+      })
+      .option('summary', {
+        type: 'string',
+        description:
+          'Summary file to export (defaults to summary.json in the metrics directory)',
+      })
+      .option('format', {
+        alias: 'f',
+        type: 'array',
+        string: true,
+        description: 'Formats to write',
+        choices: EXPORT_FORMATS,
+        default: [...EXPORT_FORMATS],
+      })
+      .option('output', {
+        alias: 'o',
+        type: 'string',
+        description:
+          'Output path without extension (defaults to exports/runs in the metrics directory)',
+      })
+      .option('model', {
+        type: 'string',
+        description: 'Only export these models, comma separated',
+      })
+      .option('task', {
+        type: 'string',
+        description: 'Only export these task IDs, comma separated',
+      })
+      .option('mode', {
+        type: 'string',
+        description: 'Only export these modes, comma separated',
+      })
+      .option('server', {
+        type: 'string',
+        description: 'Only export these MCP servers, comma separated',
+      })
+      .option('client', {
+        type: 'string',
+        description: 'Only export these MCP clients, comma separated',
+      })
+      .option('experiment', {
+        type: 'string',
+        description: 'Only export these experiments, comma separated',
+      })
+      .option('server-version', {
+        type: 'string',
+        description: 'Only export these MCP server versions, comma separated',
+      })
+      .option('client-version', {
+        type: 'string',
+        description: 'Only export these MCP client versions, comma separated',
+      })
+      .option('outcome', {
+        type: 'string',
+        description: 'Only export these outcomes, comma separated',
+      })
+      .option('since', {
+        type: 'string',
+        description:
+          'Only export runs started at or after this ISO date or epoch milliseconds',
+      })
+      .option('until', {
+        type: 'string',
+        description:
+          'Only export runs started at or before this ISO date or epoch milliseconds',
+      })
+      .option('include-excluded', {
+        type: 'boolean',
+        description: 'Also export runs excluded with the exclude command',
+        default: false,
+      })
+      .option('timelines', {
+        type: 'boolean',
+        description: 'Include the timeline of each run',
+        default: true,
+      })
+      .help()
+      .alias('help', 'h')
+      .parseSync();
+
+    const summaryFile =
+      parsedArgs.summary ?? path.join(parsedArgs.directory, 'summary.json');
+    const summary = await loadSummary(summaryFile);
+
+    const params = new URLSearchParams();
+    FILTER_OPTIONS.forEach((name) => {
+      const value = (parsedArgs as Record<string, unknown>)[name];
+      if (value !== undefined) params.set(name, String(value));
+    });
+    let filters;
+    try {
+      filters = parseRunFilters(params);
+    } catch (error) {
+      return { success: false, message: (error as Error).message, files: [] };
+    }
+
+    const runs: ExportRun[] = filterRuns(summary, filters);
+    logger.info(
+      `Exporting ${runs.length} of ${summary.length} runs from ${summaryFile}`,
+    );
+    if (parsedArgs.timelines) {
+      await Promise.all(
+        runs.map(async (run, index) => {
+          const timeline = await loadTimeline(parsedArgs.directory, run);
+          runs[index] = { ...run, timeline: timeline?.steps };
+        }),
+      );
+    }
+
+    const output =
+      parsedArgs.output ?? path.join(parsedArgs.directory, 'exports', 'runs');
+    await fs.mkdir(path.dirname(output), { recursive: true });
+
+    const files = await Promise.all(
+      (parsedArgs.format as ExportFormat[]).map(async (format) => {
+        const { name, extension } = FORMAT_FILES[format];
+        const file = `${output}${extension}`;
+        await fs.writeFile(file, formatRuns(format, runs));
+        logger.info(`${name} export written to ${file}`);
+        return file;
+      }),
+    );
+
+    return {
+      success: true,
+      message: `Exported ${runs.length} runs`,
+      files,
+    };
+  }
+}
+
+export default ExportRuns;
@@ -0,0 +1,204 @@
+import { TaskMetrics, TimelineStep } from '../metrics/types';
+import encodeParquet, { ParquetType } from './parquet';
+
+export const EXPORT_FORMATS = ['csv', 'jsonl', 'parquet'] as const;
+
+export type ExportFormat = (typeof EXPORT_FORMATS)[number];
+
+export type ExportRun = TaskMetrics & {
+  timeline?: TimelineStep[];
+};
+
+type ExportColumn = {
+  name: string;
+  // Nested per-step data is a JSON column, a string in CSV and Parquet
+  type: ParquetType | 'json';
+  value: (run: ExportRun) => unknown;
+};
+
+const EXPORT_COLUMNS: ExportColumn[] = [
+  { name: 'directoryId', type: 'string', value: (run) => run.directoryId },
+  // Runs extracted before chats held several tasks are the first of their chat
+  {
+    name: 'chatId',
+    type: 'string',
+    value: (run) => run.chatId ?? run.directoryId,
+  },
+  { name: 'segment', type: 'int64', value: (run) => run.segment ?? 0 },
+  { name: 'taskId', type: 'int64', value: (run) => run.taskId },
+  { name: 'mode', type: 'string', value: (run) => run.mode },
+  { name: 'model', type: 'string', value: (run) => run.model },
+  { name: 'modelSource', type: 'string', value: (run) => run.modelSource },
+  { name: 'mcpServer', type: 'string', value: (run) => run.mcpServer },
+  { name: 'mcpClient', type: 'string', value: (run) => run.mcpClient },
+  { name: 'experiment', type: 'string', value: (run) => run.experiment },
+  { name: 'serverVersion', type: 'string', value: (run) => run.serverVersion },
+  { name: 'clientVersion', type: 'string', value: (run) => run.clientVersion },
+  { name: 'tools', type: 'json', value: (run) => run.tools },
+  { name: 'toolsHash', type: 'string', value: (run) => run.toolsHash },
+  {
+    name: 'instructionHashes',
+    type: 'json',
+    value: (run) => run.instructionHashes,
+  },
+  { name: 'startTime', type: 'timestamp', value: (run) => run.startTime },
+  { name: 'endTime', type: 'timestamp', value: (run) => run.endTime },
+  { name: 'duration', type: 'int64', value: (run) => run.duration },
+  { name: 'activeDuration', type: 'int64', value: (run) => run.activeDuration },
+  { name: 'humanWait', type: 'int64', value: (run) => run.humanWait },
+  { name: 'apiCalls', type: 'int64', value: (run) => run.apiCalls },
+  { name: 'interactions', type: 'int64', value: (run) => run.interactions },
+  { name: 'toolApprovals', type: 'int64', value: (run) => run.toolApprovals },
+  {
+    name: 'followupQuestions',
+    type: 'int64',
+    value: (run) => run.followupQuestions,
+  },
+  {
+    name: 'commandOutputPrompts',
+    type: 'int64',
+    value: (run) => run.commandOutputPrompts,
+  },
+  { name: 'otherPrompts', type: 'int64', value: (run) => run.otherPrompts },
+  { name: 'tokensIn', type: 'int64', value: (run) => run.tokensIn },
+  { name: 'tokensOut', type: 'int64', value: (run) => run.tokensOut },
+  { name: 'totalTokens', type: 'int64', value: (run) => run.totalTokens },
+  { name: 'cacheWrites', type: 'int64', value: (run) => run.cacheWrites },
+  { name: 'cacheReads', type: 'int64', value: (run) => run.cacheReads },
+  {
+    name: 'conversationHistoryIndex',
+    type: 'int64',
+    value: (run) => run.conversationHistoryIndex,
+  },
+  { name: 'cost', type: 'double', value: (run) => run.cost },
+  {
+    name: 'requestOverhead',
+    type: 'int64',
+    value: (run) => run.requestOverhead,
+  },
+  { name: 'overheadTokens', type: 'int64', value: (run) => run.overheadTokens },
+  { name: 'success', type: 'boolean', value: (run) => run.success },
+  { name: 'outcome', type: 'string', value: (run) => run.outcome },
+  { name: 'notes', type: 'string', value: (run) => run.notes },
+  { name: 'excluded', type: 'boolean', value: (run) => !!run.exclusion },
+  {
+    name: 'exclusionReason',
+    type: 'string',
+    value: (run) => run.exclusion?.reason,
+  },
+  { name: 'outliers', type: 'json', value: (run) => run.outliers },
+  { name: 'toolCalls', type: 'json', value: (run) => run.toolCalls },
+  { name: 'requests', type: 'json', value: (run) => run.requests },
+  { name: 'timeline', type: 'json', value: (run) => run.timeline },
+];
+
+/**
+ * Get the value of a column for a run, with timestamps as ISO dates unless
+ * raw values are requested, and nested data as JSON text if requested
+ * @param {ExportColumn} column The column
+ * @param {ExportRun} run The run
+ * @param {boolean} raw Keep timestamps in epoch milliseconds
+ * @param {boolean} jsonAsText Serialise nested data
+ * @returns {unknown} The value, null if missing
+ */
+function columnValue(
+  column: ExportColumn,
+  run: ExportRun,
+  raw: boolean,
+  jsonAsText: boolean,
+): unknown {
+  const value = column.value(run);
+  if (value === undefined || value === null) return null;
+  if (column.type === 'timestamp' && !raw) {
+    return new Date(Number(value)).toISOString();
+  }
+  if (column.type === 'json' && jsonAsText) return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Quote a CSV field as described in RFC 4180
+ * @param {unknown} value Field value
+ * @returns {string} CSV field
+ */
+function csvField(value: unknown): string {
+  if (value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format runs as RFC 4180 CSV with a header row
+ * @param {ExportRun[]} runs Runs to export
+ * @returns {string} CSV
+ */
+export function formatCsv(runs: ExportRun[]): string {
+  const lines = [
+    EXPORT_COLUMNS.map((column) => csvField(column.name)).join(','),
+    ...runs.map((run) =>
+      EXPORT_COLUMNS.map((column) =>
+        csvField(columnValue(column, run, false, true)),
+      ).join(','),
+    ),
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Format runs as JSON Lines, one object per run with nested per-step data
+ * @param {ExportRun[]} runs Runs to export
+ * @returns {string} JSON Lines
+ */
+export function formatJsonl(runs: ExportRun[]): string {
+  return runs
+    .map((run) =>
+      JSON.stringify(
+        Object.fromEntries(
+          EXPORT_COLUMNS.map((column) => [
+            column.name,
+            columnValue(column, run, false, false),
+          ]),
+        ),
+      ),
+    )
+    .map((line) => `${line}\n`)
+    .join('');
+}
+
+/**
+ * Format runs as a Parquet file with typed columns
+ * @param {ExportRun[]} runs Runs to export
+ * @returns {Buffer} Parquet file
+ */
+export function formatParquet(runs: ExportRun[]): Buffer {
+  return encodeParquet(
+    EXPORT_COLUMNS.map((column) => ({
+      name: column.name,
+      type: column.type === 'json' ? 'string' : column.type,
+    })),
+    runs.map(
+      (run) =>
+        Object.fromEntries(
+          EXPORT_COLUMNS.map((column) => [
+            column.name,
+            columnValue(column, run, true, true),
+          ]),
+        ) as Record<string, string | number | boolean | null>,
+    ),
+  );
+}
+
+/**
+ * Format runs in an export format
+ * @param {ExportFormat} format The format
+ * @param {ExportRun[]} runs Runs to export
+ * @returns {string|Buffer} File content
+ */
+export function formatRuns(
+  format: ExportFormat,
+  runs: ExportRun[],
+): string | Buffer {
+  if (format === 'csv') return formatCsv(runs);
+  if (format === 'jsonl') return formatJsonl(runs);
+  return formatParquet(runs);
+}
@@ -0,0 +1,11 @@
+export {
+  EXPORT_FORMATS,
+  formatCsv,
+  formatJsonl,
+  formatParquet,
+  formatRuns,
+} from './dataset';
+export { default as encodeParquet } from './parquet';
+export { default as ThriftWriter } from './thrift-writer';
+export type { ExportFormat, ExportRun } from './dataset';
+export type { ParquetColumn, ParquetType } from './parquet';
@@ -0,0 +1,96 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import { formatParquet } from './dataset';
+import encodeParquet from './parquet';
+import ThriftWriter from './thrift-writer';
+
+/**
+ * Encode an int64 value as Parquet stores it
+ * @param {number} value The value
+ * @returns {Buffer} Little-endian bytes
+ */
+function int64(value: number): Buffer {
+  const data = Buffer.alloc(8);
+  data.writeBigInt64LE(BigInt(value));
+  return data;
+}
+
+/**
+ * Encode a string value as Parquet stores it
+ * @param {string} value The value
+ * @returns {Buffer} Length-prefixed bytes
+ */
+function byteArray(value: string): Buffer {
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(value.length);
+  return Buffer.concat([length, Buffer.from(value)]);
+}
+
+/**
+ * Get the Thrift encoded metadata of a Parquet file
+ * @param {Buffer} file The file
+ * @returns {Buffer} The footer
+ */
+function getFooter(file: Buffer): Buffer {
+  const length = file.readUInt32LE(file.length - 8);
+  return file.subarray(file.length - 8 - length, file.length - 8);
+}
+
+test('writes the Thrift compact protocol', () => {
+  const writer = new ThriftWriter();
+  writer.message(() => {
+    writer.i32(1, 150);
+    writer.string(2, 'ab');
+    writer.i64(20, -1);
+    writer.i32List(21, [1, 2]);
+  });
+  assert.deepEqual(
+    [...writer.toBuffer()],
+    [
+      0x15, 0xac, 0x02, 0x18, 0x02, 0x61, 0x62, 0x06, 0x28, 0x01, 0x19, 0x25,
+      0x02, 0x04, 0x00,
+    ],
+  );
+});
+
+test('encodes optional columns with their nulls', () => {
+  const file = encodeParquet(
+    [
+      { name: 'count', type: 'int64' },
+      { name: 'name', type: 'string' },
+      { name: 'passed', type: 'boolean' },
+    ],
+    [
+      { count: 1, name: 'a', passed: true },
+      { count: null, name: 'bc', passed: false },
+      { count: 3, name: undefined, passed: true },
+    ],
+  );
+
+  assert.equal(file.subarray(0, 4).toString(), 'PAR1');
+  assert.equal(file.subarray(-4).toString(), 'PAR1');
+
+  // Definition levels are bit-packed runs: 1 group, 1 byte with a bit per row
+  const levels = (bits: number) => Buffer.from([2, 0, 0, 0, 0x03, bits]);
+  const counts = Buffer.concat([levels(0b101), int64(1), int64(3)]);
+  const names = Buffer.concat([levels(0b011), byteArray('a'), byteArray('bc')]);
+  const passed = Buffer.concat([levels(0b111), Buffer.from([0b101])]);
+  assert.ok(file.includes(counts));
+  assert.ok(file.includes(names));
+  assert.ok(file.includes(passed));
+  assert.ok(file.indexOf(counts) < file.indexOf(names));
+
+  const footer = getFooter(file);
+  ['count', 'name', 'passed', 'mcp-te-benchmark'].forEach((text) =>
+    assert.ok(footer.includes(text), `footer misses ${text}`),
+  );
+});
+
+test('writes a schema without row groups for no runs', () => {
+  const file = formatParquet([]);
+  assert.equal(file.subarray(0, 4).toString(), 'PAR1');
+  const footer = getFooter(file);
+  assert.equal(file.length, 4 + footer.length + 8);
+  assert.ok(footer.includes('directoryId'));
+});
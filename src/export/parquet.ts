@@ -0,0 +1,211 @@
+/* eslint-disable no-bitwise -- binary encoding */
+import ThriftWriter from './thrift-writer';
+
+export type ParquetType =
+  | 'string'
+  | 'int64'
+  | 'double'
+  | 'boolean'
+  | 'timestamp';
+
+export type ParquetColumn = {
+  name: string;
+  type: ParquetType;
+};
+
+type ParquetValue = string | number | boolean | null | undefined;
+
+// Identifiers from the Parquet format specification
+const PHYSICAL_TYPES: Record<ParquetType, number> = {
+  boolean: 0,
+  int64: 2,
+  timestamp: 2,
+  double: 5,
+  string: 6,
+};
+const CONVERTED_TYPES: Partial<Record<ParquetType, number>> = {
+  string: 0, // UTF8
+  timestamp: 9, // TIMESTAMP_MILLIS
+};
+const REPETITION_OPTIONAL = 1;
+const ENCODING_PLAIN = 0;
+const ENCODING_RLE = 3;
+const CODEC_UNCOMPRESSED = 0;
+const PAGE_TYPE_DATA = 0;
+
+const MAGIC = Buffer.from('PAR1', 'ascii');
+
+/**
+ * Encode the values of a column with the PLAIN encoding, skipping nulls
+ * @param {ParquetType} type Column type
+ * @param {ParquetValue[]} values Non-null values
+ * @returns {Buffer} Encoded values
+ */
+function encodeValues(type: ParquetType, values: ParquetValue[]): Buffer {
+  if (type === 'boolean') {
+    // Bit-packed, least significant bit first
+    const data = Buffer.alloc(Math.ceil(values.length / 8));
+    values.forEach((value, index) => {
+      if (value) data[index >> 3] |= 1 << (index & 7);
+    });
+    return data;
+  }
+
+  if (type === 'string') {
+    return Buffer.concat(
+      values.map((value) => {
+        const data = Buffer.from(String(value), 'utf8');
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(data.length);
+        return Buffer.concat([length, data]);
+      }),
+    );
+  }
+
+  const data = Buffer.alloc(values.length * 8);
+  values.forEach((value, index) => {
+    if (type === 'double') {
+      data.writeDoubleLE(Number(value), index * 8);
+    } else {
+      data.writeBigInt64LE(BigInt(Math.round(Number(value))), index * 8);
+    }
+  });
+  return data;
+}
+
+/**
+ * Encode definition levels, 1 for a value and 0 for null, with the bit-packed
+ * form of the RLE/bit-packing hybrid encoding, prefixed with its length
+ * @param {boolean[]} defined Whether each value is set
+ * @returns {Buffer} Encoded levels
+ */
+function encodeDefinitionLevels(defined: boolean[]): Buffer {
+  const groups = Math.ceil(defined.length / 8);
+  const levels = Buffer.alloc(groups);
+  defined.forEach((isDefined, index) => {
+    if (isDefined) levels[index >> 3] |= 1 << (index & 7);
+  });
+
+  // The run header is a ULEB128 varint of the group count and the bit-packed flag
+  const header: number[] = [];
+  let rest = (groups << 1) | 1;
+  while (rest >= 0x80) {
+    header.push((rest & 0x7f) | 0x80);
+    rest >>>= 7;
+  }
+  header.push(rest);
+
+  const encoded = Buffer.concat([Buffer.from(header), levels]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(encoded.length);
+  return Buffer.concat([length, encoded]);
+}
+
+/**
+ * Encode one column as a single uncompressed data page
+ * @param {ParquetColumn} column The column
+ * @param {ParquetValue[]} values Values of every row
+ * @returns {Buffer} Page header and data
+ */
+function encodePage(column: ParquetColumn, values: ParquetValue[]): Buffer {
+  const defined = values.map((value) => value !== null && value !== undefined);
+  const data = Buffer.concat([
+    encodeDefinitionLevels(defined),
+    encodeValues(
+      column.type,
+      values.filter((_, index) => defined[index]),
+    ),
+  ]);
+
+  const header = new ThriftWriter();
+  header.message(() => {
+    header.i32(1, PAGE_TYPE_DATA);
+    header.i32(2, data.length);
+    header.i32(3, data.length);
+    header.struct(5, () => {
+      header.i32(1, values.length);
+      header.i32(2, ENCODING_PLAIN);
+      header.i32(3, ENCODING_RLE);
+      header.i32(4, ENCODING_RLE);
+    });
+  });
+  return Buffer.concat([header.toBuffer(), data]);
+}
+
+/**
+ * Encode rows as a Parquet file with one row group of optional, uncompressed
+ * columns, readable by pandas, DuckDB and Spark
+ * @param {ParquetColumn[]} columns Columns of the file
+ * @param {Record<string, ParquetValue>[]} rows Rows keyed by column name
+ * @returns {Buffer} Parquet file
+ */
+function encodeParquet(
+  columns: ParquetColumn[],
+  rows: Record<string, ParquetValue>[],
+): Buffer {
+  const chunks: Buffer[] = [MAGIC];
+  let offset = MAGIC.length;
+
+  const columnChunks = rows.length
+    ? columns.map((column) => {
+        const page = encodePage(
+          column,
+          rows.map((row) => row[column.name]),
+        );
+        const chunk = { column, offset, size: page.length };
+        chunks.push(page);
+        offset += page.length;
+        return chunk;
+      })
+    : [];
+  const totalSize = columnChunks.reduce((sum, chunk) => sum + chunk.size, 0);
+
+  const metadata = new ThriftWriter();
+  metadata.message(() => {
+    metadata.i32(1, 1);
+    metadata.structList(2, [null, ...columns], (column) => {
+      if (!column) {
+        // Root of the schema
+        metadata.string(4, 'schema');
+        metadata.i32(5, columns.length);
+        return;
+      }
+      metadata.i32(1, PHYSICAL_TYPES[column.type]);
+      metadata.i32(3, REPETITION_OPTIONAL);
+      metadata.string(4, column.name);
+      const convertedType = CONVERTED_TYPES[column.type];
+      if (convertedType !== undefined) metadata.i32(6, convertedType);
+    });
+    metadata.i64(3, rows.length);
+    metadata.structList(
+      4,
+      columnChunks.length ? [columnChunks] : [],
+      (group) => {
+        metadata.structList(1, group, (chunk) => {
+          metadata.i64(2, chunk.offset);
+          metadata.struct(3, () => {
+            metadata.i32(1, PHYSICAL_TYPES[chunk.column.type]);
+            metadata.i32List(2, [ENCODING_PLAIN, ENCODING_RLE]);
+            metadata.stringList(3, [chunk.column.name]);
+            metadata.i32(4, CODEC_UNCOMPRESSED);
+            metadata.i64(5, rows.length);
+            metadata.i64(6, chunk.size);
+            metadata.i64(7, chunk.size);
+            metadata.i64(9, chunk.offset);
+          });
+        });
+        metadata.i64(2, totalSize);
+        metadata.i64(3, rows.length);
+      },
+    );
+    metadata.string(6, 'mcp-te-benchmark');
+  });
+
+  const footer = metadata.toBuffer();
+  const footerLength = Buffer.alloc(4);
+  footerLength.writeUInt32LE(footer.length);
+  chunks.push(footer, footerLength, MAGIC);
+  return Buffer.concat(chunks);
+}
+
+export default encodeParquet;
@@ -0,0 +1,160 @@
+/* eslint-disable no-bitwise -- binary encoding */
+// Type IDs of the Thrift compact protocol
+const THRIFT_TYPES = {
+  I32: 5,
+  I64: 6,
+  BINARY: 8,
+  LIST: 9,
+  STRUCT: 12,
+} as const;
+
+/**
+ * Minimal writer for the Thrift compact protocol, which Parquet uses for its
+ * page headers and file metadata. Only the types Parquet metadata needs are
+ * supported.
+ */
+class ThriftWriter {
+  private readonly bytes: number[] = [];
+
+  // ID of the last field written in each open struct, fields are delta encoded
+  private readonly lastFieldIds: number[] = [0];
+
+  /**
+   * Get the bytes written so far
+   * @returns {Buffer} Encoded data
+   */
+  toBuffer(): Buffer {
+    return Buffer.from(this.bytes);
+  }
+
+  /**
+   * Write an i32 field
+   * @param {number} id Field ID
+   * @param {number} value Value
+   */
+  i32(id: number, value: number): void {
+    this.fieldHeader(id, THRIFT_TYPES.I32);
+    this.varint(ThriftWriter.zigzag(BigInt(value)));
+  }
+
+  /**
+   * Write an i64 field
+   * @param {number} id Field ID
+   * @param {number} value Value
+   */
+  i64(id: number, value: number): void {
+    this.fieldHeader(id, THRIFT_TYPES.I64);
+    this.varint(ThriftWriter.zigzag(BigInt(value)));
+  }
+
+  /**
+   * Write a string field
+   * @param {number} id Field ID
+   * @param {string} value Value
+   */
+  string(id: number, value: string): void {
+    this.fieldHeader(id, THRIFT_TYPES.BINARY);
+    this.binary(value);
+  }
+
+  /**
+   * Write a struct field
+   * @param {number} id Field ID
+   * @param {Function} writeFields Writes the fields of the struct
+   */
+  struct(id: number, writeFields: () => void): void {
+    this.fieldHeader(id, THRIFT_TYPES.STRUCT);
+    this.structBody(writeFields);
+  }
+
+  /**
+   * Write a list field of i32 values
+   * @param {number} id Field ID
+   * @param {number[]} values Values
+   */
+  i32List(id: number, values: number[]): void {
+    this.fieldHeader(id, THRIFT_TYPES.LIST);
+    this.listHeader(values.length, THRIFT_TYPES.I32);
+    values.forEach((value) => this.varint(ThriftWriter.zigzag(BigInt(value))));
+  }
+
+  /**
+   * Write a list field of strings
+   * @param {number} id Field ID
+   * @param {string[]} values Values
+   */
+  stringList(id: number, values: string[]): void {
+    this.fieldHeader(id, THRIFT_TYPES.LIST);
+    this.listHeader(values.length, THRIFT_TYPES.BINARY);
+    values.forEach((value) => this.binary(value));
+  }
+
+  /**
+   * Write a list field of structs
+   * @param {number} id Field ID
+   * @param {T[]} items Items
+   * @param {Function} writeFields Writes the fields of one item
+   */
+  structList<T>(id: number, items: T[], writeFields: (item: T) => void): void {
+    this.fieldHeader(id, THRIFT_TYPES.LIST);
+    this.listHeader(items.length, THRIFT_TYPES.STRUCT);
+    items.forEach((item) => this.structBody(() => writeFields(item)));
+  }
+
+  /**
+   * Write a top-level struct, such as a page header or the file metadata
+   * @param {Function} writeFields Writes the fields of the struct
+   */
+  message(writeFields: () => void): void {
+    this.structBody(writeFields);
+  }
+
+  private structBody(writeFields: () => void): void {
+    this.lastFieldIds.push(0);
+    writeFields();
+    this.bytes.push(0);
+    this.lastFieldIds.pop();
+  }
+
+  private fieldHeader(id: number, type: number): void {
+    const last = this.lastFieldIds[this.lastFieldIds.length - 1];
+    const delta = id - last;
+    if (delta > 0 && delta <= 15) {
+      this.bytes.push((delta << 4) | type);
+    } else {
+      this.bytes.push(type);
+      this.varint(ThriftWriter.zigzag(BigInt(id)));
+    }
+    this.lastFieldIds[this.lastFieldIds.length - 1] = id;
+  }
+
+  private listHeader(size: number, type: number): void {
+    if (size < 15) {
+      this.bytes.push((size << 4) | type);
+    } else {
+      this.bytes.push(0xf0 | type);
+      this.varint(BigInt(size));
+    }
+  }
+
+  private binary(value: string): void {
+    const data = Buffer.from(value, 'utf8');
+    this.varint(BigInt(data.length));
+    this.bytes.push(...data);
+  }
+
+  private varint(value: bigint): void {
+    let rest = value;
+    while (rest >= 0x80n) {
+      this.bytes.push(Number(rest & 0x7fn) | 0x80);
+      rest >>= 7n;
+    }
+    this.bytes.push(Number(rest));
+  }
+
+  private static zigzag(value: bigint): bigint {
+    return value >= 0n ? value << 1n : (-value << 1n) - 1n;
+  }
+}
+
+export default ThriftWriter;
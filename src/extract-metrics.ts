@@ -6,10 +6,43 @@ import { hideBin } from 'yargs/helpers';
 import yargs from 'yargs/yargs';
 
 import ChatProcessor from './metrics/chat-processor';
+import { getRunSetup, hashInstructions } from './metrics/experiment';
+import {
+  checkChat,
+  createManifest,
+  hashExtractionInputs,
+  loadManifest,
+  saveManifest,
+} from './metrics/manifest';
 import MetricsCalculator from './metrics/metrics-calculator';
+import { getMetricFileName, getRunId } from './metrics/metrics-utils';
+import {
+  DEFAULT_MODEL_ALIASES,
+  loadModelAliases,
+  ModelAliases,
+} from './metrics/models';
+import { loadPriceSheet, PriceSheet } from './metrics/pricing';
+import { loadSuccessRules, SuccessRules } from './metrics/success-checks';
+import {
+  DEFAULT_SUITE_FILE,
+  findSuiteFile,
+  getSuiteSuccessRules,
+  loadSuite,
+  SuiteDefinition,
+} from './metrics/suite';
 import SummaryGenerator from './metrics/summary-generator';
-import { TaskMetrics } from './metrics/types';
-import { logger } from './utils';
+import {
+  getRunOverhead,
+  loadToolOverhead,
+  ToolOverheadReport,
+} from './metrics/tool-overhead';
+import { RunSetup, TaskMetrics } from './metrics/types';
+import { getLogSource, LOG_SOURCES, LogSource } from './sources';
+import { logger, mapLimit } from './utils';
+
+// Chats read and processed at once, enough to overlap file reads without
+// holding every chat of a large logs directory in memory
+const DEFAULT_CONCURRENCY = 4;
 
 type DirectoryResult = {
   success: boolean;
@@ -19,21 +52,58 @@ type DirectoryResult = {
 
 type ProcessingResult = {
   metrics: TaskMetrics[];
+  // Task files of every run of the chat, set when the chat was fully processed
+  files?: string[];
   error?: string;
 };
 
 type ExtractOptions = {
   directory: string;
-  mcpMarker: string;
-  controlMarker: string;
+  source: LogSource;
+  logsDir: string;
+  suite: SuiteDefinition;
   forceRegenerate: boolean;
   verbose: boolean;
   modelArg?: string;
   clientArg?: string;
   serverArg?: string;
+  priceSheet: PriceSheet;
+  successRules?: SuccessRules;
+  modelAliases?: ModelAliases;
+  // Experiment label, versions and instruction hashes recorded with each run
+  setup?: RunSetup;
+  // Fixed request overhead per variant, from the tool-overhead command
+  toolOverhead?: ToolOverheadReport;
+  // Chats processed at once
+  concurrency?: number;
 };
 
-type ExtractionResult = {
+/**
+ * Options of the extract-metrics command, with configuration given as file
+ * paths that default to files in the metrics directory
+ */
+export type ExtractConfig = {
+  directory: string;
+  logsDir?: string;
+  source?: string;
+  suite?: string;
+  controlMarker?: string;
+  mcpMarker?: string;
+  pricing?: string;
+  successRules?: string;
+  modelAliases?: string;
+  force?: boolean;
+  verbose?: boolean;
+  model?: string;
+  client?: string;
+  server?: string;
+  experiment?: string;
+  serverVersion?: string;
+  clientVersion?: string;
+  concurrency?: number;
+};
+
+export type ExtractionResult = {
   success: boolean;
   message: string;
   metrics: TaskMetrics[];
@@ -41,11 +111,11 @@ type ExtractionResult = {
 };
 
 class ExtractMetrics {
-  private claudeLogsDir: string;
+  private readonly logsDir: string;
 
-  private readonly mcpMarker: string;
+  private readonly source: LogSource;
 
-  private readonly controlMarker: string;
+  private readonly suite: SuiteDefinition;
 
   private readonly directory: string;
 
@@ -59,25 +129,41 @@ class ExtractMetrics {
 
   private readonly serverArg?: string;
 
+  private readonly priceSheet: PriceSheet;
+
+  private readonly successRules?: SuccessRules;
+
+  private readonly modelAliases: ModelAliases;
+
+  private readonly setup: RunSetup;
+
+  private readonly toolOverhead?: ToolOverheadReport;
+
+  private readonly concurrency: number;
+
   /**
    * Create a new ExtractMetrics instance with the specified options
    * @param options Configuration options
    */
   constructor(options: ExtractOptions) {
-    this.claudeLogsDir = path.join(
-      os.homedir(),
-      'Library/Application Support/Code/User/globalStorage/saoudrizwan.claude-dev/tasks',
-    );
+    this.logsDir = options.logsDir;
+    this.source = options.source;
     this.directory = options.directory;
     this.forceRegenerate = options.forceRegenerate;
     this.verbose = options.verbose;
     this.modelArg = options.modelArg;
     this.clientArg = options.clientArg;
     this.serverArg = options.serverArg;
-    this.mcpMarker = options.mcpMarker;
-    this.controlMarker = options.controlMarker;
+    this.suite = options.suite;
+    this.priceSheet = options.priceSheet;
+    this.successRules = options.successRules;
+    this.modelAliases = options.modelAliases ?? DEFAULT_MODEL_ALIASES;
+    this.setup = options.setup ?? {};
+    this.toolOverhead = options.toolOverhead;
+    this.concurrency = options.concurrency ?? DEFAULT_CONCURRENCY;
 
     // Log argument usage
+    logger.info(`Reading ${this.source.client} logs from: ${this.logsDir}`);
     if (this.verbose) {
       logger.debug('Verbose mode enabled - will show detailed logging');
     }
@@ -95,6 +181,14 @@ class ExtractMetrics {
     if (this.serverArg) {
       logger.info(`Using provided server override: ${this.serverArg}`);
     }
+    if (this.setup.experiment) {
+      logger.info(`Recording runs as experiment: ${this.setup.experiment}`);
+    }
+    if (!Object.keys(this.successRules?.tasks ?? {}).length) {
+      logger.warn(
+        'No success rules found - task outcomes will be recorded as unknown',
+      );
+    }
   }
 
   /**
@@ -120,7 +214,8 @@ class ExtractMetrics {
       })
       .option('model', {
         type: 'string',
-        description: 'Specify the model name to use if not found in logs',
+        description:
+          'Specify the model name to record instead of the one found in the logs',
       })
       .option('client', {
         type: 'string',
@@ -141,39 +236,151 @@ class ExtractMetrics {
         description: 'Clear the metrics directory before extraction',
         default: false,
       })
+      .options('suite', {
+        type: 'string',
+        description:
+          'Specify the suite definition file (defaults to suite.json in the metrics directory, then the built-in Twilio suite)',
+      })
       .options('control-marker', {
         type: 'string',
-        description: 'Specify the control marker to use',
+        description:
+          'Specify the control marker to use when no suite file is found',
         default: 'control_instructions.md',
       })
       .options('mcp-marker', {
         type: 'string',
-        description: 'Specify the MCP marker to use',
+        description:
+          'Specify the MCP marker to use when no suite file is found',
         default: 'mcp_instructions.md',
       })
+      .options('source', {
+        type: 'string',
+        description: 'Specify the client whose chat logs should be read',
+        choices: Object.keys(LOG_SOURCES),
+        default: 'cline',
+      })
+      .options('pricing', {
+        type: 'string',
+        description:
+          'Specify a JSON price sheet used when the logs report no cost',
+      })
+      .options('success-rules', {
+        type: 'string',
+        description:
+          "Specify a success rules file overriding the suite's success criteria (defaults to success-rules.json in the metrics directory)",
+      })
+      .options('model-aliases', {
+        type: 'string',
+        description:
+          'Specify a JSON file mapping model aliases to model names (defaults to model-aliases.json in the metrics directory)',
+      })
+      .options('experiment', {
+        type: 'string',
+        description:
+          'Label the runs with an experiment name (defaults to a hash of the server, tools, instructions and client)',
+      })
+      .options('server-version', {
+        type: 'string',
+        description:
+          'Specify the MCP server package and version, e.g. @twilio-alpha/mcp@0.3.1',
+      })
+      .options('client-version', {
+        type: 'string',
+        description: 'Specify the MCP client version',
+      })
+      .options('concurrency', {
+        type: 'number',
+        description: 'Specify how many chats are processed at once',
+        default: DEFAULT_CONCURRENCY,
+        coerce: (value: number) => {
+          if (!Number.isInteger(value) || value < 1) {
+            throw new Error('--concurrency must be a positive integer');
+          }
+          return value;
+        },
+      })
+      .options('logs-dir', {
+        type: 'string',
+        description:
+          "Specify the chat logs directory (defaults to the source's standard location)",
+      })
       .help()
       .alias('help', 'h')
       .parseSync();
 
+    // Load configuration before --clear can remove it from the metrics directory
+    let extractor: ExtractMetrics;
+    try {
+      extractor = await ExtractMetrics.load(parsedArgs);
+    } catch (error) {
+      logger.error((error as Error).message);
+      return ExtractMetrics.error((error as Error).message);
+    }
+
     if (parsedArgs.clear) {
       await fs.rm(parsedArgs.directory, { recursive: true, force: true });
     }
-    await fs.mkdir(parsedArgs.directory, { recursive: true });
     await fs.mkdir(path.join(parsedArgs.directory, 'tasks'), {
       recursive: true,
     });
+    return extractor.extractChatMetrics();
+  }
+
+  /**
+   * Create an extractor, loading the suite, price sheet, success rules and
+   * model aliases from the given files or the metrics directory
+   * @param {ExtractConfig} config Extraction options
+   * @returns {Promise<ExtractMetrics>} The extractor
+   */
+  static async load(config: ExtractConfig): Promise<ExtractMetrics> {
+    const source = getLogSource(config.source ?? 'cline');
+    const logsDir = config.logsDir ?? source.getDefaultLogsDir();
+    if (!logsDir) {
+      throw new Error(
+        `The ${source.name} source has no default logs location. Please pass --logs-dir.`,
+      );
+    }
 
-    const extractor = new ExtractMetrics({
-      mcpMarker: parsedArgs.mcpMarker,
-      controlMarker: parsedArgs.controlMarker,
-      directory: parsedArgs.directory,
-      forceRegenerate: parsedArgs.force,
-      verbose: parsedArgs.verbose,
-      modelArg: parsedArgs.model,
-      clientArg: parsedArgs.client,
-      serverArg: parsedArgs.server,
+    const suiteFile = await findSuiteFile(config.directory, config.suite);
+    const suite = await loadSuite(
+      suiteFile,
+      config.controlMarker,
+      config.mcpMarker,
+    );
+    const fileRules = await loadSuccessRules(
+      config.successRules ?? path.join(config.directory, 'success-rules.json'),
+    );
+
+    return new ExtractMetrics({
+      source,
+      logsDir,
+      suite,
+      directory: config.directory,
+      forceRegenerate: config.force ?? false,
+      verbose: config.verbose ?? false,
+      modelArg: config.model,
+      clientArg: config.client,
+      serverArg: config.server,
+      priceSheet: await loadPriceSheet(config.pricing),
+      successRules: getSuiteSuccessRules(suite, fileRules),
+      modelAliases: config.modelAliases
+        ? await loadModelAliases(config.modelAliases)
+        : await loadModelAliases(
+            path.join(config.directory, 'model-aliases.json'),
+            true,
+          ),
+      setup: {
+        experiment: config.experiment,
+        serverVersion: config.serverVersion,
+        clientVersion: config.clientVersion,
+        instructionHashes: await hashInstructions(
+          suite,
+          path.dirname(suiteFile ?? DEFAULT_SUITE_FILE),
+        ),
+      },
+      toolOverhead: await loadToolOverhead(config.directory),
+      concurrency: config.concurrency,
     });
-    return extractor.extractChatMetrics();
   }
 
   /**
@@ -183,47 +390,20 @@ class ExtractMetrics {
   private async getChatDirectories(): Promise<DirectoryResult> {
     // Check if the root directory exists
     try {
-      await fs.access(this.claudeLogsDir);
+      await fs.access(this.logsDir);
     } catch (error) {
-      const errorMsg = `Claude logs directory ${this.claudeLogsDir} does not exist. Please ensure the Claude extension is installed and has generated logs.`;
+      const errorMsg = `${this.source.client} logs directory ${this.logsDir} does not exist. Please ensure the client is installed and has generated logs, or pass --logs-dir.`;
       logger.error(errorMsg);
       return { success: false, directories: [], error: errorMsg };
     }
 
     try {
-      const chatDirs: string[] = [];
-
-      // Get all subdirectories
-      const items = await fs.readdir(this.claudeLogsDir, {
-        withFileTypes: true,
-      });
+      const chatDirs = await this.source.listChats(this.logsDir);
 
-      // Process each subdirectory
-      for (const item of items) {
-        if (!item.isDirectory()) {
-          continue;
-        }
-
-        const itemPath = path.join(this.claudeLogsDir, item.name);
-
-        // Check if this directory contains the required files
-        const [apiExists, uiExists] = await Promise.all([
-          fs
-            .access(path.join(itemPath, 'api_conversation_history.json'))
-            .then(() => true)
-            .catch(() => false),
-          fs
-            .access(path.join(itemPath, 'ui_messages.json'))
-            .then(() => true)
-            .catch(() => false),
-        ]);
-
-        if (apiExists && uiExists) {
-          if (this.verbose) {
-            logger.debug(`Found chat directory: ${item.name}`);
-          }
-          chatDirs.push(itemPath);
-        }
+      if (this.verbose) {
+        chatDirs.forEach((chatDir) => {
+          logger.debug(`Found chat: ${this.source.getChatId(chatDir)}`);
+        });
       }
 
       return { success: true, directories: chatDirs };
@@ -240,70 +420,104 @@ class ExtractMetrics {
   /**
    * Process a single chat directory
    * @param {string} dir - The directory path
+   * @param {Set<string>} taskFiles - Task files in the metrics directory
+   * @param {boolean} refresh - Regenerate the metrics even if they already exist
    * @returns {Promise<ProcessingResult>} Processing result
    */
-  private async processDirectory(chatDir: string): Promise<ProcessingResult> {
+  private async processDirectory(
+    chatDir: string,
+    taskFiles: Set<string>,
+    refresh = false,
+  ): Promise<ProcessingResult> {
     try {
       const chatProcessor = new ChatProcessor({
         chatDir,
-        mcpMarker: this.mcpMarker,
-        controlMarker: this.controlMarker,
+        source: this.source,
+        suite: this.suite,
       });
 
+      // A chat that cannot be read is an error, unlike one with no tasks
+      if (!(await chatProcessor.initialize())) {
+        return {
+          metrics: [],
+          error: `Could not read chat ${this.source.getChatId(chatDir)}`,
+        };
+      }
+
       // Use the new process method that centralizes error handling
       const taskSegments = await chatProcessor.process();
 
       if (!taskSegments.length) {
-        return { metrics: [], error: undefined };
+        return { metrics: [], files: [], error: undefined };
       }
 
-      logger.info(`Processing test in directory: ${path.basename(chatDir)}`);
+      const chatId = this.source.getChatId(chatDir);
+      logger.info(`Processing test in directory: ${chatId}`);
       logger[this.verbose ? 'debug' : 'info'](
         `Found ${taskSegments.length} task segments`,
       );
 
-      const taskSegment = taskSegments[0];
-      const { testType } = taskSegment;
-      const directoryId = path.basename(chatDir);
+      // Each task started in the chat, repeats included, is a run of its own
+      const files = taskSegments.map((taskSegment) =>
+        getMetricFileName(
+          taskSegment.testType,
+          taskSegment.taskNumber,
+          getRunId(chatId, taskSegment.segment),
+        ),
+      );
+      const results = await Promise.all(
+        taskSegments.map(async (taskSegment, index) => {
+          const { testType } = taskSegment;
+          const directoryId = getRunId(chatId, taskSegment.segment);
+
+          if (
+            !this.forceRegenerate &&
+            !refresh &&
+            taskFiles.has(files[index])
+          ) {
+            logger.info(
+              `Skipping task ${taskSegment.taskNumber} (${testType}) - metrics file already exists for directory ${directoryId}`,
+            );
+            return undefined;
+          }
 
-      if (!this.forceRegenerate) {
-        const summaryGenerator = new SummaryGenerator(this.directory);
-        if (
-          await summaryGenerator.metricFileExists(
+          // Pass model, client, and server args to the calculator
+          const calculator = new MetricsCalculator(
+            taskSegment,
             testType,
-            taskSegment.taskNumber,
             directoryId,
-          )
-        ) {
-          logger.info(
-            `Skipping task ${taskSegment.taskNumber} (${testType}) - metrics file already exists for directory ${directoryId}`,
+            this.modelArg,
+            this.clientArg ?? this.source.client,
+            this.serverArg,
+            this.priceSheet,
+            this.successRules,
+            this.modelAliases,
           );
-          return { metrics: [], error: undefined };
-        }
-      }
-
-      // Pass model, client, and server args to the calculator
-      const calculator = new MetricsCalculator(
-        taskSegment,
-        testType,
-        directoryId,
-        this.modelArg,
-        this.clientArg,
-        this.serverArg,
+          const metric = {
+            ...(await calculator.calculate()),
+            ...getRunSetup(taskSegment.setup ?? {}, this.setup),
+          };
+          return { ...metric, ...getRunOverhead(metric, this.toolOverhead) };
+        }),
       );
-      const metrics = await calculator.calculate();
 
+      const metrics = results.filter(
+        (metric): metric is TaskMetrics => metric !== undefined,
+      );
+      // Runs whose task check failed were still measured
+      const failed = metrics.filter((metric) => metric.calculationFailed);
       return {
-        metrics: metrics ? [metrics] : [],
-        error: metrics.success
-          ? undefined
-          : `Failed to calculate metrics for ${directoryId}`,
+        metrics,
+        files,
+        error: failed.length
+          ? `Failed to calculate metrics for ${failed.map((metric) => metric.directoryId).join(', ')}`
+          : undefined,
       };
     } catch (error) {
       logger.error(`Error processing directory ${chatDir}:`, error);
       return {
         metrics: [],
-        error: `Error processing ${path.basename(chatDir)}: ${(error as Error).message}`,
+        error: `Error processing ${this.source.getChatId(chatDir)}: ${(error as Error).message}`,
       };
     }
   }
@@ -314,12 +528,13 @@ class ExtractMetrics {
   private static success(
     message: string,
     metrics: TaskMetrics[] = [],
+    errors: string[] = [],
   ): ExtractionResult {
     return {
       success: true,
       message,
       metrics,
-      errors: [],
+      errors,
     };
   }
 
@@ -340,9 +555,30 @@ class ExtractMetrics {
   }
 
   /**
-   * Main function to extract metrics from Claude chat logs
+   * Select the chats containing changed files. Chats that are still running
+   * change after their metrics were first written, so they are re-extracted.
+   * @param {string[]} chatDirs All chats
+   * @param {string[]} changedPaths Changed files or directories
+   * @returns {string[]} Chats containing a changed path
+   */
+  private static getChangedChats(
+    chatDirs: string[],
+    changedPaths: string[],
+  ): string[] {
+    return chatDirs.filter((chatDir) =>
+      changedPaths.some(
+        (changed) =>
+          changed === chatDir || changed.startsWith(`${chatDir}${path.sep}`),
+      ),
+    );
+  }
+
+  /**
+   * Main function to extract metrics from chat logs
+   * @param {string[]} [changedPaths] Only extract the chats containing these
+   * paths, regenerating their metrics. All chats are extracted if none match.
    */
-  private async extractChatMetrics(): Promise<ExtractionResult> {
+  async extractChatMetrics(changedPaths?: string[]): Promise<ExtractionResult> {
     // Ensure metrics directory exists
     try {
       await fs.access(this.directory);
@@ -367,11 +603,80 @@ class ExtractMetrics {
       const chatDirs = chatDirsResult.directories;
       logger.info(`Found ${chatDirs.length} chat directories`);
 
-      // Process each chat directory in parallel
-      const processingResults = await Promise.all(
-        chatDirs.map((dir) => this.processDirectory(dir)),
+      const changedChats = changedPaths
+        ? ExtractMetrics.getChangedChats(chatDirs, changedPaths)
+        : [];
+      if (changedChats.length) {
+        logger.info(`Re-extracting ${changedChats.length} changed chats`);
+      }
+
+      // Without a current manifest, existing task files may be from another
+      // extractor version or configuration and are written again
+      const inputsHash = hashExtractionInputs({
+        suite: this.suite,
+        successRules: this.successRules,
+        priceSheet: this.priceSheet,
+        modelAliases: this.modelAliases,
+        model: this.modelArg,
+        client: this.clientArg,
+        server: this.serverArg,
+        setup: this.setup,
+        toolOverhead: this.toolOverhead,
+      });
+      const current = this.forceRegenerate
+        ? undefined
+        : await loadManifest(this.directory, inputsHash);
+      const manifest = current ?? createManifest(inputsHash);
+      const taskFiles = new Set(
+        await fs
+          .readdir(path.join(this.directory, 'tasks'))
+          .catch(() => [] as string[]),
       );
 
+      // Process a few chats at a time, skipping those that are unchanged
+      // since their last extraction and whose task files are all there
+      const staleFiles: string[] = [];
+      let unchanged = 0;
+      const processingResults = await mapLimit(
+        changedChats.length ? changedChats : chatDirs,
+        this.concurrency,
+        async (chatDir): Promise<ProcessingResult> => {
+          const key = path.resolve(chatDir);
+          const entry = manifest.chats[key];
+          const { changed, fingerprint } = await checkChat(chatDir, entry);
+          if (
+            entry &&
+            !changed &&
+            !changedChats.length &&
+            entry.files.every((file) => taskFiles.has(file))
+          ) {
+            unchanged++;
+            manifest.chats[key] = { ...fingerprint, files: entry.files };
+            return { metrics: [] };
+          }
+
+          // A chat continued after its extraction is extracted again as a whole
+          const result = await this.processDirectory(
+            chatDir,
+            taskFiles,
+            !current || changedChats.length > 0 || (!!entry && changed),
+          );
+          const { files } = result;
+          if (files) {
+            staleFiles.push(
+              ...(entry?.files ?? []).filter((file) => !files.includes(file)),
+            );
+            manifest.chats[key] = { ...fingerprint, files };
+          }
+          return result;
+        },
+      );
+      if (unchanged) {
+        logger.info(
+          `Skipped ${unchanged} chats unchanged since their last extraction`,
+        );
+      }
+
       // Collect all metrics and errors
       const allMetrics: TaskMetrics[] = [];
       const allErrors: string[] = [];
@@ -386,7 +691,10 @@ class ExtractMetrics {
       }
 
       // Create a summary generator
-      const summaryGenerator = new SummaryGenerator(this.directory);
+      const summaryGenerator = new SummaryGenerator(
+        this.directory,
+        this.suite.baseline,
+      );
 
       // If we have new metrics, write individual metric files
       if (allMetrics.length > 0) {
@@ -400,6 +708,13 @@ class ExtractMetrics {
       } else {
         logger.warn('No new task metrics found in chat logs');
       }
+      if (staleFiles.length) {
+        logger.info(
+          `Removing ${staleFiles.length} runs no longer found in their chats: ${staleFiles.join(', ')}`,
+        );
+        await summaryGenerator.removeMetricFiles(staleFiles);
+      }
+      await saveManifest(this.directory, manifest);
 
       // Always generate summary from all available metric files
       // This ensures the summary is updated even if individual files were manually edited
@@ -413,9 +728,11 @@ class ExtractMetrics {
         ]);
       }
 
+      // Chats that failed do not fail the extraction of the others
       return ExtractMetrics.success(
         `Successfully processed ${allMetrics.length} metrics`,
         allMetrics,
+        allErrors,
       );
     } catch (error) {
       logger.error('Error extracting metrics:', error);
@@ -0,0 +1,65 @@
+// Minimal MCP server for tests. It offers tools that list and buy phone
+// numbers with the Twilio API at the base URL given as its first argument.
+import readline from 'readline';
+
+const baseUrl = process.argv[2];
+const accountSid = `AC${'0'.repeat(32)}`;
+
+const numbersUrl = () =>
+  `${baseUrl}/2010-04-01/Accounts/${accountSid}/IncomingPhoneNumbers.json`;
+
+const toResult = async (response) => ({
+  content: [{ type: 'text', text: await response.text() }],
+  isError: !response.ok,
+});
+
+const send = (message) =>
+  process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+
+const handlers = {
+  initialize: () => ({
+    protocolVersion: '2024-11-05',
+    capabilities: { tools: {} },
+    serverInfo: { name: 'twilio-fixture', version: '1.0.0' },
+  }),
+  'tools/list': () => ({
+    tools: [
+      {
+        name: 'list_numbers',
+        description: 'List the incoming phone numbers of the account',
+        inputSchema: { type: 'object', properties: {} },
+      },
+      {
+        name: 'buy_number',
+        description: 'Buy an incoming phone number',
+        inputSchema: {
+          type: 'object',
+          properties: { phoneNumber: { type: 'string' } },
+          required: ['phoneNumber'],
+        },
+      },
+    ],
+  }),
+  'tools/call': async ({ name, arguments: input }) => {
+    if (name === 'list_numbers') {
+      return toResult(await fetch(numbersUrl()));
+    }
+    return toResult(
+      await fetch(numbersUrl(), {
+        method: 'POST',
+        body: new URLSearchParams({ PhoneNumber: input.phoneNumber }),
+      }),
+    );
+  },
+};
+
+readline.createInterface({ input: process.stdin }).on('line', async (line) => {
+  const { id, method, params } = JSON.parse(line);
+  if (id === undefined) return;
+  const handler = handlers[method];
+  if (!handler) {
+    send({ id, error: { code: -32601, message: `Unknown method ${method}` } });
+    return;
+  }
+  send({ id, result: await handler(params) });
+});
@@ -5,12 +5,15 @@ import path from 'path';
 import { hideBin } from 'yargs/helpers';
 import yargs from 'yargs/yargs';
 
+import { OUTLIER_METHODS } from './metrics/outliers';
 import SummaryGenerator from './metrics/summary-generator';
 import { logger } from './utils';
 
 type SummaryOptions = {
   verbose: boolean;
   directory: string;
+  baseline?: string;
+  outliers: string;
 };
 
 type SummaryResult = {
@@ -23,6 +26,10 @@ class GenerateSummary {
 
   private verbose: boolean;
 
+  private baseline?: string;
+
+  private outliers: string;
+
   /**
    * Create a new GenerateSummary instance
    * @param options Configuration options
@@ -30,6 +37,8 @@ class GenerateSummary {
   constructor(options: SummaryOptions) {
     this.directory = options.directory;
     this.verbose = options.verbose;
+    this.baseline = options.baseline;
+    this.outliers = options.outliers;
 
     if (this.verbose) {
       logger.debug('Verbose mode enabled - will show detailed logging');
@@ -59,6 +68,19 @@ class GenerateSummary {
         description: 'Specify a custom metrics directory path',
         default: path.join(os.homedir(), '.mcp-te-benchmark'),
       })
+      .option('baseline', {
+        alias: 'b',
+        type: 'string',
+        description:
+          "Specify the mode other modes are compared against (defaults to the suite's baseline)",
+      })
+      .option('outliers', {
+        type: 'string',
+        description:
+          'Flag runs far from the other runs of their model, mode and task by interquartile range or z-score',
+        choices: OUTLIER_METHODS,
+        default: 'iqr',
+      })
       .help()
       .alias('help', 'h')
       .parseSync();
@@ -71,6 +93,8 @@ class GenerateSummary {
     const generator = new GenerateSummary({
       verbose: parsedArgs.verbose,
       directory: parsedArgs.directory,
+      baseline: parsedArgs.baseline,
+      outliers: parsedArgs.outliers,
     });
     return generator.regenerateSummary();
   }
@@ -84,7 +108,11 @@ class GenerateSummary {
         'Regenerating summary.json from existing individual metric files...',
       );
 
-      const summaryGenerator = new SummaryGenerator(this.directory);
+      const summaryGenerator = new SummaryGenerator(
+        this.directory,
+        this.baseline,
+        this.outliers,
+      );
       const result = await summaryGenerator.generateSummaryFromFiles();
 
       if (result.success) {
@@ -0,0 +1,27 @@
+export { compare, extractMetrics, loadRuns, summarize } from './library';
+export { logger } from './utils';
+export type {
+  CompareOptions,
+  ExtractMetricsOptions,
+  ExtractMetricsResult,
+  RunSummary,
+  SummarizeOptions,
+} from './library';
+export type {
+  ComparisonGroup,
+  ComparisonReport,
+  MetricComparison,
+  SuccessStats,
+} from './metrics/comparison';
+export type { MetricAverages } from './metrics/metrics-utils';
+export type { GroupKey, RunAggregate } from './metrics/run-query';
+export type {
+  RequestSample,
+  RunExclusion,
+  RunOutlier,
+  RunSetup,
+  TaskMetrics,
+  TaskOutcome,
+  TimelineStep,
+  ToolCall,
+} from './metrics/types';
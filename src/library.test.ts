@@ -0,0 +1,95 @@
+import assert from 'assert/strict';
+import { promises as fs } from 'fs';
+import { after, before, test } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import { extractMetrics, loadRuns } from './library';
+import { logger } from './utils';
+
+const PROMPT =
+  'Complete Task 1 using the tools described in mcp_instructions.md';
+
+let directory: string;
+
+/**
+ * Write a Cline chat
+ * @param {string} chatId Chat ID, the start time in milliseconds
+ * @param {string} uiMessages Content of ui_messages.json
+ */
+async function writeChat(chatId: string, uiMessages: string): Promise<void> {
+  const chatDir = path.join(directory, 'logs', chatId);
+  await fs.mkdir(chatDir, { recursive: true });
+  await fs.writeFile(
+    path.join(chatDir, 'api_conversation_history.json'),
+    JSON.stringify([
+      { role: 'user', content: [{ type: 'text', text: PROMPT }] },
+    ]),
+  );
+  await fs.writeFile(path.join(chatDir, 'ui_messages.json'), uiMessages);
+}
+
+before(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-te-library-'));
+  const start = 1744123456789;
+  await writeChat(
+    `${start}`,
+    JSON.stringify([
+      {
+        ts: start,
+        type: 'say',
+        say: 'text',
+        text: PROMPT,
+      },
+      {
+        ts: start + 1000,
+        type: 'say',
+        say: 'api_req_started',
+        text: JSON.stringify({ tokensIn: 100, tokensOut: 20, cost: 0.01 }),
+      },
+      {
+        ts: start + 5000,
+        type: 'say',
+        say: 'completion_result',
+        text: 'Done',
+      },
+    ]),
+  );
+  await writeChat(`${start + 60000}`, '[{"ts": ');
+});
+
+after(async () => {
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+test('extracts runs and reports the chats that failed', async () => {
+  logger.silent = false;
+  const result = await extractMetrics({
+    logsDir: path.join(directory, 'logs'),
+    outDir: path.join(directory, 'metrics'),
+  });
+
+  assert.equal(logger.silent, false);
+  assert.equal(result.runs.length, 1);
+  assert.equal(result.runs[0].mode, 'mcp');
+  assert.equal(result.errors.length, 1);
+  assert.match(result.errors[0], /1744123516789/);
+
+  const runs = await loadRuns(path.join(directory, 'metrics'));
+  assert.deepEqual(
+    runs.map((run) => run.directoryId),
+    ['1744123456789'],
+  );
+});
+
+test('extracts unchanged chats again only when the inputs change', async () => {
+  const options = {
+    logsDir: path.join(directory, 'logs'),
+    outDir: path.join(directory, 'metrics'),
+  };
+  assert.equal((await extractMetrics(options)).runs.length, 0);
+
+  const { runs } = await extractMetrics({ ...options, client: 'Other' });
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].mcpClient, 'Other');
+});
@@ -0,0 +1,196 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import ExtractMetrics from './extract-metrics';
+import {
+  buildComparisonReport,
+  ComparisonReport,
+  resolveBaseline,
+} from './metrics/comparison';
+import {
+  applyExclusions,
+  getExclusions,
+  loadExclusionLog,
+  withoutExcluded,
+} from './metrics/exclusions';
+import { METRIC_FILE_PATTERN, sortMetrics } from './metrics/metrics-utils';
+import { flagOutliers } from './metrics/outliers';
+import { aggregateRuns, GroupKey, RunAggregate } from './metrics/run-query';
+import { fromTaskFile, parseTaskFile } from './metrics/schema';
+import { TaskMetrics } from './metrics/types';
+import { logger } from './utils';
+
+export type ExtractMetricsOptions = {
+  // Directory of the chat logs, defaults to the source's standard location
+  logsDir?: string;
+  // Metrics directory the task files, timelines and summary are written to
+  outDir: string;
+  // Client whose chat logs are read, "cline" by default
+  source?: string;
+  // Suite definition file, defaults to suite.json in outDir
+  suite?: string;
+  // Markers of the built-in suite, used when there is no suite file
+  markers?: { control?: string; mcp?: string };
+  model?: string;
+  client?: string;
+  server?: string;
+  experiment?: string;
+  serverVersion?: string;
+  clientVersion?: string;
+  // Price sheet, success rules and model aliases files
+  pricing?: string;
+  successRules?: string;
+  modelAliases?: string;
+  // Extract every chat again, changed or not
+  force?: boolean;
+  // Chats processed at once, 4 by default
+  concurrency?: number;
+  // Log the progress messages the CLI prints, which are off by default
+  verbose?: boolean;
+};
+
+export type ExtractMetricsResult = {
+  // Runs extracted by this call, not those extracted before
+  runs: TaskMetrics[];
+  errors: string[];
+};
+
+export type SummarizeOptions = {
+  groupBy?: (keyof GroupKey)[];
+  outlierMethod?: 'iqr' | 'zscore' | 'none';
+};
+
+export type RunSummary = {
+  // Every run, with excluded runs marked and outliers flagged
+  runs: TaskMetrics[];
+  // Averages, medians and success rates of each group, without excluded runs
+  aggregates: RunAggregate[];
+};
+
+export type CompareOptions = {
+  baseline?: string;
+};
+
+/**
+ * Run a library call with the logger silenced, as library calls return their
+ * results instead of logging them
+ * @param {Function} call The call
+ * @param {boolean} [verbose] Keep logging
+ * @returns {Promise} The result of the call
+ */
+async function quietly<T>(call: () => Promise<T>, verbose = false): Promise<T> {
+  if (verbose) {
+    return call();
+  }
+  const { silent } = logger;
+  logger.silent = true;
+  try {
+    return await call();
+  } finally {
+    logger.silent = silent;
+  }
+}
+
+/**
+ * Extract metrics from chat logs into a metrics directory, as the
+ * extract-metrics command does, and regenerate its summary
+ * @param {ExtractMetricsOptions} options Extraction options
+ * @returns {Promise<ExtractMetricsResult>} The extracted runs and the chats that failed
+ */
+export async function extractMetrics(
+  options: ExtractMetricsOptions,
+): Promise<ExtractMetricsResult> {
+  return quietly(async () => {
+    const extractor = await ExtractMetrics.load({
+      ...options,
+      directory: options.outDir,
+      controlMarker: options.markers?.control,
+      mcpMarker: options.markers?.mcp,
+    });
+    await fs.mkdir(path.join(options.outDir, 'tasks'), { recursive: true });
+
+    const result = await extractor.extractChatMetrics();
+    if (!result.success && !result.metrics.length) {
+      throw new Error(
+        [result.message, ...result.errors].filter(Boolean).join(': '),
+      );
+    }
+    return { runs: result.metrics, errors: result.errors };
+  }, options.verbose);
+}
+
+/**
+ * Load the runs of a metrics directory from its task files, with the runs
+ * excluded by the exclude command marked
+ * @param {string} directory Metrics directory
+ * @returns {Promise<TaskMetrics[]>} The runs, sorted by task, mode and start time
+ */
+export async function loadRuns(directory: string): Promise<TaskMetrics[]> {
+  return quietly(async () => {
+    const tasksDir = path.join(directory, 'tasks');
+    const files = (await fs.readdir(tasksDir)).filter((file) =>
+      METRIC_FILE_PATTERN.test(file),
+    );
+
+    const parsed = await Promise.all(
+      files.map(async (name) => ({
+        name,
+        ...parseTaskFile(await fs.readFile(path.join(tasksDir, name), 'utf8')),
+      })),
+    );
+    const invalid = parsed.filter(({ errors }) => errors.length);
+    if (invalid.length) {
+      throw new Error(
+        `Invalid metric files in ${tasksDir}: ${invalid
+          .map(({ name, errors }) => `${name} (${errors.join(', ')})`)
+          .join('; ')}`,
+      );
+    }
+
+    const metrics = parsed.map(({ file }) => fromTaskFile(file));
+    sortMetrics(metrics);
+    return applyExclusions(
+      metrics,
+      getExclusions(await loadExclusionLog(directory)),
+    );
+  });
+}
+
+/**
+ * Flag outliers and aggregate runs by model and mode, or other fields, as
+ * summary.json and the printed summary do
+ * @param {TaskMetrics[]} runs The runs
+ * @param {SummarizeOptions} [options] Grouping and outlier method
+ * @returns {RunSummary} The flagged runs and the aggregate of each group
+ */
+export function summarize(
+  runs: TaskMetrics[],
+  options: SummarizeOptions = {},
+): RunSummary {
+  const flagged = flagOutliers(runs, options.outlierMethod ?? 'iqr');
+  return {
+    runs: flagged,
+    aggregates: aggregateRuns(
+      withoutExcluded(flagged),
+      options.groupBy ?? ['model', 'mode'],
+    ),
+  };
+}
+
+/**
+ * Compare every mode against the baseline, per model and task, as
+ * comparison.json does. Excluded runs are left out.
+ * @param {TaskMetrics[]} runs The runs
+ * @param {CompareOptions} [options] Baseline mode, "control" or the first mode by default
+ * @returns {ComparisonReport} The comparison
+ */
+export function compare(
+  runs: TaskMetrics[],
+  options: CompareOptions = {},
+): ComparisonReport {
+  const included = withoutExcluded(runs);
+  return buildComparisonReport(
+    included,
+    resolveBaseline(included, options.baseline),
+  );
+}
@@ -0,0 +1,55 @@
+import { promises as fs } from 'fs';
+
+import { hideBin } from 'yargs/helpers';
+import yargs from 'yargs/yargs';
+
+import { LlmStubServer, LlmStubTurn } from './mock';
+import { logger } from './utils';
+
+class LlmStub {
+  /**
+   * Static method to parse args and start the LLM stub until interrupted
+   * @param argv Command line arguments
+   * @returns Promise with the running stub
+   */
+  static async run(argv: string[]): Promise<LlmStubServer> {
+    const parsedArgs = yargs(hideBin(argv))
+      .options('port', {
+        alias: 'p',
+        type: 'number',
+        description: 'Port to run the stub on',
+        default: 3003,
+      })
+      .options('script', {
+        type: 'string',
+        description:
+          'JSON file with the turns to answer with, each a text and tool calls',
+      })
+      .help()
+      .alias('help', 'h')
+      .parseSync();
+
+    let turns: LlmStubTurn[] = [];
+    if (parsedArgs.script) {
+      turns = JSON.parse(await fs.readFile(parsedArgs.script, 'utf8'));
+      if (!Array.isArray(turns)) {
+        throw new Error(`${parsedArgs.script} must contain an array of turns`);
+      }
+    }
+
+    const server = new LlmStubServer({ turns });
+    const url = await server.start(parsedArgs.port);
+    logger.info(
+      `Pass --base-url ${url} to run, with --provider anthropic or openai`,
+    );
+    logger.info('Press Ctrl+C to stop the stub');
+
+    process.once('SIGINT', () => {
+      server.close().finally(() => process.exit(0));
+    });
+
+    return server;
+  }
+}
+
+export default LlmStub;
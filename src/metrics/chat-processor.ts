@@ -1,6 +1,4 @@
-import { promises as fs } from 'fs';
-import path from 'path';
-
+import { LogSource } from '../sources';
 import { logger } from '../utils';
 import {
   createTimestampBoundaries,
@@ -12,36 +10,49 @@ import {
   identifyTestType,
   validateTaskBoundaries,
 } from './metrics-utils';
-import { ApiHistoryEntry, TaskSegment, UIMessage } from './types';
+import { SuiteDefinition } from './suite';
+import {
+  ApiHistoryEntry,
+  ModelUsage,
+  RunSetup,
+  TaskSegment,
+  UIMessage,
+} from './types';
 
 type Options = {
   chatDir: string;
-  mcpMarker: string;
-  controlMarker: string;
+  source: LogSource;
+  suite: SuiteDefinition;
 };
 
 class ChatProcessor {
   private readonly chatDir: string;
 
+  private readonly source: LogSource;
+
   private apiHistory: ApiHistoryEntry[];
 
   private uiMessages: UIMessage[];
 
+  private modelUsage: ModelUsage[];
+
+  private setup: RunSetup;
+
   private readonly directoryId: string;
 
   private initialized: boolean;
 
-  private readonly mcpMarker: string;
-
-  private readonly controlMarker: string;
+  private readonly suite: SuiteDefinition;
 
   constructor(options: Options) {
     this.chatDir = options.chatDir;
-    this.mcpMarker = options.mcpMarker;
-    this.controlMarker = options.controlMarker;
+    this.source = options.source;
+    this.suite = options.suite;
     this.apiHistory = [];
     this.uiMessages = [];
-    this.directoryId = path.basename(this.chatDir);
+    this.modelUsage = [];
+    this.setup = {};
+    this.directoryId = this.source.getChatId(this.chatDir);
     this.initialized = false;
   }
 
@@ -77,23 +88,20 @@ class ChatProcessor {
   }
 
   /**
-   * Initialize the chat processor by loading required files
+   * Initialize the chat processor by loading the chat from its log source
    * @returns {Promise<boolean>} Success status
    */
   async initialize(): Promise<boolean> {
     if (this.initialized) return true;
 
     try {
-      const [apiHistoryContent, uiMessagesContent] = await Promise.all([
-        fs.readFile(
-          path.join(this.chatDir, 'api_conversation_history.json'),
-          'utf8',
-        ),
-        fs.readFile(path.join(this.chatDir, 'ui_messages.json'), 'utf8'),
-      ]);
-
-      this.apiHistory = JSON.parse(apiHistoryContent);
-      this.uiMessages = JSON.parse(uiMessagesContent);
+      const { apiHistory, uiMessages, modelUsage, setup } =
+        await this.source.loadChat(this.chatDir);
+
+      this.apiHistory = apiHistory;
+      this.uiMessages = uiMessages;
+      this.modelUsage = modelUsage ?? [];
+      this.setup = setup ?? {};
       this.initialized = true;
       return true;
     } catch (error) {
@@ -105,7 +113,7 @@ class ChatProcessor {
   }
 
   /**
-   * Identify the test type (control or mcp) from the chat data
+   * Identify the suite variant (test type) from the chat data
    * @returns {string|undefined} Test type or undefined if not identifiable
    */
   getTestType(): string | undefined {
@@ -117,12 +125,7 @@ class ChatProcessor {
       return undefined;
     }
 
-    return identifyTestType(
-      this.uiMessages,
-      this.apiHistory,
-      this.mcpMarker,
-      this.controlMarker,
-    );
+    return identifyTestType(this.uiMessages, this.apiHistory, this.suite);
   }
 
   /**
@@ -140,6 +143,7 @@ class ChatProcessor {
       this.uiMessages,
       this.directoryId,
       testType,
+      this.suite,
     );
 
     if (taskBoundaries.length === 0) {
@@ -170,6 +174,7 @@ class ChatProcessor {
         ...task,
         apiCalls: [],
         userMessages: [],
+        uiMessages: [],
         apiCallCount: 0,
         messageCount: 0,
       } as TaskSegment;
@@ -208,6 +213,9 @@ class ChatProcessor {
       ...task,
       apiCalls: apiEntries,
       userMessages: relevantMessages,
+      uiMessages: messages,
+      modelUsage: this.modelUsage,
+      setup: this.setup,
       taskNumber: task.taskNumber,
       apiCallCount: apiEntries.length,
       messageCount: relevantMessages.length,
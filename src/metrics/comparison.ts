@@ -0,0 +1,215 @@
+import { getActiveDuration } from './interactions';
+import {
+  bootstrapPercentChangeCi,
+  ConfidenceInterval,
+  describe,
+  DescriptiveStats,
+  mannWhitneyU,
+  TestResult,
+  welchTTest,
+} from './statistics';
+import { TaskMetrics } from './types';
+
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+// Metrics compared between arms, with duration reported in seconds to match calculateAverages
+export const COMPARED_METRICS: Record<string, (metric: TaskMetrics) => number> =
+  {
+    duration: (metric) => (metric.duration || 0) / 1000,
+    activeDuration: (metric) => getActiveDuration(metric) / 1000,
+    apiCalls: (metric) => metric.apiCalls || 0,
+    interactions: (metric) => metric.interactions || 0,
+    tokens: (metric) => metric.totalTokens || 0,
+    cacheWrites: (metric) => metric.cacheWrites || 0,
+    cacheReads: (metric) => metric.cacheReads || 0,
+    cost: (metric) => metric.cost || 0,
+  };
+
+export type SuccessStats = {
+  passed: number;
+  failed: number;
+  unknown: number;
+  successRate: number | null;
+  costPerSuccess: number | null;
+};
+
+export type MetricComparison = {
+  baseline: DescriptiveStats;
+  treatment: DescriptiveStats;
+  meanDifference: number;
+  percentChange: number | null;
+  percentChangeCi95: ConfidenceInterval | null;
+  mannWhitneyU: TestResult | null;
+  welchT: TestResult | null;
+  significant: boolean;
+};
+
+export type ComparisonGroup = {
+  model: string;
+  treatment: string;
+  taskId: number | null;
+  metrics: Record<string, MetricComparison>;
+  success: {
+    baseline: SuccessStats;
+    treatment: SuccessStats;
+  };
+};
+
+export type ComparisonReport = {
+  generatedAt: string;
+  baseline: string;
+  treatments: string[];
+  significanceLevel: number;
+  groups: ComparisonGroup[];
+};
+
+/**
+ * Calculate the success rate and cost per successful task. Runs whose outcome
+ * could not be verified are excluded from both.
+ * @param tasks Array of task metrics
+ * @returns Success statistics
+ */
+export function calculateSuccessStats(tasks: TaskMetrics[]): SuccessStats {
+  const outcomeOf = (t: TaskMetrics) =>
+    t.outcome ?? (t.success ? 'passed' : 'failed');
+  const verified = tasks.filter((t) => outcomeOf(t) !== 'unknown');
+  const passed = verified.filter((t) => outcomeOf(t) === 'passed').length;
+  const verifiedCost = verified.reduce((sum, t) => sum + (t.cost || 0), 0);
+
+  return {
+    passed,
+    failed: verified.length - passed,
+    unknown: tasks.length - verified.length,
+    successRate: verified.length ? (passed / verified.length) * 100 : null,
+    costPerSuccess: passed ? verifiedCost / passed : null,
+  };
+}
+
+/**
+ * Compare one metric between two sets of runs
+ * @param {number[]} baseline Baseline values
+ * @param {number[]} treatment Treatment values
+ * @returns {MetricComparison} Descriptive statistics, effect size and p-values
+ */
+export function compareValues(
+  baseline: number[],
+  treatment: number[],
+): MetricComparison {
+  const baselineStats = describe(baseline);
+  const treatmentStats = describe(treatment);
+  const mannWhitney = mannWhitneyU(treatment, baseline);
+  const welch = welchTTest(treatment, baseline);
+
+  return {
+    baseline: baselineStats,
+    treatment: treatmentStats,
+    meanDifference: treatmentStats.mean - baselineStats.mean,
+    percentChange: baselineStats.mean
+      ? ((treatmentStats.mean - baselineStats.mean) / baselineStats.mean) * 100
+      : null,
+    percentChangeCi95: bootstrapPercentChangeCi(baseline, treatment),
+    mannWhitneyU: mannWhitney,
+    welchT: welch,
+    // Only claim a difference when the rank and parametric tests agree
+    significant:
+      !!mannWhitney &&
+      !!welch &&
+      mannWhitney.pValue < SIGNIFICANCE_LEVEL &&
+      welch.pValue < SIGNIFICANCE_LEVEL,
+  };
+}
+
+/**
+ * Compare every tracked metric between two sets of runs
+ * @param {TaskMetrics[]} baselineRuns Baseline runs
+ * @param {TaskMetrics[]} treatmentRuns Treatment runs
+ * @returns {Record<string, MetricComparison>} Comparison per metric
+ */
+export function compareRuns(
+  baselineRuns: TaskMetrics[],
+  treatmentRuns: TaskMetrics[],
+): Record<string, MetricComparison> {
+  return Object.fromEntries(
+    Object.entries(COMPARED_METRICS).map(([name, getValue]) => [
+      name,
+      compareValues(baselineRuns.map(getValue), treatmentRuns.map(getValue)),
+    ]),
+  );
+}
+
+/**
+ * Choose the baseline mode, falling back to control and then the first mode
+ * when the preferred baseline has no runs
+ * @param {TaskMetrics[]} metrics All task metrics
+ * @param {string} [preferred] Preferred baseline mode
+ * @returns {string} Baseline mode
+ */
+export function resolveBaseline(
+  metrics: TaskMetrics[],
+  preferred?: string,
+): string {
+  const modes = [...new Set(metrics.map((m) => m.mode))].sort();
+  return (
+    [preferred, 'control'].find((mode) => mode && modes.includes(mode)) ??
+    modes[0] ??
+    preferred ??
+    'control'
+  );
+}
+
+/**
+ * Build the comparison report of every other mode against the baseline, for
+ * every model, overall and per task
+ * @param {TaskMetrics[]} metrics All task metrics
+ * @param {string} [baseline] Baseline mode
+ * @returns {ComparisonReport} Comparison report
+ */
+export function buildComparisonReport(
+  metrics: TaskMetrics[],
+  baseline = 'control',
+): ComparisonReport {
+  const groups: ComparisonGroup[] = [];
+  const models = [...new Set(metrics.map((m) => m.model ?? 'unknown'))].sort();
+  const treatments = [...new Set(metrics.map((m) => m.mode))]
+    .filter((mode) => mode !== baseline)
+    .sort();
+
+  for (const model of models) {
+    const modelRuns = metrics.filter((m) => (m.model ?? 'unknown') === model);
+    const taskIds = [...new Set(modelRuns.map((m) => m.taskId))].sort(
+      (a, b) => a - b,
+    );
+
+    for (const treatment of treatments) {
+      for (const taskId of [null, ...taskIds]) {
+        const runs =
+          taskId === null
+            ? modelRuns
+            : modelRuns.filter((m) => m.taskId === taskId);
+        const baselineRuns = runs.filter((m) => m.mode === baseline);
+        const treatmentRuns = runs.filter((m) => m.mode === treatment);
+
+        if (baselineRuns.length && treatmentRuns.length) {
+          groups.push({
+            model,
+            treatment,
+            taskId,
+            metrics: compareRuns(baselineRuns, treatmentRuns),
+            success: {
+              baseline: calculateSuccessStats(baselineRuns),
+              treatment: calculateSuccessStats(treatmentRuns),
+            },
+          });
+        }
+      }
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    baseline,
+    treatments,
+    significanceLevel: SIGNIFICANCE_LEVEL,
+    groups,
+  };
+}
@@ -0,0 +1,70 @@
+import assert from 'assert/strict';
+import { promises as fs } from 'fs';
+import { test } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import {
+  appendExclusionLog,
+  applyExclusions,
+  ExclusionAction,
+  EXCLUSIONS_FILE,
+  getExclusions,
+  loadExclusionLog,
+  withoutExcluded,
+} from './exclusions';
+import { TaskMetrics } from './types';
+
+const action = (
+  directoryId: string,
+  type: ExclusionAction['action'],
+  time: string,
+): ExclusionAction => ({
+  directoryId,
+  action: type,
+  reason: `${type} ${directoryId}`,
+  user: 'tester',
+  time,
+});
+
+test('applies the latest action on each run', () => {
+  const exclusions = getExclusions([
+    action('1', 'exclude', '2025-04-01T00:00:00Z'),
+    action('2', 'exclude', '2025-04-01T00:00:00Z'),
+    action('1', 'include', '2025-04-02T00:00:00Z'),
+  ]);
+  assert.deepEqual([...exclusions.keys()], ['2']);
+
+  const runs = ['1', '2'].map(
+    (directoryId) =>
+      ({
+        directoryId,
+        exclusion: { reason: 'Old', user: 'tester', time: '' },
+      }) as TaskMetrics,
+  );
+  const applied = applyExclusions(runs, exclusions);
+  assert.equal(applied[0].exclusion, undefined);
+  assert.equal(applied[1].exclusion?.reason, 'exclude 2');
+  assert.deepEqual(
+    withoutExcluded(applied).map((run) => run.directoryId),
+    ['1'],
+  );
+});
+
+test('appends to the exclusion log of a metrics directory', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-te-excl-'));
+  try {
+    assert.deepEqual(await loadExclusionLog(directory), []);
+
+    const first = action('1', 'exclude', '2025-04-01T00:00:00Z');
+    const second = action('1', 'include', '2025-04-02T00:00:00Z');
+    await appendExclusionLog(directory, [first]);
+    await appendExclusionLog(directory, [second]);
+    assert.deepEqual(await loadExclusionLog(directory), [first, second]);
+
+    await fs.writeFile(path.join(directory, EXCLUSIONS_FILE), '{}');
+    await assert.rejects(loadExclusionLog(directory), /expected a list/);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,100 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { RunExclusion, TaskMetrics } from './types';
+
+// Audit log of exclusions in the metrics directory. Runs are never deleted,
+// every exclusion and re-inclusion is appended so it can be reviewed later.
+export const EXCLUSIONS_FILE = 'exclusions.json';
+
+export type ExclusionAction = {
+  directoryId: string;
+  action: 'exclude' | 'include';
+  reason: string;
+  user: string;
+  time: string;
+};
+
+/**
+ * Load the exclusion log of a metrics directory
+ * @param {string} directory Metrics directory
+ * @returns {Promise<ExclusionAction[]>} Actions in the order they were taken, empty if there is no log
+ */
+export async function loadExclusionLog(
+  directory: string,
+): Promise<ExclusionAction[]> {
+  const file = path.join(directory, EXCLUSIONS_FILE);
+  let content: string;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+    throw error;
+  }
+  const log = JSON.parse(content);
+  if (!Array.isArray(log)) {
+    throw new Error(`Invalid exclusion log ${file}: expected a list`);
+  }
+  return log;
+}
+
+/**
+ * Append actions to the exclusion log of a metrics directory
+ * @param {string} directory Metrics directory
+ * @param {ExclusionAction[]} actions Actions to record
+ */
+export async function appendExclusionLog(
+  directory: string,
+  actions: ExclusionAction[],
+): Promise<void> {
+  const log = await loadExclusionLog(directory);
+  await fs.writeFile(
+    path.join(directory, EXCLUSIONS_FILE),
+    JSON.stringify([...log, ...actions], null, 2),
+  );
+}
+
+/**
+ * Get the runs currently excluded, the latest action on a run wins
+ * @param {ExclusionAction[]} log Exclusion log
+ * @returns {Map<string, RunExclusion>} Exclusions by directory ID
+ */
+export function getExclusions(
+  log: ExclusionAction[],
+): Map<string, RunExclusion> {
+  const exclusions = new Map<string, RunExclusion>();
+  log.forEach(({ directoryId, action, reason, user, time }) => {
+    if (action === 'exclude') {
+      exclusions.set(directoryId, { reason, user, time });
+    } else {
+      exclusions.delete(directoryId);
+    }
+  });
+  return exclusions;
+}
+
+/**
+ * Mark the excluded runs
+ * @param {TaskMetrics[]} runs The runs
+ * @param {Map<string, RunExclusion>} exclusions Exclusions by directory ID
+ * @returns {TaskMetrics[]} The runs, with an exclusion on the excluded ones
+ */
+export function applyExclusions(
+  runs: TaskMetrics[],
+  exclusions: Map<string, RunExclusion>,
+): TaskMetrics[] {
+  return runs.map((run) => {
+    const { exclusion, ...rest } = run;
+    const current = exclusions.get(run.directoryId ?? '');
+    return current ? { ...rest, exclusion: current } : rest;
+  });
+}
+
+/**
+ * Leave out the excluded runs, for statistics and comparisons
+ * @param {TaskMetrics[]} runs The runs
+ * @returns {TaskMetrics[]} Runs that are not excluded
+ */
+export function withoutExcluded(runs: TaskMetrics[]): TaskMetrics[] {
+  return runs.filter((run) => !run.exclusion);
+}
@@ -0,0 +1,95 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { SuiteDefinition, VariantDefinition } from './suite';
+import { RunSetup } from './types';
+
+// File the run command writes next to each transcript, with the MCP servers
+// and tools the model was given
+export const RUN_SETUP_FILE = 'run_setup.json';
+
+/**
+ * Hash content to tell versions of a file or tool set apart
+ * @param {string} content The content
+ * @returns {string} First 12 hex digits of its SHA-256
+ */
+export function hashContent(content: string): string {
+  return createHash('sha256').update(content).digest('hex').substring(0, 12);
+}
+
+/**
+ * Get the instructions file of a variant. Variants without an instructions
+ * file use instructions/<marker> next to the suite.
+ * @param {VariantDefinition} variant The variant
+ * @param {string} suiteDir Directory instructions paths are relative to
+ * @returns {string} Path of the instructions file, which may not exist
+ */
+export function getInstructionsFile(
+  variant: VariantDefinition,
+  suiteDir: string,
+): string {
+  return path.resolve(
+    suiteDir,
+    variant.instructions ?? path.join('instructions', variant.markers[0]),
+  );
+}
+
+/**
+ * Hash the instructions file of every variant of a suite
+ * @param {SuiteDefinition} suite The suite
+ * @param {string} suiteDir Directory instructions paths are relative to
+ * @returns {Promise<Record<string, string>>} Hashes by variant ID, for the files that exist
+ */
+export async function hashInstructions(
+  suite: SuiteDefinition,
+  suiteDir: string,
+): Promise<Record<string, string>> {
+  const hashes = await Promise.all(
+    suite.variants.map(async (variant) => {
+      const file = getInstructionsFile(variant, suiteDir);
+      try {
+        return [variant.id, hashContent(await fs.readFile(file, 'utf8'))];
+      } catch (error) {
+        return undefined;
+      }
+    }),
+  );
+  return Object.fromEntries(
+    hashes.filter((entry): entry is string[] => entry !== undefined),
+  );
+}
+
+/**
+ * Combine the setup detected in a chat with the one given on the command
+ * line, which wins. Without an experiment label, runs are labelled by a hash
+ * of their setup, so runs with the same server, tools, instructions and
+ * client share a label.
+ * @param {RunSetup} detected Setup found in the chat
+ * @param {RunSetup} given Setup given on the command line
+ * @returns {RunSetup} The setup of the run
+ */
+export function getRunSetup(detected: RunSetup, given: RunSetup): RunSetup {
+  const setup: RunSetup = { ...detected };
+  (Object.keys(given) as (keyof RunSetup)[]).forEach((key) => {
+    if (given[key] !== undefined) {
+      Object.assign(setup, { [key]: given[key] });
+    }
+  });
+  if (setup.experiment) {
+    return setup;
+  }
+
+  const fingerprint = [
+    setup.serverVersion,
+    setup.toolsHash ?? setup.tools?.join(','),
+    Object.entries(setup.instructionHashes ?? {})
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([variant, hash]) => `${variant}:${hash}`)
+      .join(','),
+    setup.clientVersion,
+  ];
+  return fingerprint.some(Boolean)
+    ? { ...setup, experiment: `setup-${hashContent(fingerprint.join('\n'))}` }
+    : setup;
+}
@@ -0,0 +1,121 @@
+import { getMessageKind } from './tool-calls';
+import { TaskMetrics, UIMessage } from './types';
+
+/**
+ * What the agent asked the human for: to approve a tool call or command, to
+ * answer a question, to let a running command continue, or anything else,
+ * such as resuming the chat or retrying a failed request. Command output
+ * prompts are shown for each chunk of output while the command keeps
+ * running, so they do not hold the agent up.
+ */
+export type AskKind = 'approval' | 'followup' | 'commandOutput' | 'other';
+
+// Asks by kind. Tools and commands that are auto-approved are said, not asked.
+const ASK_KINDS: Record<string, AskKind> = {
+  tool: 'approval',
+  command: 'approval',
+  use_mcp_server: 'approval',
+  browser_action_launch: 'approval',
+  followup: 'followup',
+  plan_mode_respond: 'followup',
+  command_output: 'commandOutput',
+};
+
+export type InteractionMetrics = Required<
+  Pick<
+    TaskMetrics,
+    | 'interactions'
+    | 'toolApprovals'
+    | 'followupQuestions'
+    | 'commandOutputPrompts'
+    | 'otherPrompts'
+    | 'humanWait'
+  >
+>;
+
+/**
+ * Classify an ask message
+ * @param {UIMessage} message The UI message
+ * @returns {AskKind|undefined} The kind of ask, undefined if it is not one
+ */
+export function classifyAsk(message: UIMessage): AskKind | undefined {
+  if (message.type !== 'ask') return undefined;
+  return ASK_KINDS[getMessageKind(message) ?? ''] ?? 'other';
+}
+
+/**
+ * Check whether a UI message was written by the human
+ * @param {UIMessage} message The UI message
+ * @returns {boolean} True for follow-up messages and answers typed by the user
+ */
+function isUserMessage(message: UIMessage): boolean {
+  return (
+    message.say === 'user_feedback' ||
+    (message.say === 'text' && message.from === 'user')
+  );
+}
+
+/**
+ * Count the human interactions of a task segment and the time the agent spent
+ * waiting for them. The first message is the task instruction, one
+ * interaction. After it, each answered ask and each message the user sent
+ * unasked is one more. The agent waits from an ask until the next message,
+ * and from its last message until an unasked user message. Command output
+ * prompts are counted but not waited on.
+ * @param {UIMessage[]} messages UI messages of the task segment
+ * @param {number} endTime End of the task, waits are cut off there
+ * @returns {InteractionMetrics} Interaction counts and human wait in milliseconds
+ */
+export function analyzeInteractions(
+  messages: UIMessage[],
+  endTime: number,
+): InteractionMetrics {
+  const metrics: InteractionMetrics = {
+    interactions: 1,
+    toolApprovals: 0,
+    followupQuestions: 0,
+    commandOutputPrompts: 0,
+    otherPrompts: 0,
+    humanWait: 0,
+  };
+  const counters: Record<AskKind, keyof InteractionMetrics> = {
+    approval: 'toolApprovals',
+    followup: 'followupQuestions',
+    commandOutput: 'commandOutputPrompts',
+    other: 'otherPrompts',
+  };
+
+  let pendingAsk: number | undefined;
+  let previousTs = messages[0]?.ts;
+  messages.slice(1).forEach((message) => {
+    const { ts } = message;
+    if (typeof ts !== 'number' || ts > endTime) return;
+
+    if (pendingAsk !== undefined) {
+      metrics.humanWait += Math.max(0, ts - pendingAsk);
+      metrics.interactions++;
+      pendingAsk = undefined;
+    } else if (isUserMessage(message)) {
+      metrics.humanWait += Math.max(0, ts - (previousTs ?? ts));
+      metrics.interactions++;
+    }
+
+    const kind = classifyAsk(message);
+    if (kind) {
+      metrics[counters[kind]]++;
+      pendingAsk = kind === 'commandOutput' ? undefined : ts;
+    }
+    previousTs = ts;
+  });
+  return metrics;
+}
+
+/**
+ * Get the time a run was working, without waiting for the user. Runs
+ * extracted before human wait was measured count their whole duration.
+ * @param {TaskMetrics} metric The run
+ * @returns {number} Active duration in milliseconds
+ */
+export function getActiveDuration(metric: TaskMetrics): number {
+  return metric.activeDuration ?? (metric.duration || 0);
+}
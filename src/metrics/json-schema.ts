@@ -0,0 +1,142 @@
+/**
+ * The subset of JSON Schema (draft-07) used by the metric file schemas
+ */
+export type JsonSchema = {
+  $schema?: string;
+  $id?: string;
+  title?: string;
+  description?: string;
+  type?: JsonSchemaType | JsonSchemaType[];
+  enum?: unknown[];
+  const?: unknown;
+  minimum?: number;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  additionalProperties?: boolean;
+  items?: JsonSchema;
+};
+
+export type JsonSchemaType =
+  | 'string'
+  | 'number'
+  | 'integer'
+  | 'boolean'
+  | 'object'
+  | 'array'
+  | 'null';
+
+/**
+ * A field that does not match its schema. The path is in JavaScript
+ * notation, e.g. "toolCalls[2].cost", empty for the document itself.
+ */
+export type SchemaError = {
+  path: string;
+  message: string;
+};
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {unknown} value The value
+ * @returns {JsonSchemaType} Its type, "integer" for whole numbers
+ */
+function typeOf(value: unknown): JsonSchemaType {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value as JsonSchemaType;
+}
+
+/**
+ * Append a property or index to a path
+ * @param {string} path Path of the parent
+ * @param {string|number} key Property name or array index
+ * @returns {string} Path of the child
+ */
+function childPath(path: string, key: string | number): string {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {unknown} value The value
+ * @param {JsonSchema} schema The schema
+ * @param {string} [path] Path of the value, used in error messages
+ * @returns {SchemaError[]} Errors, empty if the value is valid
+ */
+export function validateSchema(
+  value: unknown,
+  schema: JsonSchema,
+  path = '',
+): SchemaError[] {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const type = typeOf(value);
+    const matches = types.some(
+      (expected) =>
+        expected === type || (expected === 'number' && type === 'integer'),
+    );
+    if (!matches) {
+      return [{ path, message: `must be ${types.join(' or ')}, got ${type}` }];
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    return [{ path, message: `must be ${JSON.stringify(schema.const)}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [
+      {
+        path,
+        message: `must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(', ')}`,
+      },
+    ];
+  }
+  if (
+    schema.minimum !== undefined &&
+    typeof value === 'number' &&
+    value < schema.minimum
+  ) {
+    return [{ path, message: `must be at least ${schema.minimum}` }];
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    const { items } = schema;
+    return value.flatMap((item, index) =>
+      validateSchema(item, items, childPath(path, index)),
+    );
+  }
+
+  if (typeOf(value) === 'object') {
+    const object = value as Record<string, unknown>;
+    const properties = schema.properties ?? {};
+    const errors: SchemaError[] = (schema.required ?? [])
+      .filter((name) => object[name] === undefined)
+      .map((name) => ({ path: childPath(path, name), message: 'is required' }));
+
+    Object.entries(object).forEach(([name, property]) => {
+      if (properties[name]) {
+        errors.push(
+          ...validateSchema(property, properties[name], childPath(path, name)),
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          path: childPath(path, name),
+          message: 'is not a known field',
+        });
+      }
+    });
+    return errors;
+  }
+
+  return [];
+}
+
+/**
+ * Format schema errors for logs, one per line
+ * @param {SchemaError[]} errors The errors
+ * @returns {string[]} Lines such as "cost: must be number, got string"
+ */
+export function formatSchemaErrors(errors: SchemaError[]): string[] {
+  return errors.map((error) => `${error.path || '(root)'}: ${error.message}`);
+}
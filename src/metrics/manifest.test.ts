@@ -0,0 +1,72 @@
+import assert from 'assert/strict';
+import { promises as fs } from 'fs';
+import { test } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import {
+  checkChat,
+  createManifest,
+  EXTRACTOR_VERSION,
+  hashExtractionInputs,
+  loadManifest,
+  MANIFEST_FILE,
+  saveManifest,
+} from './manifest';
+
+test('detects chats that changed since their extraction', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-te-chat-'));
+  try {
+    const file = path.join(directory, 'ui_messages.json');
+    await fs.writeFile(file, '[]');
+    const first = await checkChat(directory);
+    assert.equal(first.changed, true);
+
+    const entry = { ...first.fingerprint, files: [] };
+    assert.equal((await checkChat(directory, entry)).changed, false);
+
+    // Touched but identical content is unchanged
+    const later = new Date(Date.now() + 60000);
+    await fs.utimes(file, later, later);
+    const touched = await checkChat(directory, entry);
+    assert.equal(touched.changed, false);
+    assert.equal(touched.fingerprint.hash, entry.hash);
+
+    await fs.writeFile(file, '[{}]');
+    assert.equal((await checkChat(directory, entry)).changed, true);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('discards manifests of another extractor version or other inputs', async () => {
+  const directory = await fs.mkdtemp(
+    path.join(os.tmpdir(), 'mcp-te-manifest-'),
+  );
+  try {
+    const inputsHash = hashExtractionInputs({ suite: { name: 'Twilio' } });
+    assert.equal(await loadManifest(directory, inputsHash), undefined);
+
+    const manifest = createManifest(inputsHash);
+    manifest.chats['/logs/1'] = {
+      size: 2,
+      mtimeMs: 1,
+      hash: 'abc',
+      files: ['mcp_task1_1.json'],
+    };
+    await saveManifest(directory, manifest);
+    assert.deepEqual(await loadManifest(directory, inputsHash), manifest);
+
+    const otherInputs = hashExtractionInputs({ suite: { name: 'Other' } });
+    assert.notEqual(otherInputs, inputsHash);
+    assert.equal(await loadManifest(directory, otherInputs), undefined);
+
+    await fs.writeFile(
+      path.join(directory, MANIFEST_FILE),
+      JSON.stringify({ ...manifest, extractorVersion: EXTRACTOR_VERSION - 1 }),
+    );
+    assert.equal(await loadManifest(directory, inputsHash), undefined);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
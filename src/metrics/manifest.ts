@@ -0,0 +1,152 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { logger } from '../utils';
+
+// File in the metrics directory recording which chats have been extracted
+export const MANIFEST_FILE = 'extraction-manifest.json';
+
+// Bump when a change to extraction changes the metrics of chats that were
+// already extracted, so the next extraction processes every chat again
+export const EXTRACTOR_VERSION = 3;
+
+/**
+ * What a chat looked like when it was extracted. Size and modification time
+ * are compared first, the hash only when they differ, so unchanged chats are
+ * never read.
+ */
+export type ChatFingerprint = {
+  size: number;
+  mtimeMs: number;
+  hash: string;
+};
+
+export type ManifestEntry = ChatFingerprint & {
+  // Task files written for the chat's runs
+  files: string[];
+};
+
+export type ExtractionManifest = {
+  extractorVersion: number;
+  // Hash of the suite, success rules, prices and model aliases the chats were
+  // extracted with, see hashExtractionInputs
+  inputsHash: string;
+  // Entries by resolved chat path
+  chats: Record<string, ManifestEntry>;
+};
+
+/**
+ * Hash the configuration that extraction reads besides the chats, so chats
+ * are extracted again when it changes
+ * @param {Record<string, unknown>} inputs The suite, success rules, price sheet, model aliases and other options
+ * @returns {string} SHA-256 of the inputs
+ */
+export function hashExtractionInputs(inputs: Record<string, unknown>): string {
+  return createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+}
+
+/**
+ * Create a manifest with no chats
+ * @param {string} inputsHash Hash of the extraction inputs
+ * @returns {ExtractionManifest} The manifest
+ */
+export function createManifest(inputsHash: string): ExtractionManifest {
+  return { extractorVersion: EXTRACTOR_VERSION, inputsHash, chats: {} };
+}
+
+/**
+ * Load the extraction manifest of a metrics directory. A manifest written by
+ * another extractor version or with other inputs is discarded, so every chat
+ * is extracted again.
+ * @param {string} directory Metrics directory
+ * @param {string} inputsHash Hash of the current extraction inputs
+ * @returns {Promise<ExtractionManifest|undefined>} The manifest, undefined if there is none or it is discarded
+ */
+export async function loadManifest(
+  directory: string,
+  inputsHash: string,
+): Promise<ExtractionManifest | undefined> {
+  let content: string;
+  try {
+    content = await fs.readFile(path.join(directory, MANIFEST_FILE), 'utf8');
+  } catch (error) {
+    return undefined;
+  }
+
+  const manifest: Partial<ExtractionManifest> = JSON.parse(content);
+  if (manifest.extractorVersion !== EXTRACTOR_VERSION || !manifest.chats) {
+    logger.info(
+      `Extraction manifest is from extractor version ${manifest.extractorVersion}, extracting every chat again`,
+    );
+    return undefined;
+  }
+  if (manifest.inputsHash !== inputsHash) {
+    logger.info(
+      'The suite, success rules, prices or model aliases changed since the last extraction, extracting every chat again',
+    );
+    return undefined;
+  }
+  return manifest as ExtractionManifest;
+}
+
+/**
+ * Write the extraction manifest of a metrics directory
+ * @param {string} directory Metrics directory
+ * @param {ExtractionManifest} manifest The manifest
+ */
+export async function saveManifest(
+  directory: string,
+  manifest: ExtractionManifest,
+): Promise<void> {
+  await fs.writeFile(
+    path.join(directory, MANIFEST_FILE),
+    JSON.stringify(manifest, null, 2),
+  );
+}
+
+/**
+ * List the files of a chat: the chat itself if it is a file, or the files
+ * directly inside it if it is a directory
+ * @param {string} chatPath Path of the chat
+ * @returns {Promise<string[]>} Paths of its files, sorted
+ */
+async function listChatFiles(chatPath: string): Promise<string[]> {
+  const stat = await fs.stat(chatPath);
+  if (!stat.isDirectory()) {
+    return [chatPath];
+  }
+  const items = await fs.readdir(chatPath, { withFileTypes: true });
+  return items
+    .filter((item) => item.isFile())
+    .map((item) => path.join(chatPath, item.name))
+    .sort();
+}
+
+/**
+ * Check whether a chat changed since it was extracted
+ * @param {string} chatPath Path of the chat
+ * @param {ManifestEntry} [entry] Manifest entry of its last extraction
+ * @returns {Promise<{changed: boolean, fingerprint: ChatFingerprint}>} Whether it changed, and its current fingerprint
+ */
+export async function checkChat(
+  chatPath: string,
+  entry?: ManifestEntry,
+): Promise<{ changed: boolean; fingerprint: ChatFingerprint }> {
+  const files = await listChatFiles(chatPath);
+  const stats = await Promise.all(files.map((file) => fs.stat(file)));
+  const size = stats.reduce((sum, stat) => sum + stat.size, 0);
+  const mtimeMs = Math.max(0, ...stats.map((stat) => stat.mtimeMs));
+  if (entry && entry.size === size && entry.mtimeMs === mtimeMs) {
+    return { changed: false, fingerprint: { size, mtimeMs, hash: entry.hash } };
+  }
+
+  const hash = createHash('sha256');
+  for (const file of files) {
+    hash.update(path.basename(file));
+    // eslint-disable-next-line no-await-in-loop
+    hash.update(await fs.readFile(file));
+  }
+  const fingerprint = { size, mtimeMs, hash: hash.digest('hex') };
+  return { changed: fingerprint.hash !== entry?.hash, fingerprint };
+}
@@ -1,4 +1,11 @@
 import { logger } from '../utils';
+import { analyzeInteractions } from './interactions';
+import { MAX_DURATION } from './metrics-utils';
+import { DEFAULT_MODEL_ALIASES, determineModel, ModelAliases } from './models';
+import { calculateModelCost, DEFAULT_PRICE_SHEET, PriceSheet } from './pricing';
+import { evaluateSuccess, SuccessRules } from './success-checks';
+import { buildTimeline, getRequestSeries } from './timeline';
+import { extractToolCalls } from './tool-calls';
 import { TaskMetrics, TaskSegment } from './types';
 
 interface TokenMetrics {
@@ -58,6 +65,12 @@ class MetricsCalculator {
 
   private serverArg?: string;
 
+  private priceSheet: PriceSheet;
+
+  private successRules?: SuccessRules;
+
+  private modelAliases: ModelAliases;
+
   /**
    * Create a default metrics result object
    * @param {TaskSegment | null} segment The task segment (or null)
@@ -88,18 +101,23 @@ class MetricsCalculator {
       conversationHistoryIndex: 0,
       cost: 0,
       success: false,
+      outcome: 'unknown',
       notes: 'Failed to calculate metrics',
+      calculationFailed: true,
     };
   }
 
   /**
    * Constructor for MetricsCalculator
    * @param {TaskSegment} segment The task segment
-   * @param {string} testType The test type (control or mcp)
-   * @param {string} directoryId The directory ID
+   * @param {string} testType The test type (suite variant)
+   * @param {string} directoryId The run ID, see getRunId
    * @param {string} modelArg The model argument from command line
    * @param {string} clientArg The client argument from command line
    * @param {string} serverArg The server argument from command line
+   * @param {PriceSheet} priceSheet Prices used when the logs report no cost
+   * @param {SuccessRules} successRules Rules used to verify task success
+   * @param {ModelAliases} modelAliases Model names by alias
    */
   constructor(
     segment: TaskSegment,
@@ -108,6 +126,9 @@ class MetricsCalculator {
     modelArg?: string,
     clientArg?: string,
     serverArg?: string,
+    priceSheet: PriceSheet = DEFAULT_PRICE_SHEET,
+    successRules?: SuccessRules,
+    modelAliases: ModelAliases = DEFAULT_MODEL_ALIASES,
   ) {
     this.segment = segment;
     this.testType = testType;
@@ -115,6 +136,9 @@ class MetricsCalculator {
     this.modelArg = modelArg;
     this.clientArg = clientArg;
     this.serverArg = serverArg;
+    this.priceSheet = priceSheet;
+    this.successRules = successRules;
+    this.modelAliases = modelAliases;
   }
 
   /**
@@ -129,35 +153,46 @@ class MetricsCalculator {
     }
 
     try {
-      // Check for MCP usage in API calls
-      const hasMcpUsage = this.checkForMcpUsage();
-      const finalMode = hasMcpUsage
-        ? 'mcp'
-        : (this.segment.testType ?? this.testType);
+      // The mode is the suite variant whose marker started the task
+      const finalMode = this.segment.testType ?? this.testType;
 
       // Calculate metrics in parallel
-      const [apiCallCount, userMessageCount, tokenMetrics, model] =
-        await Promise.all([
-          this.calculateApiCalls(),
-          this.calculateUserMessages(),
-          this.calculateTokenMetrics(),
-          this.determineModel(),
-        ]);
+      const [apiCallCount, tokenMetrics] = await Promise.all([
+        this.calculateApiCalls(),
+        this.calculateTokenMetrics(),
+      ]);
+      const { model, source: modelSource } = determineModel(
+        this.segment,
+        this.modelArg,
+        this.modelAliases,
+      );
+      logger.info(
+        `Model of task ${this.segment.taskNumber}: ${model} (${modelSource})`,
+      );
 
       const {
         tokensIn = 0,
         tokensOut = 0,
-        totalCost = 0,
         cacheWrites = 0,
         cacheReads = 0,
         conversationHistoryIndex = 0,
       } = tokenMetrics ?? DEFAULT_METRICS;
+      let { totalCost = 0 } = tokenMetrics ?? DEFAULT_METRICS;
+
+      // Calculate total cost from the price sheet if the logs did not report it
+      if (totalCost === 0 && (tokensIn > 0 || tokensOut > 0)) {
+        totalCost = calculateModelCost(this.priceSheet, model, {
+          tokensIn,
+          tokensOut,
+          cacheWrites,
+          cacheReads,
+        });
+      }
 
       // Validate and calculate duration
       let duration = (this.segment.endTime as number) - this.segment.startTime;
 
       // Check for unreasonable duration (more than 24 hours)
-      const MAX_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
       if (duration < 0 || duration > MAX_DURATION) {
         logger.warn(
           `Invalid duration detected for task ${this.segment.taskNumber}: ${duration}ms. Capping at 24 hours.`,
@@ -165,18 +200,47 @@ class MetricsCalculator {
         duration = Math.max(0, Math.min(duration, MAX_DURATION));
       }
 
+      // Time spent waiting for tool approvals and answers is the human's
+      const { humanWait, ...interactions } = analyzeInteractions(
+        this.segment.uiMessages ?? [],
+        this.segment.startTime + duration,
+      );
+      logger.info(
+        `Interactions for task ${this.segment.taskNumber}: ${interactions.interactions}, waited ${humanWait}ms for the user`,
+      );
+
+      const check = evaluateSuccess(
+        this.successRules?.tasks[String(this.segment.taskNumber)],
+        this.segment.uiMessages ?? [],
+        this.segment.taskNumber,
+      );
+      logger.info(
+        `Success check for task ${this.segment.taskNumber}: ${check.outcome} (${check.reason})`,
+      );
+
+      const timeline = buildTimeline(
+        this.segment.uiMessages ?? [],
+        model,
+        this.priceSheet,
+      );
+
       return {
         taskId: this.segment.taskNumber,
         directoryId: this.directoryId,
+        chatId: this.segment.directoryId,
+        segment: this.segment.segment,
         mode: finalMode ?? 'unknown',
-        model: model ?? 'unknown',
+        model,
+        modelSource,
         mcpServer: this.serverArg ?? 'Twilio',
         mcpClient: this.clientArg ?? 'Cline',
         startTime: this.segment.startTime,
         endTime: this.segment.startTime + duration,
         duration,
+        activeDuration: Math.max(0, duration - humanWait),
+        humanWait,
         apiCalls: apiCallCount,
-        interactions: userMessageCount,
+        ...interactions,
         tokensIn,
         tokensOut,
         totalTokens: tokensIn + tokensOut,
@@ -184,8 +248,12 @@ class MetricsCalculator {
         cacheReads,
         conversationHistoryIndex,
         cost: totalCost,
-        success: true,
-        notes: '',
+        success: check.outcome === 'passed',
+        outcome: check.outcome,
+        notes: check.reason,
+        toolCalls: extractToolCalls(this.segment.uiMessages ?? []),
+        requests: getRequestSeries(timeline),
+        timeline,
       };
     } catch (error) {
       logger.error(`Error calculating metrics: ${(error as Error).message}`);
@@ -196,34 +264,6 @@ class MetricsCalculator {
     }
   }
 
-  /**
-   * Check if the task segment contains MCP usage
-   * @returns {boolean} True if MCP was used
-   */
-  checkForMcpUsage(): boolean {
-    if (!this.segment?.apiCalls?.length) {
-      return false;
-    }
-
-    return this.segment.apiCalls.some((apiCall) => {
-      if (
-        apiCall.role === 'assistant' &&
-        apiCall.content &&
-        Array.isArray(apiCall.content)
-      ) {
-        return apiCall.content.some(
-          (content) =>
-            content.type === 'text' &&
-            content.text &&
-            (content.text.includes('use_mcp_tool') ||
-              content.text.includes('use_mcp_server') ||
-              content.text.includes('access_mcp_resource')),
-        );
-      }
-      return false;
-    });
-  }
-
   /**
    * Calculate the number of API calls in the task segment
    * @returns {Promise<number>} The number of API calls
@@ -253,88 +293,6 @@ class MetricsCalculator {
     return apiCallCount;
   }
 
-  /**
-   * Calculate the number of user messages in the task segment
-   * @returns {Promise<number>} The number of user messages
-   */
-  async calculateUserMessages(): Promise<number> {
-    // Default to 1 interaction if no data is available
-    if (!this.segment?.apiCalls?.length) {
-      logger.info(
-        `No API calls found, defaulting to 1 interaction for task ${this.segment?.taskNumber ?? 'unknown'}`,
-      );
-      return 1;
-    }
-
-    // For benchmarking MCP tasks, we want the true number of human interactions
-    // In most cases, this should be just 1 (the initial task instruction)
-
-    // Set to track unique conversation turns
-    let userInteractionCount = 0;
-
-    // Search for the initial task message
-    let foundInitialTask = false;
-
-    // Look in API conversation history (most reliable source)
-    this.segment.apiCalls.forEach((entry) => {
-      // Only process user messages
-      if (
-        entry.role !== 'user' ||
-        !entry.content ||
-        !Array.isArray(entry.content)
-      ) {
-        return;
-      }
-
-      // Extract the text from all content items
-      const fullText = entry.content
-        .filter((item) => item.type === 'text')
-        .map((item) => item.text ?? '')
-        .join(' ');
-
-      // Check if this is the initial task request
-      if (
-        !foundInitialTask &&
-        (fullText.includes('Complete Task') ||
-          fullText.includes('agent-instructions/mcp_instructions.md') ||
-          fullText.includes('agent-instructions/control_instructions.md'))
-      ) {
-        foundInitialTask = true;
-        userInteractionCount = 1; // Set to exactly 1 for the initial task
-        logger.info(
-          `Found initial task instruction for task ${this.segment.taskNumber}`,
-        );
-        return; // Skip to next message
-      }
-
-      // Only count additional user messages if they appear to be actual human follow-ups
-      // and not system messages
-      if (
-        foundInitialTask &&
-        !fullText.includes('<environment_details>') &&
-        !fullText.startsWith('[') &&
-        fullText.trim().length > 10
-      ) {
-        // Minimum length to exclude noise
-        // This appears to be a genuine follow-up question
-        userInteractionCount++;
-        logger.info(
-          `Found follow-up user message for task ${this.segment.taskNumber}: "${fullText.substring(0, 50)}..."`,
-        );
-      }
-    });
-
-    // If we still haven't found any interactions, default to 1
-    if (userInteractionCount === 0) {
-      userInteractionCount = 1;
-      logger.info(
-        `No user messages found in logs, defaulting to 1 interaction for task ${this.segment.taskNumber}`,
-      );
-    }
-
-    return userInteractionCount;
-  }
-
   /**
    * Calculate token metrics for the task segment
    * @returns {Promise<TokenMetrics>} Token metrics
@@ -439,12 +397,6 @@ class MetricsCalculator {
       });
     }
 
-    // Calculate total cost if not already set
-    if (totalCost === 0 && (tokensIn > 0 || tokensOut > 0)) {
-      // Claude-3 pricing: $0.008/1K input tokens, $0.024/1K output tokens
-      totalCost = (tokensIn * 0.008) / 1000 + (tokensOut * 0.024) / 1000;
-    }
-
     logger.info(`Token metrics for task ${this.segment.taskNumber}:
       Messages with tokens: ${messagesWithTokens}
       Total input tokens: ${tokensIn}
@@ -464,76 +416,6 @@ class MetricsCalculator {
         highestConvHistoryIndex > -1 ? highestConvHistoryIndex : 0,
     };
   }
-
-  /**
-   * Determine the model used for the task
-   * @returns {Promise<string>} The model name
-   */
-  async determineModel(): Promise<string> {
-    // Prioritize the command-line argument if provided
-    if (this.modelArg) {
-      logger.info(`Using model from command-line argument: ${this.modelArg}`);
-      return this.modelArg;
-    }
-
-    // Check if we have API calls to analyze
-    if (!this.segment?.apiCalls?.length) {
-      const defaultModel = 'claude-3.7-sonnet';
-      logger.info(`No API calls found, defaulting to: ${defaultModel}`);
-      return defaultModel;
-    }
-
-    // Try to determine from logs
-    const modelFromLogs = this.segment.apiCalls.find((apiCall) => {
-      if (
-        apiCall.role === 'assistant' &&
-        apiCall.content &&
-        Array.isArray(apiCall.content)
-      ) {
-        return apiCall.content.some((content) => {
-          if (content.type === 'text' && content.text) {
-            // Look for model in system prompt
-            const systemPromptMatch = content.text.match(
-              /You are a powerful agentic AI coding assistant, powered by (Claude [\d.]+ \w+)/i,
-            );
-            return systemPromptMatch?.[1];
-          }
-          return false;
-        });
-      }
-      return false;
-    });
-
-    if (modelFromLogs) {
-      // Extract model name from the content match
-      let modelName = '';
-      modelFromLogs.content?.forEach((content) => {
-        if (content.type === 'text' && content.text) {
-          const match = content.text.match(
-            /You are a powerful agentic AI coding assistant, powered by (Claude [\d.]+ \w+)/i,
-          );
-          if (match?.[1]) {
-            modelName = match[1]
-              .toLowerCase()
-              .replace('claude ', 'claude-')
-              .replace(' ', '-');
-          }
-        }
-      });
-
-      if (modelName) {
-        logger.info(`Detected model from logs: ${modelName}`);
-        return modelName;
-      }
-    }
-
-    // Default if not found in logs and no argument provided
-    const defaultModel = 'claude-3.7-sonnet';
-    logger.info(
-      `Model not found in logs or args, defaulting to: ${defaultModel}`,
-    );
-    return defaultModel;
-  }
 }
 
 export default MetricsCalculator;
@@ -1,9 +1,13 @@
 import { logger } from '../utils';
+import { calculateSuccessStats, compareRuns } from './comparison';
+import { getActiveDuration } from './interactions';
+import { findTaskStart, findVariant, SuiteDefinition } from './suite';
 import { ApiHistoryEntry, TaskMetrics, TaskSegment, UIMessage } from './types';
 
 // Interfaces for working with metrics
 export interface MetricAverages {
   duration: number;
+  activeDuration: number;
   apiCalls: number;
   interactions: number;
   tokens: number;
@@ -20,6 +24,39 @@ export interface SummaryResponse {
   failedFiles: string[];
 }
 
+// Longest plausible run, longer durations are capped to it
+export const MAX_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+
+// Individual metric files are named <mode>_task<taskId>_<directoryId>.json
+export const METRIC_FILE_PATTERN = /^[\w-]+?_task\d+_.*\.json$/;
+
+/**
+ * Get the ID of a run extracted from a chat. The first task of a chat keeps
+ * the chat ID, so metrics extracted before chats held several tasks keep
+ * their file names, later tasks add their segment index.
+ * @param {string} chatId Chat ID
+ * @param {number} segment Position of the task in the chat, from 0
+ * @returns {string} Run ID, e.g. "1744123456789-s2" for the third task
+ */
+export function getRunId(chatId: string, segment: number): string {
+  return segment > 0 ? `${chatId}-s${segment}` : chatId;
+}
+
+/**
+ * Get the name of the task file of a run
+ * @param {string} mode Mode (suite variant)
+ * @param {number} taskId Task ID
+ * @param {string} directoryId Run ID
+ * @returns {string} File name in the tasks and timelines directories
+ */
+export function getMetricFileName(
+  mode: string,
+  taskId: number,
+  directoryId: string,
+): string {
+  return `${mode}_task${taskId}_${directoryId}.json`;
+}
+
 /**
  * Extract timestamp from an API entry
  * @param {ApiHistoryEntry} entry The API entry
@@ -28,6 +65,11 @@ export interface SummaryResponse {
 export function getTimestampFromApiEntry(
   entry: ApiHistoryEntry,
 ): number | undefined {
+  // Entries normalised from other clients carry their own timestamp
+  if (typeof entry?.ts === 'number') {
+    return entry.ts;
+  }
+
   if (!entry?.content || !Array.isArray(entry.content)) {
     return undefined;
   }
@@ -110,6 +152,7 @@ export function calculateAverages(tasks: TaskMetrics[]): MetricAverages {
   if (count === 0)
     return {
       duration: 0,
+      activeDuration: 0,
       apiCalls: 0,
       interactions: 0,
       tokens: 0,
@@ -122,6 +165,8 @@ export function calculateAverages(tasks: TaskMetrics[]): MetricAverages {
   return {
     duration:
       tasks.reduce((sum, t) => sum + (t.duration || 0), 0) / 1000 / count, // Convert to seconds
+    activeDuration:
+      tasks.reduce((sum, t) => sum + getActiveDuration(t), 0) / 1000 / count,
     apiCalls: tasks.reduce((sum, t) => sum + (t.apiCalls || 0), 0) / count,
     interactions:
       tasks.reduce((sum, t) => sum + (t.interactions || 0), 0) / count,
@@ -151,90 +196,125 @@ export function percentageChange(newValue: number, oldValue: number): string {
 }
 
 /**
- * Print performance comparison between control and MCP tasks
- * @param controlTasks Control task metrics
- * @param mcpTasks MCP task metrics
+ * Print performance comparison between the baseline and another arm
+ * @param baselineTasks Baseline task metrics
+ * @param treatmentTasks Treatment task metrics
+ * @param baseline Baseline mode label
+ * @param treatment Treatment mode label
  */
 export function printPerformanceComparison(
-  controlTasks: TaskMetrics[],
-  mcpTasks: TaskMetrics[],
+  baselineTasks: TaskMetrics[],
+  treatmentTasks: TaskMetrics[],
+  baseline = 'control',
+  treatment = 'mcp',
 ): void {
-  const controlAvg = calculateAverages(controlTasks);
-  const mcpAvg = calculateAverages(mcpTasks);
-
-  logger.info('\nPerformance Comparison:');
-  logger.info(
-    `Duration (s): Control=${controlAvg.duration.toFixed(1)}, MCP=${mcpAvg.duration.toFixed(1)} (${percentageChange(
-      mcpAvg.duration,
-      controlAvg.duration,
-    )}% change)`,
-  );
-  logger.info(
-    `API Calls: Control=${controlAvg.apiCalls.toFixed(1)}, MCP=${mcpAvg.apiCalls.toFixed(1)} (${percentageChange(
-      mcpAvg.apiCalls,
-      controlAvg.apiCalls,
-    )}% change)`,
-  );
-  logger.info(
-    `Interactions: Control=${controlAvg.interactions.toFixed(1)}, MCP=${mcpAvg.interactions.toFixed(1)} (${percentageChange(
-      mcpAvg.interactions,
-      controlAvg.interactions,
-    )}% change)`,
-  );
-  logger.info(
-    `Tokens: Control=${controlAvg.tokens.toFixed(0)}, MCP=${mcpAvg.tokens.toFixed(0)} (${percentageChange(
-      mcpAvg.tokens,
-      controlAvg.tokens,
-    )}% change)`,
-  );
-  logger.info(
-    `Cache Writes: Control=${controlAvg.cacheWrites.toFixed(0)}, MCP=${mcpAvg.cacheWrites.toFixed(0)} (${percentageChange(
-      mcpAvg.cacheWrites,
-      controlAvg.cacheWrites,
-    )}% change)`,
-  );
-  logger.info(
-    `Cache Reads: Control=${controlAvg.cacheReads.toFixed(0)}, MCP=${mcpAvg.cacheReads.toFixed(0)} (${percentageChange(
-      mcpAvg.cacheReads,
-      controlAvg.cacheReads,
-    )}% change)`,
-  );
-  logger.info(
-    `Conversation History: Control=${controlAvg.convHistoryIndex.toFixed(1)}, MCP=${mcpAvg.convHistoryIndex.toFixed(1)} (${percentageChange(
-      mcpAvg.convHistoryIndex,
-      controlAvg.convHistoryIndex,
-    )}% change)`,
-  );
-  logger.info(
-    `Cost ($): Control=${controlAvg.cost.toFixed(4)}, MCP=${mcpAvg.cost.toFixed(4)} (${percentageChange(
-      mcpAvg.cost,
-      controlAvg.cost,
-    )}% change)`,
+  const baselineAvg = calculateAverages(baselineTasks);
+  const treatmentAvg = calculateAverages(treatmentTasks);
+  const rows: Array<[string, keyof MetricAverages, number]> = [
+    ['Duration (s)', 'duration', 1],
+    ['Active Duration (s)', 'activeDuration', 1],
+    ['API Calls', 'apiCalls', 1],
+    ['Interactions', 'interactions', 1],
+    ['Tokens', 'tokens', 0],
+    ['Cache Writes', 'cacheWrites', 0],
+    ['Cache Reads', 'cacheReads', 0],
+    ['Conversation History', 'convHistoryIndex', 1],
+    ['Cost ($)', 'cost', 4],
+  ];
+
+  logger.info(`\nPerformance Comparison (${treatment} vs ${baseline}):`);
+  for (const [label, key, digits] of rows) {
+    logger.info(
+      `${label}: ${baseline}=${baselineAvg[key].toFixed(digits)}, ${treatment}=${treatmentAvg[key].toFixed(digits)} (${percentageChange(
+        treatmentAvg[key],
+        baselineAvg[key],
+      )}% change)`,
+    );
+  }
+
+  const formatP = (p?: number) => (p === undefined ? 'n/a' : p.toFixed(3));
+  logger.info(`\nStatistical Significance (${treatment} vs ${baseline}):`);
+  for (const [name, comparison] of Object.entries(
+    compareRuns(baselineTasks, treatmentTasks),
+  )) {
+    const ci = comparison.percentChangeCi95
+      ? `[${comparison.percentChangeCi95[0].toFixed(1)}%, ${comparison.percentChangeCi95[1].toFixed(1)}%]`
+      : 'n/a';
+    logger.info(
+      `${name}: median ${baseline}=${comparison.baseline.median.toFixed(2)}, ${treatment}=${comparison.treatment.median.toFixed(2)}, 95% CI of change ${ci}, Mann-Whitney p=${formatP(
+        comparison.mannWhitneyU?.pValue,
+      )}, Welch p=${formatP(comparison.welchT?.pValue)} (${
+        comparison.significant ? 'significant' : 'within noise'
+      })`,
+    );
+  }
+}
+
+/**
+ * Print the fixed overhead of the tool definitions and instructions of each
+ * arm apart from the context tokens of its task work, for the runs whose
+ * overhead was measured
+ * @param {Map<string, TaskMetrics[]>} tasksByMode Task metrics by mode
+ */
+function printRequestOverhead(tasksByMode: Map<string, TaskMetrics[]>): void {
+  const measured = [...tasksByMode].map(
+    ([mode, tasks]) =>
+      [mode, tasks.filter((t) => t.overheadTokens !== undefined)] as const,
   );
+  if (!measured.some(([, tasks]) => tasks.length)) return;
+
+  logger.info('\nFixed Request Overhead:');
+  measured.forEach(([mode, tasks]) => {
+    if (!tasks.length) return;
+    const average = (value: (t: TaskMetrics) => number) =>
+      tasks.reduce((sum, t) => sum + value(t), 0) / tasks.length;
+    const perRequest = average((t) => t.requestOverhead ?? 0);
+    const overhead = average((t) => t.overheadTokens ?? 0);
+    const context = average(
+      (t) => (t.tokensIn || 0) + (t.cacheReads || 0) + (t.cacheWrites || 0),
+    );
+    logger.info(
+      `${mode}: ${perRequest.toFixed(0)} tokens per request, ${overhead.toFixed(0)} per task (${
+        context ? ((overhead / context) * 100).toFixed(1) : 'n/a'
+      }% of context tokens), task work ${Math.max(0, context - overhead).toFixed(0)}`,
+    );
+  });
 }
 
 /**
- * Print summary statistics
+ * Print summary statistics, comparing every arm against the baseline
  * @param {TaskMetrics[]} taskMetrics Array of task metrics
  * @param {string} directory Directory where metrics are stored
+ * @param {string} [baseline] Baseline mode
  */
 export function printSummaryStatistics(
   taskMetrics: TaskMetrics[],
   directory: string,
+  baseline = 'control',
 ): void {
   if (!taskMetrics?.length) {
     logger.info('No metrics to display');
     return;
   }
 
-  const controlTasks = taskMetrics.filter((t) => t.mode === 'control');
-  const mcpTasks = taskMetrics.filter((t) => t.mode === 'mcp');
+  const modes = [
+    baseline,
+    ...[...new Set(taskMetrics.map((t) => t.mode))]
+      .filter((mode) => mode !== baseline)
+      .sort(),
+  ];
+  const tasksByMode = new Map(
+    modes.map((mode) => [mode, taskMetrics.filter((t) => t.mode === mode)]),
+  );
 
   logger.info('\nExtracted Metrics Summary:');
   logger.info('-------------------------');
   logger.info(`Total tasks processed: ${taskMetrics.length}`);
-  logger.info(`Control tasks: ${controlTasks.length}`);
-  logger.info(`MCP tasks: ${mcpTasks.length}`);
+  tasksByMode.forEach((tasks, mode) => {
+    logger.info(
+      `${mode} tasks${mode === baseline ? ' (baseline)' : ''}: ${tasks.length}`,
+    );
+  });
 
   logger.info('\nTask Details:');
   taskMetrics.forEach((task) => {
@@ -247,9 +327,28 @@ export function printSummaryStatistics(
     );
   });
 
-  if (controlTasks.length > 0 && mcpTasks.length > 0) {
-    printPerformanceComparison(controlTasks, mcpTasks);
-  }
+  logger.info('\nTask Success:');
+  tasksByMode.forEach((tasks, mode) => {
+    const stats = calculateSuccessStats(tasks);
+    logger.info(
+      `${mode}: passed=${stats.passed}, failed=${stats.failed}, unknown=${stats.unknown}, success rate=${
+        stats.successRate === null ? 'n/a' : `${stats.successRate.toFixed(1)}%`
+      }, cost per successful task=${
+        stats.costPerSuccess === null
+          ? 'n/a'
+          : `$${stats.costPerSuccess.toFixed(4)}`
+      }`,
+    );
+  });
+
+  printRequestOverhead(tasksByMode);
+
+  const baselineTasks = tasksByMode.get(baseline) ?? [];
+  tasksByMode.forEach((tasks, mode) => {
+    if (mode !== baseline && baselineTasks.length > 0 && tasks.length > 0) {
+      printPerformanceComparison(baselineTasks, tasks, baseline, mode);
+    }
+  });
 
   logger.info(`Summary file generated at: ${directory}/summary.json`);
 }
@@ -270,71 +369,12 @@ export function normalizeMetric(metric: TaskMetrics): TaskMetrics {
   };
 }
 
-/**
- * Convert a file metric format to the summary format
- * @param metric The file metric data
- * @returns TaskMetrics object
- */
-export function convertFileMetricToTaskMetric(metric: any): TaskMetrics {
-  return {
-    taskId: metric.taskNumber,
-    directoryId: metric.directoryId ?? '',
-    mode: metric.mode,
-    model: metric.model,
-    mcpServer: metric.mcpServer ?? 'Twilio',
-    mcpClient: metric.mcpClient ?? 'Cline',
-    startTime: metric.startTime,
-    endTime: metric.endTime,
-    duration: metric.duration,
-    apiCalls: metric.apiCalls ?? 0,
-    interactions: metric.interactions ?? 0,
-    tokensIn: metric.tokensIn ?? 0,
-    tokensOut: metric.tokensOut ?? 0,
-    totalTokens: metric.totalTokens ?? 0,
-    cacheWrites: metric.cacheWrites ?? 0,
-    cacheReads: metric.cacheReads ?? 0,
-    conversationHistoryIndex: metric.conversationHistoryIndex ?? 0,
-    cost: metric.cost ?? 0,
-    success: metric.success !== false,
-    notes: metric.notes ?? '',
-  };
-}
-
-/**
- * Convert a task metric to a file payload format
- * @param metric The task metric
- * @returns File payload object
- */
-export function convertTaskMetricToFilePayload(metric: TaskMetrics): any {
-  return {
-    mode: metric.mode,
-    taskNumber: metric.taskId,
-    directoryId: metric.directoryId ?? '',
-    model: metric.model,
-    startTime: metric.startTime,
-    completed: true,
-    apiCalls: metric.apiCalls ?? 0,
-    interactions: metric.interactions ?? 0,
-    tokensIn: metric.tokensIn ?? 0,
-    tokensOut: metric.tokensOut ?? 0,
-    totalTokens: metric.totalTokens ?? 0,
-    cacheWrites: metric.cacheWrites ?? 0,
-    cacheReads: metric.cacheReads ?? 0,
-    conversationHistoryIndex: metric.conversationHistoryIndex ?? 0,
-    cost: metric.cost ?? 0,
-    success: metric.success ?? false,
-    endTime: metric.endTime,
-    duration: metric.duration,
-  };
-}
-
 /**
  * Validate and adjust the duration of a metric if needed
  * @param metric The metric to validate
  * @returns The metric with validated duration
  */
 export function validateDuration(metric: TaskMetrics): TaskMetrics {
-  const MAX_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
   let { duration } = metric;
 
   if (duration < 0 || duration > MAX_DURATION) {
@@ -345,6 +385,10 @@ export function validateDuration(metric: TaskMetrics): TaskMetrics {
     return {
       ...metric,
       duration,
+      activeDuration:
+        metric.activeDuration === undefined
+          ? undefined
+          : Math.min(metric.activeDuration, duration),
       endTime: metric.startTime + duration,
     };
   }
@@ -353,16 +397,16 @@ export function validateDuration(metric: TaskMetrics): TaskMetrics {
 }
 
 /**
- * Identify the test type (control or mcp) from the chat data
+ * Identify the suite variant (test type) from the chat data
  * @param {UIMessage[]} uiMessages UI messages from the chat
  * @param {ApiHistoryEntry[]} apiHistory API history entries from the chat
+ * @param {SuiteDefinition} suite Suite declaring the variants and their markers
  * @returns {string|undefined} Test type or undefined if not identifiable
  */
 export function identifyTestType(
   uiMessages: UIMessage[],
   apiHistory: ApiHistoryEntry[],
-  mcpMarker: string,
-  controlMarker: string,
+  suite: SuiteDefinition,
 ): string | undefined {
   if (!uiMessages?.length || !apiHistory?.length) {
     return undefined;
@@ -371,25 +415,18 @@ export function identifyTestType(
   // Check UI messages first
   for (const message of uiMessages) {
     if (message.type === 'say' && message.say === 'text' && message.text) {
-      if (
-        message.text.includes("'instructions/control_instructions.md'") ||
-        message.text.includes('"instructions/control_instructions.md"') ||
-        message.text.includes(controlMarker)
-      ) {
-        return 'control';
-      }
-
-      if (
-        message.text.includes("'instructions/mcp_instructions.md'") ||
-        message.text.includes('"instructions/mcp_instructions.md"') ||
-        message.text.includes(controlMarker)
-      ) {
-        return 'mcp';
+      const variant = findVariant(message.text, suite);
+      if (variant) {
+        return variant;
       }
     }
 
     // Check for MCP usage
-    if (message.type === 'say' && message.say === 'use_mcp_server') {
+    if (
+      message.type === 'say' &&
+      message.say === 'use_mcp_server' &&
+      suite.variants.some((variant) => variant.id === 'mcp')
+    ) {
       return 'mcp';
     }
   }
@@ -402,21 +439,9 @@ export function identifyTestType(
       Array.isArray(entry.content)
     ) {
       const content = entry.content.map((c) => c.text ?? '').join(' ');
-
-      if (
-        content.includes(controlMarker) ||
-        content.includes("'instructions/control_instructions.md'") ||
-        content.includes('"instructions/control_instructions.md"')
-      ) {
-        return 'control';
-      }
-
-      if (
-        content.includes(controlMarker) ||
-        content.includes("'instructions/mcp_instructions.md'") ||
-        content.includes('"instructions/mcp_instructions.md"')
-      ) {
-        return 'mcp';
+      const variant = findVariant(content, suite);
+      if (variant) {
+        return variant;
       }
     }
   }
@@ -589,49 +614,54 @@ export function validateTaskBoundaries(
  * Find task boundaries from UI messages
  * @param {UIMessage[]} uiMessages Array of UI messages
  * @param {string} directoryId Current directory ID
- * @param {string} testType Test type (control or mcp)
+ * @param {string} testType Suite variant the chat was identified as
+ * @param {SuiteDefinition} suite Suite declaring the task start markers
  * @returns {TaskSegment[]} Array of identified task boundaries
  */
 export function findTaskBoundaries(
   uiMessages: UIMessage[],
   directoryId: string,
   testType: string,
+  suite: SuiteDefinition,
 ): TaskSegment[] {
   const taskBoundaries: TaskSegment[] = [];
-  const taskNumbers = new Set<number>();
+  // Set when a task starts, cleared by its first API request
+  let pendingStart: string | undefined;
 
   // Find task boundaries in UI messages
   for (let i = 0; i < uiMessages.length; i++) {
     const message = uiMessages[i];
 
+    if (message.type === 'say' && message.say === 'api_req_started') {
+      pendingStart = undefined;
+    }
+
     if (message.type === 'say' && message.say === 'text' && message.text) {
       let taskNumber: number | undefined;
       let messageTestType = testType;
 
-      // Only look for task starts in specific instruction formats
-      const taskStartMatch = message.text.match(
-        /Complete Task (\d+) using the (?:commands|tools|functions)/i,
-      );
-      if (taskStartMatch?.[1]) {
-        taskNumber = parseInt(taskStartMatch[1], 10);
-
-        // Verify this is actually a task instruction by checking for instruction file references
-        if (message.text.includes('control_instructions.md')) {
-          messageTestType = 'control';
-        } else if (message.text.includes('mcp_instructions.md')) {
-          messageTestType = 'mcp';
+      // Only look for task starts matching the suite's start markers
+      taskNumber = findTaskStart(message.text, suite);
+      if (taskNumber !== undefined) {
+        // Verify this is actually a task instruction by checking for a variant marker
+        const variant = findVariant(message.text, suite);
+        if (variant) {
+          messageTestType = variant;
         } else {
           // Not a real task instruction
           taskNumber = undefined;
         }
       }
 
-      if (taskNumber && !taskNumbers.has(taskNumber)) {
-        taskNumbers.add(taskNumber);
+      // Every start is a new segment, including repeats of a task, unless it
+      // resends the instruction of a task that has not made a request yet
+      if (taskNumber && message.text !== pendingStart) {
+        pendingStart = message.text;
 
         taskBoundaries.push({
           taskNumber,
           directoryId,
+          segment: taskBoundaries.length,
           startIndex: i,
           startTime: message.ts as number,
           apiCalls: [],
@@ -0,0 +1,106 @@
+import assert from 'assert/strict';
+import { promises as fs } from 'fs';
+import { test } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import {
+  DEFAULT_MODEL_ALIASES,
+  determineModel,
+  loadModelAliases,
+  normalizeModel,
+} from './models';
+import { TaskSegment } from './types';
+
+const segment = (overrides: Partial<TaskSegment>): TaskSegment => ({
+  taskNumber: 1,
+  directoryId: '1',
+  segment: 0,
+  startIndex: 0,
+  startTime: 0,
+  apiCalls: [],
+  userMessages: [],
+  endIndex: null,
+  endTime: 1000,
+  testType: 'mcp',
+  ...overrides,
+});
+
+test('normalises provider model names to the price sheet names', () => {
+  const names: Record<string, string> = {
+    'claude-3-7-sonnet-20250219': 'claude-3.7-sonnet',
+    'anthropic/claude-3-7-sonnet-20250219': 'claude-3.7-sonnet',
+    'us.anthropic.claude-3-7-sonnet-20250219-v1:0': 'claude-3.7-sonnet',
+    'claude-3-opus@20240229': 'claude-3-opus',
+    'Claude 3.7 Sonnet': 'claude-3.7-sonnet',
+    'claude-sonnet-4-5-20250929': 'claude-sonnet-4.5',
+    'claude-3-7-sonnet-latest': 'claude-3.7-sonnet',
+    'openai/gpt-4o-2024-08-06': 'gpt-4o',
+    'gpt-4o-mini': 'gpt-4o-mini',
+  };
+  Object.entries(names).forEach(([name, model]) =>
+    assert.equal(normalizeModel(name), model, name),
+  );
+  assert.equal(
+    normalizeModel('My-Proxy', { 'my-proxy': 'claude-sonnet-4' }),
+    'claude-sonnet-4',
+  );
+});
+
+test('takes the model from requests, then the selection, then the default', () => {
+  const request = (payload: object) => ({
+    type: 'say',
+    say: 'api_req_started',
+    text: JSON.stringify(payload),
+  });
+  const modelUsage = [
+    { ts: 0, model: 'gpt-4.1' },
+    { ts: 500, model: 'anthropic/claude-sonnet-4' },
+    { ts: 2000, model: 'gpt-4o' },
+  ];
+
+  assert.deepEqual(
+    determineModel(
+      segment({
+        uiMessages: [
+          request({ headers: { 'OpenAI-Model': 'gpt-4o-mini-2024-07-18' } }),
+        ],
+        modelUsage,
+      }),
+    ),
+    { model: 'gpt-4o-mini', source: 'detected' },
+  );
+  assert.deepEqual(
+    determineModel(segment({ uiMessages: [request({})], modelUsage })),
+    { model: 'claude-sonnet-4', source: 'detected' },
+  );
+  assert.deepEqual(determineModel(segment({}), 'my-model'), {
+    model: 'my-model',
+    source: 'arg',
+  });
+  assert.deepEqual(determineModel(segment({})), {
+    model: 'claude-3.7-sonnet',
+    source: 'default',
+  });
+});
+
+test('overlays a model aliases file on the defaults', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-te-alias-'));
+  try {
+    const file = path.join(directory, 'model-aliases.json');
+    await fs.writeFile(file, JSON.stringify({ 'My-Proxy': 'Claude-Sonnet-4' }));
+    const aliases = await loadModelAliases(file);
+    assert.equal(aliases['my-proxy'], 'claude-sonnet-4');
+
+    await fs.writeFile(file, JSON.stringify({ proxy: 4 }));
+    await assert.rejects(loadModelAliases(file), /proxy must map to a model/);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+test('fails for an aliases file that was passed but cannot be read', async () => {
+  const file = path.join(os.tmpdir(), 'missing-model-aliases.json');
+  await assert.rejects(loadModelAliases(file), /Could not read model aliases/);
+  assert.equal(await loadModelAliases(file, true), DEFAULT_MODEL_ALIASES);
+});
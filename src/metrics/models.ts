@@ -0,0 +1,236 @@
+import { promises as fs } from 'fs';
+
+import { logger } from '../utils';
+import { ModelSource, ModelUsage, TaskSegment, UIMessage } from './types';
+
+/**
+ * Model names by alias, both in lower case. Aliases are looked up before and
+ * after the generic normalisation in normalizeModel.
+ */
+export type ModelAliases = Record<string, string>;
+
+// Assumed when neither the logs nor the arguments name a model
+export const DEFAULT_MODEL = 'claude-3.7-sonnet';
+
+export const DEFAULT_MODEL_ALIASES: ModelAliases = {
+  'claude-3-7-sonnet-latest': 'claude-3.7-sonnet',
+  'claude-3-5-sonnet-latest': 'claude-3.5-sonnet',
+  'claude-3-5-haiku-latest': 'claude-3.5-haiku',
+  'claude-3-opus-latest': 'claude-3-opus',
+  'claude-3.7-sonnet:thinking': 'claude-3.7-sonnet',
+  'claude-3-7-sonnet-thinking': 'claude-3.7-sonnet',
+  'chatgpt-4o-latest': 'gpt-4o',
+};
+
+// Response headers naming the model that served a request
+const MODEL_HEADERS = ['openai-model'];
+
+// Cline's system prompt named the model in older versions
+const SYSTEM_PROMPT_MODEL =
+  /You are a powerful agentic AI coding assistant, powered by (Claude [\d.]+ \w+)/i;
+
+/**
+ * Load the model aliases, overlaying an optional JSON file of
+ * `{ "alias": "model" }` entries on the defaults
+ * @param {string} [file] Path to the aliases file
+ * @param {boolean} [optional] Use the defaults if the file does not exist,
+ * for the file of the metrics directory rather than one the user passed
+ * @returns {Promise<ModelAliases>} The merged aliases
+ */
+export async function loadModelAliases(
+  file?: string,
+  optional = false,
+): Promise<ModelAliases> {
+  if (!file) {
+    return DEFAULT_MODEL_ALIASES;
+  }
+
+  let content: string;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (optional && (error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return DEFAULT_MODEL_ALIASES;
+    }
+    throw new Error(
+      `Could not read model aliases ${file}: ${(error as Error).message}`,
+    );
+  }
+
+  const aliases: unknown = JSON.parse(content);
+  if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+    throw new Error(`Invalid model aliases in ${file}: expected an object`);
+  }
+  const entries = Object.entries(aliases);
+  const invalid = entries.filter(([, model]) => typeof model !== 'string');
+  if (invalid.length) {
+    throw new Error(
+      `Invalid model aliases in ${file}: ${invalid.map(([alias]) => alias).join(', ')} must map to a model name`,
+    );
+  }
+
+  logger.info(`Loaded model aliases from ${file}`);
+  return {
+    ...DEFAULT_MODEL_ALIASES,
+    ...Object.fromEntries(
+      entries.map(([alias, model]) => [
+        alias.toLowerCase(),
+        (model as string).toLowerCase(),
+      ]),
+    ),
+  };
+}
+
+/**
+ * Strip the release date or version suffix of a model id, e.g.
+ * "claude-3.7-sonnet-20250219", "claude-3-opus@20240229" or
+ * "gpt-4o-2024-08-06"
+ * @param {string} model The model id
+ * @returns {string} The model id without its suffix
+ */
+export function stripModelVersion(model: string): string {
+  return model
+    .replace(/[-@]\d{8}(-v\d+(:\d+)?)?$/, '')
+    .replace(/-\d{4}-\d{2}-\d{2}$/, '');
+}
+
+/**
+ * Normalise a model name as reported by a provider, e.g.
+ * "anthropic/claude-3-7-sonnet-20250219" or "Claude 3.7 Sonnet" both become
+ * "claude-3.7-sonnet", the form used by the price sheet
+ * @param {string} name Model name
+ * @param {ModelAliases} aliases Model names by alias
+ * @returns {string} Normalised model name
+ */
+export function normalizeModel(
+  name: string,
+  aliases: ModelAliases = DEFAULT_MODEL_ALIASES,
+): string {
+  const lower = name.trim().toLowerCase().replace(/\s+/g, '-');
+  if (aliases[lower]) {
+    return aliases[lower];
+  }
+
+  // Provider prefixes: OpenRouter "anthropic/", Bedrock "us.anthropic."
+  const normalized = stripModelVersion(
+    lower.replace(/^.*\//, '').replace(/^([a-z]{2}\.)?anthropic\./, ''),
+  )
+    // claude-3-7-sonnet and claude-sonnet-4-5 name versions with dashes
+    .replace(/^claude-(\d)-(\d)-/, 'claude-$1.$2-')
+    .replace(/^claude-(sonnet|opus|haiku)-(\d)-(\d)$/, 'claude-$1-$2.$3');
+  return aliases[normalized] ?? normalized;
+}
+
+/**
+ * Read the model of a request from a Cline-style api_req_started payload,
+ * which other log sources and the runner fill with the response's model
+ * @param {UIMessage} message The api_req_started message
+ * @returns {string|undefined} Model name or undefined if the payload has none
+ */
+function getRequestModel(message: UIMessage): string | undefined {
+  let payload: { model?: unknown; headers?: Record<string, unknown> };
+  try {
+    payload = JSON.parse(message.text ?? '');
+  } catch (error) {
+    return undefined;
+  }
+  if (typeof payload?.model === 'string' && payload.model) {
+    return payload.model;
+  }
+
+  const headers = Object.fromEntries(
+    Object.entries(payload?.headers ?? {}).map(([key, value]) => [
+      key.toLowerCase(),
+      value,
+    ]),
+  );
+  const header = MODEL_HEADERS.map((key) => headers[key]).find(
+    (value) => typeof value === 'string' && value,
+  );
+  return header as string | undefined;
+}
+
+/**
+ * Find the model the client had selected when a task ran. The latest
+ * selection before the task ended wins, as it served the task's last
+ * requests.
+ * @param {ModelUsage[]} usage Model selections recorded by the client
+ * @param {number} endTime End of the task
+ * @returns {string|undefined} Model name or undefined if none was recorded
+ */
+function getSelectedModel(
+  usage: ModelUsage[],
+  endTime: number,
+): string | undefined {
+  return [...usage]
+    .filter((entry) => entry.model && entry.ts <= endTime)
+    .sort((a, b) => a.ts - b.ts)
+    .pop()?.model;
+}
+
+/**
+ * Detect the model of a task segment from the structured data in its logs:
+ * the model or response headers of each request, then the model selection
+ * recorded by the client, then the legacy Cline system prompt
+ * @param {TaskSegment} segment The task segment
+ * @returns {string|undefined} Model name as found, or undefined if the logs do not name one
+ */
+export function detectModel(segment: TaskSegment): string | undefined {
+  const fromRequests = (segment.uiMessages ?? [])
+    .filter(
+      (message) => message.type === 'say' && message.say === 'api_req_started',
+    )
+    .map(getRequestModel)
+    .filter((model): model is string => !!model)
+    .pop();
+  if (fromRequests) {
+    return fromRequests;
+  }
+
+  const fromMetadata = getSelectedModel(
+    segment.modelUsage ?? [],
+    segment.endTime ?? Number.MAX_SAFE_INTEGER,
+  );
+  if (fromMetadata) {
+    return fromMetadata;
+  }
+
+  for (const apiCall of segment.apiCalls ?? []) {
+    if (apiCall.role === 'assistant' && Array.isArray(apiCall.content)) {
+      const match = apiCall.content
+        .map((content) =>
+          content.type === 'text'
+            ? content.text?.match(SYSTEM_PROMPT_MODEL)
+            : null,
+        )
+        .find((result) => result?.[1]);
+      if (match) {
+        return match[1];
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Determine the model of a task segment and where it came from
+ * @param {TaskSegment} segment The task segment
+ * @param {string} [modelArg] Model passed on the command line, which wins
+ * @param {ModelAliases} aliases Model names by alias
+ * @returns {{model: string, source: ModelSource}} Normalised model name and its source
+ */
+export function determineModel(
+  segment: TaskSegment,
+  modelArg?: string,
+  aliases: ModelAliases = DEFAULT_MODEL_ALIASES,
+): { model: string; source: ModelSource } {
+  if (modelArg) {
+    return { model: modelArg, source: 'arg' };
+  }
+
+  const detected = detectModel(segment);
+  if (detected) {
+    return { model: normalizeModel(detected, aliases), source: 'detected' };
+  }
+  return { model: DEFAULT_MODEL, source: 'default' };
+}
@@ -0,0 +1,95 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import { MAX_DURATION } from './metrics-utils';
+import { describeOutliers, flagOutliers } from './outliers';
+import { TaskMetrics } from './types';
+
+/**
+ * Create a run of task 1 with the given API calls
+ * @param {string} directoryId The run's directory ID
+ * @param {number} apiCalls The run's API calls
+ * @returns {TaskMetrics} The run
+ */
+function createRun(directoryId: string, apiCalls: number): TaskMetrics {
+  return {
+    taskId: 1,
+    directoryId,
+    mode: 'mcp',
+    model: 'claude-3.7-sonnet',
+    startTime: 0,
+    endTime: 60000,
+    duration: 60000,
+    apiCalls,
+    interactions: 1,
+    tokensIn: 0,
+    tokensOut: 0,
+    totalTokens: 0,
+    cacheWrites: 0,
+    cacheReads: 0,
+    conversationHistoryIndex: 0,
+    cost: 0,
+    success: true,
+    notes: '',
+  };
+}
+
+const RUNS = [10, 11, 12, 10, 40].map((apiCalls, index) =>
+  createRun(`${index + 1}`, apiCalls),
+);
+
+test("flags runs outside Tukey's fences of their group", () => {
+  const flagged = flagOutliers(RUNS, 'iqr');
+  assert.deepEqual(
+    flagged.filter((run) => run.outliers).map((run) => run.directoryId),
+    ['5'],
+  );
+  assert.deepEqual(flagged[4].outliers, [
+    { metric: 'apiCalls', method: 'iqr', value: 40, low: 7, high: 15 },
+  ]);
+  assert.equal(
+    describeOutliers(flagged[4].outliers ?? []),
+    'apiCalls 40 outside 7-15 (iqr)',
+  );
+
+  // Other models, modes and tasks are groups of their own
+  const otherTask = { ...createRun('6', 1000), taskId: 2 };
+  assert.equal(
+    flagOutliers([...RUNS, otherTask], 'iqr')[5].outliers,
+    undefined,
+  );
+});
+
+test('needs enough runs for z-scores and flags nothing without a method', () => {
+  assert.ok(flagOutliers(RUNS, 'zscore').every((run) => !run.outliers));
+  assert.ok(flagOutliers(RUNS, 'none').every((run) => !run.outliers));
+
+  const runs = [...Array(10)].map((_, index) => createRun(`${index}`, 10));
+  const flagged = flagOutliers([...runs, createRun('far', 100)], 'zscore');
+  assert.equal(flagged[10].outliers?.[0].method, 'zscore');
+});
+
+test('flags excluded and capped runs without counting them', () => {
+  const excluded = {
+    ...createRun('6', 1000),
+    exclusion: { reason: 'Broken', user: 'me', time: '2025-04-01T00:00:00Z' },
+  };
+  const capped = { ...createRun('7', 11), duration: MAX_DURATION };
+  const flagged = flagOutliers([...RUNS, excluded, capped], 'iqr');
+
+  assert.deepEqual(flagged[4].outliers?.[0].high, 15);
+  assert.equal(flagged[5].outliers?.[0].metric, 'apiCalls');
+  assert.deepEqual(flagged[6].outliers, [
+    {
+      metric: 'duration',
+      method: 'capped',
+      value: MAX_DURATION / 1000,
+      low: 0,
+      high: MAX_DURATION / 1000,
+    },
+  ]);
+
+  // Outliers of an earlier summary are replaced
+  const reflagged = flagOutliers(flagged, 'none');
+  assert.deepEqual(reflagged[4], RUNS[4]);
+});
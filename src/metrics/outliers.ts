@@ -0,0 +1,116 @@
+import { COMPARED_METRICS } from './comparison';
+import { MAX_DURATION } from './metrics-utils';
+import { mean, quantile, standardDeviation } from './statistics';
+import { OutlierMethod, RunOutlier, TaskMetrics } from './types';
+
+export const OUTLIER_METHODS = ['iqr', 'zscore', 'none'];
+
+// Metrics checked for outliers, named as in COMPARED_METRICS
+export const OUTLIER_METRICS = ['duration', 'apiCalls', 'tokens', 'cost'];
+
+// Tukey's fences, values beyond 1.5 interquartile ranges from the quartiles
+const IQR_FACTOR = 1.5;
+const IQR_MIN_RUNS = 4;
+
+// Values more than 3 standard deviations from the mean. With n runs no value
+// can be further than (n - 1) / sqrt(n) deviations, so this needs 11 runs.
+const Z_SCORE_LIMIT = 3;
+const Z_SCORE_MIN_RUNS = 11;
+
+/**
+ * Get the range of normal values of a metric
+ * @param {number[]} values Values of the group
+ * @param {string} method Outlier method
+ * @returns {[number, number]|null} Lowest and highest normal value, null if the group is too small
+ */
+function normalRange(
+  values: number[],
+  method: string,
+): [number, number] | null {
+  if (method === 'iqr' && values.length >= IQR_MIN_RUNS) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    const spread = (q3 - q1) * IQR_FACTOR;
+    return [q1 - spread, q3 + spread];
+  }
+  if (method === 'zscore' && values.length >= Z_SCORE_MIN_RUNS) {
+    const average = mean(values);
+    const spread = standardDeviation(values) * Z_SCORE_LIMIT;
+    return [average - spread, average + spread];
+  }
+  return null;
+}
+
+/**
+ * Flag runs whose metrics are far from the other runs of the same model,
+ * mode and task, and runs whose duration was capped as implausible.
+ * Excluded and capped runs are flagged too but do not count towards the
+ * normal range.
+ * @param {TaskMetrics[]} runs The runs
+ * @param {string} method Outlier method, "iqr", "zscore" or "none"
+ * @returns {TaskMetrics[]} The runs, with the outliers found on each
+ */
+export function flagOutliers(
+  runs: TaskMetrics[],
+  method: string,
+): TaskMetrics[] {
+  const groups = new Map<string, TaskMetrics[]>();
+  runs.forEach((run) => {
+    if (run.exclusion || run.duration >= MAX_DURATION) return;
+    const key = JSON.stringify([run.model, run.mode, run.taskId]);
+    groups.set(key, [...(groups.get(key) ?? []), run]);
+  });
+
+  return runs.map((run) => {
+    const { outliers: previous, ...rest } = run;
+    const outliers: RunOutlier[] = [];
+    if (run.duration >= MAX_DURATION) {
+      outliers.push({
+        metric: 'duration',
+        method: 'capped',
+        value: run.duration / 1000,
+        low: 0,
+        high: MAX_DURATION / 1000,
+      });
+    }
+
+    const group =
+      groups.get(JSON.stringify([run.model, run.mode, run.taskId])) ?? [];
+    OUTLIER_METRICS.forEach((metric) => {
+      const value = COMPARED_METRICS[metric];
+      const range = normalRange(group.map(value), method);
+      if (!range || outliers.some((outlier) => outlier.metric === metric)) {
+        return;
+      }
+      const [low, high] = range;
+      if (value(run) < low || value(run) > high) {
+        outliers.push({
+          metric,
+          method: method as OutlierMethod,
+          value: value(run),
+          low,
+          high,
+        });
+      }
+    });
+
+    return outliers.length ? { ...rest, outliers } : rest;
+  });
+}
+
+/**
+ * Describe the outliers of a run for logs
+ * @param {RunOutlier[]} outliers Outliers of the run
+ * @returns {string} e.g. "duration 812.4 outside 10.2-95.1 (iqr)"
+ */
+export function describeOutliers(outliers: RunOutlier[]): string {
+  const format = (value: number) => String(Number(value.toFixed(4)));
+  return outliers
+    .map((outlier) =>
+      outlier.method === 'capped'
+        ? `${outlier.metric} capped at ${format(outlier.high)}`
+        : `${outlier.metric} ${format(outlier.value)} outside ${format(outlier.low)}-${format(outlier.high)} (${outlier.method})`,
+    )
+    .join(', ');
+}
@@ -0,0 +1,83 @@
+import assert from 'assert/strict';
+import { promises as fs } from 'fs';
+import { test } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import {
+  calculateModelCost,
+  DEFAULT_PRICE_SHEET,
+  getModelPricing,
+  loadPriceSheet,
+} from './pricing';
+
+const USAGE = {
+  tokensIn: 1_000_000,
+  tokensOut: 100_000,
+  cacheWrites: 0,
+  cacheReads: 0,
+};
+
+test('matches dated model ids but not other models of the family', () => {
+  assert.equal(
+    getModelPricing(DEFAULT_PRICE_SHEET, 'gpt-4o-2024-08-06'),
+    DEFAULT_PRICE_SHEET.models['gpt-4o'],
+  );
+  assert.equal(
+    getModelPricing(DEFAULT_PRICE_SHEET, 'claude-3.7-sonnet-20250219'),
+    DEFAULT_PRICE_SHEET.models['claude-3.7-sonnet'],
+  );
+  assert.equal(
+    getModelPricing(DEFAULT_PRICE_SHEET, 'gpt-4o-mini'),
+    DEFAULT_PRICE_SHEET.models['gpt-4o-mini'],
+  );
+  assert.equal(getModelPricing(DEFAULT_PRICE_SHEET, 'gpt-4o-nano'), undefined);
+});
+
+test('prices unknown models as the default model', () => {
+  assert.equal(
+    calculateModelCost(DEFAULT_PRICE_SHEET, 'unknown-model', USAGE),
+    calculateModelCost(DEFAULT_PRICE_SHEET, 'claude-3.7-sonnet', USAGE),
+  );
+  assert.equal(
+    calculateModelCost(DEFAULT_PRICE_SHEET, 'gpt-4.1', USAGE),
+    2 + 0.8,
+  );
+});
+
+test('overlays a price sheet, normalising its model names', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-te-prices-'));
+  try {
+    const file = path.join(directory, 'prices.json');
+    const pricing = { input: 1, output: 2, cacheWrite: 1, cacheRead: 0.1 };
+    await fs.writeFile(
+      file,
+      JSON.stringify({
+        version: 'test',
+        models: {
+          'Claude-3.7-Sonnet': pricing,
+          'anthropic/claude-sonnet-4-5-20250929': pricing,
+        },
+      }),
+    );
+    const sheet = await loadPriceSheet(file);
+    assert.equal(sheet.version, 'test');
+    assert.deepEqual(getModelPricing(sheet, 'claude-3.7-sonnet'), pricing);
+    assert.deepEqual(getModelPricing(sheet, 'claude-sonnet-4.5'), pricing);
+    assert.equal(
+      getModelPricing(sheet, 'claude-3-opus'),
+      DEFAULT_PRICE_SHEET.models['claude-3-opus'],
+    );
+
+    await fs.writeFile(
+      file,
+      JSON.stringify({ models: { 'gpt-4o': { input: 1 } } }),
+    );
+    await assert.rejects(
+      loadPriceSheet(file),
+      /Invalid pricing for model gpt-4o .*: missing output, cacheWrite, cacheRead/,
+    );
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
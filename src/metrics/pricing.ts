@@ -0,0 +1,216 @@
+import { promises as fs } from 'fs';
+
+import { logger } from '../utils';
+import { DEFAULT_MODEL, normalizeModel, stripModelVersion } from './models';
+
+/**
+ * Token prices for a model, in USD per million tokens
+ */
+export type ModelPricing = {
+  input: number;
+  output: number;
+  cacheWrite: number;
+  cacheRead: number;
+};
+
+/**
+ * A versioned set of model prices
+ */
+export type PriceSheet = {
+  version: string;
+  models: Record<string, ModelPricing>;
+};
+
+export type TokenUsage = {
+  tokensIn: number;
+  tokensOut: number;
+  cacheWrites: number;
+  cacheReads: number;
+};
+
+export const DEFAULT_PRICED_MODEL = DEFAULT_MODEL;
+
+export const DEFAULT_PRICE_SHEET: PriceSheet = {
+  version: '2025-10-01',
+  models: {
+    'claude-3.7-sonnet': {
+      input: 3,
+      output: 15,
+      cacheWrite: 3.75,
+      cacheRead: 0.3,
+    },
+    'claude-3.5-sonnet': {
+      input: 3,
+      output: 15,
+      cacheWrite: 3.75,
+      cacheRead: 0.3,
+    },
+    'claude-3.5-haiku': {
+      input: 0.8,
+      output: 4,
+      cacheWrite: 1,
+      cacheRead: 0.08,
+    },
+    'claude-3-opus': {
+      input: 15,
+      output: 75,
+      cacheWrite: 18.75,
+      cacheRead: 1.5,
+    },
+    'claude-sonnet-4': {
+      input: 3,
+      output: 15,
+      cacheWrite: 3.75,
+      cacheRead: 0.3,
+    },
+    'claude-sonnet-4.5': {
+      input: 3,
+      output: 15,
+      cacheWrite: 3.75,
+      cacheRead: 0.3,
+    },
+    'claude-opus-4': {
+      input: 15,
+      output: 75,
+      cacheWrite: 18.75,
+      cacheRead: 1.5,
+    },
+    'claude-opus-4.1': {
+      input: 15,
+      output: 75,
+      cacheWrite: 18.75,
+      cacheRead: 1.5,
+    },
+    'gpt-4o': {
+      input: 2.5,
+      output: 10,
+      cacheWrite: 2.5,
+      cacheRead: 1.25,
+    },
+    'gpt-4o-mini': {
+      input: 0.15,
+      output: 0.6,
+      cacheWrite: 0.15,
+      cacheRead: 0.075,
+    },
+    'gpt-4.1': {
+      input: 2,
+      output: 8,
+      cacheWrite: 2,
+      cacheRead: 0.5,
+    },
+    'gpt-4.1-mini': {
+      input: 0.4,
+      output: 1.6,
+      cacheWrite: 0.4,
+      cacheRead: 0.1,
+    },
+    'gpt-4.1-nano': {
+      input: 0.1,
+      output: 0.4,
+      cacheWrite: 0.1,
+      cacheRead: 0.025,
+    },
+  },
+};
+
+/**
+ * Load a price sheet, overlaying an optional JSON file on the defaults
+ * @param {string} [file] Path to a JSON price sheet
+ * @returns {Promise<PriceSheet>} The merged price sheet
+ */
+export async function loadPriceSheet(file?: string): Promise<PriceSheet> {
+  if (!file) {
+    return DEFAULT_PRICE_SHEET;
+  }
+
+  const content = await fs.readFile(file, 'utf8');
+  const overrides: Partial<PriceSheet> = JSON.parse(content);
+
+  // Override keys are looked up like the models of the runs
+  const models: Record<string, ModelPricing> = {};
+  for (const [model, pricing] of Object.entries(overrides.models ?? {})) {
+    const missing = (
+      ['input', 'output', 'cacheWrite', 'cacheRead'] as const
+    ).filter((key) => typeof pricing?.[key] !== 'number');
+    if (missing.length) {
+      throw new Error(
+        `Invalid pricing for model ${model} in ${file}: missing ${missing.join(', ')}`,
+      );
+    }
+    models[normalizeModel(model)] = pricing;
+  }
+
+  return {
+    version: overrides.version ?? `${DEFAULT_PRICE_SHEET.version}+custom`,
+    models: {
+      ...DEFAULT_PRICE_SHEET.models,
+      ...models,
+    },
+  };
+}
+
+// Models already warned about, so each unpriced model is reported once
+const unpricedModels = new Set<string>();
+
+/**
+ * Find the pricing for a model. Dated model ids match their model without
+ * the date, other names must match exactly: gpt-4o-mini is not gpt-4o.
+ * @param {PriceSheet} sheet The price sheet
+ * @param {string} model The model name
+ * @returns {ModelPricing|undefined} The pricing or undefined if unknown
+ */
+export function getModelPricing(
+  sheet: PriceSheet,
+  model: string,
+): ModelPricing | undefined {
+  const normalized = model.toLowerCase();
+  const pricing =
+    sheet.models[normalized] ?? sheet.models[stripModelVersion(normalized)];
+  if (!pricing && !unpricedModels.has(normalized)) {
+    unpricedModels.add(normalized);
+    logger.warn(
+      `No pricing found for model ${model} in price sheet ${sheet.version}, pricing it as ${DEFAULT_PRICED_MODEL}. Add it to a price sheet passed with --pricing.`,
+    );
+  }
+  return pricing;
+}
+
+/**
+ * Calculate the cost of token usage
+ * @param {ModelPricing} pricing Model pricing
+ * @param {TokenUsage} usage Token usage
+ * @returns {number} Cost in USD
+ */
+export function calculateCost(
+  pricing: ModelPricing,
+  usage: TokenUsage,
+): number {
+  return (
+    (usage.tokensIn * pricing.input +
+      usage.tokensOut * pricing.output +
+      usage.cacheWrites * pricing.cacheWrite +
+      usage.cacheReads * pricing.cacheRead) /
+    1_000_000
+  );
+}
+
+/**
+ * Calculate the cost of token usage for a model, falling back to the default
+ * model's pricing when the model is not in the price sheet
+ * @param {PriceSheet} sheet The price sheet
+ * @param {string} model The model name
+ * @param {TokenUsage} usage Token usage
+ * @returns {number} Cost in USD
+ */
+export function calculateModelCost(
+  sheet: PriceSheet,
+  model: string,
+  usage: TokenUsage,
+): number {
+  const pricing =
+    getModelPricing(sheet, model) ??
+    sheet.models[DEFAULT_PRICED_MODEL] ??
+    DEFAULT_PRICE_SHEET.models[DEFAULT_PRICED_MODEL];
+  return calculateCost(pricing, usage);
+}
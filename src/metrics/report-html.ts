@@ -0,0 +1,316 @@
+import {
+  BenchmarkReport,
+  ComparisonTable,
+  describePricing,
+  formatReportChange,
+  formatReportValue,
+  getArmName,
+  getArmValue,
+  getTaskTitle,
+  METHODOLOGY_NOTES,
+  ModelReport,
+  REPORT_METRICS,
+} from './report';
+
+// Arm colors of the dashboard, baseline first
+const ARM_COLORS = [
+  '18, 28, 45',
+  '242, 47, 70',
+  '0, 122, 135',
+  '245, 166, 35',
+  '111, 66, 193',
+  '40, 167, 69',
+];
+
+// Metrics charted per task, as in the dashboard's performance charts
+const CHART_METRICS = REPORT_METRICS.filter((metric) =>
+  ['duration', 'apiCalls', 'tokens', 'cost'].includes(metric.key),
+);
+
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 240;
+const CHART_MARGIN = { top: 16, right: 8, bottom: 32, left: 64 };
+
+const STYLES = `
+:root { --primary: #f22f46; --text: #001b2d; --muted: #606b85; --border: #e1e3ea; }
+* { box-sizing: border-box; }
+body { margin: 0; background: #f4f4f6; color: var(--text); font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; line-height: 1.5; }
+.container { max-width: 1200px; margin: 0 auto; padding: 2rem 1rem; }
+header { background: var(--text); color: #fff; padding: 2rem 1rem; }
+header h1 { margin: 0 auto; max-width: 1200px; font-size: 1.75rem; }
+header p { margin: 0.5rem auto 0; max-width: 1200px; opacity: 0.8; }
+.card { background: #fff; border-radius: 8px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1); padding: 1.5rem; margin-bottom: 1.5rem; }
+h2 { margin-top: 0; }
+h3 { margin-bottom: 0.5rem; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+th, td { border-bottom: 1px solid var(--border); padding: 0.5rem; text-align: right; white-space: nowrap; }
+th:first-child, td:first-child { text-align: left; }
+th { background: #f8f9fb; }
+.table-container { overflow-x: auto; }
+.change-positive { color: #14b053; }
+.change-negative { color: var(--primary); }
+.note { color: var(--muted); font-size: 0.85rem; }
+.charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 1rem; }
+.chart svg { width: 100%; height: auto; }
+.chart-title { font-weight: 600; }
+.legend { display: flex; flex-wrap: wrap; gap: 1rem; font-size: 0.85rem; }
+.legend span::before { content: ""; display: inline-block; width: 0.75rem; height: 0.75rem; margin-right: 0.35rem; background: var(--color); }
+`;
+
+/**
+ * Escape text for HTML
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Get the color of an arm
+ * @param {BenchmarkReport} report The report
+ * @param {string} mode Arm ID
+ * @returns {string} CSS color
+ */
+function armColor(report: BenchmarkReport, mode: string): string {
+  const index = Math.max(
+    0,
+    report.arms.findIndex((arm) => arm.id === mode),
+  );
+  return `rgb(${ARM_COLORS[index % ARM_COLORS.length]})`;
+}
+
+/**
+ * Get the CSS class of a change, green when the arm improves on the baseline
+ * @param {string} key Metric key
+ * @param {number|null} change Percent change
+ * @returns {string} CSS class
+ */
+function changeClass(key: string, change: number | null): string {
+  if (change === null || change === 0) return '';
+  // Only a higher success rate is better, every other metric is a cost
+  const improved = key === 'successRate' ? change > 0 : change < 0;
+  return improved ? 'change-positive' : 'change-negative';
+}
+
+/**
+ * Render a comparison table
+ * @param {BenchmarkReport} report The report
+ * @param {ComparisonTable} table The table
+ * @returns {string} HTML table
+ */
+function renderComparison(
+  report: BenchmarkReport,
+  table: ComparisonTable,
+): string {
+  const treatments = table.arms.filter((arm) => table.changes[arm.mode]);
+  const multiple = treatments.length > 1;
+  const header = [
+    'Metric',
+    ...table.arms.map(
+      (arm) => `${escapeHtml(getArmName(report, arm.mode))} (n=${arm.runs})`,
+    ),
+    ...treatments.map((arm) =>
+      multiple
+        ? `${escapeHtml(getArmName(report, arm.mode))} Change`
+        : 'Change',
+    ),
+  ];
+  const rows = REPORT_METRICS.map((metric) => {
+    const values = table.arms.map(
+      (arm) =>
+        `<td>${formatReportValue(getArmValue(arm, metric.key), metric.decimals, metric.suffix)}</td>`,
+    );
+    const changes = treatments.map((arm) => {
+      const change = table.changes[arm.mode][metric.key];
+      return `<td class="${changeClass(metric.key, change?.percentChange ?? null)}">${formatReportChange(change)}</td>`;
+    });
+    return `<tr><td>${metric.title}</td>${values.join('')}${changes.join('')}</tr>`;
+  });
+
+  return `<div class="table-container"><table><thead><tr>${header.map((cell) => `<th>${cell}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table></div>`;
+}
+
+/**
+ * Render the token cost breakdown of a model
+ * @param {BenchmarkReport} report The report
+ * @param {ModelReport} model The model report
+ * @returns {string} HTML table
+ */
+function renderTokenCosts(report: BenchmarkReport, model: ModelReport): string {
+  const modes = model.overall.arms.map((arm) => arm.mode);
+  const totals = Object.fromEntries(
+    modes.map((mode) => [
+      mode,
+      model.tokenCosts.reduce((sum, row) => sum + row.cost[mode], 0),
+    ]),
+  );
+  const header = [
+    'Token Type',
+    ...modes.flatMap((mode) => [
+      `${escapeHtml(getArmName(report, mode))} Tokens/Task`,
+      `${escapeHtml(getArmName(report, mode))} Cost/Task ($)`,
+      'Share',
+    ]),
+  ];
+  const rows = model.tokenCosts.map(
+    (row) =>
+      `<tr><td>${row.type}</td>${modes
+        .map(
+          (mode) =>
+            `<td>${formatReportValue(row.tokens[mode], 0)}</td><td>${formatReportValue(row.cost[mode], 4)}</td><td>${totals[mode] ? ((row.cost[mode] / totals[mode]) * 100).toFixed(1) : '0.0'}%</td>`,
+        )
+        .join('')}</tr>`,
+  );
+  const total = `<tr><th>Total</th>${modes.map((mode) => `<th></th><th>${formatReportValue(totals[mode], 4)}</th><th></th>`).join('')}</tr>`;
+
+  return `<div class="table-container"><table><thead><tr>${header.map((cell) => `<th>${cell}</th>`).join('')}</tr></thead><tbody>${rows.join('')}${total}</tbody></table></div>`;
+}
+
+/**
+ * Render a grouped bar chart of a metric per task and arm as inline SVG, so
+ * the report needs no chart library
+ * @param {BenchmarkReport} report The report
+ * @param {ModelReport} model The model report
+ * @param {(typeof REPORT_METRICS)[number]} metric The charted metric
+ * @returns {string} SVG chart
+ */
+function renderChart(
+  report: BenchmarkReport,
+  model: ModelReport,
+  metric: (typeof REPORT_METRICS)[number],
+): string {
+  const modes = model.overall.arms.map((arm) => arm.mode);
+  const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+  const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+  const values = model.tasks.flatMap((table) =>
+    table.arms.map((arm) => getArmValue(arm, metric.key) ?? 0),
+  );
+  const max = Math.max(...values, 0) || 1;
+  const groupWidth = plotWidth / Math.max(model.tasks.length, 1);
+  const barWidth = (groupWidth * 0.8) / Math.max(modes.length, 1);
+  const y = (value: number) =>
+    CHART_MARGIN.top + plotHeight - (value / max) * plotHeight;
+
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((fraction) => {
+    const value = max * fraction;
+    return `<line x1="${CHART_MARGIN.left}" x2="${CHART_WIDTH - CHART_MARGIN.right}" y1="${y(value)}" y2="${y(value)}" stroke="#e1e3ea"/><text x="${CHART_MARGIN.left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="11" fill="#606b85">${formatReportValue(value, metric.decimals)}</text>`;
+  });
+
+  const bars = model.tasks.map((table, group) => {
+    const groupX = CHART_MARGIN.left + group * groupWidth + groupWidth * 0.1;
+    const rects = modes.map((mode, index) => {
+      const arm = table.arms.find((item) => item.mode === mode);
+      if (!arm) return '';
+      const value = getArmValue(arm, metric.key) ?? 0;
+      return `<rect x="${groupX + index * barWidth}" y="${y(value)}" width="${barWidth * 0.9}" height="${CHART_MARGIN.top + plotHeight - y(value)}" fill="${armColor(report, mode)}"><title>${escapeHtml(getArmName(report, mode))}: ${formatReportValue(value, metric.decimals)}</title></rect>`;
+    });
+    return `${rects.join('')}<text x="${groupX + groupWidth * 0.4}" y="${CHART_HEIGHT - 10}" text-anchor="middle" font-size="12" fill="#001b2d">Task ${table.taskId}</text>`;
+  });
+
+  return `<div class="chart"><div class="chart-title">${metric.title}</div><svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="${metric.title} per task">${ticks.join('')}${bars.join('')}</svg></div>`;
+}
+
+/**
+ * Render the section of a model
+ * @param {BenchmarkReport} report The report
+ * @param {ModelReport} model The model report
+ * @returns {string} HTML section
+ */
+function renderModel(report: BenchmarkReport, model: ModelReport): string {
+  const name = escapeHtml(model.model);
+  const legend = model.overall.arms
+    .map(
+      (arm) =>
+        `<span style="--color: ${armColor(report, arm.mode)}">${escapeHtml(getArmName(report, arm.mode))}</span>`,
+    )
+    .join('');
+  const tasks = model.tasks
+    .map(
+      (table) =>
+        `<h3>${escapeHtml(getTaskTitle(report, table.taskId))}</h3>${renderComparison(report, table)}`,
+    )
+    .join('');
+
+  return `
+<div class="card">
+  <h2>Overall Performance (Model: ${name})</h2>
+  ${renderComparison(report, model.overall)}
+</div>
+<div class="card">
+  <h2>Performance Charts (Model: ${name})</h2>
+  <div class="legend">${legend}</div>
+  <div class="charts">${CHART_METRICS.map((metric) => renderChart(report, model, metric)).join('')}</div>
+  <p class="note">Average per run of each task.</p>
+</div>
+<div class="card">
+  <h2>Token Cost Breakdown (Model: ${name})</h2>
+  ${renderTokenCosts(report, model)}
+  <p class="note">${escapeHtml(describePricing(model))}</p>
+</div>
+<div class="card">
+  <h2>Task-Specific Performance (Model: ${name})</h2>
+  ${tasks}
+</div>`;
+}
+
+/**
+ * Render a report as a self-contained HTML page that works offline, with
+ * inline styles and charts
+ * @param {BenchmarkReport} report The report
+ * @returns {string} HTML page
+ */
+function renderHtmlReport(report: BenchmarkReport): string {
+  const arms = report.arms
+    .map(
+      (arm) =>
+        `<li><strong>${escapeHtml(arm.name)}</strong>${arm.id === report.baseline ? ' (baseline)' : ''}${arm.description ? `: ${escapeHtml(arm.description)}` : ''}</li>`,
+    )
+    .join('');
+  const tasks = report.tasks
+    .map(
+      (task) =>
+        `<li><strong>Task ${task.id}: ${escapeHtml(task.name)}</strong>${task.description ? `: ${escapeHtml(task.description)}` : ''}</li>`,
+    )
+    .join('');
+  const notes = METHODOLOGY_NOTES.map(
+    (note) => `<li>${escapeHtml(note)}</li>`,
+  ).join('');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(report.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(report.title)}</h1>
+  <p>Generated ${escapeHtml(report.generatedAt)} from ${report.runs} runs of the ${escapeHtml(report.suite.name)} suite. Baseline: ${escapeHtml(getArmName(report, report.baseline))}.</p>
+</header>
+<div class="container">
+${report.suite.description ? `<div class="card"><p>${escapeHtml(report.suite.description)}</p></div>` : ''}
+${report.models.map((model) => renderModel(report, model)).join('\n')}
+<div class="card">
+  <h2>Methodology</h2>
+  <h3>Arms</h3>
+  <ul>${arms}</ul>
+  <h3>Tasks</h3>
+  <ul>${tasks}</ul>
+  <h3>Notes</h3>
+  <ul>${notes}</ul>
+  <p class="note">Price sheet version ${escapeHtml(report.priceSheetVersion)}.</p>
+</div>
+</div>
+</body>
+</html>
+`;
+}
+
+export default renderHtmlReport;
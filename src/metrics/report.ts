@@ -0,0 +1,530 @@
+import {
+  buildComparisonReport,
+  calculateSuccessStats,
+  ComparisonGroup,
+  SIGNIFICANCE_LEVEL,
+  SuccessStats,
+} from './comparison';
+import { calculateAverages, MetricAverages } from './metrics-utils';
+import {
+  DEFAULT_PRICE_SHEET,
+  DEFAULT_PRICED_MODEL,
+  getModelPricing,
+  ModelPricing,
+  PriceSheet,
+} from './pricing';
+import { SuiteDefinition } from './suite';
+import { TaskMetrics } from './types';
+
+export type ReportArm = {
+  id: string;
+  name: string;
+  description?: string;
+};
+
+export type ArmSummary = {
+  mode: string;
+  runs: number;
+  averages: MetricAverages;
+  success: SuccessStats;
+};
+
+export type MetricChange = {
+  percentChange: number | null;
+  significant: boolean;
+};
+
+export type ComparisonTable = {
+  taskId: number | null;
+  arms: ArmSummary[];
+  // Change of each metric against the baseline, per treatment arm
+  changes: Record<string, Record<string, MetricChange>>;
+};
+
+export type TokenCost = {
+  type: string;
+  // Average tokens and estimated cost per task, per arm
+  tokens: Record<string, number>;
+  cost: Record<string, number>;
+};
+
+export type ModelReport = {
+  model: string;
+  pricedAs: string;
+  pricing: ModelPricing;
+  overall: ComparisonTable;
+  tasks: ComparisonTable[];
+  tokenCosts: TokenCost[];
+};
+
+export type BenchmarkReport = {
+  title: string;
+  generatedAt: string;
+  suite: {
+    name: string;
+    description?: string;
+    server?: string;
+  };
+  baseline: string;
+  arms: ReportArm[];
+  tasks: { id: number; name: string; description?: string }[];
+  runs: number;
+  priceSheetVersion: string;
+  models: ModelReport[];
+};
+
+type ReportMetric = {
+  key: keyof MetricAverages | 'successRate';
+  title: string;
+  decimals: number;
+  suffix?: string;
+};
+
+// Rows of the comparison tables, in the order of the dashboard
+export const REPORT_METRICS: ReportMetric[] = [
+  { key: 'duration', title: 'Duration (s)', decimals: 2 },
+  { key: 'activeDuration', title: 'Active Duration (s)', decimals: 2 },
+  { key: 'apiCalls', title: 'API Calls', decimals: 2 },
+  { key: 'interactions', title: 'Interactions', decimals: 2 },
+  { key: 'tokens', title: 'Tokens', decimals: 0 },
+  { key: 'cacheReads', title: 'Cache Reads', decimals: 0 },
+  { key: 'cacheWrites', title: 'Cache Writes', decimals: 0 },
+  { key: 'cost', title: 'Cost ($)', decimals: 4 },
+  { key: 'successRate', title: 'Success Rate', decimals: 2, suffix: '%' },
+];
+
+// Token types of the cost breakdown, with the usage field and price of each
+const TOKEN_TYPES: {
+  type: string;
+  field: keyof TaskMetrics;
+  price: keyof ModelPricing;
+}[] = [
+  { type: 'Input', field: 'tokensIn', price: 'input' },
+  { type: 'Output', field: 'tokensOut', price: 'output' },
+  { type: 'Cache writes', field: 'cacheWrites', price: 'cacheWrite' },
+  { type: 'Cache reads', field: 'cacheReads', price: 'cacheRead' },
+];
+
+export const METHODOLOGY_NOTES = [
+  'Every task is run in each arm with the same prompt. The baseline arm completes the task with its default tools, the other arms add the tools under test, such as an MCP server.',
+  'Duration, API calls, user interactions, token usage and cost are extracted from the chat logs of each run. Duration is measured from the task prompt to the completion of the task.',
+  'Tables show the mean over all runs of an arm. Changes are relative to the baseline arm.',
+  'Runs excluded as anomalous with the exclude command are left out. Their reasons are recorded in exclusions.json.',
+  `Changes marked * are significant at p < ${SIGNIFICANCE_LEVEL}, with both a Mann-Whitney U test and Welch's t-test.`,
+  'Success rates only count runs whose outcome was verified by the success checks.',
+  'The token cost breakdown prices the average tokens of each type with the price sheet. It can differ from the cost reported in the logs.',
+];
+
+/**
+ * Get the value of a report metric for an arm
+ * @param {ArmSummary} arm The arm
+ * @param {ReportMetric['key']} key The metric
+ * @returns {number|null} The value, null if unknown
+ */
+export function getArmValue(
+  arm: ArmSummary,
+  key: ReportMetric['key'],
+): number | null {
+  return key === 'successRate' ? arm.success.successRate : arm.averages[key];
+}
+
+/**
+ * Format a metric value for a report table
+ * @param {number|null} value The value
+ * @param {number} decimals Decimal places
+ * @param {string} [suffix] Unit appended to the value
+ * @returns {string} Formatted value
+ */
+export function formatReportValue(
+  value: number | null,
+  decimals: number,
+  suffix = '',
+): string {
+  if (value === null) return 'n/a';
+  return `${value.toLocaleString('en-US', {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  })}${suffix}`;
+}
+
+/**
+ * Format a change against the baseline, e.g. "+12.50%*"
+ * @param {MetricChange|undefined} change The change
+ * @returns {string} Formatted change
+ */
+export function formatReportChange(change: MetricChange | undefined): string {
+  if (!change || change.percentChange === null) return 'n/a';
+  const sign = change.percentChange > 0 ? '+' : '';
+  return `${sign}${change.percentChange.toFixed(2)}%${change.significant ? '*' : ''}`;
+}
+
+/**
+ * Build a comparison table of every arm against the baseline
+ * @param {TaskMetrics[]} runs Runs of one model, and task if taskId is set
+ * @param {number|null} taskId Task of the table, null for all tasks
+ * @param {string[]} modes Arms in report order, baseline first
+ * @param {ComparisonGroup[]} groups Statistical comparisons of the model
+ * @returns {ComparisonTable} The table
+ */
+function buildComparisonTable(
+  runs: TaskMetrics[],
+  taskId: number | null,
+  modes: string[],
+  groups: ComparisonGroup[],
+): ComparisonTable {
+  const arms = modes
+    .map((mode) => runs.filter((run) => run.mode === mode))
+    .filter((armRuns) => armRuns.length)
+    .map((armRuns) => ({
+      mode: armRuns[0].mode,
+      runs: armRuns.length,
+      averages: calculateAverages(armRuns),
+      success: calculateSuccessStats(armRuns),
+    }));
+
+  const changes: ComparisonTable['changes'] = {};
+  groups
+    .filter((group) => group.taskId === taskId)
+    .forEach((group) => {
+      const { baseline, treatment } = group.success;
+      const successChange =
+        baseline.successRate && treatment.successRate !== null
+          ? ((treatment.successRate - baseline.successRate) /
+              baseline.successRate) *
+            100
+          : null;
+      changes[group.treatment] = {
+        ...Object.fromEntries(
+          Object.entries(group.metrics).map(([metric, comparison]) => [
+            metric,
+            {
+              percentChange: comparison.percentChange,
+              significant: comparison.significant,
+            },
+          ]),
+        ),
+        successRate: { percentChange: successChange, significant: false },
+      };
+    });
+
+  return { taskId, arms, changes };
+}
+
+/**
+ * Break the average cost per task of each arm down by token type
+ * @param {TaskMetrics[]} runs Runs of one model
+ * @param {string[]} modes Arms in report order
+ * @param {ModelPricing} pricing Prices of the model
+ * @returns {TokenCost[]} One row per token type
+ */
+function buildTokenCosts(
+  runs: TaskMetrics[],
+  modes: string[],
+  pricing: ModelPricing,
+): TokenCost[] {
+  const armRuns = modes
+    .map((mode) => [mode, runs.filter((run) => run.mode === mode)] as const)
+    .filter(([, items]) => items.length);
+
+  return TOKEN_TYPES.map(({ type, field, price }) => {
+    const tokens = Object.fromEntries(
+      armRuns.map(([mode, items]) => [
+        mode,
+        items.reduce((sum, run) => sum + (Number(run[field]) || 0), 0) /
+          items.length,
+      ]),
+    );
+    const cost = Object.fromEntries(
+      Object.entries(tokens).map(([mode, value]) => [
+        mode,
+        (value * pricing[price]) / 1_000_000,
+      ]),
+    );
+    return { type, tokens, cost };
+  });
+}
+
+/**
+ * Build the report of a benchmark: per-model and per-task comparisons of every
+ * arm against the baseline, and the cost of each token type
+ * @param {TaskMetrics[]} runs All runs of the summary
+ * @param {SuiteDefinition} suite The task suite
+ * @param {PriceSheet} priceSheet Prices for the token cost breakdown
+ * @param {string} [title] Report title, defaults to the suite name
+ * @returns {BenchmarkReport} The report
+ */
+export function buildReport(
+  runs: TaskMetrics[],
+  suite: SuiteDefinition,
+  priceSheet: PriceSheet,
+  title?: string,
+): BenchmarkReport {
+  const { baseline } = suite;
+  const runModes = [...new Set(runs.map((run) => run.mode))];
+  const modes = [
+    baseline,
+    ...suite.variants.map((variant) => variant.id),
+    ...runModes.sort(),
+  ].filter(
+    (mode, index, all) =>
+      all.indexOf(mode) === index && runModes.includes(mode),
+  );
+  const comparison = buildComparisonReport(runs, baseline);
+  const models = [...new Set(runs.map((run) => run.model ?? 'unknown'))].sort();
+
+  return {
+    title: title ?? `${suite.name} Benchmark Report`,
+    generatedAt: new Date().toISOString(),
+    suite: {
+      name: suite.name,
+      description: suite.description,
+      server: suite.server,
+    },
+    baseline,
+    arms: modes.map((mode) => {
+      const variant = suite.variants.find((item) => item.id === mode);
+      return {
+        id: mode,
+        name: variant?.name ?? mode,
+        description: variant?.description,
+      };
+    }),
+    tasks: suite.tasks.map((task) => ({
+      id: task.id,
+      name: task.name,
+      description: task.description,
+    })),
+    runs: runs.length,
+    priceSheetVersion: priceSheet.version,
+    models: models.map((model) => {
+      const modelRuns = runs.filter(
+        (run) => (run.model ?? 'unknown') === model,
+      );
+      const groups = comparison.groups.filter((group) => group.model === model);
+      const taskIds = [...new Set(modelRuns.map((run) => run.taskId))].sort(
+        (a, b) => a - b,
+      );
+      // Unknown models are priced like the default model, as when extracting
+      const modelPricing = getModelPricing(priceSheet, model);
+      const pricing =
+        modelPricing ??
+        priceSheet.models[DEFAULT_PRICED_MODEL] ??
+        DEFAULT_PRICE_SHEET.models[DEFAULT_PRICED_MODEL];
+
+      return {
+        model,
+        pricedAs: modelPricing ? model : DEFAULT_PRICED_MODEL,
+        pricing,
+        overall: buildComparisonTable(modelRuns, null, modes, groups),
+        tasks: taskIds.map((taskId) =>
+          buildComparisonTable(
+            modelRuns.filter((run) => run.taskId === taskId),
+            taskId,
+            modes,
+            groups,
+          ),
+        ),
+        tokenCosts: buildTokenCosts(modelRuns, modes, pricing),
+      };
+    }),
+  };
+}
+
+/**
+ * Get the display name of an arm
+ * @param {BenchmarkReport} report The report
+ * @param {string} mode Arm ID
+ * @returns {string} Arm name
+ */
+export function getArmName(report: BenchmarkReport, mode: string): string {
+  return report.arms.find((arm) => arm.id === mode)?.name ?? mode;
+}
+
+/**
+ * Get the title of a task
+ * @param {BenchmarkReport} report The report
+ * @param {number|null} taskId Task ID, null for all tasks
+ * @returns {string} Task title
+ */
+export function getTaskTitle(
+  report: BenchmarkReport,
+  taskId: number | null,
+): string {
+  if (taskId === null) return 'All Tasks';
+  const task = report.tasks.find((item) => item.id === taskId);
+  return task ? `Task ${taskId}: ${task.name}` : `Task ${taskId}`;
+}
+
+/**
+ * Describe the prices of a model, as in the dashboard's pricing note
+ * @param {ModelReport} model The model report
+ * @returns {string} Pricing description
+ */
+export function describePricing(model: ModelReport): string {
+  const { pricing } = model;
+  return `Based on ${model.pricedAs} pricing: $${pricing.input}/million input tokens, $${pricing.output}/million output tokens, $${pricing.cacheWrite}/million cache writes and $${pricing.cacheRead}/million cache reads.`;
+}
+
+/**
+ * Format a row of a Markdown table
+ * @param {string[]} cells Cell contents
+ * @returns {string} Table row
+ */
+function markdownRow(cells: string[]): string {
+  return `| ${cells.map((cell) => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+}
+
+/**
+ * Render a comparison table as Markdown
+ * @param {BenchmarkReport} report The report
+ * @param {ComparisonTable} table The table
+ * @returns {string[]} Table lines
+ */
+function renderMarkdownComparison(
+  report: BenchmarkReport,
+  table: ComparisonTable,
+): string[] {
+  const treatments = table.arms.filter((arm) => table.changes[arm.mode]);
+  const multiple = treatments.length > 1;
+  const header = [
+    'Metric',
+    ...table.arms.map(
+      (arm) => `${getArmName(report, arm.mode)} (n=${arm.runs})`,
+    ),
+    ...treatments.map((arm) =>
+      multiple ? `${getArmName(report, arm.mode)} Change` : 'Change',
+    ),
+  ];
+
+  return [
+    markdownRow(header),
+    `| :-- |${' --: |'.repeat(header.length - 1)}`,
+    ...REPORT_METRICS.map((metric) =>
+      markdownRow([
+        metric.title,
+        ...table.arms.map((arm) =>
+          formatReportValue(
+            getArmValue(arm, metric.key),
+            metric.decimals,
+            metric.suffix,
+          ),
+        ),
+        ...treatments.map((arm) =>
+          formatReportChange(table.changes[arm.mode][metric.key]),
+        ),
+      ]),
+    ),
+  ];
+}
+
+/**
+ * Render the token cost breakdown of a model as Markdown
+ * @param {BenchmarkReport} report The report
+ * @param {ModelReport} model The model report
+ * @returns {string[]} Table lines
+ */
+function renderMarkdownTokenCosts(
+  report: BenchmarkReport,
+  model: ModelReport,
+): string[] {
+  const modes = model.overall.arms.map((arm) => arm.mode);
+  const totals = Object.fromEntries(
+    modes.map((mode) => [
+      mode,
+      model.tokenCosts.reduce((sum, row) => sum + row.cost[mode], 0),
+    ]),
+  );
+  const header = [
+    'Token Type',
+    ...modes.flatMap((mode) => [
+      `${getArmName(report, mode)} Tokens/Task`,
+      `${getArmName(report, mode)} Cost/Task ($)`,
+    ]),
+  ];
+
+  return [
+    markdownRow(header),
+    `| :-- |${' --: |'.repeat(header.length - 1)}`,
+    ...model.tokenCosts.map((row) =>
+      markdownRow([
+        row.type,
+        ...modes.flatMap((mode) => [
+          formatReportValue(row.tokens[mode], 0),
+          `${formatReportValue(row.cost[mode], 4)} (${totals[mode] ? ((row.cost[mode] / totals[mode]) * 100).toFixed(1) : '0.0'}%)`,
+        ]),
+      ]),
+    ),
+    markdownRow([
+      '**Total**',
+      ...modes.flatMap((mode) => [
+        '',
+        `**${formatReportValue(totals[mode], 4)}**`,
+      ]),
+    ]),
+  ];
+}
+
+/**
+ * Render a report as Markdown, for pull request comments and READMEs
+ * @param {BenchmarkReport} report The report
+ * @returns {string} Markdown
+ */
+export function renderMarkdownReport(report: BenchmarkReport): string {
+  const lines = [
+    `# ${report.title}`,
+    '',
+    `*Generated ${report.generatedAt} from ${report.runs} runs of the ${report.suite.name} suite. Baseline: ${getArmName(report, report.baseline)}.*`,
+    '',
+  ];
+  if (report.suite.description) {
+    lines.push(report.suite.description, '');
+  }
+
+  report.models.forEach((model) => {
+    lines.push(
+      `## Overall Performance (Model: ${model.model})`,
+      '',
+      ...renderMarkdownComparison(report, model.overall),
+      '',
+      `### Token Cost Breakdown (Model: ${model.model})`,
+      '',
+      ...renderMarkdownTokenCosts(report, model),
+      '',
+      `*${describePricing(model)}*`,
+      '',
+      `### Task-Specific Performance (Model: ${model.model})`,
+      '',
+    );
+    model.tasks.forEach((table) => {
+      lines.push(
+        `#### ${getTaskTitle(report, table.taskId)}`,
+        '',
+        ...renderMarkdownComparison(report, table),
+        '',
+      );
+    });
+  });
+
+  lines.push('## Methodology', '', '### Arms', '');
+  report.arms.forEach((arm) => {
+    lines.push(
+      `- **${arm.name}**${arm.id === report.baseline ? ' (baseline)' : ''}${arm.description ? `: ${arm.description}` : ''}`,
+    );
+  });
+  lines.push('', '### Tasks', '');
+  report.tasks.forEach((task) => {
+    lines.push(
+      `- **Task ${task.id}: ${task.name}**${task.description ? `: ${task.description}` : ''}`,
+    );
+  });
+  lines.push(
+    '',
+    '### Notes',
+    '',
+    ...METHODOLOGY_NOTES.map((note) => `- ${note}`),
+    '',
+  );
+  lines.push(`*Price sheet version ${report.priceSheetVersion}.*`, '');
+
+  return lines.join('\n');
+}
@@ -0,0 +1,211 @@
+import {
+  calculateSuccessStats,
+  COMPARED_METRICS,
+  SuccessStats,
+} from './comparison';
+import { calculateAverages, MetricAverages } from './metrics-utils';
+import { median } from './statistics';
+import { TaskMetrics } from './types';
+
+export type RunFilters = {
+  model?: string[];
+  task?: number[];
+  mode?: string[];
+  server?: string[];
+  client?: string[];
+  experiment?: string[];
+  serverVersion?: string[];
+  clientVersion?: string[];
+  outcome?: string[];
+  since?: number;
+  until?: number;
+  // Excluded runs are left out unless requested
+  includeExcluded?: boolean;
+};
+
+export type GroupKey = {
+  model?: string;
+  task?: number;
+  mode?: string;
+  server?: string;
+  client?: string;
+  experiment?: string;
+  serverVersion?: string;
+  clientVersion?: string;
+};
+
+export type RunAggregate = {
+  key: GroupKey;
+  runs: number;
+  averages: MetricAverages;
+  medians: Record<string, number>;
+  success: SuccessStats;
+};
+
+// Fields runs can be grouped by, and how to read them from a run
+const GROUP_FIELDS: Record<
+  keyof GroupKey,
+  (run: TaskMetrics) => string | number
+> = {
+  model: (run) => run.model ?? 'unknown',
+  task: (run) => run.taskId,
+  mode: (run) => run.mode ?? 'unknown',
+  server: (run) => run.mcpServer ?? 'unknown',
+  client: (run) => run.mcpClient ?? 'unknown',
+  experiment: (run) => run.experiment ?? 'unknown',
+  serverVersion: (run) => run.serverVersion ?? 'unknown',
+  clientVersion: (run) => run.clientVersion ?? 'unknown',
+};
+
+export const GROUP_BY_FIELDS = Object.keys(GROUP_FIELDS) as (keyof GroupKey)[];
+
+/**
+ * Split a comma separated query parameter into its values
+ * @param {string|null} value Parameter value
+ * @returns {string[]|undefined} Values or undefined if the parameter is not set
+ */
+function splitList(value: string | null): string[] | undefined {
+  if (value === null || value === '') return undefined;
+  return value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a date parameter given as epoch milliseconds or an ISO date
+ * @param {string} name Parameter name
+ * @param {string|null} value Parameter value
+ * @returns {number|undefined} Epoch milliseconds
+ */
+function parseTime(name: string, value: string | null): number | undefined {
+  if (value === null || value === '') return undefined;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(
+      `Invalid ${name} "${value}", expected an ISO date or epoch milliseconds`,
+    );
+  }
+  return time;
+}
+
+/**
+ * Parse run filters from query parameters
+ * @param {URLSearchParams} params Query parameters
+ * @returns {RunFilters} The filters
+ */
+export function parseRunFilters(params: URLSearchParams): RunFilters {
+  const task = splitList(params.get('task'))?.map((value) => {
+    const id = Number(value);
+    if (!Number.isInteger(id)) {
+      throw new Error(`Invalid task "${value}", expected a task ID`);
+    }
+    return id;
+  });
+
+  return {
+    model: splitList(params.get('model')),
+    task,
+    mode: splitList(params.get('mode')),
+    server: splitList(params.get('server')),
+    client: splitList(params.get('client')),
+    experiment: splitList(params.get('experiment')),
+    serverVersion: splitList(params.get('serverVersion')),
+    clientVersion: splitList(params.get('clientVersion')),
+    outcome: splitList(params.get('outcome')),
+    since: parseTime('since', params.get('since')),
+    until: parseTime('until', params.get('until')),
+    includeExcluded: params.get('includeExcluded') === 'true',
+  };
+}
+
+/**
+ * Parse the groupBy parameter
+ * @param {string|null} value Comma separated fields
+ * @returns {(keyof GroupKey)[]} Fields to group by, model and mode by default
+ */
+export function parseGroupBy(value: string | null): (keyof GroupKey)[] {
+  const fields = splitList(value) ?? ['model', 'mode'];
+  const unknown = fields.filter(
+    (field) => !GROUP_BY_FIELDS.includes(field as keyof GroupKey),
+  );
+  if (unknown.length) {
+    throw new Error(
+      `Invalid groupBy ${unknown.join(', ')}. Available fields: ${GROUP_BY_FIELDS.join(', ')}`,
+    );
+  }
+  return fields as (keyof GroupKey)[];
+}
+
+/**
+ * Select the runs matching the filters
+ * @param {TaskMetrics[]} runs All runs
+ * @param {RunFilters} filters The filters
+ * @returns {TaskMetrics[]} Matching runs
+ */
+export function filterRuns(
+  runs: TaskMetrics[],
+  filters: RunFilters,
+): TaskMetrics[] {
+  const outcomeOf = (run: TaskMetrics) =>
+    run.outcome ?? (run.success ? 'passed' : 'failed');
+  const includes = <T>(values: T[] | undefined, value: T) =>
+    !values || values.includes(value);
+
+  return runs.filter(
+    (run) =>
+      includes(filters.model, GROUP_FIELDS.model(run) as string) &&
+      includes(filters.task, run.taskId) &&
+      includes(filters.mode, GROUP_FIELDS.mode(run) as string) &&
+      includes(filters.server, GROUP_FIELDS.server(run) as string) &&
+      includes(filters.client, GROUP_FIELDS.client(run) as string) &&
+      includes(filters.experiment, GROUP_FIELDS.experiment(run) as string) &&
+      includes(
+        filters.serverVersion,
+        GROUP_FIELDS.serverVersion(run) as string,
+      ) &&
+      includes(
+        filters.clientVersion,
+        GROUP_FIELDS.clientVersion(run) as string,
+      ) &&
+      includes(filters.outcome, outcomeOf(run)) &&
+      (filters.since === undefined || run.startTime >= filters.since) &&
+      (filters.until === undefined || run.startTime <= filters.until) &&
+      (filters.includeExcluded || !run.exclusion),
+  );
+}
+
+/**
+ * Group runs and compute the same averages as the printed summary, plus
+ * medians and success statistics, for each group
+ * @param {TaskMetrics[]} runs Runs to aggregate
+ * @param {(keyof GroupKey)[]} groupBy Fields to group by
+ * @returns {RunAggregate[]} One aggregate per group
+ */
+export function aggregateRuns(
+  runs: TaskMetrics[],
+  groupBy: (keyof GroupKey)[],
+): RunAggregate[] {
+  const groups = new Map<string, { key: GroupKey; runs: TaskMetrics[] }>();
+  runs.forEach((run) => {
+    const key = Object.fromEntries(
+      groupBy.map((field) => [field, GROUP_FIELDS[field](run)]),
+    ) as GroupKey;
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) groups.set(id, { key, runs: [] });
+    groups.get(id)?.runs.push(run);
+  });
+
+  return [...groups.values()].map((group) => ({
+    key: group.key,
+    runs: group.runs.length,
+    averages: calculateAverages(group.runs),
+    medians: Object.fromEntries(
+      Object.entries(COMPARED_METRICS).map(([name, value]) => [
+        name,
+        median(group.runs.map(value)),
+      ]),
+    ),
+    success: calculateSuccessStats(group.runs),
+  }));
+}
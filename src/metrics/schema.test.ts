@@ -0,0 +1,84 @@
+import assert from 'assert/strict';
+import { promises as fs } from 'fs';
+import { test } from 'node:test';
+import { fileURLToPath } from 'url';
+
+import {
+  CURRENT_SCHEMA_VERSION,
+  formatSummary,
+  migrateRun,
+  parseSummary,
+  parseTaskFile,
+  toTaskFile,
+} from './schema';
+
+const SUMMARY_FILE = fileURLToPath(
+  new URL('../../metrics/summary.json', import.meta.url),
+);
+
+// A task file as the first releases wrote it
+const VERSION_1_FILE = {
+  taskNumber: 2,
+  directoryId: '1743272210091',
+  mode: 'mcp',
+  model: 'claude-3.7-sonnet',
+  startTime: 1743272210096,
+  endTime: 1743272253383,
+  duration: 43287,
+  apiCalls: 8,
+  tokensIn: 32,
+  tokensOut: 1843,
+  cost: 0.1,
+  completed: true,
+  success: true,
+};
+
+test('migrates version 1 task files', () => {
+  const { file, errors, version } = parseTaskFile(
+    JSON.stringify(VERSION_1_FILE),
+  );
+  assert.deepEqual(errors, []);
+  assert.equal(version, 1);
+  assert.equal(file.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.equal(file.taskId, 2);
+  assert.equal(file.mcpClient, 'Cline');
+  assert.equal(file.interactions, 0);
+  // The success flag was never verified
+  assert.equal(file.outcome, 'unknown');
+  assert.ok(!('taskNumber' in file) && !('completed' in file));
+
+  const failed = migrateRun({ ...VERSION_1_FILE, success: false });
+  assert.equal((failed as { outcome: string }).outcome, 'failed');
+});
+
+test('leaves current records and non-objects alone', () => {
+  const current = { schemaVersion: CURRENT_SCHEMA_VERSION, taskId: 1 };
+  assert.equal(migrateRun(current), current);
+  assert.equal(migrateRun(null), null);
+  assert.deepEqual(migrateRun([1]), [1]);
+});
+
+test('reports the schema errors of task files', () => {
+  const { errors } = parseTaskFile(
+    JSON.stringify({ ...VERSION_1_FILE, apiCalls: 1.5, taskNumber: undefined }),
+  );
+  assert.ok(errors.includes('taskId: is required'));
+  assert.ok(errors.includes('apiCalls: must be integer, got number'));
+});
+
+test('reads version 1 summaries and writes them back in the current version', async () => {
+  const content = await fs.readFile(SUMMARY_FILE, 'utf8');
+  const { runs, errors, version } = parseSummary(content);
+  assert.deepEqual(errors, []);
+  assert.equal(version, 1);
+  assert.equal(runs.length, 51);
+
+  const rewritten = parseSummary(formatSummary(runs));
+  assert.deepEqual(rewritten.errors, []);
+  assert.equal(rewritten.version, CURRENT_SCHEMA_VERSION);
+  assert.deepEqual(rewritten.runs, runs);
+
+  const file = toTaskFile({ ...runs[0], outliers: [] });
+  assert.equal(file.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.ok(!('outliers' in file));
+});
@@ -0,0 +1,433 @@
+import { promises as fs } from 'fs';
+
+import { formatSchemaErrors, JsonSchema, validateSchema } from './json-schema';
+import { TaskMetrics } from './types';
+
+/**
+ * Version of the task file and summary formats written by this release.
+ * Files without a schemaVersion field predate versioning and are version 1.
+ */
+export const CURRENT_SCHEMA_VERSION = 2;
+
+/**
+ * A task file in the current format, one run as written to tasks/
+ */
+export type TaskFile = Omit<TaskMetrics, 'timeline'> & {
+  schemaVersion: number;
+  directoryId: string;
+  // Set by the reprice command
+  reportedCost?: number;
+  pricingVersion?: string;
+};
+
+type RunRecord = Record<string, unknown>;
+
+const COUNT: JsonSchema = { type: 'integer', minimum: 0 };
+const AMOUNT: JsonSchema = { type: 'number', minimum: 0 };
+const TIMESTAMP: JsonSchema = {
+  type: 'integer',
+  minimum: 0,
+  description: 'Epoch milliseconds',
+};
+
+const TOOL_CALL_SCHEMA: JsonSchema = {
+  type: 'object',
+  required: [
+    'type',
+    'tool',
+    'startTime',
+    'endTime',
+    'duration',
+    'apiRequest',
+    'tokensIn',
+    'tokensOut',
+    'cacheWrites',
+    'cacheReads',
+    'cost',
+    'outcome',
+    'attempt',
+  ],
+  additionalProperties: false,
+  properties: {
+    type: { enum: ['mcp', 'command'] },
+    server: { type: 'string' },
+    tool: { type: 'string' },
+    command: { type: 'string' },
+    startTime: TIMESTAMP,
+    endTime: TIMESTAMP,
+    duration: COUNT,
+    apiRequest: COUNT,
+    tokensIn: COUNT,
+    tokensOut: COUNT,
+    cacheWrites: COUNT,
+    cacheReads: COUNT,
+    cost: AMOUNT,
+    outcome: { enum: ['success', 'error', 'unknown'] },
+    error: { type: 'string' },
+    attempt: { type: 'integer', minimum: 1 },
+  },
+};
+
+const REQUEST_SCHEMA: JsonSchema = {
+  type: 'object',
+  required: [
+    'ts',
+    'tokensIn',
+    'tokensOut',
+    'cacheWrites',
+    'cacheReads',
+    'cost',
+  ],
+  additionalProperties: false,
+  properties: {
+    ts: TIMESTAMP,
+    tokensIn: COUNT,
+    tokensOut: COUNT,
+    cacheWrites: COUNT,
+    cacheReads: COUNT,
+    cost: AMOUNT,
+  },
+};
+
+const RUN_PROPERTIES: Record<string, JsonSchema> = {
+  schemaVersion: { const: CURRENT_SCHEMA_VERSION },
+  taskId: { type: 'integer', minimum: 1 },
+  directoryId: { type: 'string', description: 'Run ID' },
+  chatId: { type: 'string', description: 'Chat the run was extracted from' },
+  segment: {
+    ...COUNT,
+    description: 'Position of the task among the tasks of the chat, from 0',
+  },
+  mode: { type: 'string', description: 'Suite variant' },
+  model: { type: 'string' },
+  modelSource: {
+    enum: ['detected', 'arg', 'default'],
+    description: 'Found in the logs, passed with --model or assumed',
+  },
+  mcpServer: { type: 'string' },
+  mcpClient: { type: 'string' },
+  experiment: {
+    type: 'string',
+    description: 'Experiment label, given or a hash of the setup',
+  },
+  serverVersion: {
+    type: 'string',
+    description: 'MCP server package and version',
+  },
+  clientVersion: { type: 'string', description: 'MCP client version' },
+  tools: {
+    type: 'array',
+    description: 'Tools offered to the model',
+    items: { type: 'string' },
+  },
+  toolsHash: {
+    type: 'string',
+    description: 'Hash of the tool definitions offered to the model',
+  },
+  instructionHashes: {
+    type: 'object',
+    description: 'Hash of the instructions file of each variant',
+  },
+  startTime: TIMESTAMP,
+  endTime: TIMESTAMP,
+  duration: { ...COUNT, description: 'Milliseconds' },
+  activeDuration: {
+    ...COUNT,
+    description: 'Milliseconds, without the time spent waiting for the user',
+  },
+  humanWait: {
+    ...COUNT,
+    description: 'Milliseconds spent waiting for approvals and answers',
+  },
+  apiCalls: COUNT,
+  interactions: COUNT,
+  toolApprovals: { ...COUNT, description: 'Tool and command approvals asked' },
+  followupQuestions: { ...COUNT, description: 'Questions asked to the user' },
+  commandOutputPrompts: {
+    ...COUNT,
+    description: 'Prompts to continue while a command runs',
+  },
+  otherPrompts: {
+    ...COUNT,
+    description: 'Other asks, e.g. to resume the chat',
+  },
+  tokensIn: COUNT,
+  tokensOut: COUNT,
+  totalTokens: COUNT,
+  cacheWrites: COUNT,
+  cacheReads: COUNT,
+  conversationHistoryIndex: COUNT,
+  cost: { ...AMOUNT, description: 'USD' },
+  requestOverhead: {
+    ...COUNT,
+    description:
+      'Estimated tokens of the tool definitions and instructions sent with every request',
+  },
+  overheadTokens: {
+    ...COUNT,
+    description: 'requestOverhead over all requests of the run',
+  },
+  success: { type: 'boolean' },
+  outcome: { enum: ['passed', 'failed', 'unknown'] },
+  notes: { type: 'string' },
+  calculationFailed: {
+    type: 'boolean',
+    description: 'The metrics could not be calculated and are placeholders',
+  },
+  toolCalls: { type: 'array', items: TOOL_CALL_SCHEMA },
+  requests: {
+    type: 'array',
+    description: 'Usage of each API request, in order',
+    items: REQUEST_SCHEMA,
+  },
+};
+
+const RUN_REQUIRED = [
+  'schemaVersion',
+  'taskId',
+  'directoryId',
+  'mode',
+  'model',
+  'mcpServer',
+  'mcpClient',
+  'startTime',
+  'endTime',
+  'duration',
+  'apiCalls',
+  'interactions',
+  'tokensIn',
+  'tokensOut',
+  'totalTokens',
+  'cacheWrites',
+  'cacheReads',
+  'conversationHistoryIndex',
+  'cost',
+  'success',
+  'outcome',
+  'notes',
+];
+
+const JSON_SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#';
+
+/**
+ * JSON Schema of a task file in tasks/
+ */
+export const TASK_FILE_SCHEMA: JsonSchema = {
+  $schema: JSON_SCHEMA_DRAFT,
+  $id: 'mcp-te-benchmark/task-file.schema.json',
+  title: 'MCP-TE benchmark task file',
+  description: 'Metrics of one benchmark run',
+  type: 'object',
+  required: RUN_REQUIRED,
+  additionalProperties: false,
+  properties: {
+    ...RUN_PROPERTIES,
+    reportedCost: { ...AMOUNT, description: 'Cost before repricing, USD' },
+    pricingVersion: { type: 'string' },
+  },
+};
+
+/**
+ * JSON Schema of summary.json, the deduplicated runs of a metrics directory
+ */
+export const SUMMARY_SCHEMA: JsonSchema = {
+  $schema: JSON_SCHEMA_DRAFT,
+  $id: 'mcp-te-benchmark/summary.schema.json',
+  title: 'MCP-TE benchmark summary',
+  type: 'array',
+  items: {
+    type: 'object',
+    required: RUN_REQUIRED,
+    additionalProperties: false,
+    properties: {
+      ...RUN_PROPERTIES,
+      exclusion: {
+        type: 'object',
+        description: 'Set on runs excluded with the exclude command',
+        required: ['reason', 'user', 'time'],
+        additionalProperties: false,
+        properties: {
+          reason: { type: 'string' },
+          user: { type: 'string' },
+          time: { type: 'string', description: 'ISO date' },
+        },
+      },
+      outliers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['metric', 'method', 'value', 'low', 'high'],
+          additionalProperties: false,
+          properties: {
+            metric: { type: 'string' },
+            method: { enum: ['iqr', 'zscore', 'capped'] },
+            value: { type: 'number' },
+            low: { type: 'number' },
+            high: { type: 'number' },
+          },
+        },
+      },
+    },
+  },
+};
+
+// Each migration upgrades a task file or summary run from the version it is
+// keyed by to the next one. Add one whenever CURRENT_SCHEMA_VERSION changes.
+const MIGRATIONS: Record<number, (record: RunRecord) => RunRecord> = {
+  // Version 1 task files used taskNumber, a duplicate completed flag and left
+  // optional counters out. Missing identifiers are left for validation.
+  1: ({ taskNumber, completed, ...record }) => ({
+    schemaVersion: 2,
+    ...record,
+    taskId: record.taskId ?? taskNumber,
+    directoryId: record.directoryId ?? '',
+    mcpServer: record.mcpServer ?? 'Twilio',
+    mcpClient: record.mcpClient ?? 'Cline',
+    apiCalls: record.apiCalls ?? 0,
+    interactions: record.interactions ?? 0,
+    tokensIn: record.tokensIn ?? 0,
+    tokensOut: record.tokensOut ?? 0,
+    totalTokens: record.totalTokens ?? 0,
+    cacheWrites: record.cacheWrites ?? 0,
+    cacheReads: record.cacheReads ?? 0,
+    conversationHistoryIndex: record.conversationHistoryIndex ?? 0,
+    cost: record.cost ?? 0,
+    success: record.success !== false,
+    // Files written before success checks existed only carry the success
+    // flag, which was never verified unless it reports a failure
+    outcome:
+      record.outcome ?? (record.success === false ? 'failed' : 'unknown'),
+    notes: record.notes ?? '',
+  }),
+};
+
+/**
+ * Get the schema version of a task file or summary run
+ * @param {unknown} record The record
+ * @returns {number} Its version, 1 if it has none
+ */
+export function getSchemaVersion(record: unknown): number {
+  const version = (record as RunRecord | null)?.schemaVersion;
+  return typeof version === 'number' ? version : 1;
+}
+
+/**
+ * Upgrade a task file or summary run to the current schema version
+ * @param {unknown} record The record as read from disk
+ * @returns {unknown} The upgraded record, unchanged if it is current, newer or not an object
+ */
+export function migrateRun(record: unknown): unknown {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return record;
+  }
+  let migrated = record as RunRecord;
+  for (
+    let version = getSchemaVersion(migrated);
+    version < CURRENT_SCHEMA_VERSION;
+    version++
+  ) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Convert a run to the current task file format
+ * @param {TaskMetrics} metric The run
+ * @returns {TaskFile} Task file content
+ */
+export function toTaskFile(metric: TaskMetrics): TaskFile {
+  // Exclusions and outliers are decided when the summary is generated
+  const { timeline, exclusion, outliers, ...run } = metric;
+  return {
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    ...run,
+    directoryId: run.directoryId ?? '',
+  };
+}
+
+/**
+ * Convert a task file to a summary run
+ * @param {TaskFile} file The task file
+ * @returns {TaskMetrics} The run
+ */
+export function fromTaskFile(file: TaskFile): TaskMetrics {
+  const { schemaVersion, reportedCost, pricingVersion, ...metric } = file;
+  return metric;
+}
+
+/**
+ * Serialise runs as summary.json
+ * @param {TaskMetrics[]} runs The runs
+ * @returns {string} Summary file content
+ */
+export function formatSummary(runs: TaskMetrics[]): string {
+  return JSON.stringify(
+    runs.map((run) => {
+      const { timeline, ...record } = run;
+      return { schemaVersion: CURRENT_SCHEMA_VERSION, ...record };
+    }),
+    null,
+    2,
+  );
+}
+
+/**
+ * Parse, migrate and validate a task file
+ * @param {string} content File content
+ * @returns {{file: TaskFile, errors: string[], version: number}} The migrated file, its validation errors and the version it was written in
+ */
+export function parseTaskFile(content: string): {
+  file: TaskFile;
+  errors: string[];
+  version: number;
+} {
+  const record = JSON.parse(content);
+  const file = migrateRun(record) as TaskFile;
+  return {
+    file,
+    errors: formatSchemaErrors(validateSchema(file, TASK_FILE_SCHEMA)),
+    version: getSchemaVersion(record),
+  };
+}
+
+/**
+ * Parse, migrate and validate a summary file
+ * @param {string} content File content
+ * @returns {{runs: TaskMetrics[], errors: string[], version: number}} The migrated runs, validation errors and the oldest version of its runs
+ */
+export function parseSummary(content: string): {
+  runs: TaskMetrics[];
+  errors: string[];
+  version: number;
+} {
+  const records: unknown = JSON.parse(content);
+  const migrated = Array.isArray(records) ? records.map(migrateRun) : records;
+  return {
+    runs: (Array.isArray(migrated) ? migrated : []).map((run) =>
+      fromTaskFile(run as TaskFile),
+    ),
+    errors: formatSchemaErrors(validateSchema(migrated, SUMMARY_SCHEMA)),
+    version: Array.isArray(records)
+      ? Math.min(CURRENT_SCHEMA_VERSION, ...records.map(getSchemaVersion))
+      : CURRENT_SCHEMA_VERSION,
+  };
+}
+
+/**
+ * Load the runs of a summary file, upgrading older formats
+ * @param {string} file Path to summary.json
+ * @returns {Promise<TaskMetrics[]>} The runs
+ * @throws {Error} If the file does not match the summary schema
+ */
+export async function loadSummary(file: string): Promise<TaskMetrics[]> {
+  const { runs, errors } = parseSummary(await fs.readFile(file, 'utf8'));
+  if (errors.length) {
+    const shown = errors.slice(0, 5).join('; ');
+    const more = errors.length > 5 ? ` and ${errors.length - 5} more` : '';
+    throw new Error(
+      `Invalid summary ${file}: ${shown}${more}. Run the validate command for details`,
+    );
+  }
+  return runs;
+}
@@ -0,0 +1,81 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import {
+  bootstrapMeanCi,
+  bootstrapPercentChangeCi,
+  describe,
+  mannWhitneyU,
+  normalCdf,
+  studentTTwoSidedP,
+  welchTTest,
+} from './statistics';
+
+/**
+ * Assert that a value is within a tolerance of the expected value
+ * @param {number} actual The value
+ * @param {number} expected The expected value
+ * @param {number} [tolerance] Allowed difference
+ */
+function assertClose(actual: number, expected: number, tolerance = 1e-3) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${actual} is not within ${tolerance} of ${expected}`,
+  );
+}
+
+test('computes normal and Student t probabilities', () => {
+  assertClose(normalCdf(0), 0.5, 1e-6);
+  assertClose(normalCdf(1.96), 0.975);
+  assertClose(normalCdf(-1.96), 0.025);
+  assertClose(studentTTwoSidedP(2.228, 10), 0.05);
+  assertClose(studentTTwoSidedP(0, 5), 1);
+});
+
+test("runs Welch's t-test", () => {
+  const result = welchTTest([1, 2, 3, 4, 5], [2, 4, 6, 8, 10]);
+  assert.ok(result);
+  assertClose(result.statistic, -1.8974);
+  assertClose(result.pValue, 0.1076);
+
+  assert.deepEqual(welchTTest([3, 3], [3, 3]), { statistic: 0, pValue: 1 });
+  assert.equal(welchTTest([1], [2, 3]), null);
+});
+
+test('runs the Mann-Whitney U test with ties', () => {
+  const separated = mannWhitneyU([1, 2, 3], [4, 5, 6]);
+  assert.ok(separated);
+  assert.equal(separated.statistic, 0);
+  assertClose(separated.pValue, 0.0809);
+
+  const tied = mannWhitneyU([1, 2, 2, 3], [2, 3, 4, 5]);
+  assert.ok(tied);
+  assert.equal(tied.statistic, 2.5);
+  assert.ok(tied.pValue > 0.05 && tied.pValue < 1);
+
+  assert.deepEqual(mannWhitneyU([2, 2], [2, 2]), { statistic: 2, pValue: 1 });
+  assert.equal(mannWhitneyU([], [1]), null);
+});
+
+test('bootstraps reproducible confidence intervals', () => {
+  const values = [10, 12, 9, 14, 11, 13, 10, 12];
+  const ci = bootstrapMeanCi(values);
+  assert.ok(ci);
+  assert.ok(ci[0] < 11.375 && ci[1] > 11.375);
+  assert.ok(ci[0] >= 9 && ci[1] <= 14);
+  assert.deepEqual(bootstrapMeanCi(values), ci);
+  assert.equal(bootstrapMeanCi([1]), null);
+
+  const change = bootstrapPercentChangeCi(
+    values,
+    values.map((value) => value * 2),
+  );
+  assert.ok(change);
+  assert.ok(change[0] < 100 && change[1] > 100);
+  assert.equal(bootstrapPercentChangeCi([0, 0], [1, 2]), null);
+
+  const stats = describe(values);
+  assert.equal(stats.n, 8);
+  assert.equal(stats.median, 11.5);
+  assert.deepEqual(stats.ci95, ci);
+});
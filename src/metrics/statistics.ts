@@ -0,0 +1,370 @@
+/**
+ * Descriptive statistics and hypothesis tests used to compare benchmark arms.
+ * Everything here is dependency-free and deterministic: bootstrap resampling
+ * uses a seeded generator so repeated summaries produce identical results.
+ */
+
+export type ConfidenceInterval = [number, number];
+
+export type DescriptiveStats = {
+  n: number;
+  mean: number;
+  median: number;
+  stdDev: number;
+  ci95: ConfidenceInterval | null;
+};
+
+export type TestResult = {
+  statistic: number;
+  pValue: number;
+};
+
+const BOOTSTRAP_SAMPLES = 2000;
+const BOOTSTRAP_SEED = 42;
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed Seed value
+ * @returns {() => number} Generator returning values in [0, 1)
+ */
+export function createRandom(seed: number): () => number {
+  let state = seed >>> 0; // eslint-disable-line no-bitwise
+  return () => {
+    /* eslint-disable no-bitwise */
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    /* eslint-enable no-bitwise */
+  };
+}
+
+/**
+ * Calculate the arithmetic mean
+ * @param {number[]} values Sample values
+ * @returns {number} Mean, or 0 for an empty sample
+ */
+export function mean(values: number[]): number {
+  if (!values.length) return 0;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Calculate the median
+ * @param {number[]} values Sample values
+ * @returns {number} Median, or 0 for an empty sample
+ */
+export function median(values: number[]): number {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Calculate the sample variance (n - 1 denominator)
+ * @param {number[]} values Sample values
+ * @returns {number} Variance, or 0 for fewer than two values
+ */
+export function variance(values: number[]): number {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return (
+    values.reduce((sum, value) => sum + (value - m) ** 2, 0) /
+    (values.length - 1)
+  );
+}
+
+/**
+ * Calculate the sample standard deviation
+ * @param {number[]} values Sample values
+ * @returns {number} Standard deviation
+ */
+export function standardDeviation(values: number[]): number {
+  return Math.sqrt(variance(values));
+}
+
+/**
+ * Get the value at a quantile of a sorted array using linear interpolation
+ * @param {number[]} sorted Values sorted ascending
+ * @param {number} q Quantile in [0, 1]
+ * @returns {number} Interpolated value
+ */
+export function quantile(sorted: number[], q: number): number {
+  if (!sorted.length) return 0;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Draw a bootstrap resample and return its mean
+ * @param {number[]} values Sample values
+ * @param {() => number} random Random number generator
+ * @returns {number} Mean of the resample
+ */
+function resampleMean(values: number[], random: () => number): number {
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[Math.floor(random() * values.length)];
+  }
+  return sum / values.length;
+}
+
+/**
+ * Percentile bootstrap confidence interval for the mean
+ * @param {number[]} values Sample values
+ * @param {number} [level] Confidence level
+ * @returns {ConfidenceInterval|null} Interval, or null for fewer than two values
+ */
+export function bootstrapMeanCi(
+  values: number[],
+  level = 0.95,
+): ConfidenceInterval | null {
+  if (values.length < 2) return null;
+  const random = createRandom(BOOTSTRAP_SEED);
+  const means: number[] = [];
+  for (let i = 0; i < BOOTSTRAP_SAMPLES; i++) {
+    means.push(resampleMean(values, random));
+  }
+  means.sort((a, b) => a - b);
+  const alpha = (1 - level) / 2;
+  return [quantile(means, alpha), quantile(means, 1 - alpha)];
+}
+
+/**
+ * Percentile bootstrap confidence interval for the percentage change of the
+ * treatment mean relative to the baseline mean
+ * @param {number[]} baseline Baseline sample
+ * @param {number[]} treatment Treatment sample
+ * @param {number} [level] Confidence level
+ * @returns {ConfidenceInterval|null} Interval in percent, or null if undefined
+ */
+export function bootstrapPercentChangeCi(
+  baseline: number[],
+  treatment: number[],
+  level = 0.95,
+): ConfidenceInterval | null {
+  if (baseline.length < 2 || treatment.length < 2) return null;
+  const random = createRandom(BOOTSTRAP_SEED);
+  const changes: number[] = [];
+  for (let i = 0; i < BOOTSTRAP_SAMPLES; i++) {
+    const baselineMean = resampleMean(baseline, random);
+    const treatmentMean = resampleMean(treatment, random);
+    if (baselineMean !== 0) {
+      changes.push(((treatmentMean - baselineMean) / baselineMean) * 100);
+    }
+  }
+  if (changes.length < BOOTSTRAP_SAMPLES / 2) return null;
+  changes.sort((a, b) => a - b);
+  const alpha = (1 - level) / 2;
+  return [quantile(changes, alpha), quantile(changes, 1 - alpha)];
+}
+
+/**
+ * Standard normal cumulative distribution function
+ * @param {number} z Standard score
+ * @returns {number} P(Z <= z)
+ */
+export function normalCdf(z: number): number {
+  // Abramowitz & Stegun 7.1.26, absolute error below 1.5e-7
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) *
+      t +
+      0.254829592) *
+      t *
+      Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ * @param {number} x Positive input
+ * @returns {number} ln(Gamma(x))
+ */
+function logGamma(x: number): number {
+  const coefficients = [
+    76.18009172947146, -86.50532032941678, 24.01409824083091,
+    -1.231739572450155, 0.001208650973866179, -0.5395239384953e-5,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const coefficient of coefficients) {
+    y += 1;
+    series += coefficient / y;
+  }
+  return -tmp + Math.log((2.5066282746310007 * series) / x);
+}
+
+/**
+ * Continued fraction for the regularized incomplete beta function
+ * @param {number} a Shape parameter a
+ * @param {number} b Shape parameter b
+ * @param {number} x Input in [0, 1]
+ * @returns {number} Continued fraction value
+ */
+function betaContinuedFraction(a: number, b: number, x: number): number {
+  const MAX_ITERATIONS = 200;
+  const EPSILON = 3e-14;
+  const FPMIN = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x Input in [0, 1]
+ * @param {number} a Shape parameter a
+ * @param {number} b Shape parameter b
+ * @returns {number} I_x(a, b)
+ */
+export function incompleteBeta(x: number, a: number, b: number): number {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) -
+      logGamma(a) -
+      logGamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x),
+  );
+  if (x < (a + 1) / (a + b + 2)) {
+    return (front * betaContinuedFraction(a, b, x)) / a;
+  }
+  return 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+/**
+ * Two-sided p-value of Student's t distribution
+ * @param {number} t t statistic
+ * @param {number} df Degrees of freedom
+ * @returns {number} Two-sided p-value
+ */
+export function studentTTwoSidedP(t: number, df: number): number {
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Welch's unequal-variance t-test
+ * @param {number[]} a First sample
+ * @param {number[]} b Second sample
+ * @returns {TestResult|null} t statistic and two-sided p-value, or null if undefined
+ */
+export function welchTTest(a: number[], b: number[]): TestResult | null {
+  if (a.length < 2 || b.length < 2) return null;
+  const varianceA = variance(a) / a.length;
+  const varianceB = variance(b) / b.length;
+  const standardError = Math.sqrt(varianceA + varianceB);
+  const difference = mean(a) - mean(b);
+
+  if (standardError === 0) {
+    return { statistic: 0, pValue: difference === 0 ? 1 : 0 };
+  }
+
+  const t = difference / standardError;
+  const df =
+    (varianceA + varianceB) ** 2 /
+    (varianceA ** 2 / (a.length - 1) + varianceB ** 2 / (b.length - 1));
+  return { statistic: t, pValue: studentTTwoSidedP(t, df) };
+}
+
+/**
+ * Mann-Whitney U test using the normal approximation with tie and
+ * continuity corrections
+ * @param {number[]} a First sample
+ * @param {number[]} b Second sample
+ * @returns {TestResult|null} U statistic of the first sample and two-sided p-value, or null if undefined
+ */
+export function mannWhitneyU(a: number[], b: number[]): TestResult | null {
+  if (!a.length || !b.length) return null;
+  const combined = [
+    ...a.map((value) => ({ value, group: 0 })),
+    ...b.map((value) => ({ value, group: 1 })),
+  ].sort((x, y) => x.value - y.value);
+
+  // Assign average ranks to ties and collect tie sizes for the correction
+  const ranks = new Array<number>(combined.length);
+  let tieCorrection = 0;
+  for (let i = 0; i < combined.length; ) {
+    let j = i;
+    while (
+      j + 1 < combined.length &&
+      combined[j + 1].value === combined[i].value
+    ) {
+      j++;
+    }
+    const averageRank = (i + j + 2) / 2;
+    for (let k = i; k <= j; k++) {
+      ranks[k] = averageRank;
+    }
+    const ties = j - i + 1;
+    tieCorrection += ties ** 3 - ties;
+    i = j + 1;
+  }
+
+  const rankSumA = combined.reduce(
+    (sum, item, index) => (item.group === 0 ? sum + ranks[index] : sum),
+    0,
+  );
+  const n1 = a.length;
+  const n2 = b.length;
+  const n = n1 + n2;
+  const u = rankSumA - (n1 * (n1 + 1)) / 2;
+  const expected = (n1 * n2) / 2;
+  const sigma = Math.sqrt(
+    ((n1 * n2) / 12) * (n + 1 - tieCorrection / (n * (n - 1))),
+  );
+
+  if (sigma === 0) {
+    return { statistic: u, pValue: 1 };
+  }
+
+  const z = Math.max(0, Math.abs(u - expected) - 0.5) / sigma;
+  return { statistic: u, pValue: Math.min(1, 2 * (1 - normalCdf(z))) };
+}
+
+/**
+ * Summarise a sample
+ * @param {number[]} values Sample values
+ * @returns {DescriptiveStats} Descriptive statistics with a bootstrap CI of the mean
+ */
+export function describe(values: number[]): DescriptiveStats {
+  return {
+    n: values.length,
+    mean: mean(values),
+    median: median(values),
+    stdDev: standardDeviation(values),
+    ci95: bootstrapMeanCi(values),
+  };
+}
@@ -0,0 +1,143 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import { evaluateSuccess, TaskSuccessRules } from './success-checks';
+import { getSuiteSuccessRules, loadSuite } from './suite';
+import { UIMessage } from './types';
+
+const SID = '0123456789abcdef0123456789abcdef';
+
+const toolResult = (body: unknown): UIMessage => ({
+  type: 'say',
+  say: 'mcp_server_response',
+  text: JSON.stringify(body),
+});
+
+const finalMessage = (text: string): UIMessage => ({
+  type: 'say',
+  say: 'completion_result',
+  text,
+});
+
+test('passes with all rules and fails on the first failed rule', () => {
+  const rules: TaskSuccessRules = {
+    match: 'all',
+    rules: [
+      { type: 'regex', target: 'finalMessage', pattern: 'done' },
+      { type: 'json', target: 'toolResults', path: 'status', equals: 'ok' },
+    ],
+  };
+  const passing = [toolResult({ status: 'ok' }), finalMessage('All done')];
+  assert.equal(evaluateSuccess(rules, passing, 1).outcome, 'passed');
+
+  const failing = [toolResult({ status: 'error' }), finalMessage('All done')];
+  const check = evaluateSuccess(rules, failing, 1);
+  assert.equal(check.outcome, 'failed');
+  assert.match(check.reason, /json rule 2/);
+});
+
+test('passes with one rule when any rule is enough', () => {
+  const rules: TaskSuccessRules = {
+    match: 'any',
+    rules: [
+      { type: 'regex', target: 'finalMessage', pattern: 'already exists' },
+      { type: 'json', target: 'toolResults', path: 'name', exists: true },
+    ],
+  };
+  assert.equal(
+    evaluateSuccess(rules, [finalMessage('It already exists')], 1).outcome,
+    'passed',
+  );
+  assert.equal(
+    evaluateSuccess(rules, [toolResult({}), finalMessage('No')], 1).outcome,
+    'failed',
+  );
+});
+
+test('cannot check rules whose target is missing or tasks without rules', () => {
+  const rules: TaskSuccessRules = {
+    rules: [{ type: 'json', target: 'mockState', path: 'sid', exists: true }],
+  };
+  assert.equal(
+    evaluateSuccess(rules, [finalMessage('Done')], 1).outcome,
+    'unknown',
+  );
+  assert.equal(evaluateSuccess(undefined, [], 1).outcome, 'unknown');
+});
+
+test('negates rules and parses JSON wrapped in text', () => {
+  const rules: TaskSuccessRules = {
+    rules: [
+      {
+        type: 'json',
+        target: 'toolResults',
+        path: 'code',
+        equals: 20404,
+        negate: true,
+      },
+    ],
+  };
+  const notFound: UIMessage = {
+    type: 'say',
+    say: 'command_output',
+    text: `HTTP/1.1 404\n\n${JSON.stringify({ code: 20404 })}`,
+  };
+  assert.equal(evaluateSuccess(rules, [notFound], 1).outcome, 'failed');
+  assert.equal(
+    evaluateSuccess(rules, [toolResult({ code: 0 })], 1).outcome,
+    'passed',
+  );
+});
+
+test('searches json paths at any depth unless the rule is anchored at the root', () => {
+  const list = toolResult({ items: [{ sid: `PN${SID}` }] });
+  const rule = {
+    type: 'json',
+    target: 'toolResults' as const,
+    path: 'sid',
+    matches: '^PN',
+  };
+  assert.equal(evaluateSuccess({ rules: [rule] }, [list], 1).outcome, 'passed');
+  assert.equal(
+    evaluateSuccess({ rules: [{ ...rule, root: true }] }, [list], 1).outcome,
+    'failed',
+  );
+});
+
+test('passes task 1 of the bundled suite only when a number is purchased', async () => {
+  const rules = getSuiteSuccessRules(await loadSuite()).tasks['1'];
+  const number = { sid: `PN${SID}`, phone_number: '+14165550100' };
+
+  const searched = [
+    toolResult({ available_phone_numbers: [{ phone_number: '+14165550100' }] }),
+    toolResult({ incoming_phone_numbers: [number] }),
+  ];
+  assert.equal(evaluateSuccess(rules, searched, 1).outcome, 'failed');
+
+  const purchased = [...searched, toolResult(number)];
+  assert.equal(evaluateSuccess(rules, purchased, 1).outcome, 'passed');
+});
+
+test('passes task 3 of the bundled suite only for a queue that excludes Bathroom', async () => {
+  const rules = getSuiteSuccessRules(await loadSuite()).tasks['3'];
+  const queue = (targetWorkers: string) => ({
+    sid: `WQ${SID}`,
+    target_workers: targetWorkers,
+  });
+
+  const existing = toolResult({
+    task_queues: [queue("activity_name != 'Bathroom'")],
+  });
+  assert.equal(evaluateSuccess(rules, [existing], 3).outcome, 'failed');
+
+  const routesToBathroom = toolResult(queue("activity_name == 'Bathroom'"));
+  assert.equal(evaluateSuccess(rules, [routesToBathroom], 3).outcome, 'failed');
+
+  const created = toolResult(queue("activity_name != 'Bathroom'"));
+  assert.equal(evaluateSuccess(rules, [created], 3).outcome, 'passed');
+
+  const notIn = toolResult(
+    queue("activity_name NOT IN ['Bathroom', 'Offline']"),
+  );
+  assert.equal(evaluateSuccess(rules, [notIn], 3).outcome, 'passed');
+});
@@ -0,0 +1,269 @@
+import { promises as fs } from 'fs';
+
+import { logger } from '../utils';
+import { TaskOutcome, UIMessage } from './types';
+
+export type CheckTarget =
+  | 'finalMessage'
+  | 'completion'
+  | 'toolResults'
+  | 'transcript'
+  | 'mockState';
+
+export type SuccessRule = {
+  type: string;
+  target: CheckTarget;
+  description?: string;
+  negate?: boolean;
+  // regex rules
+  pattern?: string;
+  flags?: string;
+  // json rules
+  path?: string;
+  root?: boolean;
+  equals?: unknown;
+  matches?: string;
+  exists?: boolean;
+};
+
+export type TaskSuccessRules = {
+  match?: 'all' | 'any';
+  rules: SuccessRule[];
+};
+
+export type SuccessRules = {
+  tasks: Record<string, TaskSuccessRules>;
+};
+
+export type CheckResult = {
+  outcome: TaskOutcome;
+  reason: string;
+};
+
+type CheckFunction = (rule: SuccessRule, texts: string[]) => boolean;
+
+const TOOL_RESULT_MESSAGES = [
+  'mcp_server_response',
+  'command_output',
+  'tool_result',
+];
+
+/**
+ * Get the value at a dotted path such as "data.0.friendly_name"
+ * @param {unknown} value Parsed JSON value
+ * @param {string} jsonPath Dotted path, empty for the value itself
+ * @returns {unknown} Value at the path or undefined
+ */
+function getPathValue(value: unknown, jsonPath: string): unknown {
+  if (!jsonPath) return value;
+  return jsonPath.split('.').reduce<unknown>((current, key) => {
+    if (current === null || typeof current !== 'object') return undefined;
+    return (current as Record<string, unknown>)[key];
+  }, value);
+}
+
+/**
+ * Find every object in a JSON value that has the first key of the path, so
+ * assertions work on list responses as well as single resources
+ * @param {unknown} value Parsed JSON value
+ * @param {string} jsonPath Dotted path
+ * @returns {unknown[]} Values found at the path
+ */
+function findPathValues(value: unknown, jsonPath: string): unknown[] {
+  const direct = getPathValue(value, jsonPath);
+  const found: unknown[] = direct === undefined ? [] : [direct];
+  if (value !== null && typeof value === 'object') {
+    Object.values(value as object).forEach((child) => {
+      if (child !== null && typeof child === 'object') {
+        found.push(...findPathValues(child, jsonPath));
+      }
+    });
+  }
+  return found;
+}
+
+/**
+ * Extract JSON documents from a tool result, which may wrap JSON in text
+ * @param {string} text Tool result text
+ * @returns {unknown[]} Parsed JSON documents
+ */
+function parseJsonDocuments(text: string): unknown[] {
+  try {
+    return [JSON.parse(text)];
+  } catch (error) {
+    const start = text.search(/[{[]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start === -1 || end <= start) return [];
+    try {
+      return [JSON.parse(text.substring(start, end + 1))];
+    } catch (innerError) {
+      return [];
+    }
+  }
+}
+
+// Check types available to rules files, keyed by rule type
+export const SUCCESS_CHECKS: Record<string, CheckFunction> = {
+  regex: (rule, texts) => {
+    const regex = new RegExp(rule.pattern ?? '', rule.flags);
+    return texts.some((text) => regex.test(text));
+  },
+  json: (rule, texts) =>
+    texts.some((text) =>
+      parseJsonDocuments(text).some((document) =>
+        (rule.root
+          ? [getPathValue(document, rule.path ?? '')].filter(
+              (value) => value !== undefined,
+            )
+          : findPathValues(document, rule.path ?? '')
+        ).some((value) => {
+          if (rule.exists !== undefined) {
+            return rule.exists === (value !== undefined && value !== null);
+          }
+          if (rule.matches !== undefined) {
+            return new RegExp(rule.matches, rule.flags).test(String(value));
+          }
+          return JSON.stringify(value) === JSON.stringify(rule.equals);
+        }),
+      ),
+    ),
+};
+
+/**
+ * Load success rules from a JSON file
+ * @param {string} file Path to the rules file
+ * @returns {Promise<SuccessRules|undefined>} Rules or undefined if the file does not exist
+ */
+export async function loadSuccessRules(
+  file: string,
+): Promise<SuccessRules | undefined> {
+  let content: string;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    return undefined;
+  }
+
+  const rules: SuccessRules = JSON.parse(content);
+  for (const [taskId, taskRules] of Object.entries(rules.tasks ?? {})) {
+    for (const rule of taskRules.rules ?? []) {
+      if (!SUCCESS_CHECKS[rule.type]) {
+        throw new Error(
+          `Unknown success check type "${rule.type}" for task ${taskId} in ${file}`,
+        );
+      }
+    }
+  }
+  logger.info(`Loaded success rules from ${file}`);
+  return rules;
+}
+
+/**
+ * Collect the texts a rule target refers to
+ * @param {UIMessage[]} messages UI messages of the task segment
+ * @param {CheckTarget} target The rule target
+ * @returns {string[]} Texts to check, empty if the target is absent
+ */
+export function getTargetTexts(
+  messages: UIMessage[],
+  target: CheckTarget,
+): string[] {
+  const kind = (message: UIMessage) =>
+    message.type === 'ask' ? message.ask : message.say;
+
+  switch (target) {
+    case 'completion': {
+      const completion = messages
+        .filter((m) => kind(m) === 'completion_result' && m.text)
+        .pop();
+      return completion?.text ? [completion.text] : [];
+    }
+    case 'finalMessage': {
+      const final = messages
+        .filter(
+          (m) =>
+            (kind(m) === 'completion_result' ||
+              (m.say === 'text' && m.from !== 'user')) &&
+            m.text,
+        )
+        .pop();
+      return final?.text ? [final.text] : [];
+    }
+    case 'toolResults':
+      return messages
+        .filter((m) => TOOL_RESULT_MESSAGES.includes(kind(m) ?? '') && m.text)
+        .map((m) => m.text as string);
+    case 'transcript':
+      return messages
+        .filter((m) => m.text && m.say !== 'mock_state')
+        .map((m) => m.text as string);
+    case 'mockState': {
+      const state = messages
+        .filter((m) => m.say === 'mock_state' && m.text)
+        .pop();
+      return state?.text ? [state.text] : [];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Evaluate the success rules of a task against a task segment
+ * @param {TaskSuccessRules|undefined} taskRules Rules for the task
+ * @param {UIMessage[]} messages UI messages of the task segment
+ * @param {number} taskId Task ID, used in the reason
+ * @returns {CheckResult} Outcome with a human-readable reason
+ */
+export function evaluateSuccess(
+  taskRules: TaskSuccessRules | undefined,
+  messages: UIMessage[],
+  taskId: number,
+): CheckResult {
+  if (!taskRules?.rules?.length) {
+    return {
+      outcome: 'unknown',
+      reason: `No success rules for task ${taskId}`,
+    };
+  }
+
+  const results = taskRules.rules.map((rule, index) => {
+    const label = rule.description ?? `${rule.type} rule ${index + 1}`;
+    const texts = getTargetTexts(messages, rule.target);
+    if (!texts.length) {
+      return {
+        outcome: 'unknown' as const,
+        label: `${label} (no ${rule.target})`,
+      };
+    }
+    const matched = SUCCESS_CHECKS[rule.type](rule, texts);
+    return {
+      outcome:
+        matched !== !!rule.negate ? ('passed' as const) : ('failed' as const),
+      label,
+    };
+  });
+
+  const passed = results.filter((r) => r.outcome === 'passed');
+  const failed = results.filter((r) => r.outcome === 'failed');
+  const unknown = results.filter((r) => r.outcome === 'unknown');
+  const list = (items: { label: string }[]) =>
+    items.map((item) => item.label).join('; ');
+
+  if (taskRules.match === 'any') {
+    if (passed.length) {
+      return { outcome: 'passed', reason: `Passed: ${list(passed)}` };
+    }
+    return unknown.length
+      ? { outcome: 'unknown', reason: `Could not check: ${list(unknown)}` }
+      : { outcome: 'failed', reason: `Failed: ${list(failed)}` };
+  }
+
+  if (failed.length) {
+    return { outcome: 'failed', reason: `Failed: ${list(failed)}` };
+  }
+  if (unknown.length) {
+    return { outcome: 'unknown', reason: `Could not check: ${list(unknown)}` };
+  }
+  return { outcome: 'passed', reason: `Passed: ${list(passed)}` };
+}
@@ -0,0 +1,106 @@
+import assert from 'assert/strict';
+import { promises as fs } from 'fs';
+import { test } from 'node:test';
+import os from 'os';
+import path from 'path';
+
+import {
+  DEFAULT_SUITE_FILE,
+  findSuiteFile,
+  findTaskStart,
+  findVariant,
+  loadSuite,
+  SuiteDefinition,
+  validateSuite,
+} from './suite';
+
+const SUITE: SuiteDefinition = {
+  name: 'Test',
+  baseline: 'control',
+  startPattern: 'Complete Task (\\d+)',
+  variants: [
+    { id: 'control', name: 'Control', markers: ['control.md'] },
+    { id: 'mcp', name: 'MCP', markers: ['mcp.md'] },
+  ],
+  tasks: [
+    { id: 1, name: 'One' },
+    { id: 2, name: 'Two', startMarker: 'second task' },
+  ],
+};
+
+test('accepts a valid suite', () => {
+  assert.deepEqual(validateSuite(SUITE), []);
+});
+
+test('rejects start patterns that do not compile or capture the task', () => {
+  assert.match(
+    validateSuite({ ...SUITE, startPattern: 'Complete Task (\\d+' }).join(),
+    /startPattern is not a valid regex/,
+  );
+  assert.deepEqual(
+    validateSuite({ ...SUITE, startPattern: 'Complete Task \\d+' }),
+    ['startPattern must capture the task number in a group'],
+  );
+  assert.match(
+    validateSuite({
+      ...SUITE,
+      tasks: [{ id: 1, name: 'One', startMarker: '[unclosed' }],
+    }).join(),
+    /tasks\[0\]\.startMarker is not a valid regex/,
+  );
+});
+
+test('rejects duplicated ids, unknown baselines and bad variant ids', () => {
+  const errors = validateSuite({
+    ...SUITE,
+    baseline: 'other',
+    variants: [...SUITE.variants, { id: 'mcp v2', name: 'V2', markers: [] }],
+    tasks: [...SUITE.tasks, { id: 1, name: 'Again' }],
+  });
+  assert.deepEqual(errors, [
+    'variants[2].id "mcp v2" may only contain letters, digits, "-" and "_"',
+    'variants[2].markers must not be empty',
+    'baseline "other" is not a variant',
+    'task id 1 is duplicated',
+  ]);
+});
+
+test('finds the task and variant a message starts', () => {
+  assert.equal(findTaskStart('Complete Task 3 with control.md', SUITE), 3);
+  assert.equal(findTaskStart('Now the second task', SUITE), 2);
+  assert.equal(findTaskStart('Hello', SUITE), undefined);
+  assert.equal(findVariant('Use mcp.md', SUITE), 'mcp');
+});
+
+test('fails for a suite file that was passed but cannot be read', async () => {
+  await assert.rejects(
+    loadSuite(path.join(os.tmpdir(), 'missing-suite.json')),
+    /Could not read suite file/,
+  );
+});
+
+test('uses the suite of the metrics directory, or the built-in suite', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-te-suite-'));
+  try {
+    assert.equal(await findSuiteFile(directory), undefined);
+    const builtIn = await loadSuite(await findSuiteFile(directory));
+    assert.equal(builtIn.name, 'Twilio');
+    assert.ok(
+      builtIn.variants.every(
+        (variant) =>
+          !variant.instructions || path.isAbsolute(variant.instructions),
+      ),
+    );
+
+    const file = path.join(directory, 'suite.json');
+    await fs.writeFile(file, JSON.stringify(SUITE));
+    assert.equal(await findSuiteFile(directory), file);
+    assert.equal(
+      await findSuiteFile(directory, DEFAULT_SUITE_FILE),
+      DEFAULT_SUITE_FILE,
+    );
+    assert.equal((await loadSuite(file)).name, 'Test');
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,327 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { logger } from '../utils';
+import {
+  SUCCESS_CHECKS,
+  SuccessRules,
+  TaskSuccessRules,
+} from './success-checks';
+
+export type McpServerDefinition = {
+  command: string;
+  args?: string[];
+  env?: Record<string, string>;
+};
+
+export type TaskDefinition = {
+  id: number;
+  name: string;
+  description?: string;
+  startMarker?: string;
+  // Message the run command sends to start the task
+  prompt?: string;
+  success?: TaskSuccessRules;
+};
+
+export type VariantDefinition = {
+  id: string;
+  name: string;
+  description?: string;
+  markers: string[];
+  // Used by the run command: instructions file added to the system prompt,
+  // MCP servers started over stdio and whether shell commands are allowed
+  instructions?: string;
+  mcpServers?: Record<string, McpServerDefinition>;
+  commands?: boolean;
+};
+
+export type SuiteDefinition = {
+  name: string;
+  description?: string;
+  server?: string;
+  baseline: string;
+  startPattern: string;
+  tasks: TaskDefinition[];
+  variants: VariantDefinition[];
+};
+
+const VARIANT_ID_PATTERN = /^[\w-]+$/;
+
+const DEFAULT_START_PATTERN =
+  'Complete Task (\\d+) using the (?:commands|tools|functions)';
+
+// The Twilio suite bundled with the package, used when there is no suite file
+export const DEFAULT_SUITE_FILE = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../../.mcp-te-benchmark/suite.json',
+);
+
+/**
+ * Check that a pattern compiles as a regex
+ * @param {string} pattern The pattern
+ * @returns {string|undefined} The syntax error, undefined if it compiles
+ */
+function getRegexError(pattern: string): string | undefined {
+  try {
+    RegExp(pattern, 'i');
+    return undefined;
+  } catch (error) {
+    return (error as Error).message;
+  }
+}
+
+/**
+ * Count the capture groups of a valid regex
+ * @param {string} pattern The pattern
+ * @returns {number} Number of capture groups
+ */
+function countGroups(pattern: string): number {
+  // An empty alternative matches any text, with every group unset
+  return (new RegExp(`${pattern}|`).exec('')?.length ?? 1) - 1;
+}
+
+/**
+ * Check a suite definition for missing or inconsistent fields
+ * @param {SuiteDefinition} suite The suite to validate
+ * @returns {string[]} Validation errors, empty if valid
+ */
+export function validateSuite(suite: SuiteDefinition): string[] {
+  const errors: string[] = [];
+  if (!suite.name) errors.push('name is required');
+  if (!suite.variants?.length) errors.push('at least one variant is required');
+  if (!suite.tasks?.length) errors.push('at least one task is required');
+
+  const variantIds = new Set<string>();
+  (suite.variants ?? []).forEach((variant, index) => {
+    if (!variant.id) errors.push(`variants[${index}].id is required`);
+    // Variant IDs become the mode in metric file names
+    if (variant.id && !VARIANT_ID_PATTERN.test(variant.id)) {
+      errors.push(
+        `variants[${index}].id "${variant.id}" may only contain letters, digits, "-" and "_"`,
+      );
+    }
+    if (variantIds.has(variant.id)) {
+      errors.push(`variant id "${variant.id}" is duplicated`);
+    }
+    variantIds.add(variant.id);
+    if (!variant.markers?.length) {
+      errors.push(`variants[${index}].markers must not be empty`);
+    }
+    Object.entries(variant.mcpServers ?? {}).forEach(([name, server]) => {
+      if (!server.command) {
+        errors.push(
+          `variants[${index}].mcpServers.${name}.command is required`,
+        );
+      }
+    });
+  });
+
+  if (suite.baseline && !variantIds.has(suite.baseline)) {
+    errors.push(`baseline "${suite.baseline}" is not a variant`);
+  }
+
+  const startPatternError = getRegexError(suite.startPattern);
+  if (startPatternError) {
+    errors.push(`startPattern is not a valid regex: ${startPatternError}`);
+  } else if (suite.startPattern && countGroups(suite.startPattern) < 1) {
+    errors.push('startPattern must capture the task number in a group');
+  }
+
+  const taskIds = new Set<number>();
+  (suite.tasks ?? []).forEach((task, index) => {
+    if (!Number.isInteger(task.id)) {
+      errors.push(`tasks[${index}].id must be an integer`);
+    }
+    const startMarkerError = task.startMarker
+      ? getRegexError(task.startMarker)
+      : undefined;
+    if (startMarkerError) {
+      errors.push(
+        `tasks[${index}].startMarker is not a valid regex: ${startMarkerError}`,
+      );
+    }
+    if (taskIds.has(task.id)) errors.push(`task id ${task.id} is duplicated`);
+    taskIds.add(task.id);
+    (task.success?.rules ?? []).forEach((rule, ruleIndex) => {
+      if (!SUCCESS_CHECKS[rule.type]) {
+        errors.push(
+          `tasks[${index}].success.rules[${ruleIndex}].type "${rule.type}" is unknown`,
+        );
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Parse and validate a suite definition
+ * @param {string} content Content of the suite file
+ * @param {string} file Path of the suite file, for error messages
+ * @returns {SuiteDefinition} The suite
+ */
+function parseSuite(content: string, file: string): SuiteDefinition {
+  const parsed: Partial<SuiteDefinition> = JSON.parse(content);
+  const suite: SuiteDefinition = {
+    ...parsed,
+    name: parsed.name ?? '',
+    baseline: parsed.baseline ?? parsed.variants?.[0]?.id ?? '',
+    startPattern: parsed.startPattern ?? DEFAULT_START_PATTERN,
+    tasks: parsed.tasks ?? [],
+    variants: parsed.variants ?? [],
+  };
+  const errors = validateSuite(suite);
+  if (errors.length) {
+    throw new Error(`Invalid suite ${file}: ${errors.join(', ')}`);
+  }
+  return suite;
+}
+
+/**
+ * Load the bundled Twilio suite. Its instructions paths are made absolute, so
+ * they resolve wherever the suite is used from.
+ * @param {string} [controlMarker] Marker identifying control chats
+ * @param {string} [mcpMarker] Marker identifying MCP chats
+ * @returns {Promise<SuiteDefinition>} The default suite
+ */
+async function loadDefaultSuite(
+  controlMarker?: string,
+  mcpMarker?: string,
+): Promise<SuiteDefinition> {
+  const suite = parseSuite(
+    await fs.readFile(DEFAULT_SUITE_FILE, 'utf8'),
+    DEFAULT_SUITE_FILE,
+  );
+  const markers: Record<string, string | undefined> = {
+    control: controlMarker,
+    mcp: mcpMarker,
+  };
+  return {
+    ...suite,
+    variants: suite.variants.map((variant) => {
+      const marker = markers[variant.id];
+      return {
+        ...variant,
+        markers: marker ? [marker] : variant.markers,
+        instructions:
+          variant.instructions &&
+          path.resolve(path.dirname(DEFAULT_SUITE_FILE), variant.instructions),
+      };
+    }),
+  };
+}
+
+/**
+ * Load a suite definition, or the built-in suite when no file is given
+ * @param {string} [file] Path to a suite.json file, which must exist
+ * @param {string} [controlMarker] Control marker for the built-in suite
+ * @param {string} [mcpMarker] MCP marker for the built-in suite
+ * @returns {Promise<SuiteDefinition>} The suite
+ */
+export async function loadSuite(
+  file?: string,
+  controlMarker?: string,
+  mcpMarker?: string,
+): Promise<SuiteDefinition> {
+  if (!file) {
+    return loadDefaultSuite(controlMarker, mcpMarker);
+  }
+
+  let content: string;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw new Error(
+      `Could not read suite file ${file}: ${(error as Error).message}`,
+    );
+  }
+
+  const suite = parseSuite(content, file);
+  logger.info(`Loaded suite "${suite.name}" from ${file}`);
+  return suite;
+}
+
+/**
+ * Get the suite file of a metrics directory: the file passed with --suite,
+ * or suite.json in the directory when it has one
+ * @param {string} directory Metrics directory
+ * @param {string} [file] Suite file passed by the user
+ * @returns {Promise<string|undefined>} Path of the suite file, undefined to use the built-in suite
+ */
+export async function findSuiteFile(
+  directory: string,
+  file?: string,
+): Promise<string | undefined> {
+  if (file) {
+    return file;
+  }
+  const directoryFile = path.join(directory, 'suite.json');
+  try {
+    await fs.access(directoryFile);
+    return directoryFile;
+  } catch (error) {
+    logger.debug(`No suite file at ${directoryFile}, using the built-in suite`);
+    return undefined;
+  }
+}
+
+/**
+ * Get the success rules declared by the suite's tasks
+ * @param {SuiteDefinition} suite The suite
+ * @param {SuccessRules} [overrides] Rules that replace the suite's, per task
+ * @returns {SuccessRules} Success rules keyed by task ID
+ */
+export function getSuiteSuccessRules(
+  suite: SuiteDefinition,
+  overrides?: SuccessRules,
+): SuccessRules {
+  return {
+    tasks: {
+      ...Object.fromEntries(
+        suite.tasks
+          .filter((task) => task.success)
+          .map((task) => [String(task.id), task.success as TaskSuccessRules]),
+      ),
+      ...overrides?.tasks,
+    },
+  };
+}
+
+/**
+ * Find the variant whose marker appears in a text
+ * @param {string} text Message text
+ * @param {SuiteDefinition} suite The suite
+ * @returns {string|undefined} Variant ID or undefined if no marker matches
+ */
+export function findVariant(
+  text: string,
+  suite: SuiteDefinition,
+): string | undefined {
+  return suite.variants.find((variant) =>
+    variant.markers.some((marker) => text.includes(marker)),
+  )?.id;
+}
+
+/**
+ * Find the task a message starts, using per-task start markers first and
+ * then the suite's start pattern
+ * @param {string} text Message text
+ * @param {SuiteDefinition} suite The suite
+ * @returns {number|undefined} Task ID or undefined if the text starts no task
+ */
+export function findTaskStart(
+  text: string,
+  suite: SuiteDefinition,
+): number | undefined {
+  const markedTask = suite.tasks.find(
+    (task) => task.startMarker && new RegExp(task.startMarker, 'i').test(text),
+  );
+  if (markedTask) {
+    return markedTask.id;
+  }
+
+  const match = text.match(new RegExp(suite.startPattern, 'i'));
+  return match?.[1] ? parseInt(match[1], 10) : undefined;
+}
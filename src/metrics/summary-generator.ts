@@ -2,17 +2,35 @@ import { promises as fs } from 'fs';
 import path from 'path';
 
 import { logger } from '../utils';
+import { buildComparisonReport, resolveBaseline } from './comparison';
 import {
-  convertFileMetricToTaskMetric,
-  convertTaskMetricToFilePayload,
+  applyExclusions,
+  EXCLUSIONS_FILE,
+  getExclusions,
+  loadExclusionLog,
+  withoutExcluded,
+} from './exclusions';
+import {
+  getMetricFileName,
   hasMoreActivity,
+  METRIC_FILE_PATTERN,
   normalizeMetric,
   printSummaryStatistics,
   sortMetrics,
   SummaryResponse,
   validateDuration,
 } from './metrics-utils';
-import { TaskMetrics } from './types';
+import { describeOutliers, flagOutliers } from './outliers';
+import {
+  formatSummary,
+  fromTaskFile,
+  loadSummary,
+  parseTaskFile,
+  toTaskFile,
+} from './schema';
+import { findSuiteFile, loadSuite } from './suite';
+import { TIMELINES_DIRECTORY } from './timeline';
+import { TaskMetrics, TaskTimeline } from './types';
 
 /**
  * Generator for summary metrics from task data
@@ -20,12 +38,20 @@ import { TaskMetrics } from './types';
 class SummaryGenerator {
   private directory: string;
 
+  private baseline?: string;
+
+  private outlierMethod: string;
+
   /**
    * Create a new SummaryGenerator
    * @param {string} directory Directory containing metrics files
+   * @param {string} [baseline] Baseline mode, defaults to the baseline of the directory's suite
+   * @param {string} [outlierMethod] How to flag outliers, "iqr", "zscore" or "none"
    */
-  constructor(directory: string) {
+  constructor(directory: string, baseline?: string, outlierMethod = 'iqr') {
     this.directory = directory;
+    this.baseline = baseline;
+    this.outlierMethod = outlierMethod;
   }
 
   /**
@@ -60,13 +86,9 @@ class SummaryGenerator {
       }
 
       // Convert back to array
-      const uniqueMetrics = Array.from(directoryMap.values());
-
-      // Write the summary file
-      const summaryPath = path.join(this.directory, 'summary.json');
-      await fs.writeFile(summaryPath, JSON.stringify(uniqueMetrics, null, 2));
-
-      printSummaryStatistics(uniqueMetrics, this.directory);
+      const uniqueMetrics = await this.writeSummary(
+        Array.from(directoryMap.values()),
+      );
 
       return {
         success: true,
@@ -85,6 +107,79 @@ class SummaryGenerator {
     }
   }
 
+  /**
+   * Mark excluded runs and flag outliers, then write summary.json with every
+   * run and comparison.json and the printed statistics without excluded runs
+   * @param {TaskMetrics[]} taskMetrics Runs of the summary
+   * @returns {Promise<TaskMetrics[]>} The runs as written to summary.json
+   */
+  private async writeSummary(
+    taskMetrics: TaskMetrics[],
+  ): Promise<TaskMetrics[]> {
+    const exclusions = getExclusions(await loadExclusionLog(this.directory));
+    const runs = flagOutliers(
+      applyExclusions(taskMetrics, exclusions),
+      this.outlierMethod,
+    );
+
+    await fs.writeFile(
+      path.join(this.directory, 'summary.json'),
+      formatSummary(runs),
+    );
+    const included = withoutExcluded(runs);
+    const baseline = await this.getBaseline(included);
+    await this.writeComparison(included, baseline);
+
+    const excludedCount = runs.length - included.length;
+    if (excludedCount) {
+      logger.info(
+        `Left ${excludedCount} excluded runs out of the comparison, see ${EXCLUSIONS_FILE}`,
+      );
+    }
+    const outliers = included.filter((run) => run.outliers);
+    outliers.forEach((run) => {
+      logger.warn(
+        `Run ${run.directoryId} (${run.model}, ${run.mode}, task ${run.taskId}) is an outlier: ${describeOutliers(run.outliers ?? [])}`,
+      );
+    });
+    if (outliers.length) {
+      logger.warn(
+        `Flagged ${outliers.length} outlier runs. Use the exclude command to leave them out if they are anomalous`,
+      );
+    }
+
+    printSummaryStatistics(included, this.directory, baseline);
+    return runs;
+  }
+
+  /**
+   * Get the baseline mode the other arms are compared against
+   * @param {TaskMetrics[]} taskMetrics Array of task metrics
+   * @returns {Promise<string>} Baseline mode
+   */
+  private async getBaseline(taskMetrics: TaskMetrics[]): Promise<string> {
+    const preferred =
+      this.baseline ??
+      (await loadSuite(await findSuiteFile(this.directory))).baseline;
+    return resolveBaseline(taskMetrics, preferred);
+  }
+
+  /**
+   * Write comparison.json with the statistical comparison of the metrics
+   * @param {TaskMetrics[]} taskMetrics Array of task metrics
+   * @param {string} baseline Baseline mode
+   */
+  private async writeComparison(
+    taskMetrics: TaskMetrics[],
+    baseline: string,
+  ): Promise<void> {
+    const comparisonPath = path.join(this.directory, 'comparison.json');
+    await fs.writeFile(
+      comparisonPath,
+      JSON.stringify(buildComparisonReport(taskMetrics, baseline), null, 2),
+    );
+  }
+
   /**
    * Write individual metric files for each task
    * @param {TaskMetrics[]} taskMetrics Array of task metrics
@@ -105,8 +200,10 @@ class SummaryGenerator {
     const successfulWrites: string[] = [];
     const failedWrites: string[] = [];
     const tasksDir = path.join(this.directory, 'tasks');
+    const timelinesDir = path.join(this.directory, TIMELINES_DIRECTORY);
     try {
       await fs.mkdir(tasksDir, { recursive: true });
+      await fs.mkdir(timelinesDir, { recursive: true });
     } catch (mkdirError) {
       logger.warn(
         `Could not create tasks directory: ${(mkdirError as Error).message}`,
@@ -120,20 +217,36 @@ class SummaryGenerator {
             metric.directoryId ??
             metric.startTime?.toString() ??
             Date.now().toString();
-          const filename = `${metric.mode ?? 'unknown'}_task${metric.taskId ?? 0}_${directoryId}.json`;
+          const filename = getMetricFileName(
+            metric.mode ?? 'unknown',
+            metric.taskId ?? 0,
+            directoryId,
+          );
           const filePath = path.join(tasksDir, filename);
 
           logger.info(
             `Writing metric file for task ${metric.taskId} with ${metric.apiCalls ?? 0} API calls`,
           );
 
-          const payload = JSON.stringify(
-            convertTaskMetricToFilePayload(metric),
-            null,
-            2,
-          );
+          const payload = JSON.stringify(toTaskFile(metric), null, 2);
           await fs.writeFile(filePath, payload);
 
+          // The timeline is kept out of the task file, which feeds summary.json
+          if (metric.timeline) {
+            const timeline: TaskTimeline = {
+              mode: metric.mode,
+              taskId: metric.taskId,
+              directoryId,
+              model: metric.model,
+              startTime: metric.startTime,
+              steps: metric.timeline,
+            };
+            await fs.writeFile(
+              path.join(timelinesDir, filename),
+              JSON.stringify(timeline, null, 2),
+            );
+          }
+
           successfulWrites.push(filename);
         } catch (error) {
           logger.error(
@@ -185,9 +298,7 @@ class SummaryGenerator {
       };
     }
 
-    const metricFiles = files.filter((file) =>
-      file.match(/^(control|mcp)_task\d+_.*\.json$/),
-    );
+    const metricFiles = files.filter((file) => METRIC_FILE_PATTERN.test(file));
 
     if (metricFiles.length === 0) {
       logger.warn('No metric files found');
@@ -209,12 +320,15 @@ class SummaryGenerator {
       const filePath = path.join(this.directory, 'tasks', file);
       try {
         const fileContent = await fs.readFile(filePath, 'utf8');
-        const metric = JSON.parse(fileContent);
-        return {
-          success: true,
-          metric: convertFileMetricToTaskMetric(metric),
-          file,
-        };
+        const { file: metric, errors } = parseTaskFile(fileContent);
+        if (errors.length) {
+          // Averages would silently absorb a malformed run, so leave it out
+          logger.error(
+            `Invalid metric file ${file}:\n  ${errors.join('\n  ')}`,
+          );
+          return { success: false, file };
+        }
+        return { success: true, metric: fromTaskFile(metric), file };
       } catch (error) {
         logger.error(
           `Error parsing metric file ${file}: ${(error as Error).message}`,
@@ -246,16 +360,12 @@ class SummaryGenerator {
     sortMetrics(allMetrics);
 
     try {
-      // Write the summary file
-      const summaryPath = path.join(this.directory, 'summary.json');
-      await fs.writeFile(summaryPath, JSON.stringify(allMetrics, null, 2));
-
-      printSummaryStatistics(allMetrics, this.directory);
+      const summary = await this.writeSummary(allMetrics);
 
       return {
         success: true,
-        message: `Generated summary with ${allMetrics.length} metrics`,
-        data: allMetrics,
+        message: `Generated summary with ${summary.length} metrics`,
+        data: summary,
         failedFiles,
       };
     } catch (error) {
@@ -290,8 +400,7 @@ class SummaryGenerator {
     const summaryPath = path.join(this.directory, 'summary.json');
 
     try {
-      const content = await fs.readFile(summaryPath, 'utf8');
-      existingMetrics = JSON.parse(content);
+      existingMetrics = await loadSummary(summaryPath);
     } catch (error) {
       logger.warn(
         `Could not read existing summary: ${(error as Error).message}. Creating new summary.`,
@@ -335,7 +444,7 @@ class SummaryGenerator {
 
     try {
       // Write the merged summary
-      await fs.writeFile(summaryPath, JSON.stringify(allMetrics, null, 2));
+      await fs.writeFile(summaryPath, formatSummary(allMetrics));
 
       return {
         success: true,
@@ -355,41 +464,17 @@ class SummaryGenerator {
   }
 
   /**
-   * Check if a metric file exists
-   * @param {string} mode Mode (control or mcp)
-   * @param {number} taskId Task ID
-   * @param {string} directoryId Directory ID
-   * @returns {Promise<boolean>} True if file exists
+   * Remove the task files and timelines of runs that no longer exist
+   * @param {string[]} files File names of the runs
    */
-  async metricFileExists(
-    mode: string,
-    taskId: number,
-    directoryId?: string,
-  ): Promise<boolean> {
-    if (!mode || !taskId) {
-      return false;
-    }
-
-    try {
-      const tasksDir = path.join(this.directory, 'tasks');
-      const files = await fs.readdir(tasksDir);
-
-      if (directoryId) {
-        const specificPattern = new RegExp(
-          `^${mode}_task${taskId}_${directoryId}\\.json$`,
-        );
-        return files.some((file) => specificPattern.test(file));
-      }
-
-      // Otherwise, check for any file matching the task and mode
-      const pattern = new RegExp(`^${mode}_task${taskId}_.*\\.json$`);
-      return files.some((file) => pattern.test(file));
-    } catch (error) {
-      logger.error(
-        `Error checking for existing metric file: ${(error as Error).message}`,
-      );
-      return false;
-    }
+  async removeMetricFiles(files: string[]): Promise<void> {
+    await Promise.all(
+      files.flatMap((file) =>
+        ['tasks', TIMELINES_DIRECTORY].map((dir) =>
+          fs.rm(path.join(this.directory, dir, file), { force: true }),
+        ),
+      ),
+    );
   }
 }
 
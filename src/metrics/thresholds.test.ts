@@ -0,0 +1,166 @@
+import assert from 'assert/strict';
+import { promises as fs } from 'fs';
+import { test } from 'node:test';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import Check from '../check';
+import {
+  evaluateThreshold,
+  loadThresholds,
+  Threshold,
+  ThresholdConfig,
+  validateThresholds,
+} from './thresholds';
+import { TaskMetrics } from './types';
+
+const SUMMARY_FILE = fileURLToPath(
+  new URL('../../metrics/summary.json', import.meta.url),
+);
+
+/**
+ * Create a run with the given API calls
+ * @param {string} mode The run's mode
+ * @param {number} apiCalls The run's API calls
+ * @returns {TaskMetrics} The run
+ */
+function createRun(mode: string, apiCalls: number): TaskMetrics {
+  return {
+    taskId: 1,
+    mode,
+    model: 'claude-3.7-sonnet',
+    startTime: 0,
+    endTime: 1000,
+    duration: 1000,
+    apiCalls,
+    interactions: 1,
+    tokensIn: 0,
+    tokensOut: 0,
+    totalTokens: 0,
+    cacheWrites: 0,
+    cacheReads: 0,
+    conversationHistoryIndex: 0,
+    cost: 0,
+    success: true,
+    notes: '',
+  };
+}
+
+test('fails absolute and relative limits', () => {
+  const baseline = [createRun('mcp', 10), createRun('mcp', 10)];
+  const candidate = [createRun('mcp', 12), createRun('mcp', 14)];
+  const threshold: Threshold = { metric: 'apiCalls', mode: 'mcp' };
+
+  const above = evaluateThreshold({ ...threshold, max: 12 }, [], candidate);
+  assert.equal(above.status, 'failed');
+  assert.match(above.message, /13 is above the maximum 12/);
+
+  const increase = evaluateThreshold(
+    { ...threshold, maxIncrease: 20 },
+    baseline,
+    candidate,
+  );
+  assert.equal(increase.status, 'failed');
+  assert.equal(increase.percentChange, 30);
+
+  const median = evaluateThreshold(
+    { ...threshold, stat: 'median', maxIncrease: 40 },
+    baseline,
+    candidate,
+  );
+  assert.equal(median.status, 'passed');
+  assert.equal(median.name, 'mcp median apiCalls');
+});
+
+test('skips thresholds without candidate runs or a baseline value', () => {
+  const candidate = [createRun('mcp', 12)];
+  assert.equal(
+    evaluateThreshold(
+      { metric: 'apiCalls', mode: 'control', max: 20 },
+      [],
+      candidate,
+    ).status,
+    'skipped',
+  );
+
+  const noBaseline = evaluateThreshold(
+    { metric: 'apiCalls', max: 20, maxIncrease: 10 },
+    [],
+    candidate,
+  );
+  assert.equal(noBaseline.status, 'skipped');
+  assert.match(noBaseline.message, /no baseline value/);
+});
+
+test('rejects unknown metrics and limits that are not numbers', () => {
+  const config = {
+    thresholds: [
+      { metric: 'speed', max: 1 },
+      { metric: 'cost', max: '0.5' },
+      { metric: 'cost' },
+    ],
+  } as unknown as ThresholdConfig;
+  const errors = validateThresholds(config);
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /unknown metric "speed"/);
+  assert.equal(errors[1], 'threshold 2: max must be a number');
+  assert.match(errors[2], /set at least one of max/);
+});
+
+test('checks a candidate, failing skipped thresholds unless allowed', async () => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-te-check-'));
+  try {
+    const thresholdsFile = path.join(directory, 'thresholds.json');
+    await fs.writeFile(
+      thresholdsFile,
+      JSON.stringify({
+        thresholds: [
+          {
+            metric: 'apiCalls',
+            mode: 'control',
+            model: 'Claude 3.7 Sonnet',
+            maxIncrease: 10,
+          },
+          { metric: 'apiCalls', mode: 'mcp', max: 100 },
+        ],
+      }),
+    );
+    const config = await loadThresholds(thresholdsFile);
+    assert.equal(config.thresholds[0].model, 'claude-3.7-sonnet');
+
+    const candidateFile = path.join(directory, 'summary.json');
+    const runs: TaskMetrics[] = JSON.parse(
+      await fs.readFile(SUMMARY_FILE, 'utf8'),
+    );
+    await fs.writeFile(
+      candidateFile,
+      JSON.stringify(runs.filter((run) => run.mode === 'control')),
+    );
+    const argv = [
+      'node',
+      'cli',
+      '--directory',
+      directory,
+      '--baseline',
+      SUMMARY_FILE,
+      '--thresholds',
+      thresholdsFile,
+    ];
+
+    const strict = await Check.check(argv);
+    assert.equal(strict.success, false);
+    assert.deepEqual(
+      strict.results.map((result) => result.status),
+      ['passed', 'failed'],
+    );
+    assert.equal(strict.results[0].candidateRuns, 26);
+    assert.match(strict.results[1].message, /pass --allow-skipped/);
+
+    const allowed = await Check.check([...argv, '--allow-skipped']);
+    assert.equal(allowed.success, true);
+    assert.equal(allowed.message, '1 passed, 0 failed, 1 skipped');
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
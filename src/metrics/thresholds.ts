@@ -0,0 +1,319 @@
+import { promises as fs } from 'fs';
+
+import { logger } from '../utils';
+import { calculateSuccessStats, COMPARED_METRICS } from './comparison';
+import { calculateAverages, MetricAverages } from './metrics-utils';
+import { DEFAULT_MODEL_ALIASES, ModelAliases, normalizeModel } from './models';
+import { median } from './statistics';
+import { TaskMetrics } from './types';
+
+export type ThresholdStat = 'mean' | 'median';
+
+export type Threshold = {
+  name?: string;
+  metric: string;
+  stat?: ThresholdStat;
+  // Filters selecting the runs the threshold applies to
+  mode?: string;
+  model?: string;
+  taskId?: number;
+  // Absolute limits on the candidate value
+  max?: number;
+  min?: number;
+  // Limits in percent relative to the baseline summary
+  maxIncrease?: number;
+  maxDecrease?: number;
+};
+
+export type ThresholdConfig = {
+  thresholds: Threshold[];
+};
+
+export type ThresholdStatus = 'passed' | 'failed' | 'skipped';
+
+export type ThresholdResult = {
+  name: string;
+  metric: string;
+  stat: ThresholdStat;
+  mode?: string;
+  model?: string;
+  taskId?: number;
+  baselineRuns: number;
+  candidateRuns: number;
+  baselineValue: number | null;
+  candidateValue: number | null;
+  percentChange: number | null;
+  status: ThresholdStatus;
+  message: string;
+};
+
+// Metrics computed over a set of runs rather than per run
+const SUCCESS_METRICS: Record<string, (tasks: TaskMetrics[]) => number | null> =
+  {
+    successRate: (tasks) => calculateSuccessStats(tasks).successRate,
+    costPerSuccess: (tasks) => calculateSuccessStats(tasks).costPerSuccess,
+  };
+
+export const THRESHOLD_METRICS = [
+  ...Object.keys(COMPARED_METRICS),
+  ...Object.keys(SUCCESS_METRICS),
+];
+
+/**
+ * Validate a threshold configuration
+ * @param {ThresholdConfig} config Parsed configuration
+ * @returns {string[]} Validation errors, empty if valid
+ */
+export function validateThresholds(config: ThresholdConfig): string[] {
+  if (!Array.isArray(config?.thresholds)) {
+    return ['"thresholds" must be a list'];
+  }
+
+  const errors: string[] = [];
+  config.thresholds.forEach((threshold, index) => {
+    const label = threshold.name ?? `threshold ${index + 1}`;
+    if (!THRESHOLD_METRICS.includes(threshold.metric)) {
+      errors.push(
+        `${label}: unknown metric "${threshold.metric}". Available metrics: ${THRESHOLD_METRICS.join(', ')}`,
+      );
+    }
+    if (threshold.stat && !['mean', 'median'].includes(threshold.stat)) {
+      errors.push(`${label}: stat must be "mean" or "median"`);
+    }
+    const limits = (['max', 'min', 'maxIncrease', 'maxDecrease'] as const)
+      .map((key) => [key, threshold[key]] as const)
+      .filter(([, limit]) => limit !== undefined);
+    if (!limits.length) {
+      errors.push(
+        `${label}: set at least one of max, min, maxIncrease or maxDecrease`,
+      );
+    }
+    limits
+      .filter(([, limit]) => typeof limit !== 'number')
+      .forEach(([key]) => errors.push(`${label}: ${key} must be a number`));
+  });
+  return errors;
+}
+
+/**
+ * Load thresholds from a JSON file, normalising their models like the models
+ * of the runs
+ * @param {string} file Path to the thresholds file
+ * @param {ModelAliases} [aliases] Model names by alias
+ * @returns {Promise<ThresholdConfig>} The thresholds
+ */
+export async function loadThresholds(
+  file: string,
+  aliases: ModelAliases = DEFAULT_MODEL_ALIASES,
+): Promise<ThresholdConfig> {
+  const config: ThresholdConfig = JSON.parse(await fs.readFile(file, 'utf8'));
+  const errors = validateThresholds(config);
+  if (errors.length) {
+    throw new Error(`Invalid thresholds ${file}: ${errors.join('; ')}`);
+  }
+  logger.info(`Loaded ${config.thresholds.length} thresholds from ${file}`);
+  return {
+    ...config,
+    thresholds: config.thresholds.map((threshold) =>
+      threshold.model
+        ? { ...threshold, model: normalizeModel(threshold.model, aliases) }
+        : threshold,
+    ),
+  };
+}
+
+/**
+ * Format a metric value for messages, without float noise
+ * @param {number|null} value The value
+ * @returns {string} Formatted value
+ */
+export function formatThresholdValue(value: number | null): string {
+  return value === null ? 'n/a' : String(Number(value.toFixed(4)));
+}
+
+/**
+ * Describe a threshold, e.g. "mcp task 1 median apiCalls"
+ * @param {Threshold} threshold The threshold
+ * @returns {string} Description
+ */
+function describeThreshold(threshold: Threshold): string {
+  return [
+    threshold.model,
+    threshold.mode,
+    threshold.taskId !== undefined ? `task ${threshold.taskId}` : undefined,
+    threshold.stat ?? 'mean',
+    threshold.metric,
+  ]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Compute the value of a threshold's metric over a set of runs
+ * @param {Threshold} threshold The threshold
+ * @param {TaskMetrics[]} tasks Runs matching the threshold's filters
+ * @returns {number|null} The value, null if there are no runs
+ */
+function computeValue(
+  threshold: Threshold,
+  tasks: TaskMetrics[],
+): number | null {
+  if (!tasks.length) return null;
+  const successMetric = SUCCESS_METRICS[threshold.metric];
+  if (successMetric) return successMetric(tasks);
+  if ((threshold.stat ?? 'mean') === 'median') {
+    return median(tasks.map(COMPARED_METRICS[threshold.metric]));
+  }
+  return calculateAverages(tasks)[threshold.metric as keyof MetricAverages];
+}
+
+/**
+ * Evaluate one threshold against the baseline and candidate runs
+ * @param {Threshold} threshold The threshold
+ * @param {TaskMetrics[]} baseline Baseline runs
+ * @param {TaskMetrics[]} candidate Candidate runs
+ * @returns {ThresholdResult} The result
+ */
+export function evaluateThreshold(
+  threshold: Threshold,
+  baseline: TaskMetrics[],
+  candidate: TaskMetrics[],
+): ThresholdResult {
+  const matches = (task: TaskMetrics) =>
+    (!threshold.mode || task.mode === threshold.mode) &&
+    (!threshold.model || task.model === threshold.model) &&
+    (threshold.taskId === undefined || task.taskId === threshold.taskId);
+  const baselineTasks = baseline.filter(matches);
+  const candidateTasks = candidate.filter(matches);
+  const baselineValue = computeValue(threshold, baselineTasks);
+  const candidateValue = computeValue(threshold, candidateTasks);
+  const percentChange =
+    baselineValue !== null && candidateValue !== null && baselineValue !== 0
+      ? ((candidateValue - baselineValue) / baselineValue) * 100
+      : null;
+
+  const result: ThresholdResult = {
+    name: threshold.name ?? describeThreshold(threshold),
+    metric: threshold.metric,
+    stat: threshold.stat ?? 'mean',
+    mode: threshold.mode,
+    model: threshold.model,
+    taskId: threshold.taskId,
+    baselineRuns: baselineTasks.length,
+    candidateRuns: candidateTasks.length,
+    baselineValue,
+    candidateValue,
+    percentChange,
+    status: 'passed',
+    message: '',
+  };
+
+  if (candidateValue === null) {
+    return {
+      ...result,
+      status: 'skipped',
+      message: candidateTasks.length
+        ? 'No runs with a known outcome in the candidate'
+        : 'No matching runs in the candidate',
+    };
+  }
+
+  const violations: string[] = [];
+  const skipped: string[] = [];
+  if (threshold.max !== undefined && candidateValue > threshold.max) {
+    violations.push(
+      `${formatThresholdValue(candidateValue)} is above the maximum ${threshold.max}`,
+    );
+  }
+  if (threshold.min !== undefined && candidateValue < threshold.min) {
+    violations.push(
+      `${formatThresholdValue(candidateValue)} is below the minimum ${threshold.min}`,
+    );
+  }
+  const relativeLimits: [number | undefined, number, string][] = [
+    [threshold.maxIncrease, 1, 'increase'],
+    [threshold.maxDecrease, -1, 'decrease'],
+  ];
+  relativeLimits.forEach(([limit, direction, label]) => {
+    if (limit === undefined) return;
+    if (percentChange === null) {
+      skipped.push(`no baseline value to compute the ${label}`);
+    } else if (percentChange * direction > limit) {
+      violations.push(
+        `${label} of ${Math.abs(percentChange).toFixed(1)}% exceeds the allowed ${limit}%`,
+      );
+    }
+  });
+
+  if (violations.length) {
+    return { ...result, status: 'failed', message: violations.join('; ') };
+  }
+  if (skipped.length) {
+    return { ...result, status: 'skipped', message: skipped.join('; ') };
+  }
+  return { ...result, message: 'Within thresholds' };
+}
+
+/**
+ * Evaluate every threshold
+ * @param {ThresholdConfig} config The thresholds
+ * @param {TaskMetrics[]} baseline Baseline runs
+ * @param {TaskMetrics[]} candidate Candidate runs
+ * @returns {ThresholdResult[]} Results in the order of the thresholds
+ */
+export function evaluateThresholds(
+  config: ThresholdConfig,
+  baseline: TaskMetrics[],
+  candidate: TaskMetrics[],
+): ThresholdResult[] {
+  return config.thresholds.map((threshold) =>
+    evaluateThreshold(threshold, baseline, candidate),
+  );
+}
+
+/**
+ * Escape text for use in XML attributes and content
+ * @param {string} text Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format threshold results as a JUnit XML report, one test case per threshold
+ * @param {ThresholdResult[]} results Threshold results
+ * @returns {string} JUnit XML
+ */
+export function formatJUnitReport(results: ThresholdResult[]): string {
+  const failures = results.filter((r) => r.status === 'failed').length;
+  const skipped = results.filter((r) => r.status === 'skipped').length;
+  const cases = results.map((result) => {
+    const name = escapeXml(result.name);
+    const details = escapeXml(
+      `baseline=${formatThresholdValue(result.baselineValue)} candidate=${formatThresholdValue(result.candidateValue)} change=${result.percentChange === null ? 'n/a' : `${result.percentChange.toFixed(1)}%`}`,
+    );
+    const message = escapeXml(result.message);
+    if (result.status === 'failed') {
+      return `    <testcase classname="thresholds" name="${name}">\n      <failure message="${message}">${details}</failure>\n    </testcase>`;
+    }
+    if (result.status === 'skipped') {
+      return `    <testcase classname="thresholds" name="${name}">\n      <skipped message="${message}"/>\n    </testcase>`;
+    }
+    return `    <testcase classname="thresholds" name="${name}">\n      <system-out>${details}</system-out>\n    </testcase>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites tests="${results.length}" failures="${failures}" skipped="${skipped}">`,
+    `  <testsuite name="mcp-te-benchmark" tests="${results.length}" failures="${failures}" skipped="${skipped}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,190 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { calculateModelCost, PriceSheet } from './pricing';
+import { getMessageKind, isErrorOutput, parseApiRequest } from './tool-calls';
+import {
+  RequestSample,
+  TaskMetrics,
+  TaskTimeline,
+  TimelineStep,
+  TimelineStepKind,
+  UIMessage,
+} from './types';
+
+// Directory of the metrics directory holding the timeline of each task file
+export const TIMELINES_DIRECTORY = 'timelines';
+
+// Longest text kept per step, tool output can be very large
+const MAX_TEXT_LENGTH = 10000;
+
+// UI message kinds that are bookkeeping rather than steps of the task
+const IGNORED_KINDS = [
+  'api_req_finished',
+  'api_req_retried',
+  'checkpoint_created',
+  'mock_state',
+  'reasoning',
+];
+
+/**
+ * Truncate step text
+ * @param {string} text Text
+ * @returns {string} Text of at most MAX_TEXT_LENGTH characters
+ */
+function truncate(text: string): string {
+  return text.length > MAX_TEXT_LENGTH
+    ? `${text.substring(0, MAX_TEXT_LENGTH)}\n... (${text.length - MAX_TEXT_LENGTH} more characters)`
+    : text;
+}
+
+/**
+ * Convert a UI message to a timeline step without timing
+ * @param {UIMessage} message The UI message
+ * @param {string} model Model used to price requests without a logged cost
+ * @param {PriceSheet} priceSheet Prices for requests without a logged cost
+ * @returns {Omit<TimelineStep, 'elapsed' | 'delta'>|undefined} The step or undefined if the message is not a step
+ */
+function toStep(
+  message: UIMessage,
+  model: string,
+  priceSheet: PriceSheet,
+): Omit<TimelineStep, 'elapsed' | 'delta'> | undefined {
+  const kind = getMessageKind(message);
+  const ts = message.ts ?? 0;
+  const text = truncate(message.text ?? '');
+  const step = (stepKind: TimelineStepKind) => ({ kind: stepKind, ts, text });
+
+  if (!kind || IGNORED_KINDS.includes(kind)) return undefined;
+
+  switch (kind) {
+    case 'api_req_started': {
+      const request = parseApiRequest(message, 0);
+      const cost =
+        request.cost ||
+        (request.tokensIn || request.tokensOut
+          ? calculateModelCost(priceSheet, model, request)
+          : 0);
+      return {
+        kind: 'request',
+        ts,
+        tokensIn: request.tokensIn,
+        tokensOut: request.tokensOut,
+        cacheWrites: request.cacheWrites,
+        cacheReads: request.cacheReads,
+        cost,
+      };
+    }
+    case 'text':
+      if (!message.text) return undefined;
+      return step(message.from === 'user' ? 'user' : 'assistant');
+    case 'use_mcp_server': {
+      try {
+        const data = JSON.parse(message.text ?? '{}');
+        return {
+          kind: 'tool_call',
+          ts,
+          server: data.serverName,
+          tool: data.toolName ?? data.uri,
+          text: truncate(data.arguments ?? ''),
+        };
+      } catch (error) {
+        return step('tool_call');
+      }
+    }
+    case 'mcp_server_response':
+      return { ...step('tool_result'), isError: isErrorOutput(text) };
+    case 'command':
+      return step('command');
+    case 'command_output':
+      return { ...step('command_output'), isError: isErrorOutput(text) };
+    case 'completion_result':
+      return message.text ? step('completion') : undefined;
+    case 'error':
+      return { ...step('error'), isError: true };
+    default:
+      return message.type === 'ask' && message.text
+        ? { ...step('ask'), tool: kind }
+        : undefined;
+  }
+}
+
+/**
+ * Reconstruct the timeline of a task segment: each API request with its
+ * usage and cost, each tool call and result, and the messages in between,
+ * with the time elapsed since the start and since the previous step
+ * @param {UIMessage[]} messages UI messages of the task segment
+ * @param {string} model Model used to price requests without a logged cost
+ * @param {PriceSheet} priceSheet Prices for requests without a logged cost
+ * @returns {TimelineStep[]} The timeline
+ */
+export function buildTimeline(
+  messages: UIMessage[],
+  model: string,
+  priceSheet: PriceSheet,
+): TimelineStep[] {
+  const steps: TimelineStep[] = [];
+  const startTime = messages.find((m) => m.ts)?.ts ?? 0;
+
+  messages.forEach((message) => {
+    const step = toStep(message, model, priceSheet);
+    if (!step) return;
+
+    const previous = steps[steps.length - 1];
+    // Commands stream their output in chunks, show them as one step
+    if (step.kind === 'command_output' && previous?.kind === 'command_output') {
+      previous.text = truncate(`${previous.text ?? ''}${step.text ?? ''}`);
+      previous.isError = previous.isError || step.isError;
+      return;
+    }
+
+    steps.push({
+      ...step,
+      elapsed: Math.max(0, step.ts - startTime),
+      delta: previous ? Math.max(0, step.ts - previous.ts) : 0,
+    });
+  });
+
+  return steps;
+}
+
+/**
+ * Get the usage of each API request from a timeline
+ * @param {TimelineStep[]} steps The timeline
+ * @returns {RequestSample[]} Usage per request, in order
+ */
+export function getRequestSeries(steps: TimelineStep[]): RequestSample[] {
+  return steps
+    .filter((step) => step.kind === 'request')
+    .map((step) => ({
+      ts: step.ts,
+      tokensIn: step.tokensIn ?? 0,
+      tokensOut: step.tokensOut ?? 0,
+      cacheWrites: step.cacheWrites ?? 0,
+      cacheReads: step.cacheReads ?? 0,
+      cost: step.cost ?? 0,
+    }));
+}
+
+/**
+ * Load the saved timeline of a run
+ * @param {string} directory Metrics directory
+ * @param {TaskMetrics} run The run
+ * @returns {Promise<TaskTimeline|null>} The timeline, null for runs extracted before timelines were saved
+ */
+export async function loadTimeline(
+  directory: string,
+  run: TaskMetrics,
+): Promise<TaskTimeline | null> {
+  const filename = `${run.mode ?? 'unknown'}_task${run.taskId ?? 0}_${run.directoryId}.json`;
+  try {
+    return JSON.parse(
+      await fs.readFile(
+        path.join(directory, TIMELINES_DIRECTORY, filename),
+        'utf8',
+      ),
+    );
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,94 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+
+import { describeCommand, extractToolCalls, isErrorOutput } from './tool-calls';
+import { UIMessage } from './types';
+
+const toolUse = (ts: number, toolName: string): UIMessage => ({
+  ts,
+  type: 'say',
+  say: 'use_mcp_server',
+  text: JSON.stringify({
+    type: 'use_mcp_tool',
+    serverName: 'twilio',
+    toolName,
+  }),
+});
+
+test('splits the usage of a request across its tool calls in whole tokens', () => {
+  const calls = extractToolCalls([
+    {
+      ts: 1000,
+      type: 'say',
+      say: 'api_req_started',
+      text: JSON.stringify({
+        tokensIn: 101,
+        tokensOut: 7,
+        cacheWrites: 5,
+        cacheReads: 2,
+        cost: 0.3,
+      }),
+    },
+    toolUse(1100, 'ListNumbers'),
+    { ts: 1200, type: 'say', say: 'mcp_server_response', text: '[]' },
+    toolUse(1300, 'BuyNumber'),
+    { ts: 1500, type: 'say', say: 'mcp_server_response', text: '{}' },
+  ]);
+
+  assert.equal(calls.length, 2);
+  assert.deepEqual(
+    calls.map((call) => [
+      call.tokensIn,
+      call.tokensOut,
+      call.cacheWrites,
+      call.cacheReads,
+    ]),
+    [
+      [51, 4, 3, 1],
+      [50, 3, 2, 1],
+    ],
+  );
+  assert.ok(Math.abs(calls[0].cost + calls[1].cost - 0.3) < 1e-9);
+  assert.deepEqual(
+    calls.map((call) => [call.tool, call.outcome, call.duration]),
+    [
+      ['ListNumbers', 'success', 100],
+      ['BuyNumber', 'success', 200],
+    ],
+  );
+});
+
+test('counts a call of a tool after it failed as a retry', () => {
+  const calls = extractToolCalls([
+    { ts: 1000, type: 'say', say: 'api_req_started', text: '{}' },
+    toolUse(1100, 'BuyNumber'),
+    { ts: 1200, type: 'say', say: 'mcp_server_response', text: 'Error: 400' },
+    { ts: 1300, type: 'say', say: 'api_req_started', text: '{}' },
+    toolUse(1400, 'BuyNumber'),
+    { ts: 1500, type: 'say', say: 'mcp_server_response', text: '{}' },
+  ]);
+
+  assert.deepEqual(
+    calls.map((call) => [call.outcome, call.attempt, call.apiRequest]),
+    [
+      ['error', 1, 1],
+      ['success', 2, 2],
+    ],
+  );
+});
+
+test('names shell commands by what they call', () => {
+  assert.equal(
+    describeCommand(
+      'curl -X POST https://api.twilio.com/2010-04-01/Accounts/$SID/IncomingPhoneNumbers.json -d PhoneNumber=+1416',
+    ),
+    'curl POST IncomingPhoneNumbers',
+  );
+  assert.equal(
+    describeCommand('twilio api:core:incoming-phone-numbers:list'),
+    'twilio api:core:incoming-phone-numbers:list',
+  );
+  assert.equal(describeCommand('ls -la'), 'ls');
+  assert.ok(isErrorOutput('{"status": 404, "message": "Not found"}'));
+  assert.ok(!isErrorOutput('{"status": "in-use"}'));
+});
@@ -0,0 +1,279 @@
+import { ToolCall, UIMessage } from './types';
+
+export type ApiRequest = {
+  index: number;
+  tokensIn: number;
+  tokensOut: number;
+  cacheWrites: number;
+  cacheReads: number;
+  cost: number;
+  toolCalls: ToolCall[];
+};
+
+const MCP_TOOL_MESSAGES = ['use_mcp_server'];
+const COMMAND_MESSAGES = ['command'];
+const MCP_RESULT_MESSAGES = ['mcp_server_response'];
+const COMMAND_RESULT_MESSAGES = ['command_output'];
+
+// Patterns in tool output that indicate the call failed
+const ERROR_PATTERNS = [
+  /^\s*error\b/i,
+  /"isError"\s*:\s*true/,
+  /"status"\s*:\s*[45]\d\d\b/,
+  /HTTP\/[\d.]+\s+[45]\d\d\b/,
+  /command not found/i,
+  /exit code:?\s*[1-9]/i,
+  /\bexception\b/i,
+];
+
+/**
+ * Check whether tool output indicates that the call failed
+ * @param {string} text Tool output
+ * @returns {boolean} True if the output looks like an error
+ */
+export function isErrorOutput(text: string): boolean {
+  return ERROR_PATTERNS.some((pattern) => pattern.test(text));
+}
+
+/**
+ * Get the ask or say kind of a UI message
+ * @param {UIMessage} message The UI message
+ * @returns {string|undefined} The ask or say value
+ */
+export function getMessageKind(message: UIMessage): string | undefined {
+  return message.type === 'ask' ? message.ask : message.say;
+}
+
+/**
+ * Parse the token usage reported by an api_req_started message
+ * @param {UIMessage} message The api_req_started message
+ * @param {number} index Index of the request within the segment
+ * @returns {ApiRequest} The parsed request
+ */
+export function parseApiRequest(message: UIMessage, index: number): ApiRequest {
+  let data: Record<string, unknown> = {};
+  try {
+    data = JSON.parse(message.text ?? '{}');
+  } catch (error) {
+    // Usage is unknown for requests that were cancelled mid-stream
+  }
+  const toNumber = (value: unknown) => Number(value ?? 0) || 0;
+  return {
+    index,
+    tokensIn: toNumber(data.tokensIn),
+    tokensOut: toNumber(data.tokensOut),
+    cacheWrites: toNumber(data.cacheWrites),
+    cacheReads: toNumber(data.cacheReads),
+    cost: toNumber(data.cost),
+    toolCalls: [],
+  };
+}
+
+/**
+ * Summarise a shell command as a short tool name, e.g. "curl POST IncomingPhoneNumbers"
+ * or "twilio api:core:incoming-phone-numbers:create"
+ * @param {string} command The shell command
+ * @returns {string} Tool name for the command
+ */
+export function describeCommand(command: string): string {
+  const words = command.trim().split(/\s+/);
+  const program = words[0] ?? '';
+
+  if (program === 'curl') {
+    const methodMatch = command.match(/(?:-X|--request)\s+['"]?(\w+)/);
+    const hasData = /\s(?:-d|--data(?:-urlencode)?|-F)\s/.test(command);
+    const method =
+      methodMatch?.[1]?.toUpperCase() ?? (hasData ? 'POST' : 'GET');
+    const urlMatch = command.match(/https?:\/\/[^\s'"]+/);
+    if (urlMatch) {
+      // Use the last path segment that is not an id or placeholder
+      const resource = new URL(urlMatch[0]).pathname
+        .split('/')
+        .filter(
+          (segment) =>
+            segment &&
+            !segment.startsWith('$') &&
+            !/^[A-Z]{2}[0-9a-f]{32}$/.test(segment.replace(/\.json$/, '')) &&
+            !/^\d/.test(segment),
+        )
+        .pop()
+        ?.replace(/\.json$/, '');
+      return `curl ${method} ${resource ?? urlMatch[0]}`;
+    }
+    return `curl ${method}`;
+  }
+
+  if (program === 'twilio' && words[1]) {
+    return `twilio ${words[1]}`;
+  }
+
+  return program;
+}
+
+/**
+ * Create a tool call from the UI message that requested it
+ * @param {UIMessage} message The tool request message
+ * @param {ApiRequest|undefined} request The API request that issued the call
+ * @returns {ToolCall|undefined} The tool call or undefined if not a tool request
+ */
+function createToolCall(
+  message: UIMessage,
+  request: ApiRequest | undefined,
+): ToolCall | undefined {
+  const kind = getMessageKind(message);
+  const ts = message.ts ?? 0;
+  const base = {
+    startTime: ts,
+    endTime: ts,
+    duration: 0,
+    apiRequest: request?.index ?? 0,
+    tokensIn: 0,
+    tokensOut: 0,
+    cacheWrites: 0,
+    cacheReads: 0,
+    cost: 0,
+    outcome: 'unknown' as const,
+    attempt: 1,
+  };
+
+  if (kind && MCP_TOOL_MESSAGES.includes(kind)) {
+    try {
+      const data = JSON.parse(message.text ?? '{}');
+      return {
+        type: 'mcp',
+        server: data.serverName ?? 'unknown',
+        tool:
+          data.type === 'access_mcp_resource'
+            ? `resource:${data.uri ?? 'unknown'}`
+            : (data.toolName ?? 'unknown'),
+        ...base,
+      };
+    } catch (error) {
+      return { type: 'mcp', server: 'unknown', tool: 'unknown', ...base };
+    }
+  }
+
+  if (kind && COMMAND_MESSAGES.includes(kind) && message.text) {
+    return {
+      type: 'command',
+      tool: describeCommand(message.text),
+      command: message.text,
+      ...base,
+    };
+  }
+
+  return undefined;
+}
+
+/**
+ * Split a token count across the tool calls of a request in whole tokens,
+ * giving the remainder to the first call
+ * @param {number} total Token count of the request
+ * @param {number} count Number of tool calls
+ * @param {number} index Position of the call
+ * @returns {number} Tokens attributed to the call
+ */
+function splitCount(total: number, count: number, index: number): number {
+  const share = Math.floor(total / count);
+  return index === 0 ? total - share * (count - 1) : share;
+}
+
+/**
+ * Split the usage of an API request across the tool calls it issued
+ * @param {ApiRequest} request The API request
+ */
+function attributeRequestUsage(request: ApiRequest): void {
+  const count = request.toolCalls.length;
+  request.toolCalls.forEach((call, index) => {
+    call.tokensIn = splitCount(request.tokensIn, count, index);
+    call.tokensOut = splitCount(request.tokensOut, count, index);
+    call.cacheWrites = splitCount(request.cacheWrites, count, index);
+    call.cacheReads = splitCount(request.cacheReads, count, index);
+    call.cost = request.cost / count;
+  });
+}
+
+/**
+ * Get a key identifying repeated calls of the same tool
+ * @param {ToolCall} call The tool call
+ * @returns {string} Retry key
+ */
+function getRetryKey(call: ToolCall): string {
+  return `${call.type}:${call.server ?? ''}:${call.tool}`;
+}
+
+/**
+ * Build the ordered trace of MCP tool calls and shell commands in a task
+ * segment. Each call is attributed the usage of the API request that issued
+ * it, and a call of the same tool following a failed call counts as a retry.
+ * @param {UIMessage[]} messages All UI messages of the task segment
+ * @returns {ToolCall[]} Tool call trace
+ */
+export function extractToolCalls(messages: UIMessage[]): ToolCall[] {
+  const toolCalls: ToolCall[] = [];
+  const lastOutcome = new Map<string, ToolCall>();
+  let request: ApiRequest | undefined;
+  let pending: ToolCall | undefined;
+  let requestCount = 0;
+
+  const finishRequest = () => {
+    if (request?.toolCalls.length) {
+      attributeRequestUsage(request);
+    }
+  };
+
+  for (const message of messages) {
+    const kind = getMessageKind(message);
+
+    if (message.type === 'say' && kind === 'api_req_started') {
+      finishRequest();
+      requestCount++;
+      request = parseApiRequest(message, requestCount);
+      pending = undefined;
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    const call = createToolCall(message, request);
+    if (call) {
+      const previous = lastOutcome.get(getRetryKey(call));
+      if (previous?.outcome === 'error') {
+        call.attempt = previous.attempt + 1;
+      }
+      lastOutcome.set(getRetryKey(call), call);
+      toolCalls.push(call);
+      request?.toolCalls.push(call);
+      pending = call;
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    if (!pending || !kind) {
+      // eslint-disable-next-line no-continue
+      continue;
+    }
+
+    const isResult =
+      (pending.type === 'mcp' && MCP_RESULT_MESSAGES.includes(kind)) ||
+      (pending.type === 'command' && COMMAND_RESULT_MESSAGES.includes(kind));
+
+    if (isResult || kind === 'error') {
+      const ts = message.ts ?? pending.endTime;
+      pending.endTime = ts;
+      pending.duration = Math.max(0, ts - pending.startTime);
+
+      const text = message.text ?? '';
+      const failed = kind === 'error' || isErrorOutput(text);
+      if (failed) {
+        pending.outcome = 'error';
+        pending.error = text.substring(0, 200);
+      } else if (pending.outcome !== 'error') {
+        // Commands stream output in several messages, any failing chunk fails the call
+        pending.outcome = 'success';
+      }
+    }
+  }
+
+  finishRequest();
+  return toolCalls;
+}
@@ -0,0 +1,155 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { TaskMetrics } from './types';
+
+// File the tool-overhead command writes to the metrics directory
+export const TOOL_OVERHEAD_FILE = 'tool-overhead.json';
+
+// Rough size of a token in English text and JSON. Model tokenizers differ, so
+// sizes are estimates good for comparing tools and arms, not for billing.
+export const CHARS_PER_TOKEN = 4;
+
+/**
+ * A tool definition as listed by an MCP server's tools/list
+ */
+export type ToolSchema = {
+  name: string;
+  description?: string;
+  inputSchema?: Record<string, unknown>;
+};
+
+export type ToolSize = {
+  name: string;
+  descriptionTokens: number;
+  schemaTokens: number;
+  // Whole definition, with its name and JSON punctuation
+  tokens: number;
+};
+
+export type VariantOverhead = {
+  tools: ToolSize[];
+  toolTokens: number;
+  instructionsTokens: number;
+  // Tokens of the tool definitions and instructions, sent with every request
+  requestOverhead: number;
+};
+
+export type ToolOverheadReport = {
+  measuredAt: string;
+  variants: Record<string, VariantOverhead>;
+};
+
+/**
+ * Estimate the number of tokens of a text
+ * @param {string} text The text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Read the tools of a tools/list response, as saved from an MCP server. The
+ * JSON-RPC response, its result or the list of tools are all accepted.
+ * @param {string} content File content
+ * @returns {ToolSchema[]} The tools
+ */
+export function parseToolsList(content: string): ToolSchema[] {
+  const parsed = JSON.parse(content);
+  const tools: unknown = Array.isArray(parsed)
+    ? parsed
+    : (parsed?.result?.tools ?? parsed?.tools);
+  if (!Array.isArray(tools)) {
+    throw new Error('Expected a tools/list response or a list of tools');
+  }
+  const invalid = tools.findIndex(
+    (tool) => typeof tool?.name !== 'string' || !tool.name,
+  );
+  if (invalid >= 0) {
+    throw new Error(`Tool ${invalid} has no name`);
+  }
+  return tools;
+}
+
+/**
+ * Measure the size of each tool definition, largest first
+ * @param {ToolSchema[]} tools The tools
+ * @returns {ToolSize[]} Size of each tool
+ */
+export function measureTools(tools: ToolSchema[]): ToolSize[] {
+  return tools
+    .map((tool) => ({
+      name: tool.name,
+      descriptionTokens: estimateTokens(tool.description ?? ''),
+      schemaTokens: estimateTokens(JSON.stringify(tool.inputSchema ?? {})),
+      tokens: estimateTokens(JSON.stringify(tool)),
+    }))
+    .sort((a, b) => b.tokens - a.tokens);
+}
+
+/**
+ * Measure the fixed overhead of a variant: its tool definitions and
+ * instructions, which every request carries before any task work
+ * @param {ToolSchema[]} tools Tools offered to the model
+ * @param {string} [instructions] Instructions given to the model
+ * @returns {VariantOverhead} The overhead
+ */
+export function measureOverhead(
+  tools: ToolSchema[],
+  instructions = '',
+): VariantOverhead {
+  const sizes = measureTools(tools);
+  const toolTokens = sizes.reduce((sum, tool) => sum + tool.tokens, 0);
+  const instructionsTokens = estimateTokens(instructions);
+  return {
+    tools: sizes,
+    toolTokens,
+    instructionsTokens,
+    requestOverhead: toolTokens + instructionsTokens,
+  };
+}
+
+/**
+ * Load the overhead measured by the tool-overhead command
+ * @param {string} directory Metrics directory
+ * @returns {Promise<ToolOverheadReport|undefined>} The report, undefined if none was saved
+ */
+export async function loadToolOverhead(
+  directory: string,
+): Promise<ToolOverheadReport | undefined> {
+  const file = path.join(directory, TOOL_OVERHEAD_FILE);
+  let content: string;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    return undefined;
+  }
+  const report = JSON.parse(content);
+  if (!report?.variants || typeof report.variants !== 'object') {
+    throw new Error(`Invalid tool overhead ${file}: expected variants`);
+  }
+  return report;
+}
+
+/**
+ * Attribute the fixed overhead of a run's requests, separately from its task
+ * work. The overhead recorded with the run wins over the measured one.
+ * @param {TaskMetrics} run The run
+ * @param {ToolOverheadReport} [report] Overhead measured per variant
+ * @returns {Pick<TaskMetrics, 'requestOverhead' | 'overheadTokens'>} The overhead, empty if unknown
+ */
+export function getRunOverhead(
+  run: TaskMetrics,
+  report?: ToolOverheadReport,
+): Pick<TaskMetrics, 'requestOverhead' | 'overheadTokens'> {
+  const requestOverhead =
+    run.requestOverhead ?? report?.variants[run.mode]?.requestOverhead;
+  if (requestOverhead === undefined) {
+    return {};
+  }
+  return {
+    requestOverhead,
+    overheadTokens: requestOverhead * (run.apiCalls ?? 0),
+  };
+}
@@ -4,6 +4,7 @@ export type ApiHistoryEntry = {
     type: string;
     text?: string;
   }>;
+  ts?: number;
 };
 
 export type UIMessage = {
@@ -16,13 +17,29 @@ export type UIMessage = {
   conversationHistoryIndex?: number;
 };
 
+/**
+ * A model selection recorded by the client, e.g. in Cline's task metadata
+ */
+export type ModelUsage = {
+  ts: number;
+  model: string;
+  provider?: string;
+};
+
+export type ModelSource = 'detected' | 'arg' | 'default';
+
 export type TaskSegment = {
   taskNumber: number;
   directoryId: string;
+  // Position of the task among the tasks started in the chat, from 0
+  segment: number;
+  modelUsage?: ModelUsage[];
+  setup?: RunSetup;
   startIndex: number;
   startTime: number;
   apiCalls: ApiHistoryEntry[];
   userMessages: UIMessage[];
+  uiMessages?: UIMessage[];
   endIndex: number | null;
   endTime: number | null;
   testType: string;
@@ -35,13 +52,34 @@ export type TaskMetrics = {
   mode: string;
   model: string;
   directoryId?: string;
+  // Chat the run was extracted from and its position among the chat's tasks
+  chatId?: string;
+  segment?: number;
+  // Whether the model was found in the logs, passed with --model or assumed
+  modelSource?: ModelSource;
+  // Setup of the experiment the run belongs to, see RunSetup
+  experiment?: string;
+  serverVersion?: string;
+  clientVersion?: string;
+  tools?: string[];
+  toolsHash?: string;
+  instructionHashes?: Record<string, string>;
   mcpServer?: string;
   mcpClient?: string;
   startTime: number;
   endTime: number;
   duration: number;
+  // Duration without the time spent waiting for the human, and that time
+  activeDuration?: number;
+  humanWait?: number;
   apiCalls: number;
   interactions: number;
+  // Asks by kind: tool and command approvals, questions to the user, prompts
+  // while a command runs, and the rest, e.g. resuming the chat
+  toolApprovals?: number;
+  followupQuestions?: number;
+  commandOutputPrompts?: number;
+  otherPrompts?: number;
   tokensIn: number;
   tokensOut: number;
   totalTokens: number;
@@ -49,8 +87,125 @@ export type TaskMetrics = {
   cacheReads: number;
   conversationHistoryIndex: number;
   cost: number;
+  // Estimated tokens of the tool definitions and instructions sent with every
+  // request, and their total over the run's requests
+  requestOverhead?: number;
+  overheadTokens?: number;
   success: boolean;
+  outcome?: TaskOutcome;
   notes: string;
+  // Set when the metrics could not be calculated and are placeholders
+  calculationFailed?: boolean;
+  toolCalls?: ToolCall[];
+  requests?: RequestSample[];
+  timeline?: TimelineStep[];
+  // Set in summary.json for runs excluded with the exclude command
+  exclusion?: RunExclusion;
+  // Set in summary.json for runs that look anomalous next to their group
+  outliers?: RunOutlier[];
+};
+
+/**
+ * What a run was measured with, to tell runs apart after the MCP server, its
+ * tools, the instructions or the client change. The experiment label is
+ * given on the command line or derived from the rest.
+ */
+export type RunSetup = Pick<
+  TaskMetrics,
+  | 'experiment'
+  | 'serverVersion'
+  | 'clientVersion'
+  | 'tools'
+  | 'toolsHash'
+  | 'instructionHashes'
+  | 'requestOverhead'
+>;
+
+export type RunExclusion = {
+  reason: string;
+  user: string;
+  time: string;
+};
+
+export type OutlierMethod = 'iqr' | 'zscore' | 'capped';
+
+export type RunOutlier = {
+  metric: string;
+  method: OutlierMethod;
+  value: number;
+  // Range of values considered normal for the run's model, mode and task
+  low: number;
+  high: number;
+};
+
+export type TaskOutcome = 'passed' | 'failed' | 'unknown';
+
+export type ToolCall = {
+  type: 'mcp' | 'command';
+  server?: string;
+  tool: string;
+  command?: string;
+  startTime: number;
+  endTime: number;
+  duration: number;
+  apiRequest: number;
+  tokensIn: number;
+  tokensOut: number;
+  cacheWrites: number;
+  cacheReads: number;
+  cost: number;
+  outcome: 'success' | 'error' | 'unknown';
+  error?: string;
+  attempt: number;
+};
+
+export type TimelineStepKind =
+  | 'user'
+  | 'request'
+  | 'assistant'
+  | 'tool_call'
+  | 'tool_result'
+  | 'command'
+  | 'command_output'
+  | 'completion'
+  | 'ask'
+  | 'error';
+
+export type TimelineStep = {
+  kind: TimelineStepKind;
+  ts: number;
+  elapsed: number;
+  delta: number;
+  text?: string;
+  tokensIn?: number;
+  tokensOut?: number;
+  cacheWrites?: number;
+  cacheReads?: number;
+  cost?: number;
+  server?: string;
+  tool?: string;
+  isError?: boolean;
+};
+
+/**
+ * Usage of one API request of a task, in the order they were made
+ */
+export type RequestSample = {
+  ts: number;
+  tokensIn: number;
+  tokensOut: number;
+  cacheWrites: number;
+  cacheReads: number;
+  cost: number;
+};
+
+export type TaskTimeline = {
+  mode: string;
+  taskId: number;
+  directoryId: string;
+  model: string;
+  startTime: number;
+  steps: TimelineStep[];
 };
 
 export type ApiCallData = {
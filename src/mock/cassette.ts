@@ -0,0 +1,114 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { logger } from '../utils';
+import { MockRequest, MockResponse } from './twilio-state';
+
+export type Interaction = {
+  method: string;
+  path: string;
+  query: string;
+  params: Record<string, string>;
+  status: number;
+  response: unknown;
+};
+
+/**
+ * Recorded Twilio API interactions, replayed in order so a run against the
+ * mock sees the same responses as the recorded run
+ */
+class Cassette {
+  private readonly file: string;
+
+  private interactions: Interaction[] = [];
+
+  private readonly used = new Set<number>();
+
+  constructor(file: string) {
+    this.file = file;
+  }
+
+  /**
+   * Load the recorded interactions
+   * @param {boolean} required Fail if the file does not exist
+   */
+  async load(required: boolean): Promise<void> {
+    let content: string;
+    try {
+      content = await fs.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (required) {
+        throw new Error(`Cassette ${this.file} not found`);
+      }
+      return;
+    }
+    this.interactions = JSON.parse(content).interactions ?? [];
+    logger.info(
+      `Loaded ${this.interactions.length} interactions from ${this.file}`,
+    );
+  }
+
+  /**
+   * Add an interaction recorded against the real API
+   * @param {MockRequest} request The request
+   * @param {MockResponse} response The response
+   */
+  record(request: MockRequest, response: MockResponse): void {
+    this.interactions.push({
+      method: request.method,
+      path: request.path,
+      query: request.query.toString(),
+      params: request.params,
+      status: response.status,
+      response: response.body,
+    });
+  }
+
+  /**
+   * Find the next unused interaction for a request, preferring one with the
+   * same query and parameters
+   * @param {MockRequest} request The request
+   * @returns {MockResponse|undefined} The recorded response
+   */
+  replay(request: MockRequest): MockResponse | undefined {
+    const query = request.query.toString();
+    const params = JSON.stringify(request.params);
+    const candidates = this.interactions
+      .map((interaction, index) => ({ interaction, index }))
+      .filter(
+        ({ interaction, index }) =>
+          !this.used.has(index) &&
+          interaction.method === request.method &&
+          interaction.path === request.path,
+      );
+    const match =
+      candidates.find(
+        ({ interaction }) =>
+          interaction.query === query &&
+          JSON.stringify(interaction.params) === params,
+      ) ?? candidates[0];
+    if (!match) return undefined;
+
+    this.used.add(match.index);
+    return {
+      status: match.interaction.status,
+      body: match.interaction.response,
+    };
+  }
+
+  /**
+   * Write the recorded interactions
+   */
+  async save(): Promise<void> {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.writeFile(
+      this.file,
+      JSON.stringify({ interactions: this.interactions }, null, 2),
+    );
+    logger.info(
+      `Saved ${this.interactions.length} interactions to ${this.file}`,
+    );
+  }
+}
+
+export default Cassette;
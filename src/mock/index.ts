@@ -0,0 +1,17 @@
+export { default as Cassette } from './cassette';
+export { default as LlmStubServer } from './llm-stub-server';
+export { default as TwilioMockServer, MOCK_MODES } from './twilio-mock-server';
+export { default as TwilioState, parseRoute } from './twilio-state';
+export type { Interaction } from './cassette';
+export type {
+  LlmStubRequest,
+  LlmStubToolCall,
+  LlmStubTurn,
+} from './llm-stub-server';
+export type { MockMode } from './twilio-mock-server';
+export type {
+  MockRequest,
+  MockResponse,
+  TwilioResource,
+  TwilioStateSnapshot,
+} from './twilio-state';
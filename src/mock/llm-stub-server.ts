@@ -0,0 +1,242 @@
+import http from 'http';
+import { AddressInfo } from 'net';
+
+import { logger } from '../utils';
+
+/**
+ * A tool call the stub makes, by the name the tool is offered under
+ */
+export type LlmStubToolCall = {
+  name: string;
+  input: Record<string, unknown>;
+};
+
+/**
+ * One scripted model turn
+ */
+export type LlmStubTurn = {
+  text?: string;
+  toolCalls?: LlmStubToolCall[];
+};
+
+/**
+ * A request the stub received, in the provider-neutral shape
+ */
+export type LlmStubRequest = {
+  provider: 'anthropic' | 'openai';
+  model: string;
+  system: string;
+  tools: string[];
+  turn: number;
+};
+
+type Options = {
+  turns?: LlmStubTurn[];
+};
+
+const DEFAULT_REPLY = 'The task is complete.';
+
+/**
+ * Rough token count, so runs against the stub have usage to cost
+ * @param {unknown} value Text or JSON value
+ * @returns {number} Token count
+ */
+function countTokens(value: unknown): number {
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Local stand-in for the Anthropic Messages and OpenAI Chat Completions
+ * endpoints, for testing headless runs without a model. It answers with a
+ * script of turns, picking the turn by the number of assistant messages in
+ * the conversation, so every conversation starts the script from the top.
+ * Tool calls to tools that were not offered are left out, so one script
+ * can drive variants with different tools. After the last turn it replies
+ * with text and no tool calls, which ends the task.
+ */
+class LlmStubServer {
+  private readonly turns: LlmStubTurn[];
+
+  private readonly requests: LlmStubRequest[] = [];
+
+  private readonly server: http.Server;
+
+  private nextId = 1;
+
+  constructor(options: Options = {}) {
+    this.turns = options.turns ?? [];
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        logger.error(`LLM stub error: ${(error as Error).message}`);
+        LlmStubServer.send(res, 400, {
+          error: { type: 'invalid_request_error', message: error.message },
+        });
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port Port, 0 for any free port
+   * @returns {Promise<string>} Base URL of the stub, for --base-url
+   */
+  async start(port: number): Promise<string> {
+    await new Promise<void>((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => resolve());
+    });
+    const url = `http://127.0.0.1:${(this.server.address() as AddressInfo).port}`;
+    logger.info(`LLM stub running at ${url}`);
+    return url;
+  }
+
+  /**
+   * Stop listening
+   */
+  async close(): Promise<void> {
+    await new Promise<void>((resolve) => {
+      this.server.close(() => resolve());
+    });
+  }
+
+  /**
+   * Get the requests received so far
+   * @returns {LlmStubRequest[]} The requests, oldest first
+   */
+  getRequests(): LlmStubRequest[] {
+    return [...this.requests];
+  }
+
+  private async handleRequest(
+    req: http.IncomingMessage,
+    res: http.ServerResponse,
+  ): Promise<void> {
+    const { pathname } = new URL(req.url ?? '/', 'http://localhost');
+    if (req.method !== 'POST') {
+      LlmStubServer.send(res, 404, { error: { message: 'Not found' } });
+      return;
+    }
+    const body = JSON.parse((await LlmStubServer.readBody(req)) || '{}');
+
+    if (pathname === '/v1/messages') {
+      LlmStubServer.send(res, 200, this.completeAnthropic(body));
+    } else if (pathname === '/v1/chat/completions') {
+      LlmStubServer.send(res, 200, this.completeOpenAi(body));
+    } else {
+      LlmStubServer.send(res, 404, {
+        error: { message: `Unknown endpoint ${pathname}` },
+      });
+    }
+  }
+
+  /**
+   * Record a request and get the turn to answer it with
+   * @param {LlmStubRequest} request The request
+   * @returns {LlmStubTurn} The turn, without calls to tools that were not offered
+   */
+  private nextTurn(request: LlmStubRequest): LlmStubTurn {
+    this.requests.push(request);
+    const turn = this.turns[request.turn] ?? { text: DEFAULT_REPLY };
+    logger.debug(`LLM stub answering turn ${request.turn + 1}`);
+    return {
+      text: turn.text,
+      toolCalls: (turn.toolCalls ?? []).filter((call) =>
+        request.tools.includes(call.name),
+      ),
+    };
+  }
+
+  private completeAnthropic(body: any) {
+    const messages: any[] = body.messages ?? [];
+    const turn = this.nextTurn({
+      provider: 'anthropic',
+      model: body.model,
+      system: body.system ?? '',
+      tools: (body.tools ?? []).map((tool: any) => tool.name),
+      turn: messages.filter((m) => m.role === 'assistant').length,
+    });
+    const content = [
+      ...(turn.text ? [{ type: 'text', text: turn.text }] : []),
+      ...(turn.toolCalls ?? []).map((call) => ({
+        type: 'tool_use',
+        id: `toolu_stub_${this.nextId++}`,
+        name: call.name,
+        input: call.input,
+      })),
+    ];
+    return {
+      id: `msg_stub_${this.nextId++}`,
+      type: 'message',
+      role: 'assistant',
+      model: body.model,
+      content,
+      stop_reason: turn.toolCalls?.length ? 'tool_use' : 'end_turn',
+      usage: {
+        input_tokens: countTokens(body),
+        output_tokens: countTokens(content),
+      },
+    };
+  }
+
+  private completeOpenAi(body: any) {
+    const messages: any[] = body.messages ?? [];
+    const turn = this.nextTurn({
+      provider: 'openai',
+      model: body.model,
+      system: messages.find((m) => m.role === 'system')?.content ?? '',
+      tools: (body.tools ?? []).map((tool: any) => tool.function?.name),
+      turn: messages.filter((m) => m.role === 'assistant').length,
+    });
+    const message = {
+      role: 'assistant',
+      content: turn.text ?? null,
+      ...(turn.toolCalls?.length
+        ? {
+            tool_calls: turn.toolCalls.map((call) => ({
+              id: `call_stub_${this.nextId++}`,
+              type: 'function',
+              function: {
+                name: call.name,
+                arguments: JSON.stringify(call.input),
+              },
+            })),
+          }
+        : {}),
+    };
+    return {
+      id: `chatcmpl-stub-${this.nextId++}`,
+      object: 'chat.completion',
+      model: body.model,
+      choices: [
+        {
+          index: 0,
+          message,
+          finish_reason: turn.toolCalls?.length ? 'tool_calls' : 'stop',
+        },
+      ],
+      usage: {
+        prompt_tokens: countTokens(body),
+        completion_tokens: countTokens(message),
+      },
+    };
+  }
+
+  private static readBody(req: http.IncomingMessage): Promise<string> {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  private static send(res: http.ServerResponse, status: number, body: unknown) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+export default LlmStubServer;
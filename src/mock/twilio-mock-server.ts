@@ -0,0 +1,245 @@
+import http from 'http';
+import { AddressInfo } from 'net';
+
+import { logger } from '../utils';
+import Cassette from './cassette';
+import TwilioState, {
+  MockRequest,
+  MockResponse,
+  TwilioStateSnapshot,
+} from './twilio-state';
+
+export type MockMode = 'mock' | 'record' | 'replay';
+
+export const MOCK_MODES: MockMode[] = ['mock', 'record', 'replay'];
+
+type Options = {
+  mode: MockMode;
+  cassette?: string;
+  accountSid?: string;
+  workspaceSid?: string;
+};
+
+// Real API hosts, by path prefix, used when recording
+const UPSTREAM_HOSTS: [string, string][] = [
+  ['/2010-04-01/', 'https://api.twilio.com'],
+  ['/v1/', 'https://taskrouter.twilio.com'],
+];
+
+const DEFAULT_ACCOUNT_SID = `AC${'0'.repeat(32)}`;
+
+/**
+ * Local stand-in for the Twilio REST endpoints used by the benchmark tasks.
+ * It serves both api.twilio.com and taskrouter.twilio.com paths from one
+ * base URL and can simulate them, record them from the real API or replay
+ * a recording.
+ */
+class TwilioMockServer {
+  private readonly mode: MockMode;
+
+  private readonly state: TwilioState;
+
+  private readonly cassette?: Cassette;
+
+  private readonly server: http.Server;
+
+  constructor(options: Options) {
+    this.mode = options.mode;
+    this.state = new TwilioState(
+      options.accountSid ?? DEFAULT_ACCOUNT_SID,
+      options.workspaceSid,
+      this.mode === 'mock',
+    );
+    if (this.mode !== 'mock') {
+      if (!options.cassette) {
+        throw new Error(`A cassette file is required in ${this.mode} mode`);
+      }
+      this.cassette = new Cassette(options.cassette);
+    }
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        logger.error(`Twilio mock error: ${(error as Error).message}`);
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: (error as Error).message }));
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} port Port, 0 for any free port
+   * @returns {Promise<string>} Base URL of the mock
+   */
+  async start(port: number): Promise<string> {
+    await this.cassette?.load(this.mode === 'replay');
+    await new Promise<void>((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => resolve());
+    });
+    const url = `http://127.0.0.1:${(this.server.address() as AddressInfo).port}`;
+    logger.info(`Twilio mock (${this.mode}) running at ${url}`);
+    return url;
+  }
+
+  /**
+   * Stop listening and save the recording
+   */
+  async close(): Promise<void> {
+    await new Promise<void>((resolve) => {
+      this.server.close(() => resolve());
+    });
+    if (this.mode === 'record') {
+      await this.cassette?.save();
+    }
+  }
+
+  /**
+   * Reset the state between runs. A recording keeps replaying where it left
+   * off, as it was recorded over the same sequence of runs.
+   */
+  reset(): void {
+    this.state.reset();
+  }
+
+  /**
+   * Get the current state of the mocked resources
+   * @returns {TwilioStateSnapshot} The state
+   */
+  getState(): TwilioStateSnapshot {
+    return this.state.snapshot();
+  }
+
+  private async handleRequest(
+    req: http.IncomingMessage,
+    res: http.ServerResponse,
+  ): Promise<void> {
+    const url = new URL(req.url ?? '/', 'http://localhost');
+    const body = await TwilioMockServer.readBody(req);
+
+    if (url.pathname === '/mock/state') {
+      TwilioMockServer.send(res, { status: 200, body: this.getState() });
+      return;
+    }
+    if (url.pathname === '/mock/reset' && req.method === 'POST') {
+      this.reset();
+      TwilioMockServer.send(res, { status: 200, body: this.getState() });
+      return;
+    }
+
+    const request: MockRequest = {
+      method: req.method ?? 'GET',
+      path: url.pathname,
+      query: url.searchParams,
+      params: TwilioMockServer.parseParams(body, req.headers['content-type']),
+    };
+
+    let response: MockResponse;
+    if (this.mode === 'mock') {
+      response = this.state.handle(request);
+    } else if (this.mode === 'replay') {
+      response = this.cassette?.replay(request) ?? {
+        status: 404,
+        body: {
+          code: 20404,
+          message: `No recorded interaction for ${request.method} ${request.path}`,
+          status: 404,
+        },
+      };
+      this.state.apply(request, response);
+    } else {
+      response = await this.forward(req, request, body);
+      this.cassette?.record(request, response);
+      this.state.apply(request, response);
+    }
+
+    logger.debug(
+      `Twilio mock ${request.method} ${request.path} -> ${response.status}`,
+    );
+    TwilioMockServer.send(res, response);
+  }
+
+  private async forward(
+    req: http.IncomingMessage,
+    request: MockRequest,
+    body: string,
+  ): Promise<MockResponse> {
+    const upstream = UPSTREAM_HOSTS.find(([prefix]) =>
+      request.path.startsWith(prefix),
+    );
+    if (!upstream) {
+      return this.state.handle(request);
+    }
+
+    const query = request.query.toString();
+    const headers: Record<string, string> = {};
+    ['authorization', 'content-type', 'accept'].forEach((name) => {
+      const value = req.headers[name];
+      if (typeof value === 'string') headers[name] = value;
+    });
+    const response = await fetch(
+      `${upstream[1]}${request.path}${query ? `?${query}` : ''}`,
+      {
+        method: request.method,
+        headers,
+        body: ['GET', 'HEAD'].includes(request.method) ? undefined : body,
+      },
+    );
+    const text = await response.text();
+    let parsed: unknown;
+    try {
+      parsed = text ? JSON.parse(text) : undefined;
+    } catch (error) {
+      parsed = text;
+    }
+    return { status: response.status, body: parsed };
+  }
+
+  private static readBody(req: http.IncomingMessage): Promise<string> {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Parse form-encoded parameters, as the Twilio API expects, or JSON
+   * @param {string} body Request body
+   * @param {string} contentType Content type header
+   * @returns {Record<string, string>} Parameters
+   */
+  private static parseParams(
+    body: string,
+    contentType?: string,
+  ): Record<string, string> {
+    if (!body) return {};
+    if (contentType?.includes('application/json')) {
+      try {
+        return Object.fromEntries(
+          Object.entries(JSON.parse(body)).map(([key, value]) => [
+            key,
+            String(value),
+          ]),
+        );
+      } catch (error) {
+        return {};
+      }
+    }
+    return Object.fromEntries(new URLSearchParams(body));
+  }
+
+  private static send(res: http.ServerResponse, response: MockResponse) {
+    if (response.body === undefined) {
+      res.writeHead(response.status);
+      res.end();
+      return;
+    }
+    res.writeHead(response.status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response.body));
+  }
+}
+
+export default TwilioMockServer;
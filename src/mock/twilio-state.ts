@@ -0,0 +1,500 @@
+export type TwilioResource = Record<string, unknown> & { sid: string };
+
+export type MockRequest = {
+  method: string;
+  path: string;
+  query: URLSearchParams;
+  params: Record<string, string>;
+};
+
+export type MockResponse = {
+  status: number;
+  body: unknown;
+};
+
+export type TwilioStateSnapshot = {
+  accountSid: string;
+  incomingPhoneNumbers: TwilioResource[];
+  workspaces: TwilioResource[];
+  activities: TwilioResource[];
+  taskQueues: TwilioResource[];
+};
+
+type Collection =
+  | 'incomingPhoneNumbers'
+  | 'workspaces'
+  | 'activities'
+  | 'taskQueues';
+
+type Route = {
+  collection: Collection | 'availablePhoneNumbers';
+  accountSid?: string;
+  workspaceSid?: string;
+  countryCode?: string;
+  sid?: string;
+};
+
+// Paths of the endpoints the benchmark tasks touch, on api.twilio.com and
+// taskrouter.twilio.com
+const ROUTES: [RegExp, (match: RegExpMatchArray) => Route][] = [
+  [
+    /^\/2010-04-01\/Accounts\/([^/]+)\/AvailablePhoneNumbers\/(\w{2})\/\w+\.json$/,
+    (m) => ({
+      collection: 'availablePhoneNumbers',
+      accountSid: m[1],
+      countryCode: m[2],
+    }),
+  ],
+  [
+    /^\/2010-04-01\/Accounts\/([^/]+)\/IncomingPhoneNumbers(?:\/(\w+))?\.json$/,
+    (m) => ({
+      collection: 'incomingPhoneNumbers',
+      accountSid: m[1],
+      sid: m[2],
+    }),
+  ],
+  [
+    /^\/v1\/Workspaces(?:\/(\w+))?$/,
+    (m) => ({ collection: 'workspaces', sid: m[1] }),
+  ],
+  [
+    /^\/v1\/Workspaces\/(\w+)\/Activities(?:\/(\w+))?$/,
+    (m) => ({ collection: 'activities', workspaceSid: m[1], sid: m[2] }),
+  ],
+  [
+    /^\/v1\/Workspaces\/(\w+)\/TaskQueues(?:\/(\w+))?$/,
+    (m) => ({ collection: 'taskQueues', workspaceSid: m[1], sid: m[2] }),
+  ],
+];
+
+// SID prefixes and list keys of each collection
+const COLLECTIONS: Record<Collection, { prefix: string; listKey: string }> = {
+  incomingPhoneNumbers: { prefix: 'PN', listKey: 'incoming_phone_numbers' },
+  workspaces: { prefix: 'WS', listKey: 'workspaces' },
+  activities: { prefix: 'WA', listKey: 'activities' },
+  taskQueues: { prefix: 'WQ', listKey: 'task_queues' },
+};
+
+const DEFAULT_AREA_CODES: Record<string, string> = { CA: '416', US: '415' };
+
+const DEFAULT_ACTIVITIES: [string, boolean][] = [
+  ['Offline', false],
+  ['Available', true],
+  ['Unavailable', false],
+];
+
+/**
+ * Parse a request path into the collection and SIDs it refers to
+ * @param {string} requestPath Path without query string
+ * @returns {Route|undefined} The route or undefined for unknown endpoints
+ */
+export function parseRoute(requestPath: string): Route | undefined {
+  for (const [pattern, toRoute] of ROUTES) {
+    const match = requestPath.match(pattern);
+    if (match) return toRoute(match);
+  }
+  return undefined;
+}
+
+/**
+ * Convert a Twilio request parameter such as FriendlyName to its response
+ * field, friendly_name
+ * @param {string} name Parameter name
+ * @returns {string} Field name
+ */
+function toFieldName(name: string): string {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+/**
+ * Build a Twilio error response
+ * @param {number} status HTTP status
+ * @param {number} code Twilio error code
+ * @param {string} message Error message
+ * @returns {MockResponse} The response
+ */
+function errorResponse(
+  status: number,
+  code: number,
+  message: string,
+): MockResponse {
+  return {
+    status,
+    body: {
+      code,
+      message,
+      more_info: `https://www.twilio.com/docs/errors/${code}`,
+      status,
+    },
+  };
+}
+
+/**
+ * In-memory model of the Twilio resources the benchmark tasks create, so
+ * runs can be repeated offline and checked against the final state
+ */
+class TwilioState {
+  private readonly accountSid: string;
+
+  private readonly workspaceSid?: string;
+
+  private resources: Record<Collection, Map<string, TwilioResource>>;
+
+  private readonly seed: boolean;
+
+  private nextId = 1;
+
+  /**
+   * @param {string} accountSid Account SID of the simulated account
+   * @param {string} workspaceSid SID of the default workspace
+   * @param {boolean} seed Create the default workspace and activities, off
+   * when the state is built from recorded responses
+   */
+  constructor(accountSid: string, workspaceSid?: string, seed = true) {
+    this.accountSid = accountSid;
+    this.workspaceSid = workspaceSid;
+    this.seed = seed;
+    this.resources = TwilioState.emptyResources();
+    this.reset();
+  }
+
+  private static emptyResources(): Record<
+    Collection,
+    Map<string, TwilioResource>
+  > {
+    return {
+      incomingPhoneNumbers: new Map(),
+      workspaces: new Map(),
+      activities: new Map(),
+      taskQueues: new Map(),
+    };
+  }
+
+  /**
+   * Drop every resource and recreate the default workspace and activities
+   */
+  reset(): void {
+    this.resources = TwilioState.emptyResources();
+    this.nextId = 1;
+    if (!this.seed) return;
+
+    const workspace = this.create('workspaces', {
+      friendly_name: 'Benchmark Workspace',
+    });
+    if (this.workspaceSid) {
+      this.resources.workspaces.delete(workspace.sid);
+      workspace.sid = this.workspaceSid;
+      this.resources.workspaces.set(workspace.sid, workspace);
+    }
+    DEFAULT_ACTIVITIES.forEach(([name, available]) =>
+      this.create('activities', {
+        workspace_sid: workspace.sid,
+        friendly_name: name,
+        available,
+      }),
+    );
+  }
+
+  /**
+   * Get every resource, for success checks and the /mock/state endpoint
+   * @returns {TwilioStateSnapshot} The state
+   */
+  snapshot(): TwilioStateSnapshot {
+    return {
+      accountSid: this.accountSid,
+      incomingPhoneNumbers: [...this.resources.incomingPhoneNumbers.values()],
+      workspaces: [...this.resources.workspaces.values()],
+      activities: [...this.resources.activities.values()],
+      taskQueues: [...this.resources.taskQueues.values()],
+    };
+  }
+
+  /**
+   * Handle a REST request against the in-memory resources
+   * @param {MockRequest} request The request
+   * @returns {MockResponse} The response
+   */
+  handle(request: MockRequest): MockResponse {
+    const route = parseRoute(request.path);
+    if (!route) {
+      return errorResponse(
+        404,
+        20404,
+        `The requested resource ${request.path} was not found`,
+      );
+    }
+
+    if (route.collection === 'availablePhoneNumbers') {
+      return this.listAvailablePhoneNumbers(route, request.query);
+    }
+
+    const { collection } = route;
+    if (
+      route.workspaceSid &&
+      !this.resources.workspaces.has(route.workspaceSid)
+    ) {
+      return errorResponse(
+        404,
+        20404,
+        `The requested resource /Workspaces/${route.workspaceSid} was not found`,
+      );
+    }
+
+    if (!route.sid) {
+      if (request.method === 'GET') {
+        return this.list(collection, route, request.query);
+      }
+      if (request.method === 'POST') {
+        return this.createFromRequest(collection, route, request.params);
+      }
+      return errorResponse(405, 20004, 'Method not allowed');
+    }
+
+    const resource = this.resources[collection].get(route.sid);
+    if (!resource) {
+      return errorResponse(
+        404,
+        20404,
+        `The requested resource ${request.path} was not found`,
+      );
+    }
+    switch (request.method) {
+      case 'GET':
+        return { status: 200, body: resource };
+      case 'POST':
+        Object.entries(request.params).forEach(([name, value]) => {
+          resource[toFieldName(name)] = TwilioState.parseValue(value);
+        });
+        resource.date_updated = new Date().toISOString();
+        return { status: 200, body: resource };
+      case 'DELETE':
+        this.resources[collection].delete(route.sid);
+        return { status: 204, body: undefined };
+      default:
+        return errorResponse(405, 20004, 'Method not allowed');
+    }
+  }
+
+  /**
+   * Update the state from a response recorded against the real API, so
+   * record and replay runs expose the same state as mock runs
+   * @param {MockRequest} request The request
+   * @param {MockResponse} response The recorded response
+   */
+  apply(request: MockRequest, response: MockResponse): void {
+    const route = parseRoute(request.path);
+    if (
+      !route ||
+      route.collection === 'availablePhoneNumbers' ||
+      response.status >= 300
+    ) {
+      return;
+    }
+
+    const { collection } = route;
+    if (request.method === 'DELETE' && route.sid) {
+      this.resources[collection].delete(route.sid);
+      return;
+    }
+
+    const body = response.body as Record<string, unknown> | undefined;
+    const listed = body?.[COLLECTIONS[collection].listKey];
+    const items = Array.isArray(listed) ? listed : [body];
+    items
+      .filter((item): item is TwilioResource => typeof item?.sid === 'string')
+      .forEach((item) => this.resources[collection].set(item.sid, item));
+  }
+
+  private static parseValue(value: string): unknown {
+    if (value === 'true' || value === 'false') return value === 'true';
+    return value;
+  }
+
+  private createSid(prefix: string): string {
+    const id = this.nextId;
+    this.nextId += 1;
+    return `${prefix}${id.toString(16).padStart(32, '0')}`;
+  }
+
+  private create(
+    collection: Collection,
+    fields: Record<string, unknown>,
+  ): TwilioResource {
+    const now = new Date().toISOString();
+    const resource: TwilioResource = {
+      sid: this.createSid(COLLECTIONS[collection].prefix),
+      account_sid: this.accountSid,
+      ...fields,
+      date_created: now,
+      date_updated: now,
+    };
+    this.resources[collection].set(resource.sid, resource);
+    return resource;
+  }
+
+  private createFromRequest(
+    collection: Collection,
+    route: Route,
+    params: Record<string, string>,
+  ): MockResponse {
+    const fields: Record<string, unknown> = Object.fromEntries(
+      Object.entries(params).map(([name, value]) => [
+        toFieldName(name),
+        TwilioState.parseValue(value),
+      ]),
+    );
+
+    switch (collection) {
+      case 'incomingPhoneNumbers': {
+        const phoneNumber =
+          params.PhoneNumber ??
+          (params.AreaCode
+            ? this.getAvailableNumbers('US', params.AreaCode)[0]
+            : undefined);
+        if (!phoneNumber) {
+          return errorResponse(
+            400,
+            21421,
+            'A PhoneNumber or AreaCode is required',
+          );
+        }
+        const taken = [...this.resources.incomingPhoneNumbers.values()].some(
+          (number) => number.phone_number === phoneNumber,
+        );
+        if (taken) {
+          return errorResponse(
+            400,
+            21422,
+            `PhoneNumber ${phoneNumber} is not available`,
+          );
+        }
+        delete fields.area_code;
+        return {
+          status: 201,
+          body: this.create(collection, {
+            friendly_name: phoneNumber,
+            ...fields,
+            phone_number: phoneNumber,
+            capabilities: { voice: true, sms: true, mms: true, fax: false },
+          }),
+        };
+      }
+      case 'activities':
+        if (!params.FriendlyName) {
+          return errorResponse(
+            400,
+            20001,
+            'Missing required parameter FriendlyName',
+          );
+        }
+        if (
+          [...this.resources.activities.values()].some(
+            (activity) =>
+              activity.workspace_sid === route.workspaceSid &&
+              activity.friendly_name === params.FriendlyName,
+          )
+        ) {
+          return errorResponse(
+            400,
+            20001,
+            `Activity with friendly name ${params.FriendlyName} already exists`,
+          );
+        }
+        return {
+          status: 201,
+          body: this.create(collection, {
+            available: false,
+            ...fields,
+            workspace_sid: route.workspaceSid,
+          }),
+        };
+      case 'taskQueues':
+        if (!params.FriendlyName) {
+          return errorResponse(
+            400,
+            20001,
+            'Missing required parameter FriendlyName',
+          );
+        }
+        return {
+          status: 201,
+          body: this.create(collection, {
+            target_workers: '1==1',
+            max_reserved_workers: 1,
+            task_order: 'FIFO',
+            ...fields,
+            workspace_sid: route.workspaceSid,
+          }),
+        };
+      default:
+        if (!params.FriendlyName) {
+          return errorResponse(
+            400,
+            20001,
+            'Missing required parameter FriendlyName',
+          );
+        }
+        return { status: 201, body: this.create(collection, fields) };
+    }
+  }
+
+  private list(
+    collection: Collection,
+    route: Route,
+    query: URLSearchParams,
+  ): MockResponse {
+    const friendlyName = query.get('FriendlyName');
+    const items = [...this.resources[collection].values()].filter(
+      (item) =>
+        (!route.workspaceSid || item.workspace_sid === route.workspaceSid) &&
+        (!friendlyName || item.friendly_name === friendlyName),
+    );
+    const { listKey } = COLLECTIONS[collection];
+    const body =
+      collection === 'incomingPhoneNumbers'
+        ? { [listKey]: items, page: 0, page_size: 50, next_page_uri: null }
+        : {
+            [listKey]: items,
+            meta: { page: 0, page_size: 50, key: listKey, next_page_url: null },
+          };
+    return { status: 200, body };
+  }
+
+  private getAvailableNumbers(countryCode: string, areaCode: string): string[] {
+    if (!DEFAULT_AREA_CODES[countryCode]) return [];
+    const taken = new Set(
+      [...this.resources.incomingPhoneNumbers.values()].map(
+        (number) => number.phone_number,
+      ),
+    );
+    return Array.from(
+      { length: 5 },
+      (_, index) => `+1${areaCode}555${String(100 + index).padStart(4, '0')}`,
+    ).filter((number) => !taken.has(number));
+  }
+
+  private listAvailablePhoneNumbers(
+    route: Route,
+    query: URLSearchParams,
+  ): MockResponse {
+    const countryCode = route.countryCode ?? 'US';
+    const areaCode =
+      query.get('AreaCode') ?? DEFAULT_AREA_CODES[countryCode] ?? '415';
+    return {
+      status: 200,
+      body: {
+        available_phone_numbers: this.getAvailableNumbers(
+          countryCode,
+          areaCode,
+        ).map((phoneNumber) => ({
+          phone_number: phoneNumber,
+          friendly_name: `(${areaCode}) 555-${phoneNumber.slice(-4)}`,
+          iso_country: countryCode,
+          capabilities: { voice: true, SMS: true, MMS: true },
+        })),
+      },
+    };
+  }
+}
+
+export default TwilioState;
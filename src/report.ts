@@ -0,0 +1,125 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { hideBin } from 'yargs/helpers';
+import yargs from 'yargs/yargs';
+
+import { withoutExcluded } from './metrics/exclusions';
+import { loadPriceSheet } from './metrics/pricing';
+import { buildReport, renderMarkdownReport } from './metrics/report';
+import renderHtmlReport from './metrics/report-html';
+import { loadSummary } from './metrics/schema';
+import { findSuiteFile, loadSuite } from './metrics/suite';
+import { logger } from './utils';
+
+export const REPORT_FORMATS = ['html', 'markdown', 'all'];
+
+type ReportResult = {
+  success: boolean;
+  message: string;
+  files: string[];
+};
+
+class Report {
+  /**
+   * Static method to parse args and render a summary into HTML and Markdown
+   * reports
+   * @param argv Command line arguments
+   * @returns Promise with report result
+   */
+  static async report(argv: string[]): Promise<ReportResult> {
+    const parsedArgs = yargs(hideBin(argv))
+      .option('directory', {
+        alias: 'd',
+        type: 'string',
+        description: 'Specify a custom metrics directory path',
+        default: path.join(os.homedir(), '.mcp-te-benchmark'),
+      })
+      .option('summary', {
+        type: 'string',
+        description:
+          'Summary file to report on (defaults to summary.json in the metrics directory)',
+      })
+      .option('suite', {
+        type: 'string',
+        description:
+          'Specify the suite definition file (defaults to suite.json in the metrics directory)',
+      })
+      .option('pricing', {
+        type: 'string',
+        description: 'Specify a JSON price sheet for the token cost breakdown',
+      })
+      .option('format', {
+        alias: 'f',
+        type: 'string',
+        description: 'Report format',
+        choices: REPORT_FORMATS,
+        default: 'all',
+      })
+      .option('output', {
+        alias: 'o',
+        type: 'string',
+        description:
+          'Output path without extension (defaults to report in the metrics directory)',
+      })
+      .option('title', {
+        type: 'string',
+        description: 'Report title (defaults to the suite name)',
+      })
+      .option('model', {
+        alias: 'm',
+        type: 'array',
+        string: true,
+        description: 'Only report on these models',
+      })
+      .help()
+      .alias('help', 'h')
+      .parseSync();
+
+    const summaryFile =
+      parsedArgs.summary ?? path.join(parsedArgs.directory, 'summary.json');
+    let runs = withoutExcluded(await loadSummary(summaryFile));
+    if (parsedArgs.model?.length) {
+      runs = runs.filter((run) => parsedArgs.model?.includes(run.model));
+    }
+    if (!runs.length) {
+      return { success: false, message: 'No runs to report on', files: [] };
+    }
+
+    const suite = await loadSuite(
+      await findSuiteFile(parsedArgs.directory, parsedArgs.suite),
+    );
+    const priceSheet = await loadPriceSheet(parsedArgs.pricing);
+    const report = buildReport(runs, suite, priceSheet, parsedArgs.title);
+
+    const output =
+      parsedArgs.output ?? path.join(parsedArgs.directory, 'report');
+    const renderers: [string, string, () => string][] = [
+      ['html', '.html', () => renderHtmlReport(report)],
+      ['markdown', '.md', () => renderMarkdownReport(report)],
+    ];
+    await fs.mkdir(path.dirname(output), { recursive: true });
+
+    const files: string[] = [];
+    for (const [format, extension, render] of renderers) {
+      if (parsedArgs.format === 'all' || parsedArgs.format === format) {
+        const file = `${output}${extension}`;
+        // eslint-disable-next-line no-await-in-loop
+        await fs.writeFile(file, render());
+        logger.info(
+          `${format === 'html' ? 'HTML' : 'Markdown'} report written to ${file}`,
+        );
+        files.push(file);
+      }
+    }
+
+    return {
+      success: true,
+      message: `Reported on ${runs.length} runs of ${report.models.length} models`,
+      files,
+    };
+  }
+}
+
+export default Report;
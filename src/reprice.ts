@@ -0,0 +1,189 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { hideBin } from 'yargs/helpers';
+import yargs from 'yargs/yargs';
+
+import { METRIC_FILE_PATTERN } from './metrics/metrics-utils';
+import {
+  calculateModelCost,
+  loadPriceSheet,
+  PriceSheet,
+} from './metrics/pricing';
+import { parseTaskFile, TaskFile } from './metrics/schema';
+import SummaryGenerator from './metrics/summary-generator';
+import { logger } from './utils';
+
+type RepriceOptions = {
+  directory: string;
+  priceSheet: PriceSheet;
+  dryRun: boolean;
+};
+
+type RepriceResult = {
+  success: boolean;
+  message: string;
+  failedFiles: string[];
+};
+
+type CostTotals = {
+  runs: number;
+  before: number;
+  after: number;
+};
+
+class Reprice {
+  private readonly directory: string;
+
+  private readonly priceSheet: PriceSheet;
+
+  private readonly dryRun: boolean;
+
+  /**
+   * Create a new Reprice instance
+   * @param options Configuration options
+   */
+  constructor(options: RepriceOptions) {
+    this.directory = options.directory;
+    this.priceSheet = options.priceSheet;
+    this.dryRun = options.dryRun;
+
+    logger.info(`Using price sheet version ${this.priceSheet.version}`);
+    if (this.dryRun) {
+      logger.info('Dry run enabled - metric files will not be modified');
+    }
+  }
+
+  /**
+   * Static method to parse args and run repricing
+   * @param argv Command line arguments
+   * @returns Promise with result
+   */
+  static async reprice(argv: string[]): Promise<RepriceResult> {
+    const parsedArgs = yargs(hideBin(argv))
+      .option('directory', {
+        alias: 'd',
+        type: 'string',
+        description: 'Specify a custom metrics directory path',
+        default: path.join(os.homedir(), '.mcp-te-benchmark'),
+      })
+      .option('pricing', {
+        type: 'string',
+        description:
+          'Specify a JSON price sheet to overlay on the default prices',
+      })
+      .option('dry-run', {
+        type: 'boolean',
+        description: 'Print the cost changes without writing any files',
+        default: false,
+      })
+      .help()
+      .alias('help', 'h')
+      .parseSync();
+
+    const repricer = new Reprice({
+      directory: parsedArgs.directory,
+      priceSheet: await loadPriceSheet(parsedArgs.pricing),
+      dryRun: parsedArgs.dryRun,
+    });
+    return repricer.repriceMetricFiles();
+  }
+
+  /**
+   * Recompute the cost of every metric file under the price sheet
+   */
+  private async repriceMetricFiles(): Promise<RepriceResult> {
+    const tasksDir = path.join(this.directory, 'tasks');
+    let files: string[];
+    try {
+      files = (await fs.readdir(tasksDir)).filter((file) =>
+        METRIC_FILE_PATTERN.test(file),
+      );
+    } catch (error) {
+      const message = `Failed to read tasks directory: ${(error as Error).message}`;
+      logger.error(message);
+      return { success: false, message, failedFiles: [] };
+    }
+
+    const totals = new Map<string, CostTotals>();
+    const failedFiles: string[] = [];
+
+    await Promise.all(
+      files.map(async (file) => {
+        const filePath = path.join(tasksDir, file);
+        try {
+          const { file: metric, errors } = parseTaskFile(
+            await fs.readFile(filePath, 'utf8'),
+          );
+          if (errors.length) {
+            throw new Error(`invalid metric file: ${errors.join('; ')}`);
+          }
+          const cost = calculateModelCost(this.priceSheet, metric.model, {
+            tokensIn: metric.tokensIn,
+            tokensOut: metric.tokensOut,
+            cacheWrites: metric.cacheWrites,
+            cacheReads: metric.cacheReads,
+          });
+
+          const key = `${metric.model} (${metric.mode})`;
+          const total = totals.get(key) ?? { runs: 0, before: 0, after: 0 };
+          total.runs++;
+          total.before += metric.cost;
+          total.after += cost;
+          totals.set(key, total);
+
+          if (!this.dryRun) {
+            // Keep the cost the client reported so repricing can be compared or undone
+            const payload: TaskFile = {
+              ...metric,
+              reportedCost: metric.reportedCost ?? metric.cost,
+              cost,
+              requests: metric.requests?.map((request) => ({
+                ...request,
+                cost: calculateModelCost(
+                  this.priceSheet,
+                  metric.model,
+                  request,
+                ),
+              })),
+              pricingVersion: this.priceSheet.version,
+            };
+            await fs.writeFile(filePath, JSON.stringify(payload, null, 2));
+          }
+        } catch (error) {
+          logger.error(
+            `Error repricing metric file ${file}: ${(error as Error).message}`,
+          );
+          failedFiles.push(file);
+        }
+      }),
+    );
+
+    logger.info('\nAverage cost per run:');
+    Array.from(totals.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .forEach(([key, total]) => {
+        logger.info(
+          `${key}: before=$${(total.before / total.runs).toFixed(4)}, after=$${(total.after / total.runs).toFixed(4)} over ${total.runs} runs`,
+        );
+      });
+
+    if (!this.dryRun && files.length > failedFiles.length) {
+      const summaryGenerator = new SummaryGenerator(this.directory);
+      const summaryResult = await summaryGenerator.generateSummaryFromFiles();
+      if (!summaryResult.success) {
+        logger.warn(`Summary generation had issues: ${summaryResult.message}`);
+      }
+    }
+
+    const repriced = files.length - failedFiles.length;
+    return {
+      success: failedFiles.length === 0,
+      message: `${this.dryRun ? 'Calculated' : 'Repriced'} ${repriced} of ${files.length} metric files using price sheet ${this.priceSheet.version}`,
+      failedFiles,
+    };
+  }
+}
+
+export default Reprice;
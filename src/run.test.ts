@@ -0,0 +1,261 @@
+import assert from 'assert/strict';
+import { promises as fs } from 'fs';
+import { after, before, test } from 'node:test';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import SummaryGenerator from './metrics/summary-generator';
+import { TaskMetrics } from './metrics/types';
+import { LlmStubServer } from './mock';
+import Run from './run';
+
+const MCP_SERVER = fileURLToPath(
+  new URL('./fixtures/twilio-mcp-server.mjs', import.meta.url),
+);
+const PHONE_NUMBER = '+14165550100';
+
+// Both variants list the numbers and buy one in a single turn, one with shell
+// commands and one with MCP tools, against their own Twilio mock
+const NUMBERS_URL = `process.env.TWILIO_MOCK_URL + '/2010-04-01/Accounts/AC${'0'.repeat(32)}/IncomingPhoneNumbers.json'`;
+const LIST_COMMAND = `${JSON.stringify(process.execPath)} -e "fetch(${NUMBERS_URL}).then((r) => r.text()).then(console.log)"`;
+const BUY_COMMAND = `${JSON.stringify(process.execPath)} -e "fetch(${NUMBERS_URL}, { method: 'POST', body: new URLSearchParams({ PhoneNumber: '${PHONE_NUMBER}' }) }).then((r) => r.text()).then(console.log)"`;
+
+const SUITE = {
+  name: 'Stub',
+  server: 'Twilio',
+  baseline: 'control',
+  startPattern: 'Complete Task (\\d+) using the (?:commands|tools)',
+  variants: [
+    {
+      id: 'control',
+      name: 'Control',
+      markers: ['control_instructions.md'],
+      commands: true,
+    },
+    {
+      id: 'mcp',
+      name: 'MCP',
+      markers: ['mcp_instructions.md'],
+      mcpServers: {
+        twilio: {
+          command: process.execPath,
+          // eslint-disable-next-line no-template-curly-in-string
+          args: [MCP_SERVER, '${TWILIO_MOCK_URL}'],
+        },
+      },
+    },
+  ],
+  tasks: [
+    {
+      id: 1,
+      name: 'Purchase a Canadian Phone Number',
+      success: {
+        rules: [
+          {
+            type: 'json',
+            target: 'mockState',
+            path: 'incomingPhoneNumbers.0.phone_number',
+            equals: PHONE_NUMBER,
+          },
+        ],
+      },
+    },
+  ],
+};
+
+let directory: string;
+let stub: LlmStubServer;
+let baseUrl: string;
+
+before(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-te-run-'));
+  await fs.writeFile(
+    path.join(directory, 'suite.json'),
+    JSON.stringify(SUITE, null, 2),
+  );
+  stub = new LlmStubServer({
+    turns: [
+      {
+        text: `Buying ${PHONE_NUMBER}.`,
+        toolCalls: [
+          { name: 'execute_command', input: { command: LIST_COMMAND } },
+          { name: 'execute_command', input: { command: BUY_COMMAND } },
+          { name: 'mcp__twilio__list_numbers', input: {} },
+          {
+            name: 'mcp__twilio__buy_number',
+            input: { phoneNumber: PHONE_NUMBER },
+          },
+        ],
+      },
+    ],
+  });
+  baseUrl = await stub.start(0);
+});
+
+after(async () => {
+  await stub.close();
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+test('runs a task headlessly against the LLM stub and the Twilio mock', async () => {
+  const result = await Run.run([
+    'node',
+    'cli',
+    '--directory',
+    directory,
+    '--task',
+    '1',
+    '--model',
+    'claude-3-7-sonnet-20250219',
+    '--base-url',
+    baseUrl,
+    '--api-key',
+    'test',
+    '--allow-commands',
+    '--twilio-mock',
+    'mock',
+  ]);
+
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.success, true);
+  assert.deepEqual(result.metrics.map((metric) => metric.mode).sort(), [
+    'control',
+    'mcp',
+  ]);
+  result.metrics.forEach((metric) => {
+    assert.equal(metric.taskId, 1);
+    assert.equal(metric.outcome, 'passed');
+    assert.equal(metric.apiCalls, 2);
+    assert.ok(metric.tokensIn > 0);
+  });
+  const mcpRun = result.metrics.find((metric) => metric.mode === 'mcp');
+  assert.equal(mcpRun?.serverVersion, 'twilio-fixture@1.0.0');
+  assert.deepEqual(mcpRun?.tools, [
+    'mcp__twilio__list_numbers',
+    'mcp__twilio__buy_number',
+  ]);
+
+  // Two turns per variant, each told where the mock is
+  const requests = stub.getRequests();
+  assert.equal(requests.length, 4);
+  requests.forEach((request) => {
+    assert.equal(request.provider, 'anthropic');
+    assert.match(request.system, /http:\/\/127\.0\.0\.1:\d+/);
+  });
+
+  const batches = await fs.readdir(path.join(directory, 'runs'));
+  assert.equal(batches.length, 1);
+  const chats = await fs.readdir(path.join(directory, 'runs', batches[0]));
+  assert.equal(chats.length, 2);
+  const tasks = await fs.readdir(path.join(directory, 'tasks'));
+  assert.equal(tasks.length, 2);
+
+  // The usage of the turn is split across its two tool calls in whole tokens,
+  // so the task files stay valid and every run reaches the summary
+  const summary = await new SummaryGenerator(
+    directory,
+  ).generateSummaryFromFiles();
+  assert.deepEqual(summary.failedFiles, []);
+  assert.equal(summary.data.length, 2);
+  summary.data.forEach((metric: TaskMetrics) => {
+    assert.equal(metric.toolCalls?.length, 2);
+    metric.toolCalls?.forEach((call) => {
+      assert.ok(Number.isInteger(call.tokensIn));
+      assert.ok(Number.isInteger(call.tokensOut));
+    });
+  });
+});
+
+test('runs a task against the OpenAI format of the LLM stub', async () => {
+  const previousRequests = stub.getRequests().length;
+  const result = await Run.run([
+    'node',
+    'cli',
+    '--directory',
+    directory,
+    '--variant',
+    'mcp',
+    '--provider',
+    'openai',
+    '--model',
+    'gpt-4o',
+    '--base-url',
+    baseUrl,
+    '--api-key',
+    'test',
+    '--twilio-mock',
+    'mock',
+  ]);
+
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.metrics.length, 1);
+  assert.equal(result.metrics[0].outcome, 'passed');
+  const requests = stub.getRequests().slice(previousRequests);
+  assert.deepEqual(
+    requests.map((request) => [request.provider, request.turn]),
+    [
+      ['openai', 0],
+      ['openai', 1],
+    ],
+  );
+});
+
+test('refuses a mocked run of an MCP server that calls the live API', async () => {
+  const suite = {
+    ...SUITE,
+    baseline: 'mcp',
+    variants: [
+      {
+        ...SUITE.variants[1],
+        mcpServers: { twilio: { command: 'npx', args: ['@twilio-alpha/mcp'] } },
+      },
+    ],
+  };
+  const suiteFile = path.join(directory, 'live-suite.json');
+  await fs.writeFile(suiteFile, JSON.stringify(suite));
+
+  const result = await Run.run([
+    'node',
+    'cli',
+    '--directory',
+    directory,
+    '--suite',
+    suiteFile,
+    '--model',
+    'claude-3-7-sonnet-20250219',
+    '--base-url',
+    baseUrl,
+    '--twilio-mock',
+    'mock',
+  ]);
+
+  assert.equal(result.success, false);
+  assert.match(result.message, /would call the live Twilio API/);
+});
+
+test('refuses to run a task whose prompt would not be extracted', async () => {
+  const suite = {
+    ...SUITE,
+    tasks: [{ ...SUITE.tasks[0], prompt: 'Buy a Canadian phone number' }],
+  };
+  const suiteFile = path.join(directory, 'prompt-suite.json');
+  await fs.writeFile(suiteFile, JSON.stringify(suite));
+
+  const result = await Run.run([
+    'node',
+    'cli',
+    '--directory',
+    directory,
+    '--suite',
+    suiteFile,
+    '--model',
+    'claude-3-7-sonnet-20250219',
+    '--base-url',
+    baseUrl,
+    '--allow-commands',
+  ]);
+
+  assert.equal(result.success, false);
+  assert.match(result.message, /task 1 \(control\), task 1 \(mcp\)/);
+});
@@ -0,0 +1,556 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { hideBin } from 'yargs/helpers';
+import yargs from 'yargs/yargs';
+
+import ExtractMetrics from './extract-metrics';
+import { hashContent, hashInstructions } from './metrics/experiment';
+import { loadPriceSheet, PriceSheet } from './metrics/pricing';
+import { loadSuccessRules } from './metrics/success-checks';
+import {
+  DEFAULT_SUITE_FILE,
+  findSuiteFile,
+  findTaskStart,
+  findVariant,
+  getSuiteSuccessRules,
+  loadSuite,
+  SuiteDefinition,
+  TaskDefinition,
+  VariantDefinition,
+} from './metrics/suite';
+import { measureOverhead } from './metrics/tool-overhead';
+import { TaskMetrics } from './metrics/types';
+import { MOCK_MODES, MockMode, TwilioMockServer } from './mock';
+import {
+  CLIENT_INFO,
+  CommandTool,
+  createLlmClient,
+  LLM_PROVIDERS,
+  LlmClient,
+  McpStdioClient,
+  TaskRunner,
+  ToolProvider,
+} from './runner';
+import { getLogSource } from './sources';
+import { config, logger } from './utils';
+
+type RunOptions = {
+  directory: string;
+  suite: SuiteDefinition;
+  suiteDir: string;
+  variants: VariantDefinition[];
+  tasks: TaskDefinition[];
+  runs: number;
+  client: LlmClient;
+  model: string;
+  maxTurns: number;
+  maxTokens: number;
+  allowCommands: boolean;
+  commandTimeout: number;
+  priceSheet: PriceSheet;
+  twilioMock?: MockMode;
+  cassetteDir: string;
+  experiment?: string;
+};
+
+type RunResult = {
+  success: boolean;
+  message: string;
+  metrics: TaskMetrics[];
+  errors: string[];
+};
+
+const SYSTEM_PROMPT =
+  'You are an AI agent completing API tasks for a benchmark. Use the tools available to you to complete the task. When you are done, reply with a summary of what you did without calling any more tools.';
+
+// How MCP server definitions pass the Twilio mock's URL to their server
+// eslint-disable-next-line no-template-curly-in-string
+const MOCK_URL_REFERENCE = '${TWILIO_MOCK_URL}';
+
+class Run {
+  private readonly directory: string;
+
+  private readonly suite: SuiteDefinition;
+
+  private readonly suiteDir: string;
+
+  private readonly variants: VariantDefinition[];
+
+  private readonly tasks: TaskDefinition[];
+
+  private readonly runs: number;
+
+  private readonly client: LlmClient;
+
+  private readonly model: string;
+
+  private readonly maxTurns: number;
+
+  private readonly maxTokens: number;
+
+  private readonly allowCommands: boolean;
+
+  private readonly commandTimeout: number;
+
+  private readonly priceSheet: PriceSheet;
+
+  private readonly twilioMock?: MockMode;
+
+  private readonly cassetteDir: string;
+
+  private readonly experiment?: string;
+
+  // One Twilio mock per variant, so arms do not see each other's resources
+  private readonly mocks = new Map<string, TwilioMockServer>();
+
+  private readonly mockUrls = new Map<string, string>();
+
+  private lastChatId = 0;
+
+  /**
+   * Create a new Run instance with the specified options
+   * @param options Configuration options
+   */
+  constructor(options: RunOptions) {
+    this.directory = options.directory;
+    this.suite = options.suite;
+    this.suiteDir = options.suiteDir;
+    this.variants = options.variants;
+    this.tasks = options.tasks;
+    this.runs = options.runs;
+    this.client = options.client;
+    this.model = options.model;
+    this.maxTurns = options.maxTurns;
+    this.maxTokens = options.maxTokens;
+    this.allowCommands = options.allowCommands;
+    this.commandTimeout = options.commandTimeout;
+    this.priceSheet = options.priceSheet;
+    this.twilioMock = options.twilioMock;
+    this.cassetteDir = options.cassetteDir;
+    this.experiment = options.experiment;
+  }
+
+  /**
+   * Static method to parse args and run the benchmark
+   * @param argv Command line arguments
+   * @returns Promise with run result
+   */
+  static async run(argv: string[]): Promise<RunResult> {
+    const parsedArgs = yargs(hideBin(argv))
+      .options('directory', {
+        alias: 'd',
+        type: 'string',
+        description: 'Specify the directory to use for metrics',
+        default: path.join(os.homedir(), '.mcp-te-benchmark'),
+      })
+      .options('suite', {
+        type: 'string',
+        description:
+          'Specify the suite definition file (defaults to suite.json in the metrics directory)',
+      })
+      .options('runs', {
+        alias: 'n',
+        type: 'number',
+        description: 'Number of times each task is run per variant',
+        default: 1,
+      })
+      .options('variant', {
+        type: 'array',
+        string: true,
+        description: 'Only run these variants (defaults to all)',
+      })
+      .options('task', {
+        type: 'array',
+        number: true,
+        description: 'Only run these tasks (defaults to all)',
+      })
+      .options('provider', {
+        type: 'string',
+        description: 'API format of the model endpoint',
+        choices: LLM_PROVIDERS,
+        default: 'anthropic',
+      })
+      .options('model', {
+        alias: 'm',
+        type: 'string',
+        description: 'Model to run the tasks with',
+        demandOption: true,
+      })
+      .options('base-url', {
+        type: 'string',
+        description:
+          "Specify the model endpoint (defaults to the provider's public API)",
+      })
+      .options('api-key', {
+        type: 'string',
+        description:
+          'Specify the API key (defaults to ANTHROPIC_API_KEY or OPENAI_API_KEY)',
+      })
+      .options('max-turns', {
+        type: 'number',
+        description: 'Maximum number of model requests per task',
+        default: 25,
+      })
+      .options('max-tokens', {
+        type: 'number',
+        description: 'Maximum number of output tokens per model request',
+        default: 4096,
+      })
+      .options('allow-commands', {
+        type: 'boolean',
+        description:
+          'Allow variants with "commands": true to run shell commands chosen by the model',
+        default: false,
+      })
+      .options('command-timeout', {
+        type: 'number',
+        description: 'Timeout for each shell command in seconds',
+        default: 60,
+      })
+      .options('pricing', {
+        type: 'string',
+        description: 'Specify a JSON price sheet used to cost the runs',
+      })
+      .options('twilio-mock', {
+        type: 'string',
+        description:
+          'Run against a local Twilio mock that simulates the API, records it or replays a recording',
+        choices: MOCK_MODES,
+      })
+      .options('cassette-dir', {
+        type: 'string',
+        description:
+          'Directory of the Twilio mock recordings, one per variant (defaults to cassettes in the metrics directory)',
+      })
+      .options('experiment', {
+        type: 'string',
+        description:
+          'Label the runs with an experiment name (defaults to a hash of the server, tools, instructions and client)',
+      })
+      .help()
+      .alias('help', 'h')
+      .parseSync();
+
+    const suiteFile = await findSuiteFile(
+      parsedArgs.directory,
+      parsedArgs.suite,
+    );
+    const suite = await loadSuite(suiteFile);
+
+    const variants = suite.variants.filter(
+      (variant) =>
+        !parsedArgs.variant?.length || parsedArgs.variant.includes(variant.id),
+    );
+    const tasks = suite.tasks.filter(
+      (task) => !parsedArgs.task?.length || parsedArgs.task.includes(task.id),
+    );
+    if (!variants.length || !tasks.length) {
+      return Run.error('No variants or tasks selected to run');
+    }
+
+    // A run whose prompt is not recognised would never be extracted
+    const unrecognised = tasks.flatMap((task) =>
+      variants
+        .filter((variant) => {
+          const prompt = Run.getPrompt(task, variant);
+          return (
+            findTaskStart(prompt, suite) !== task.id ||
+            findVariant(prompt, suite) !== variant.id
+          );
+        })
+        .map((variant) => `task ${task.id} (${variant.id})`),
+    );
+    if (unrecognised.length) {
+      return Run.error(
+        `The prompts of ${unrecognised.join(', ')} do not match the suite's start pattern or task start marker and the variant's marker`,
+      );
+    }
+
+    const blocked = variants.filter(
+      (variant) => variant.commands && !parsedArgs.allowCommands,
+    );
+    if (blocked.length) {
+      return Run.error(
+        `Variants ${blocked.map((v) => v.id).join(', ')} run shell commands chosen by the model. Pass --allow-commands to run them.`,
+      );
+    }
+
+    // MCP servers that are not pointed at the mock would call the live API
+    // with real credentials, and the mock would not see their resources
+    const unmocked = parsedArgs.twilioMock
+      ? variants.filter((variant) =>
+          Object.values(variant.mcpServers ?? {}).some(
+            (server) => !JSON.stringify(server).includes(MOCK_URL_REFERENCE),
+          ),
+        )
+      : [];
+    if (unmocked.length) {
+      return Run.error(
+        `Variants ${unmocked.map((v) => v.id).join(', ')} have MCP servers that do not reference ${MOCK_URL_REFERENCE} and would call the live Twilio API. Point their base URL at the mock or leave them out with --variant.`,
+      );
+    }
+
+    const { provider } = parsedArgs;
+    const apiKey =
+      parsedArgs.apiKey ??
+      (provider === 'openai'
+        ? config.llm.openaiApiKey
+        : config.llm.anthropicApiKey);
+
+    const runner = new Run({
+      directory: parsedArgs.directory,
+      suite,
+      suiteDir: path.dirname(suiteFile ?? DEFAULT_SUITE_FILE),
+      variants,
+      tasks,
+      runs: parsedArgs.runs,
+      client: createLlmClient(provider, {
+        baseUrl: parsedArgs.baseUrl,
+        apiKey,
+      }),
+      model: parsedArgs.model,
+      maxTurns: parsedArgs.maxTurns,
+      maxTokens: parsedArgs.maxTokens,
+      allowCommands: parsedArgs.allowCommands,
+      commandTimeout: parsedArgs.commandTimeout * 1000,
+      priceSheet: await loadPriceSheet(parsedArgs.pricing),
+      twilioMock: parsedArgs.twilioMock as MockMode | undefined,
+      cassetteDir:
+        parsedArgs.cassetteDir ?? path.join(parsedArgs.directory, 'cassettes'),
+      experiment: parsedArgs.experiment,
+    });
+    return runner.runSuite();
+  }
+
+  /**
+   * Run every selected task for every selected variant, then extract metrics
+   * from the recorded transcripts
+   * @returns {Promise<RunResult>} The result
+   */
+  private async runSuite(): Promise<RunResult> {
+    const batchDir = path.join(this.directory, 'runs', `${Date.now()}`);
+    await fs.mkdir(path.join(this.directory, 'tasks'), { recursive: true });
+    await fs.mkdir(batchDir, { recursive: true });
+    logger.info(
+      `Running ${this.tasks.length} tasks x ${this.variants.length} variants x ${this.runs} runs with ${this.model}, writing transcripts to ${batchDir}`,
+    );
+
+    // Interleave the variants so drift in the environment affects all arms
+    const errors: string[] = [];
+    try {
+      await this.startMocks();
+      for (let run = 1; run <= this.runs; run++) {
+        this.mocks.forEach((mock) => mock.reset());
+        for (const task of this.tasks) {
+          for (const variant of this.variants) {
+            try {
+              // eslint-disable-next-line no-await-in-loop
+              await this.runTask(task, variant, batchDir);
+            } catch (error) {
+              const message = `Task ${task.id} (${variant.id}) run ${run} failed: ${(error as Error).message}`;
+              logger.error(message);
+              errors.push(message);
+            }
+          }
+        }
+      }
+    } finally {
+      await Promise.all([...this.mocks.values()].map((mock) => mock.close()));
+    }
+
+    const extractor = new ExtractMetrics({
+      source: getLogSource('cline'),
+      logsDir: batchDir,
+      suite: this.suite,
+      directory: this.directory,
+      forceRegenerate: false,
+      verbose: false,
+      modelArg: this.model,
+      clientArg: 'mcp-te-benchmark',
+      serverArg: this.suite.server,
+      priceSheet: this.priceSheet,
+      successRules: getSuiteSuccessRules(
+        this.suite,
+        await loadSuccessRules(path.join(this.directory, 'success-rules.json')),
+      ),
+      setup: {
+        experiment: this.experiment,
+        instructionHashes: await hashInstructions(this.suite, this.suiteDir),
+      },
+    });
+    const result = await extractor.extractChatMetrics();
+    const allErrors = [...errors, ...result.errors];
+
+    return {
+      success: result.success && allErrors.length === 0,
+      message: result.message,
+      metrics: result.metrics,
+      errors: allErrors,
+    };
+  }
+
+  /**
+   * Run one task for one variant and write its transcript
+   * @param {TaskDefinition} task The task
+   * @param {VariantDefinition} variant The variant
+   * @param {string} batchDir Directory the transcript is written to
+   */
+  private async runTask(
+    task: TaskDefinition,
+    variant: VariantDefinition,
+    batchDir: string,
+  ): Promise<void> {
+    const chatId = this.createChatId();
+    logger.info(`Running task ${task.id} (${variant.id}) as ${chatId}`);
+
+    const mockUrl = this.mockUrls.get(variant.id);
+    const env = mockUrl ? { TWILIO_MOCK_URL: mockUrl } : {};
+    const providers: ToolProvider[] = [];
+    const servers: McpStdioClient[] = [];
+    try {
+      for (const [name, server] of Object.entries(variant.mcpServers ?? {})) {
+        const client = new McpStdioClient(name, server, env);
+        providers.push(client);
+        servers.push(client);
+        // eslint-disable-next-line no-await-in-loop
+        await client.start();
+      }
+      if (variant.commands && this.allowCommands) {
+        providers.push(
+          new CommandTool({
+            cwd: batchDir,
+            timeout: this.commandTimeout,
+            env,
+          }),
+        );
+      }
+
+      const taskRunner = new TaskRunner({
+        client: this.client,
+        model: this.model,
+        maxTurns: this.maxTurns,
+        maxTokens: this.maxTokens,
+      });
+      const instructions = await this.getInstructions(variant);
+      const transcript = await taskRunner.run(
+        this.getSystemPrompt(variant, instructions),
+        Run.getPrompt(task, variant),
+        providers,
+      );
+      const tools = providers.flatMap((provider) => provider.getTools());
+      transcript.recordSetup({
+        serverVersion:
+          servers
+            .map((server) => server.getServerVersion())
+            .filter(Boolean)
+            .join(' + ') || undefined,
+        clientVersion: `${CLIENT_INFO.name}@${CLIENT_INFO.version}`,
+        tools: tools.map((tool) => tool.name),
+        toolsHash: hashContent(JSON.stringify(tools)),
+        requestOverhead: measureOverhead(tools, instructions).requestOverhead,
+      });
+      const mock = this.mocks.get(variant.id);
+      if (mock) {
+        transcript.recordMockState(mock.getState());
+      }
+      await transcript.write(path.join(batchDir, chatId));
+    } finally {
+      await Promise.all(providers.map((provider) => provider.close()));
+    }
+  }
+
+  /**
+   * Read the variant's instructions file
+   * @param {VariantDefinition} variant The variant
+   * @returns {Promise<string|undefined>} The instructions, undefined if the variant has none
+   */
+  private async getInstructions(
+    variant: VariantDefinition,
+  ): Promise<string | undefined> {
+    if (!variant.instructions) {
+      return undefined;
+    }
+    return fs.readFile(
+      path.resolve(this.suiteDir, variant.instructions),
+      'utf8',
+    );
+  }
+
+  /**
+   * Build the system prompt, including the variant's instructions
+   * @param {VariantDefinition} variant The variant
+   * @param {string} [instructions] The variant's instructions
+   * @returns {string} The system prompt
+   */
+  private getSystemPrompt(
+    variant: VariantDefinition,
+    instructions?: string,
+  ): string {
+    const mockUrl = this.mockUrls.get(variant.id);
+    const prompt = mockUrl
+      ? `${SYSTEM_PROMPT}\n\nThe Twilio REST API is served at ${mockUrl} (also in the TWILIO_MOCK_URL environment variable). Send requests meant for https://api.twilio.com and https://taskrouter.twilio.com there instead, keeping the same paths.`
+      : SYSTEM_PROMPT;
+    if (instructions === undefined) {
+      return prompt;
+    }
+    return `${prompt}\n\n# ${variant.markers[0]}\n\n${instructions}`;
+  }
+
+  /**
+   * Start a Twilio mock for every variant when --twilio-mock is set
+   */
+  private async startMocks(): Promise<void> {
+    if (!this.twilioMock) return;
+    for (const variant of this.variants) {
+      const mock = new TwilioMockServer({
+        mode: this.twilioMock,
+        cassette: path.join(this.cassetteDir, `${variant.id}.json`),
+        accountSid: config.twilio.accountSid,
+        workspaceSid: config.twilio.workspaceSid,
+      });
+      // eslint-disable-next-line no-await-in-loop
+      this.mockUrls.set(variant.id, await mock.start(0));
+      this.mocks.set(variant.id, mock);
+    }
+  }
+
+  /**
+   * Get the message that starts a task. It must match the suite's start
+   * pattern and contain a variant marker for the run to be extracted.
+   * @param {TaskDefinition} task The task
+   * @param {VariantDefinition} variant The variant
+   * @returns {string} The message
+   */
+  private static getPrompt(
+    task: TaskDefinition,
+    variant: VariantDefinition,
+  ): string {
+    const marker = variant.markers[0];
+    if (task.prompt) {
+      return `${task.prompt}\n\n(${marker})`;
+    }
+    const toolKind = variant.commands ? 'commands' : 'tools';
+    return `Complete Task ${task.id} using the ${toolKind} described in ${marker}`;
+  }
+
+  /**
+   * Create a unique, increasing chat ID in the millisecond format Cline uses
+   * @returns {string} Chat ID
+   */
+  private createChatId(): string {
+    this.lastChatId = Math.max(Date.now(), this.lastChatId + 1);
+    return `${this.lastChatId}`;
+  }
+
+  /**
+   * Create an error result object
+   */
+  private static error(message: string): RunResult {
+    logger.error(message);
+    return { success: false, message, metrics: [], errors: [message] };
+  }
+}
+
+export default Run;
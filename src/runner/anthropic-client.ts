@@ -0,0 +1,103 @@
+import { ClientOptions, postJson } from './http';
+import {
+  ConversationMessage,
+  LlmClient,
+  LlmRequest,
+  LlmResponse,
+} from './types';
+
+/**
+ * Client for the Anthropic Messages API and compatible endpoints
+ */
+class AnthropicClient implements LlmClient {
+  readonly provider = 'anthropic';
+
+  private readonly baseUrl: string;
+
+  private readonly apiKey?: string;
+
+  constructor(options: ClientOptions) {
+    this.baseUrl = options.baseUrl ?? 'https://api.anthropic.com';
+    this.apiKey = options.apiKey;
+  }
+
+  /**
+   * Convert a conversation message to the Messages API format
+   * @param {ConversationMessage} message The message
+   * @returns {object} Messages API message
+   */
+  private static toApiMessage(message: ConversationMessage) {
+    switch (message.role) {
+      case 'user':
+        return { role: 'user', content: message.text };
+      case 'assistant':
+        return {
+          role: 'assistant',
+          content: [
+            ...(message.text ? [{ type: 'text', text: message.text }] : []),
+            ...message.toolCalls.map((call) => ({
+              type: 'tool_use',
+              id: call.id,
+              name: call.name,
+              input: call.input,
+            })),
+          ],
+        };
+      default:
+        return {
+          role: 'user',
+          content: message.results.map((result) => ({
+            type: 'tool_result',
+            tool_use_id: result.id,
+            content: result.text,
+            is_error: result.isError,
+          })),
+        };
+    }
+  }
+
+  async complete(request: LlmRequest): Promise<LlmResponse> {
+    const data = await postJson(
+      `${this.baseUrl}/v1/messages`,
+      {
+        'anthropic-version': '2023-06-01',
+        ...(this.apiKey ? { 'x-api-key': this.apiKey } : {}),
+      },
+      {
+        model: request.model,
+        max_tokens: request.maxTokens,
+        system: request.system,
+        messages: request.messages.map(AnthropicClient.toApiMessage),
+        tools: request.tools.map((tool) => ({
+          name: tool.name,
+          description: tool.description,
+          input_schema: tool.inputSchema,
+        })),
+      },
+    );
+
+    const blocks: any[] = data.content ?? [];
+    return {
+      model: data.model ?? request.model,
+      text: blocks
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('\n'),
+      toolCalls: blocks
+        .filter((block) => block.type === 'tool_use')
+        .map((block) => ({
+          id: block.id,
+          name: block.name,
+          input: block.input ?? {},
+        })),
+      usage: {
+        tokensIn: data.usage?.input_tokens ?? 0,
+        tokensOut: data.usage?.output_tokens ?? 0,
+        cacheWrites: data.usage?.cache_creation_input_tokens ?? 0,
+        cacheReads: data.usage?.cache_read_input_tokens ?? 0,
+      },
+    };
+  }
+}
+
+export default AnthropicClient;
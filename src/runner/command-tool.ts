@@ -0,0 +1,83 @@
+import { exec } from 'child_process';
+
+import {
+  ToolCallRequest,
+  ToolCallResult,
+  ToolDefinition,
+  ToolProvider,
+} from './types';
+
+const MAX_OUTPUT_LENGTH = 20000;
+
+type Options = {
+  cwd: string;
+  timeout: number;
+  env?: NodeJS.ProcessEnv;
+};
+
+/**
+ * Shell tool matching Cline's execute_command, used by arms that complete
+ * tasks with terminal commands instead of MCP tools
+ */
+class CommandTool implements ToolProvider {
+  private readonly cwd: string;
+
+  private readonly timeout: number;
+
+  private readonly env: NodeJS.ProcessEnv;
+
+  constructor(options: Options) {
+    this.cwd = options.cwd;
+    this.timeout = options.timeout;
+    this.env = { ...process.env, ...options.env };
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  getTools(): ToolDefinition[] {
+    return [
+      {
+        name: 'execute_command',
+        description:
+          'Execute a shell command and return its combined stdout and stderr',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            command: { type: 'string', description: 'The command to run' },
+          },
+          required: ['command'],
+        },
+      },
+    ];
+  }
+
+  callTool(call: ToolCallRequest): Promise<ToolCallResult> {
+    const command = String(call.input.command ?? '');
+    return new Promise((resolve) => {
+      exec(
+        command,
+        {
+          cwd: this.cwd,
+          env: this.env,
+          timeout: this.timeout,
+          maxBuffer: 10 * 1024 * 1024,
+        },
+        (error, stdout, stderr) => {
+          const output = `${stdout}${stderr}`.slice(0, MAX_OUTPUT_LENGTH);
+          resolve({
+            id: call.id,
+            name: call.name,
+            text: error && !output ? error.message : output,
+            isError: !!error,
+          });
+        },
+      );
+    });
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  close(): Promise<void> {
+    return Promise.resolve();
+  }
+}
+
+export default CommandTool;
@@ -0,0 +1,59 @@
+import { logger } from '../utils';
+
+export type ClientOptions = {
+  baseUrl?: string;
+  apiKey?: string;
+};
+
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms Delay in milliseconds
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * POST a JSON body, retrying rate limits and server errors with backoff
+ * @param {string} url Endpoint URL
+ * @param {Record<string, string>} headers Request headers
+ * @param {unknown} body Request body
+ * @returns {Promise<any>} Parsed response body
+ */
+export async function postJson(
+  url: string,
+  headers: Record<string, string>,
+  body: unknown,
+): Promise<any> {
+  for (let attempt = 1; ; attempt++) {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+
+    if (response.ok) {
+      return response.json();
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    const text = await response.text();
+    const retryable = response.status === 429 || response.status >= 500;
+    if (!retryable || attempt >= MAX_ATTEMPTS) {
+      throw new Error(`${url} returned ${response.status}: ${text}`);
+    }
+
+    const delay = 1000 * 2 ** attempt;
+    logger.warn(
+      `${url} returned ${response.status}, retrying in ${delay / 1000}s`,
+    );
+    // eslint-disable-next-line no-await-in-loop
+    await sleep(delay);
+  }
+}
@@ -0,0 +1,19 @@
+export { default as CommandTool } from './command-tool';
+export { createLlmClient, LLM_PROVIDERS } from './llm-client';
+export {
+  CLIENT_INFO,
+  default as McpStdioClient,
+  expandEnv,
+} from './mcp-client';
+export { default as TaskRunner } from './task-runner';
+export { default as TranscriptRecorder } from './transcript-recorder';
+export type {
+  ConversationMessage,
+  LlmClient,
+  LlmRequest,
+  LlmResponse,
+  ToolCallRequest,
+  ToolCallResult,
+  ToolDefinition,
+  ToolProvider,
+} from './types';
@@ -0,0 +1,28 @@
+import AnthropicClient from './anthropic-client';
+import { ClientOptions } from './http';
+import OpenAiClient from './openai-client';
+import { LlmClient } from './types';
+
+export const LLM_PROVIDERS = ['anthropic', 'openai'];
+
+/**
+ * Create a client for an LLM provider
+ * @param {string} provider Provider name
+ * @param {ClientOptions} options Endpoint and credentials
+ * @returns {LlmClient} The client
+ */
+export function createLlmClient(
+  provider: string,
+  options: ClientOptions,
+): LlmClient {
+  switch (provider) {
+    case 'anthropic':
+      return new AnthropicClient(options);
+    case 'openai':
+      return new OpenAiClient(options);
+    default:
+      throw new Error(
+        `Unknown provider "${provider}". Available providers: ${LLM_PROVIDERS.join(', ')}`,
+      );
+  }
+}
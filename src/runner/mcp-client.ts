@@ -0,0 +1,241 @@
+import { ChildProcessWithoutNullStreams, spawn } from 'child_process';
+import readline from 'readline';
+
+import { McpServerDefinition } from '../metrics/suite';
+import { logger } from '../utils';
+import {
+  ToolCallRequest,
+  ToolCallResult,
+  ToolDefinition,
+  ToolProvider,
+} from './types';
+
+type PendingRequest = {
+  resolve: (value: any) => void;
+  reject: (error: Error) => void;
+  timer: NodeJS.Timeout;
+};
+
+type McpTool = {
+  name: string;
+  description?: string;
+  inputSchema?: Record<string, unknown>;
+};
+
+// How the runner introduces itself to MCP servers and records itself in runs
+export const CLIENT_INFO = { name: 'mcp-te-benchmark', version: '0.1.0' };
+
+const PROTOCOL_VERSION = '2024-11-05';
+const REQUEST_TIMEOUT = 60 * 1000;
+
+/**
+ * Replace ${VAR} references with environment variables
+ * @param {string} value Value that may reference environment variables
+ * @param {NodeJS.ProcessEnv} env Variables to use
+ * @returns {string} Value with references expanded
+ */
+export function expandEnv(
+  value: string,
+  env: NodeJS.ProcessEnv = process.env,
+): string {
+  return value.replace(/\$\{(\w+)\}/g, (_, name: string) => env[name] ?? '');
+}
+
+/**
+ * Minimal MCP client that talks JSON-RPC to a server over stdio and exposes
+ * its tools as mcp__<server>__<tool>, the naming the log sources understand
+ */
+class McpStdioClient implements ToolProvider {
+  private readonly name: string;
+
+  private readonly definition: McpServerDefinition;
+
+  private process?: ChildProcessWithoutNullStreams;
+
+  private readonly pending = new Map<number, PendingRequest>();
+
+  private nextId = 1;
+
+  private tools: McpTool[] = [];
+
+  private serverInfo?: { name?: string; version?: string };
+
+  private readonly env: NodeJS.ProcessEnv;
+
+  /**
+   * @param {string} name Server name, used in tool names
+   * @param {McpServerDefinition} definition How to start the server
+   * @param {NodeJS.ProcessEnv} env Extra variables for the server and its args
+   */
+  constructor(
+    name: string,
+    definition: McpServerDefinition,
+    env: NodeJS.ProcessEnv = {},
+  ) {
+    this.name = name.replace(/[^\w-]/g, '_');
+    this.definition = definition;
+    this.env = { ...process.env, ...env };
+  }
+
+  /**
+   * Start the server, complete the initialize handshake and list its tools
+   */
+  async start(): Promise<void> {
+    const env = Object.fromEntries(
+      Object.entries(this.definition.env ?? {}).map(([key, value]) => [
+        key,
+        expandEnv(value, this.env),
+      ]),
+    );
+    this.process = spawn(
+      this.definition.command,
+      (this.definition.args ?? []).map((arg) => expandEnv(arg, this.env)),
+      { env: { ...this.env, ...env }, stdio: 'pipe' },
+    );
+
+    this.process.on('error', (error) => this.failPending(error));
+    this.process.on('exit', (code) =>
+      this.failPending(
+        new Error(`MCP server ${this.name} exited with code ${code}`),
+      ),
+    );
+    this.process.stderr.on('data', (data) => {
+      logger.debug(`[${this.name}] ${data.toString().trim()}`);
+    });
+    readline
+      .createInterface({ input: this.process.stdout })
+      .on('line', (line) => this.handleLine(line));
+
+    const initialized = await this.request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO,
+    });
+    this.serverInfo = initialized?.serverInfo;
+    this.notify('notifications/initialized');
+
+    const result = await this.request('tools/list', {});
+    this.tools = result.tools ?? [];
+    logger.info(
+      `Connected to MCP server ${this.name} with ${this.tools.length} tools`,
+    );
+  }
+
+  /**
+   * Get the name and version the server reported when it started
+   * @returns {string|undefined} e.g. "twilio-mcp@0.3.1", undefined if the server did not report one
+   */
+  getServerVersion(): string | undefined {
+    if (!this.serverInfo?.name) {
+      return undefined;
+    }
+    return this.serverInfo.version
+      ? `${this.serverInfo.name}@${this.serverInfo.version}`
+      : this.serverInfo.name;
+  }
+
+  getTools(): ToolDefinition[] {
+    return this.tools.map((tool) => ({
+      name: `mcp__${this.name}__${tool.name}`,
+      description: tool.description,
+      inputSchema: tool.inputSchema ?? { type: 'object', properties: {} },
+    }));
+  }
+
+  async callTool(call: ToolCallRequest): Promise<ToolCallResult> {
+    const toolName = call.name.replace(`mcp__${this.name}__`, '');
+    try {
+      const result = await this.request('tools/call', {
+        name: toolName,
+        arguments: call.input,
+      });
+      const text = (result.content ?? [])
+        .map((item: { type: string; text?: string }) =>
+          item.type === 'text' ? item.text : JSON.stringify(item),
+        )
+        .join('\n');
+      return { id: call.id, name: call.name, text, isError: !!result.isError };
+    } catch (error) {
+      return {
+        id: call.id,
+        name: call.name,
+        text: (error as Error).message,
+        isError: true,
+      };
+    }
+  }
+
+  async close(): Promise<void> {
+    if (!this.process || this.process.exitCode !== null) {
+      return;
+    }
+    const exited = new Promise((resolve) => {
+      this.process?.once('exit', resolve);
+    });
+    this.process.stdin.end();
+    this.process.kill();
+    await exited;
+  }
+
+  /**
+   * Send a JSON-RPC request and wait for its response
+   * @param {string} method Method name
+   * @param {unknown} params Method parameters
+   * @returns {Promise<any>} The result
+   */
+  private request(method: string, params: unknown): Promise<any> {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`MCP request ${method} timed out`));
+      }, REQUEST_TIMEOUT);
+      this.pending.set(id, { resolve, reject, timer });
+      this.send({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  /**
+   * Send a JSON-RPC notification
+   * @param {string} method Method name
+   */
+  private notify(method: string): void {
+    this.send({ jsonrpc: '2.0', method });
+  }
+
+  private send(message: unknown): void {
+    this.process?.stdin.write(`${JSON.stringify(message)}\n`);
+  }
+
+  private handleLine(line: string): void {
+    let message: any;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      logger.debug(`[${this.name}] ignoring non-JSON output: ${line}`);
+      return;
+    }
+
+    const pending = this.pending.get(message.id);
+    if (!pending) {
+      return;
+    }
+    this.pending.delete(message.id);
+    clearTimeout(pending.timer);
+    if (message.error) {
+      pending.reject(new Error(message.error.message ?? 'MCP error'));
+    } else {
+      pending.resolve(message.result ?? {});
+    }
+  }
+
+  private failPending(error: Error): void {
+    this.pending.forEach((pending) => {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    });
+    this.pending.clear();
+  }
+}
+
+export default McpStdioClient;
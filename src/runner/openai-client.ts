@@ -0,0 +1,118 @@
+import { logger } from '../utils';
+import { ClientOptions, postJson } from './http';
+import {
+  ConversationMessage,
+  LlmClient,
+  LlmRequest,
+  LlmResponse,
+  ToolCallRequest,
+} from './types';
+
+/**
+ * Client for the OpenAI Chat Completions API and compatible endpoints
+ */
+class OpenAiClient implements LlmClient {
+  readonly provider = 'openai';
+
+  private readonly baseUrl: string;
+
+  private readonly apiKey?: string;
+
+  constructor(options: ClientOptions) {
+    this.baseUrl = options.baseUrl ?? 'https://api.openai.com';
+    this.apiKey = options.apiKey;
+  }
+
+  /**
+   * Convert a conversation message to Chat Completions messages
+   * @param {ConversationMessage} message The message
+   * @returns {object[]} Chat Completions messages
+   */
+  private static toApiMessages(message: ConversationMessage): object[] {
+    switch (message.role) {
+      case 'user':
+        return [{ role: 'user', content: message.text }];
+      case 'assistant':
+        return [
+          {
+            role: 'assistant',
+            content: message.text || null,
+            ...(message.toolCalls.length
+              ? {
+                  tool_calls: message.toolCalls.map((call) => ({
+                    id: call.id,
+                    type: 'function',
+                    function: {
+                      name: call.name,
+                      arguments: JSON.stringify(call.input),
+                    },
+                  })),
+                }
+              : {}),
+          },
+        ];
+      default:
+        return message.results.map((result) => ({
+          role: 'tool',
+          tool_call_id: result.id,
+          content: result.isError ? `Error: ${result.text}` : result.text,
+        }));
+    }
+  }
+
+  async complete(request: LlmRequest): Promise<LlmResponse> {
+    const data = await postJson(
+      `${this.baseUrl}/v1/chat/completions`,
+      this.apiKey ? { authorization: `Bearer ${this.apiKey}` } : {},
+      {
+        model: request.model,
+        max_tokens: request.maxTokens,
+        messages: [
+          { role: 'system', content: request.system },
+          ...request.messages.flatMap(OpenAiClient.toApiMessages),
+        ],
+        ...(request.tools.length
+          ? {
+              tools: request.tools.map((tool) => ({
+                type: 'function',
+                function: {
+                  name: tool.name,
+                  description: tool.description,
+                  parameters: tool.inputSchema,
+                },
+              })),
+            }
+          : {}),
+      },
+    );
+
+    const message = data.choices?.[0]?.message ?? {};
+    const toolCalls: ToolCallRequest[] = (message.tool_calls ?? []).map(
+      (call: any) => {
+        let input: Record<string, unknown> = {};
+        try {
+          input = JSON.parse(call.function?.arguments || '{}');
+        } catch (error) {
+          logger.warn(`Could not parse arguments of tool call ${call.id}`);
+        }
+        return { id: call.id, name: call.function?.name, input };
+      },
+    );
+
+    // Cached prompt tokens are reported as part of prompt_tokens
+    const cacheReads = data.usage?.prompt_tokens_details?.cached_tokens ?? 0;
+    return {
+      model: data.model ?? request.model,
+      text: message.content ?? '',
+      toolCalls,
+      usage: {
+        tokensIn: (data.usage?.prompt_tokens ?? 0) - cacheReads,
+        tokensOut: data.usage?.completion_tokens ?? 0,
+        cacheWrites: 0,
+        cacheReads,
+      },
+    };
+  }
+}
+
+export default OpenAiClient;
@@ -0,0 +1,116 @@
+import { logger } from '../utils';
+import TranscriptRecorder from './transcript-recorder';
+import {
+  ConversationMessage,
+  LlmClient,
+  ToolCallResult,
+  ToolProvider,
+} from './types';
+
+type Options = {
+  client: LlmClient;
+  model: string;
+  maxTurns: number;
+  maxTokens: number;
+};
+
+/**
+ * Drives a single task: sends the conversation to the model, executes the
+ * tools it calls and stops when it answers without calling a tool
+ */
+class TaskRunner {
+  private readonly client: LlmClient;
+
+  private readonly model: string;
+
+  private readonly maxTurns: number;
+
+  private readonly maxTokens: number;
+
+  constructor(options: Options) {
+    this.client = options.client;
+    this.model = options.model;
+    this.maxTurns = options.maxTurns;
+    this.maxTokens = options.maxTokens;
+  }
+
+  /**
+   * Run a task to completion
+   * @param {string} system System prompt
+   * @param {string} prompt User message that starts the task
+   * @param {ToolProvider[]} providers Providers of the tools offered to the model
+   * @returns {Promise<TranscriptRecorder>} The recorded transcript
+   */
+  async run(
+    system: string,
+    prompt: string,
+    providers: ToolProvider[],
+  ): Promise<TranscriptRecorder> {
+    const recorder = new TranscriptRecorder();
+    const owners = new Map<string, ToolProvider>();
+    providers.forEach((provider) => {
+      provider.getTools().forEach((tool) => owners.set(tool.name, provider));
+    });
+    const tools = providers.flatMap((provider) => provider.getTools());
+    const messages: ConversationMessage[] = [{ role: 'user', text: prompt }];
+    recorder.recordUserMessage(prompt);
+
+    for (let turn = 1; turn <= this.maxTurns; turn++) {
+      const ts = Date.now();
+      let response;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        response = await this.client.complete({
+          model: this.model,
+          system,
+          messages,
+          tools,
+          maxTokens: this.maxTokens,
+        });
+      } catch (error) {
+        logger.error(`Model request failed: ${(error as Error).message}`);
+        recorder.recordError((error as Error).message);
+        return recorder;
+      }
+
+      recorder.recordRequest({ model: response.model, ...response.usage }, ts);
+      messages.push({
+        role: 'assistant',
+        text: response.text,
+        toolCalls: response.toolCalls,
+      });
+
+      if (!response.toolCalls.length) {
+        recorder.recordCompletion(response.text);
+        return recorder;
+      }
+
+      recorder.recordAssistant(response.text, response.toolCalls);
+      const results: ToolCallResult[] = [];
+      for (const call of response.toolCalls) {
+        const provider = owners.get(call.name);
+        logger.debug(`Turn ${turn}: calling ${call.name}`);
+        results.push(
+          provider
+            ? // eslint-disable-next-line no-await-in-loop
+              await provider.callTool(call)
+            : {
+                id: call.id,
+                name: call.name,
+                text: `Unknown tool ${call.name}`,
+                isError: true,
+              },
+        );
+      }
+      recorder.recordToolResults(response.toolCalls, results);
+      messages.push({ role: 'tool', results });
+    }
+
+    recorder.recordError(
+      `Stopped after ${this.maxTurns} turns without completing the task`,
+    );
+    return recorder;
+  }
+}
+
+export default TaskRunner;
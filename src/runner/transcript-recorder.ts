@@ -0,0 +1,179 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { RUN_SETUP_FILE } from '../metrics/experiment';
+import { ApiHistoryEntry, RunSetup, UIMessage } from '../metrics/types';
+import {
+  createApiRequestMessage,
+  createToolResultMessage,
+  createToolUseMessage,
+  formatToolUse,
+  RequestUsage,
+} from '../sources/transcript-utils';
+import { ToolCallRequest, ToolCallResult } from './types';
+
+/**
+ * Records a headless run in the Cline task format, so the transcript can be
+ * read back by the cline log source like any other chat
+ */
+class TranscriptRecorder {
+  readonly apiHistory: ApiHistoryEntry[] = [];
+
+  readonly uiMessages: UIMessage[] = [];
+
+  private setup?: RunSetup;
+
+  /**
+   * Record the user message that starts the task
+   * @param {string} text Message text
+   */
+  recordUserMessage(text: string): void {
+    const ts = Date.now();
+    this.uiMessages.push({ type: 'say', say: 'text', from: 'user', text, ts });
+    this.apiHistory.push({
+      role: 'user',
+      content: [{ type: 'text', text }],
+      ts,
+    });
+  }
+
+  /**
+   * Record a model request and its token usage
+   * @param {RequestUsage} usage Token usage of the request
+   * @param {number} ts Time the request was sent
+   */
+  recordRequest(usage: RequestUsage, ts: number): void {
+    this.uiMessages.push(createApiRequestMessage(usage, ts));
+  }
+
+  /**
+   * Record an assistant turn, its text and the tools it called
+   * @param {string} text Assistant text
+   * @param {ToolCallRequest[]} toolCalls Tool calls requested in the turn
+   */
+  recordAssistant(text: string, toolCalls: ToolCallRequest[]): void {
+    const ts = Date.now();
+    const texts: string[] = [];
+    if (text) {
+      texts.push(text);
+      this.uiMessages.push({ type: 'say', say: 'text', text, ts });
+    }
+    toolCalls.forEach((call) => {
+      const tool = { name: call.name, input: call.input };
+      texts.push(formatToolUse(tool));
+      this.uiMessages.push(createToolUseMessage(tool, ts));
+    });
+    this.apiHistory.push({
+      role: 'assistant',
+      content: texts.map((t) => ({ type: 'text', text: t })),
+      ts,
+    });
+  }
+
+  /**
+   * Record the results of the tool calls of the previous turn
+   * @param {ToolCallRequest[]} toolCalls The tool calls
+   * @param {ToolCallResult[]} results Their results, in the same order
+   */
+  recordToolResults(
+    toolCalls: ToolCallRequest[],
+    results: ToolCallResult[],
+  ): void {
+    const ts = Date.now();
+    const texts = results.map((result, index) => {
+      const tool = {
+        name: toolCalls[index].name,
+        input: toolCalls[index].input,
+      };
+      this.uiMessages.push(
+        createToolResultMessage(tool, result.text, result.isError, ts),
+      );
+      const status = result.isError ? 'Error' : 'Result';
+      return `[${result.name}] ${status}:\n${result.text}`;
+    });
+    this.apiHistory.push({
+      role: 'user',
+      content: texts.map((text) => ({ type: 'text', text })),
+      ts,
+    });
+  }
+
+  /**
+   * Record the final answer of the model
+   * @param {string} text Completion text
+   */
+  recordCompletion(text: string): void {
+    const ts = Date.now();
+    this.uiMessages.push({ type: 'say', say: 'completion_result', text, ts });
+    this.apiHistory.push({
+      role: 'assistant',
+      content: [{ type: 'text', text }],
+      ts,
+    });
+  }
+
+  /**
+   * Record an error that ended the run
+   * @param {string} message Error message
+   */
+  recordError(message: string): void {
+    this.uiMessages.push({
+      type: 'say',
+      say: 'error',
+      text: message,
+      ts: Date.now(),
+    });
+  }
+
+  /**
+   * Record the final state of the mocked APIs, for success checks that
+   * target mockState
+   * @param {unknown} state State snapshot
+   */
+  recordMockState(state: unknown): void {
+    const last = this.uiMessages[this.uiMessages.length - 1];
+    this.uiMessages.push({
+      type: 'say',
+      say: 'mock_state',
+      text: JSON.stringify(state),
+      ts: last?.ts ?? Date.now(),
+    });
+  }
+
+  /**
+   * Record the servers, tools and client the model was given, written to
+   * run_setup.json next to the transcript
+   * @param {RunSetup} setup The setup
+   */
+  recordSetup(setup: RunSetup): void {
+    this.setup = setup;
+  }
+
+  /**
+   * Write the transcript as a Cline task directory
+   * @param {string} chatDir Directory to write to
+   */
+  async write(chatDir: string): Promise<void> {
+    await fs.mkdir(chatDir, { recursive: true });
+    await Promise.all([
+      fs.writeFile(
+        path.join(chatDir, 'api_conversation_history.json'),
+        JSON.stringify(this.apiHistory, null, 2),
+      ),
+      fs.writeFile(
+        path.join(chatDir, 'ui_messages.json'),
+        JSON.stringify(this.uiMessages, null, 2),
+      ),
+      ...(this.setup
+        ? [
+            fs.writeFile(
+              path.join(chatDir, RUN_SETUP_FILE),
+              JSON.stringify(this.setup, null, 2),
+            ),
+          ]
+        : []),
+    ]);
+  }
+}
+
+export default TranscriptRecorder;
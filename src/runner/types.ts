@@ -0,0 +1,95 @@
+/**
+ * A tool offered to the model, with a JSON Schema for its input
+ */
+export type ToolDefinition = {
+  name: string;
+  description?: string;
+  inputSchema: Record<string, unknown>;
+};
+
+/**
+ * A tool call requested by the model
+ */
+export type ToolCallRequest = {
+  id: string;
+  name: string;
+  input: Record<string, unknown>;
+};
+
+/**
+ * The outcome of executing a tool call
+ */
+export type ToolCallResult = {
+  id: string;
+  name: string;
+  text: string;
+  isError: boolean;
+};
+
+/**
+ * Provider-neutral conversation message
+ */
+export type ConversationMessage =
+  | { role: 'user'; text: string }
+  | { role: 'assistant'; text: string; toolCalls: ToolCallRequest[] }
+  | { role: 'tool'; results: ToolCallResult[] };
+
+export type LlmRequest = {
+  model: string;
+  system: string;
+  messages: ConversationMessage[];
+  tools: ToolDefinition[];
+  maxTokens: number;
+};
+
+export type LlmUsage = {
+  tokensIn: number;
+  tokensOut: number;
+  cacheWrites: number;
+  cacheReads: number;
+};
+
+export type LlmResponse = {
+  model: string;
+  text: string;
+  toolCalls: ToolCallRequest[];
+  usage: LlmUsage;
+};
+
+/**
+ * Client for a chat completion endpoint that supports tool calling
+ */
+export interface LlmClient {
+  /** Provider name used with the --provider option */
+  readonly provider: string;
+
+  /**
+   * Send the conversation and return the model's next turn
+   * @param {LlmRequest} request The request
+   * @returns {Promise<LlmResponse>} The model's response
+   */
+  complete(request: LlmRequest): Promise<LlmResponse>;
+}
+
+/**
+ * Something that can execute a subset of the tools offered to the model
+ */
+export interface ToolProvider {
+  /**
+   * List the tools this provider executes
+   * @returns {ToolDefinition[]} Tool definitions
+   */
+  getTools(): ToolDefinition[];
+
+  /**
+   * Execute a tool call
+   * @param {ToolCallRequest} call The tool call
+   * @returns {Promise<ToolCallResult>} The result
+   */
+  callTool(call: ToolCallRequest): Promise<ToolCallResult>;
+
+  /**
+   * Release any processes or connections held by the provider
+   */
+  close(): Promise<void>;
+}
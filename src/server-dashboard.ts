@@ -7,6 +7,13 @@ import { fileURLToPath } from 'url';
 import { hideBin } from 'yargs/helpers';
 import yargs from 'yargs/yargs';
 
+import DashboardApi from './dashboard-api';
+import DashboardWatcher, { DashboardUpdate } from './dashboard-watcher';
+import ExtractMetrics from './extract-metrics';
+import { METRIC_FILE_PATTERN } from './metrics/metrics-utils';
+import { findSuiteFile, loadSuite, SuiteDefinition } from './metrics/suite';
+import { TIMELINES_DIRECTORY } from './metrics/timeline';
+import { getLogSource, LOG_SOURCES } from './sources';
 import { logger } from './utils';
 
 interface MimeTypes {
@@ -27,9 +34,13 @@ const MIME_TYPES: MimeTypes = {
 const dirName = path.dirname(fileURLToPath(import.meta.url));
 const publicDir = path.join(dirName, '../public');
 
+// Comment sent to event stream clients so idle connections are not closed
+const HEARTBEAT_INTERVAL = 30000;
+
 type Options = {
   directory: string;
   port: number;
+  suite: SuiteDefinition;
 };
 
 export default class Server {
@@ -39,13 +50,22 @@ export default class Server {
 
   private readonly port: number;
 
+  private readonly suite: SuiteDefinition;
+
+  private readonly api: DashboardApi;
+
+  // Browsers listening for live updates on /events
+  private readonly eventClients = new Set<http.ServerResponse>();
+
   constructor(options: Options) {
     this.directory = options.directory;
     this.port = options.port;
+    this.suite = options.suite;
+    this.api = new DashboardApi(options.directory);
     this.server = this.create();
   }
 
-  public static createServer(argv: string[]) {
+  public static async createServer(argv: string[]) {
     const parsedArgs = yargs(hideBin(argv))
       .option('port', {
         alias: 'p',
@@ -59,20 +79,148 @@ export default class Server {
         description: 'Specify a custom metrics directory path',
         default: path.join(os.homedir(), '.mcp-te-benchmark'),
       })
+      .option('suite', {
+        type: 'string',
+        description:
+          'Specify the suite definition file (defaults to suite.json in the metrics directory)',
+      })
+      .option('watch', {
+        alias: 'w',
+        type: 'boolean',
+        description:
+          'Extract new chats and regenerate the summary as files change, and update open dashboards',
+        default: false,
+      })
+      .option('source', {
+        type: 'string',
+        description: 'Specify the client whose chat logs are watched',
+        choices: Object.keys(LOG_SOURCES),
+        default: 'cline',
+      })
+      .option('logs-dir', {
+        type: 'string',
+        description:
+          "Specify the chat logs directory to watch (defaults to the source's standard location)",
+      })
+      .option('pricing', {
+        type: 'string',
+        description:
+          'Specify a JSON price sheet used when the logs report no cost',
+      })
+      .option('success-rules', {
+        type: 'string',
+        description:
+          "Specify a success rules file overriding the suite's success criteria (defaults to success-rules.json in the metrics directory)",
+      })
+      .option('model-aliases', {
+        type: 'string',
+        description:
+          'Specify a JSON file mapping model aliases to model names (defaults to model-aliases.json in the metrics directory)',
+      })
+      .option('model', {
+        type: 'string',
+        description:
+          'Specify the model name to record instead of the one found in the logs',
+      })
+      .option('client', {
+        type: 'string',
+        description: 'Specify the client name (e.g., MCP client) to use',
+      })
+      .option('server', {
+        type: 'string',
+        description: 'Specify the MCP server name to use',
+      })
+      .option('experiment', {
+        type: 'string',
+        description:
+          'Label the runs with an experiment name (defaults to a hash of the server, tools, instructions and client)',
+      })
+      .option('debounce', {
+        type: 'number',
+        description:
+          'Milliseconds without file changes before extracting in watch mode',
+        default: 2000,
+      })
       .help()
       .alias('help', 'h')
       .parseSync();
 
+    const suiteFile = await findSuiteFile(
+      parsedArgs.directory,
+      parsedArgs.suite,
+    );
+    const suite = await loadSuite(suiteFile);
+
     const server = new Server({
       directory: parsedArgs.directory,
       port: parsedArgs.port,
+      suite,
     });
 
     server.start();
 
+    if (parsedArgs.watch) {
+      const source = getLogSource(parsedArgs.source);
+      const logsDir = parsedArgs.logsDir ?? source.getDefaultLogsDir();
+      let extractor: ExtractMetrics | undefined;
+      if (logsDir && fs.existsSync(logsDir)) {
+        // Extract as extract-metrics would with the same options
+        extractor = await ExtractMetrics.load({ ...parsedArgs, logsDir });
+      } else {
+        logger.warn(
+          `No ${source.client} logs directory found, only watching the metric files. Pass --logs-dir to extract chats.`,
+        );
+      }
+
+      const watcher = new DashboardWatcher({
+        directory: parsedArgs.directory,
+        baseline: suite.baseline,
+        logsDir,
+        extractor,
+        debounce: parsedArgs.debounce,
+        onUpdate: (update) => server.broadcast(update),
+      });
+      await watcher.start();
+    }
+
     return server;
   }
 
+  /**
+   * Notify the open dashboards that the metrics changed
+   * @param {DashboardUpdate} update The update
+   */
+  public broadcast(update: DashboardUpdate) {
+    logger.info(
+      `Metrics updated, notifying ${this.eventClients.size} dashboards`,
+    );
+    const message = `event: update\ndata: ${JSON.stringify(update)}\n\n`;
+    this.eventClients.forEach((client) => client.write(message));
+  }
+
+  /**
+   * Keep a request open as a server-sent event stream
+   * @param {http.IncomingMessage} req The request
+   * @param {http.ServerResponse} res The response
+   */
+  private openEventStream(req: http.IncomingMessage, res: http.ServerResponse) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write('retry: 5000\n\n');
+    this.eventClients.add(res);
+
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, HEARTBEAT_INTERVAL);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.eventClients.delete(res);
+    });
+  }
+
   /**
    * Starts the server
    */
@@ -83,7 +231,7 @@ export default class Server {
     });
   }
 
-  private getPath(url: string) {
+  private getPath(url: string): string | undefined {
     if (url === '/') {
       return path.join(publicDir, 'dashboard.html');
     }
@@ -97,11 +245,19 @@ export default class Server {
     }
 
     if (url.startsWith('/metrics/')) {
-      return url === '/metrics/summary.json'
+      return url === '/metrics/summary.json' ||
+        url === '/metrics/comparison.json'
         ? path.join(this.directory, url.replace('/metrics/', ''))
         : path.join(this.directory, 'tasks', url.replace('/metrics/', ''));
     }
 
+    if (url.startsWith('/timelines/')) {
+      const file = url.replace('/timelines/', '');
+      return METRIC_FILE_PATTERN.test(file)
+        ? path.join(this.directory, TIMELINES_DIRECTORY, file)
+        : undefined;
+    }
+
     if (url.startsWith('/docs/')) {
       return path.join(publicDir, url);
     }
@@ -113,6 +269,22 @@ export default class Server {
    * Creates the http server
    * @returns
    */
+  /**
+   * Get the suite without what the dashboard does not need and must not
+   * expose, such as the MCP server definitions, whose environment holds
+   * API credentials
+   * @param {SuiteDefinition} suite The suite
+   * @returns {SuiteDefinition} The suite as served to the dashboard
+   */
+  private static getPublicSuite(suite: SuiteDefinition): SuiteDefinition {
+    return {
+      ...suite,
+      variants: suite.variants.map(
+        ({ mcpServers, instructions, ...variant }) => variant,
+      ),
+    };
+  }
+
   private create() {
     return http.createServer((req, res) => {
       if (!req.url) {
@@ -121,7 +293,32 @@ export default class Server {
         return;
       }
 
-      const filePath = this.getPath(req.url);
+      // Pages such as the session view take their parameters in the query
+      const url = new URL(req.url, 'http://localhost');
+      const { pathname } = url;
+
+      if (pathname === '/events') {
+        this.openEventStream(req, res);
+        return;
+      }
+
+      if (pathname === '/api' || pathname.startsWith('/api/')) {
+        this.api.handle(req, res, url);
+        return;
+      }
+
+      if (pathname === '/suite.json') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(Server.getPublicSuite(this.suite)), 'utf-8');
+        return;
+      }
+
+      const filePath = this.getPath(pathname);
+      if (!filePath) {
+        res.writeHead(404);
+        res.end('404 Not Found');
+        return;
+      }
       const extname = path.extname(filePath);
       const contentType = MIME_TYPES[extname] || 'application/octet-stream';
 
@@ -0,0 +1,224 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { ApiHistoryEntry, UIMessage } from '../metrics/types';
+import { logger } from '../utils';
+import {
+  createApiRequestMessage,
+  createToolResultMessage,
+  createToolUseMessage,
+  formatToolUse,
+  parseTimestamp,
+  ToolUse,
+} from './transcript-utils';
+import { ChatLog, LogSource } from './types';
+
+type ContentBlock = {
+  type: string;
+  text?: string;
+  id?: string;
+  name?: string;
+  input?: unknown;
+  tool_use_id?: string;
+  content?: string | ContentBlock[];
+  is_error?: boolean;
+};
+
+type TranscriptEntry = {
+  type?: string;
+  // Claude Code version that wrote the line
+  version?: string;
+  timestamp?: string;
+  isMeta?: boolean;
+  costUSD?: number;
+  message?: {
+    id?: string;
+    role?: string;
+    model?: string;
+    content?: string | ContentBlock[];
+    usage?: {
+      input_tokens?: number;
+      output_tokens?: number;
+      cache_creation_input_tokens?: number;
+      cache_read_input_tokens?: number;
+    };
+  };
+};
+
+/**
+ * Flatten a content value into plain text
+ * @param {string|ContentBlock[]|undefined} content Message or tool result content
+ * @returns {string} Joined text
+ */
+function contentToText(content: string | ContentBlock[] | undefined): string {
+  if (typeof content === 'string') {
+    return content;
+  }
+  return (content ?? [])
+    .filter((block) => block.type === 'text' && block.text)
+    .map((block) => block.text)
+    .join('\n');
+}
+
+/**
+ * Log source for Claude Code, which writes one JSONL transcript per session
+ * under ~/.claude/projects/<project>/
+ */
+class ClaudeCodeLogSource implements LogSource {
+  readonly name = 'claude-code';
+
+  readonly client = 'Claude Code';
+
+  // eslint-disable-next-line class-methods-use-this
+  getDefaultLogsDir(): string {
+    return path.join(os.homedir(), '.claude', 'projects');
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  async listChats(logsDir: string): Promise<string[]> {
+    const projects = await fs.readdir(logsDir, { withFileTypes: true });
+    const projectDirs = projects
+      .filter((item) => item.isDirectory())
+      .map((item) => path.join(logsDir, item.name));
+
+    const transcripts = await Promise.all(
+      projectDirs.map(async (projectDir) => {
+        const files = await fs.readdir(projectDir);
+        return files
+          .filter((file) => file.endsWith('.jsonl'))
+          .map((file) => path.join(projectDir, file));
+      }),
+    );
+
+    return transcripts.flat();
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  getChatId(chatPath: string): string {
+    return path.basename(chatPath, '.jsonl');
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  async loadChat(chatPath: string): Promise<ChatLog> {
+    const content = await fs.readFile(chatPath, 'utf8');
+    const apiHistory: ApiHistoryEntry[] = [];
+    const uiMessages: UIMessage[] = [];
+    const seenRequests = new Set<string>();
+    const toolUses = new Map<string, ToolUse>();
+    let lastTs = 0;
+    let clientVersion: string | undefined;
+
+    content.split('\n').forEach((line, lineIndex) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      let entry: TranscriptEntry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        logger.warn(
+          `Skipping malformed line ${lineIndex + 1} in ${path.basename(chatPath)}`,
+        );
+        return;
+      }
+
+      clientVersion = entry.version ?? clientVersion;
+      if (
+        (entry.type !== 'user' && entry.type !== 'assistant') ||
+        !entry.message ||
+        entry.isMeta
+      ) {
+        return;
+      }
+
+      const ts = parseTimestamp(entry.timestamp) ?? lastTs;
+      lastTs = ts;
+      const blocks: ContentBlock[] =
+        typeof entry.message.content === 'string'
+          ? [{ type: 'text', text: entry.message.content }]
+          : (entry.message.content ?? []);
+
+      if (entry.type === 'user') {
+        const texts: string[] = [];
+        blocks.forEach((block) => {
+          if (block.type === 'text' && block.text) {
+            texts.push(block.text);
+            uiMessages.push({
+              type: 'say',
+              say: 'text',
+              from: 'user',
+              text: block.text,
+              ts,
+            });
+          } else if (block.type === 'tool_result') {
+            const tool = toolUses.get(block.tool_use_id ?? '') ?? {
+              name: 'unknown_tool',
+              input: {},
+            };
+            const resultText = contentToText(block.content);
+            const status = block.is_error ? 'Error' : 'Result';
+            texts.push(`[${tool.name}] ${status}:\n${resultText}`);
+            uiMessages.push(
+              createToolResultMessage(tool, resultText, !!block.is_error, ts),
+            );
+          }
+        });
+        apiHistory.push({
+          role: 'user',
+          content: texts.map((text) => ({ type: 'text', text })),
+          ts,
+        });
+        return;
+      }
+
+      // Claude Code writes one line per content block of a response, all
+      // sharing the same message id and usage
+      const requestId = entry.message.id ?? `${lineIndex}`;
+      if (!seenRequests.has(requestId)) {
+        seenRequests.add(requestId);
+        const usage = entry.message.usage ?? {};
+        uiMessages.push(
+          createApiRequestMessage(
+            {
+              model: entry.message.model,
+              tokensIn: usage.input_tokens ?? 0,
+              tokensOut: usage.output_tokens ?? 0,
+              cacheWrites: usage.cache_creation_input_tokens ?? 0,
+              cacheReads: usage.cache_read_input_tokens ?? 0,
+              cost: entry.costUSD,
+            },
+            ts,
+          ),
+        );
+      }
+
+      const texts: string[] = [];
+      blocks.forEach((block) => {
+        if (block.type === 'text' && block.text) {
+          texts.push(block.text);
+          uiMessages.push({ type: 'say', say: 'text', text: block.text, ts });
+        } else if (block.type === 'tool_use' && block.name) {
+          const tool = { name: block.name, input: block.input };
+          toolUses.set(block.id ?? '', tool);
+          texts.push(formatToolUse(tool));
+          uiMessages.push(createToolUseMessage(tool, ts));
+        }
+      });
+      apiHistory.push({
+        role: 'assistant',
+        content: texts.map((text) => ({ type: 'text', text })),
+        ts,
+      });
+    });
+
+    return {
+      apiHistory,
+      uiMessages,
+      setup: clientVersion ? { clientVersion } : undefined,
+    };
+  }
+}
+
+export default ClaudeCodeLogSource;
@@ -0,0 +1,140 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { RUN_SETUP_FILE } from '../metrics/experiment';
+import { ModelUsage } from '../metrics/types';
+import { ChatLog, LogSource } from './types';
+
+type TaskMetadata = {
+  model_usage?: {
+    ts?: number;
+    model_id?: string;
+    model_provider_id?: string;
+  }[];
+};
+
+type Options = {
+  name: string;
+  client: string;
+  extensionId: string;
+};
+
+/**
+ * Get the VS Code global storage directory for the current platform
+ * @returns {string} Path to VS Code's globalStorage directory
+ */
+export function getVsCodeGlobalStorageDir(): string {
+  switch (process.platform) {
+    case 'darwin':
+      return path.join(
+        os.homedir(),
+        'Library/Application Support/Code/User/globalStorage',
+      );
+    case 'win32':
+      return path.join(
+        process.env.APPDATA ?? path.join(os.homedir(), 'AppData/Roaming'),
+        'Code/User/globalStorage',
+      );
+    default:
+      return path.join(
+        process.env.XDG_CONFIG_HOME ?? path.join(os.homedir(), '.config'),
+        'Code/User/globalStorage',
+      );
+  }
+}
+
+/**
+ * Log source for Cline and its forks, which store one directory per task
+ * containing api_conversation_history.json and ui_messages.json
+ */
+class ClineLogSource implements LogSource {
+  readonly name: string;
+
+  readonly client: string;
+
+  private readonly extensionId: string;
+
+  constructor(options: Options) {
+    this.name = options.name;
+    this.client = options.client;
+    this.extensionId = options.extensionId;
+  }
+
+  getDefaultLogsDir(): string {
+    return path.join(getVsCodeGlobalStorageDir(), this.extensionId, 'tasks');
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  async listChats(logsDir: string): Promise<string[]> {
+    const items = await fs.readdir(logsDir, { withFileTypes: true });
+    const candidates = items
+      .filter((item) => item.isDirectory())
+      .map((item) => path.join(logsDir, item.name));
+
+    const hasFiles = await Promise.all(
+      candidates.map((chatDir) =>
+        Promise.all([
+          fs.access(path.join(chatDir, 'api_conversation_history.json')),
+          fs.access(path.join(chatDir, 'ui_messages.json')),
+        ])
+          .then(() => true)
+          .catch(() => false),
+      ),
+    );
+
+    return candidates.filter((_, index) => hasFiles[index]);
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  getChatId(chatPath: string): string {
+    return path.basename(chatPath);
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  async loadChat(chatPath: string): Promise<ChatLog> {
+    const [
+      apiHistoryContent,
+      uiMessagesContent,
+      metadataContent,
+      setupContent,
+    ] = await Promise.all([
+      fs.readFile(path.join(chatPath, 'api_conversation_history.json'), 'utf8'),
+      fs.readFile(path.join(chatPath, 'ui_messages.json'), 'utf8'),
+      // Only written by recent Cline versions
+      fs
+        .readFile(path.join(chatPath, 'task_metadata.json'), 'utf8')
+        .catch(() => undefined),
+      // Only written by the run command
+      fs
+        .readFile(path.join(chatPath, RUN_SETUP_FILE), 'utf8')
+        .catch(() => undefined),
+    ]);
+
+    return {
+      apiHistory: JSON.parse(apiHistoryContent),
+      uiMessages: JSON.parse(uiMessagesContent),
+      modelUsage: metadataContent
+        ? ClineLogSource.parseModelUsage(JSON.parse(metadataContent))
+        : undefined,
+      setup: setupContent ? JSON.parse(setupContent) : undefined,
+    };
+  }
+
+  /**
+   * Read the models selected while the task ran from Cline's task metadata
+   * @param {TaskMetadata} metadata Content of task_metadata.json
+   * @returns {ModelUsage[]} Model selections
+   */
+  private static parseModelUsage(metadata: TaskMetadata): ModelUsage[] {
+    return (metadata?.model_usage ?? [])
+      .filter((entry) => typeof entry.model_id === 'string' && entry.model_id)
+      .map((entry) => ({
+        ts: entry.ts ?? 0,
+        model: entry.model_id as string,
+        provider: entry.model_provider_id,
+      }));
+  }
+}
+
+export default ClineLogSource;
@@ -0,0 +1,139 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { ApiHistoryEntry, UIMessage } from '../metrics/types';
+import {
+  createApiRequestMessage,
+  createToolResultMessage,
+  createToolUseMessage,
+  formatToolUse,
+  parseTimestamp,
+  ToolUse,
+} from './transcript-utils';
+import { ChatLog, LogSource } from './types';
+
+type ExportMessage = {
+  role: string;
+  text?: string;
+  timestamp?: number | string;
+  model?: string;
+  usage?: {
+    tokensIn?: number;
+    tokensOut?: number;
+    cacheWrites?: number;
+    cacheReads?: number;
+    cost?: number;
+  };
+  toolCalls?: Array<ToolUse & { result?: string; isError?: boolean }>;
+};
+
+type ChatExport = {
+  model?: string;
+  messages: ExportMessage[];
+};
+
+/**
+ * Log source for Cursor chat exports. Cursor keeps its history in an internal
+ * database, so chats must first be exported as one JSON file per chat:
+ * `{ "model"?, "messages": [{ "role", "text", "timestamp", "model"?, "usage"?, "toolCalls"? }] }`
+ * where tool calls are `{ "name", "input", "result"?, "isError"? }` using Cursor's
+ * tool names (MCP tools as mcp__<server>__<tool>).
+ */
+class CursorLogSource implements LogSource {
+  readonly name = 'cursor';
+
+  readonly client = 'Cursor';
+
+  // eslint-disable-next-line class-methods-use-this
+  getDefaultLogsDir(): undefined {
+    return undefined;
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  async listChats(logsDir: string): Promise<string[]> {
+    const files = await fs.readdir(logsDir);
+    return files
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => path.join(logsDir, file));
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  getChatId(chatPath: string): string {
+    return path.basename(chatPath, '.json');
+  }
+
+  // eslint-disable-next-line class-methods-use-this
+  async loadChat(chatPath: string): Promise<ChatLog> {
+    const content = await fs.readFile(chatPath, 'utf8');
+    const parsed = JSON.parse(content);
+    const chat: ChatExport = Array.isArray(parsed)
+      ? { messages: parsed }
+      : parsed;
+    const apiHistory: ApiHistoryEntry[] = [];
+    const uiMessages: UIMessage[] = [];
+    let lastTs = 0;
+
+    (chat.messages ?? []).forEach((message) => {
+      const ts = parseTimestamp(message.timestamp) ?? lastTs;
+      lastTs = ts;
+
+      if (message.role === 'user') {
+        apiHistory.push({
+          role: 'user',
+          content: [{ type: 'text', text: message.text ?? '' }],
+          ts,
+        });
+        uiMessages.push({
+          type: 'say',
+          say: 'text',
+          from: 'user',
+          text: message.text ?? '',
+          ts,
+        });
+        return;
+      }
+
+      if (message.role !== 'assistant') {
+        return;
+      }
+
+      uiMessages.push(
+        createApiRequestMessage(
+          {
+            model: message.model ?? chat.model,
+            tokensIn: message.usage?.tokensIn ?? 0,
+            tokensOut: message.usage?.tokensOut ?? 0,
+            cacheWrites: message.usage?.cacheWrites ?? 0,
+            cacheReads: message.usage?.cacheReads ?? 0,
+            cost: message.usage?.cost,
+          },
+          ts,
+        ),
+      );
+
+      const texts: string[] = [];
+      if (message.text) {
+        texts.push(message.text);
+        uiMessages.push({ type: 'say', say: 'text', text: message.text, ts });
+      }
+      (message.toolCalls ?? []).forEach((tool) => {
+        texts.push(formatToolUse(tool));
+        uiMessages.push(createToolUseMessage(tool, ts));
+        if (tool.result !== undefined) {
+          uiMessages.push(
+            createToolResultMessage(tool, tool.result, !!tool.isError, ts),
+          );
+        }
+      });
+      apiHistory.push({
+        role: 'assistant',
+        content: texts.map((text) => ({ type: 'text', text })),
+        ts,
+      });
+    });
+
+    return { apiHistory, uiMessages };
+  }
+}
+
+export default CursorLogSource;
@@ -0,0 +1,36 @@
+import ClaudeCodeLogSource from './claude-code';
+import ClineLogSource from './cline';
+import CursorLogSource from './cursor';
+import { LogSource } from './types';
+
+export type { ChatLog, LogSource } from './types';
+
+export const LOG_SOURCES: Record<string, LogSource> = {
+  cline: new ClineLogSource({
+    name: 'cline',
+    client: 'Cline',
+    extensionId: 'saoudrizwan.claude-dev',
+  }),
+  'roo-code': new ClineLogSource({
+    name: 'roo-code',
+    client: 'Roo Code',
+    extensionId: 'rooveterinaryinc.roo-cline',
+  }),
+  'claude-code': new ClaudeCodeLogSource(),
+  cursor: new CursorLogSource(),
+};
+
+/**
+ * Look up a log source by name
+ * @param {string} name Source name as passed to --source
+ * @returns {LogSource} The log source
+ */
+export function getLogSource(name: string): LogSource {
+  const source = LOG_SOURCES[name];
+  if (!source) {
+    throw new Error(
+      `Unknown log source "${name}". Available sources: ${Object.keys(LOG_SOURCES).join(', ')}`,
+    );
+  }
+  return source;
+}
@@ -0,0 +1,146 @@
+import { UIMessage } from '../metrics/types';
+
+export type ToolUse = {
+  name: string;
+  input: unknown;
+};
+
+export type RequestUsage = {
+  model?: string;
+  tokensIn: number;
+  tokensOut: number;
+  cacheWrites: number;
+  cacheReads: number;
+  cost?: number;
+};
+
+/**
+ * Split a namespaced MCP tool name (e.g. mcp__twilio__SendMessage)
+ * @param {string} name Tool name as reported by the client
+ * @returns {{serverName: string, toolName: string}|undefined} Parts, or undefined if not an MCP tool
+ */
+export function parseMcpToolName(
+  name: string,
+): { serverName: string; toolName: string } | undefined {
+  const match = name.match(/^mcp__(.+?)__(.+)$/);
+  if (!match) {
+    return undefined;
+  }
+  return { serverName: match[1], toolName: match[2] };
+}
+
+/**
+ * Render a tool use in the XML format Cline writes to its API history
+ * @param {ToolUse} tool The tool use
+ * @returns {string} Cline-style tool use text
+ */
+export function formatToolUse(tool: ToolUse): string {
+  const args = JSON.stringify(tool.input ?? {});
+  const mcpTool = parseMcpToolName(tool.name);
+  if (mcpTool) {
+    return `<use_mcp_tool>\n<server_name>${mcpTool.serverName}</server_name>\n<tool_name>${mcpTool.toolName}</tool_name>\n<arguments>\n${args}\n</arguments>\n</use_mcp_tool>`;
+  }
+
+  const command = (tool.input as { command?: unknown })?.command;
+  if (typeof command === 'string') {
+    return `<execute_command>\n<command>${command}</command>\n</execute_command>`;
+  }
+
+  return `<${tool.name}>\n${args}\n</${tool.name}>`;
+}
+
+/**
+ * Create the UI message Cline would show for a tool use
+ * @param {ToolUse} tool The tool use
+ * @param {number} ts Timestamp of the tool use
+ * @returns {UIMessage} Cline-style UI message
+ */
+export function createToolUseMessage(tool: ToolUse, ts: number): UIMessage {
+  const mcpTool = parseMcpToolName(tool.name);
+  if (mcpTool) {
+    return {
+      type: 'say',
+      say: 'use_mcp_server',
+      text: JSON.stringify({
+        type: 'use_mcp_tool',
+        serverName: mcpTool.serverName,
+        toolName: mcpTool.toolName,
+        arguments: JSON.stringify(tool.input ?? {}),
+      }),
+      ts,
+    };
+  }
+
+  const command = (tool.input as { command?: unknown })?.command;
+  if (typeof command === 'string') {
+    return { type: 'say', say: 'command', text: command, ts };
+  }
+
+  return {
+    type: 'say',
+    say: 'tool',
+    text: JSON.stringify({ tool: tool.name, input: tool.input }),
+    ts,
+  };
+}
+
+/**
+ * Create the UI message Cline shows for the result of a tool use
+ * @param {ToolUse} tool The tool use the result belongs to
+ * @param {string} text Result text
+ * @param {boolean} isError Whether the tool reported an error
+ * @param {number} ts Timestamp of the result
+ * @returns {UIMessage} Cline-style tool result message
+ */
+export function createToolResultMessage(
+  tool: ToolUse,
+  text: string,
+  isError: boolean,
+  ts: number,
+): UIMessage {
+  const resultText = isError ? `Error: ${text}` : text;
+  if (parseMcpToolName(tool.name)) {
+    return { type: 'say', say: 'mcp_server_response', text: resultText, ts };
+  }
+
+  const command = (tool.input as { command?: unknown })?.command;
+  if (typeof command === 'string') {
+    return { type: 'say', say: 'command_output', text: resultText, ts };
+  }
+
+  return { type: 'say', say: 'tool_result', text: resultText, ts };
+}
+
+/**
+ * Create the api_req_started UI message Cline records for each model request
+ * @param {RequestUsage} usage Token usage of the request
+ * @param {number} ts Timestamp of the request
+ * @returns {UIMessage} Cline-style api_req_started message
+ */
+export function createApiRequestMessage(
+  usage: RequestUsage,
+  ts: number,
+): UIMessage {
+  return {
+    type: 'say',
+    say: 'api_req_started',
+    text: JSON.stringify(usage),
+    ts,
+  };
+}
+
+/**
+ * Parse a timestamp that may be an ISO string or epoch milliseconds
+ * @param {unknown} value Raw timestamp
+ * @returns {number|undefined} Epoch milliseconds or undefined if invalid
+ */
+export function parseTimestamp(value: unknown): number | undefined {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string') {
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? undefined : time;
+  }
+  return undefined;
+}
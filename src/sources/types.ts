@@ -0,0 +1,57 @@
+import {
+  ApiHistoryEntry,
+  ModelUsage,
+  RunSetup,
+  UIMessage,
+} from '../metrics/types';
+
+/**
+ * A chat transcript normalised into the shape ChatProcessor consumes
+ */
+export type ChatLog = {
+  apiHistory: ApiHistoryEntry[];
+  uiMessages: UIMessage[];
+  // Models selected in the client while the chat ran, if it records them
+  modelUsage?: ModelUsage[];
+  // Server, tools and client version, if the logs record them
+  setup?: RunSetup;
+};
+
+/**
+ * Adapter that knows where a client stores its chat logs and how to turn
+ * them into Cline-style API history and UI messages
+ */
+export interface LogSource {
+  /** Identifier used with the --source option */
+  readonly name: string;
+
+  /** Client name recorded as mcpClient on extracted metrics */
+  readonly client: string;
+
+  /**
+   * Get the default logs location for the current platform
+   * @returns {string|undefined} Directory path, or undefined if there is no default
+   */
+  getDefaultLogsDir(): string | undefined;
+
+  /**
+   * List all chats found in the logs directory
+   * @param {string} logsDir Root directory of the client's logs
+   * @returns {Promise<string[]>} Paths to individual chats
+   */
+  listChats(logsDir: string): Promise<string[]>;
+
+  /**
+   * Get the stable identifier of a chat, used as the metric directoryId
+   * @param {string} chatPath Path returned by listChats
+   * @returns {string} Chat identifier
+   */
+  getChatId(chatPath: string): string;
+
+  /**
+   * Load and normalise a single chat
+   * @param {string} chatPath Path returned by listChats
+   * @returns {Promise<ChatLog>} Normalised chat log
+   */
+  loadChat(chatPath: string): Promise<ChatLog>;
+}
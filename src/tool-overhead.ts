@@ -0,0 +1,186 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { hideBin } from 'yargs/helpers';
+import yargs from 'yargs/yargs';
+
+import { getInstructionsFile } from './metrics/experiment';
+import {
+  DEFAULT_SUITE_FILE,
+  findSuiteFile,
+  loadSuite,
+  VariantDefinition,
+} from './metrics/suite';
+import {
+  CHARS_PER_TOKEN,
+  measureOverhead,
+  parseToolsList,
+  TOOL_OVERHEAD_FILE,
+  ToolOverheadReport,
+  ToolSchema,
+} from './metrics/tool-overhead';
+import { McpStdioClient } from './runner';
+import { logger } from './utils';
+
+type ToolOverheadResult = {
+  success: boolean;
+  message: string;
+  report?: ToolOverheadReport;
+};
+
+class ToolOverhead {
+  /**
+   * Static method to parse args and measure the tokens each variant's tool
+   * definitions and instructions add to every request
+   * @param argv Command line arguments
+   * @returns Promise with measurement result
+   */
+  static async measure(argv: string[]): Promise<ToolOverheadResult> {
+    const parsedArgs = yargs(hideBin(argv))
+      .option('directory', {
+        alias: 'd',
+        type: 'string',
+        description: 'Specify a custom metrics directory path',
+        default: path.join(os.homedir(), '.mcp-te-benchmark'),
+      })
+      .option('suite', {
+        type: 'string',
+        description:
+          'Specify the suite definition file (defaults to suite.json in the metrics directory)',
+      })
+      .option('variant', {
+        type: 'array',
+        string: true,
+        description: 'Only measure these variants',
+      })
+      .option('tools', {
+        type: 'string',
+        description:
+          "Measure this saved tools/list response instead of starting the variants' MCP servers. It is used for the variants with MCP servers, or the variants passed with --variant.",
+      })
+      .option('save', {
+        type: 'boolean',
+        description: `Save the measurement to ${TOOL_OVERHEAD_FILE} in the metrics directory, where extract-metrics reads it`,
+        default: true,
+      })
+      .help()
+      .alias('help', 'h')
+      .parseSync();
+
+    const suiteFile = await findSuiteFile(
+      parsedArgs.directory,
+      parsedArgs.suite,
+    );
+    const suite = await loadSuite(suiteFile);
+    const variants = suite.variants.filter(
+      (variant) =>
+        !parsedArgs.variant?.length || parsedArgs.variant.includes(variant.id),
+    );
+    if (!variants.length) {
+      return { success: false, message: 'No variants selected to measure' };
+    }
+
+    const dump = parsedArgs.tools
+      ? parseToolsList(await fs.readFile(parsedArgs.tools, 'utf8'))
+      : undefined;
+
+    const report: ToolOverheadReport = {
+      measuredAt: new Date().toISOString(),
+      variants: {},
+    };
+    for (const variant of variants) {
+      const useDump =
+        dump && (variant.mcpServers || parsedArgs.variant?.length);
+      // eslint-disable-next-line no-await-in-loop
+      const tools = useDump ? dump : await ToolOverhead.listTools(variant);
+      // eslint-disable-next-line no-await-in-loop
+      const instructions = await fs
+        .readFile(
+          getInstructionsFile(
+            variant,
+            path.dirname(suiteFile ?? DEFAULT_SUITE_FILE),
+          ),
+          'utf8',
+        )
+        .catch(() => undefined);
+      report.variants[variant.id] = measureOverhead(tools, instructions);
+    }
+
+    ToolOverhead.print(report, suite.baseline);
+
+    if (parsedArgs.save) {
+      await fs.mkdir(parsedArgs.directory, { recursive: true });
+      await fs.writeFile(
+        path.join(parsedArgs.directory, TOOL_OVERHEAD_FILE),
+        JSON.stringify(report, null, 2),
+      );
+    }
+
+    return {
+      success: true,
+      message: parsedArgs.save
+        ? `Saved the overhead of ${variants.length} variants to ${path.join(parsedArgs.directory, TOOL_OVERHEAD_FILE)}. Run extract-metrics --force to attribute it to existing runs.`
+        : `Measured the overhead of ${variants.length} variants`,
+      report,
+    };
+  }
+
+  /**
+   * Start the MCP servers of a variant and list their tools
+   * @param {VariantDefinition} variant The variant
+   * @returns {Promise<ToolSchema[]>} Tools of all its servers
+   */
+  private static async listTools(
+    variant: VariantDefinition,
+  ): Promise<ToolSchema[]> {
+    const tools: ToolSchema[] = [];
+    for (const [name, server] of Object.entries(variant.mcpServers ?? {})) {
+      const client = new McpStdioClient(name, server);
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await client.start();
+        tools.push(...client.getTools());
+      } finally {
+        // eslint-disable-next-line no-await-in-loop
+        await client.close();
+      }
+    }
+    return tools;
+  }
+
+  /**
+   * Log the size of each tool and the overhead of each variant against the
+   * baseline
+   * @param {ToolOverheadReport} report The measurement
+   * @param {string} baseline Baseline variant
+   */
+  private static print(report: ToolOverheadReport, baseline: string): void {
+    Object.entries(report.variants).forEach(([variant, overhead]) => {
+      logger.info(
+        `\n${variant}: ${overhead.toolTokens} tokens of tool definitions + ${overhead.instructionsTokens} of instructions = ${overhead.requestOverhead} per request`,
+      );
+      overhead.tools.forEach((tool) => {
+        logger.info(
+          `  ${tool.name}: ${tool.tokens} tokens (description ${tool.descriptionTokens}, input schema ${tool.schemaTokens})`,
+        );
+      });
+    });
+
+    const base = report.variants[baseline];
+    if (!base) return;
+    Object.entries(report.variants)
+      .filter(([variant]) => variant !== baseline)
+      .forEach(([variant, overhead]) => {
+        const difference = overhead.requestOverhead - base.requestOverhead;
+        logger.info(
+          `${variant} sends ${Math.abs(difference)} ${difference >= 0 ? 'more' : 'fewer'} tokens per request than ${baseline} before any task work`,
+        );
+      });
+    logger.info(
+      `Token counts are estimates at ${CHARS_PER_TOKEN} characters per token`,
+    );
+  }
+}
+
+export default ToolOverhead;
@@ -0,0 +1,68 @@
+import { hideBin } from 'yargs/helpers';
+import yargs from 'yargs/yargs';
+
+import { MOCK_MODES, MockMode, TwilioMockServer } from './mock';
+import { config, logger } from './utils';
+
+class TwilioMock {
+  /**
+   * Static method to parse args and start the Twilio mock until interrupted
+   * @param argv Command line arguments
+   * @returns Promise with the running mock
+   */
+  static async run(argv: string[]): Promise<TwilioMockServer> {
+    const parsedArgs = yargs(hideBin(argv))
+      .options('port', {
+        alias: 'p',
+        type: 'number',
+        description: 'Port to run the mock on',
+        default: 3002,
+      })
+      .options('mode', {
+        type: 'string',
+        description:
+          'Simulate the API, record it from the real API or replay a recording',
+        choices: MOCK_MODES,
+        default: 'mock',
+      })
+      .options('cassette', {
+        type: 'string',
+        description:
+          'Recording file written in record mode and read in replay mode',
+      })
+      .options('account-sid', {
+        type: 'string',
+        description: 'Account SID of the simulated account',
+        default: config.twilio.accountSid,
+      })
+      .options('workspace-sid', {
+        type: 'string',
+        description: 'SID of the simulated TaskRouter workspace',
+        default: config.twilio.workspaceSid,
+      })
+      .help()
+      .alias('help', 'h')
+      .parseSync();
+
+    const server = new TwilioMockServer({
+      mode: parsedArgs.mode as MockMode,
+      cassette: parsedArgs.cassette,
+      accountSid: parsedArgs.accountSid,
+      workspaceSid: parsedArgs.workspaceSid,
+    });
+    const url = await server.start(parsedArgs.port);
+    logger.info(
+      `Point clients at ${url} instead of https://api.twilio.com and https://taskrouter.twilio.com`,
+    );
+    logger.info(`Final state is available at ${url}/mock/state`);
+    logger.info('Press Ctrl+C to stop the mock');
+
+    process.once('SIGINT', () => {
+      server.close().finally(() => process.exit(0));
+    });
+
+    return server;
+  }
+}
+
+export default TwilioMock;
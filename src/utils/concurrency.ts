@@ -0,0 +1,30 @@
+/**
+ * Map items with an async function, running at most `limit` calls at once
+ * @param {T[]} items The items
+ * @param {number} limit Maximum number of calls in flight
+ * @param {(item: T) => Promise<R>} fn Function to call for each item
+ * @returns {Promise<R[]>} Results in the order of the items
+ * @throws {Error} If the limit is not a number of at least 1
+ */
+export default async function mapLimit<T, R>(
+  items: T[],
+  limit: number,
+  fn: (item: T) => Promise<R>,
+): Promise<R[]> {
+  if (!Number.isFinite(limit) || limit < 1) {
+    throw new Error(`Concurrency limit must be at least 1, got ${limit}`);
+  }
+  const results: R[] = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      // eslint-disable-next-line no-await-in-loop
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(Math.floor(limit), items.length) }, worker),
+  );
+  return results;
+}
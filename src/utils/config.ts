@@ -17,10 +17,16 @@ interface LoggingConfig {
   level: string;
 }
 
+interface LlmConfig {
+  anthropicApiKey?: string;
+  openaiApiKey?: string;
+}
+
 interface Config {
   server: ServerConfig;
   twilio: TwilioConfig;
   logging: LoggingConfig;
+  llm: LlmConfig;
 }
 
 const config: Config = {
@@ -36,6 +42,10 @@ const config: Config = {
   logging: {
     level: process.env.LOG_LEVEL || 'info',
   },
+  llm: {
+    anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+    openaiApiKey: process.env.OPENAI_API_KEY,
+  },
 };
 
 export default config;
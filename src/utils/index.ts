@@ -1,2 +1,3 @@
-export { default as logger } from './logger';
+export { default as logger, logToFiles } from './logger';
 export { default as config } from './config';
+export { default as mapLimit } from './concurrency';
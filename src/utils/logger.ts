@@ -15,14 +15,25 @@ const logger = winston.createLogger({
         winston.format.simple(),
       ),
     }),
+  ],
+});
+
+/**
+ * Also write errors to error.log and every message to combined.log in the
+ * working directory, as the CLI does
+ */
+export function logToFiles(): void {
+  logger.add(
     new winston.transports.File({
       filename: 'error.log',
       level: 'error',
     }),
+  );
+  logger.add(
     new winston.transports.File({
       filename: 'combined.log',
     }),
-  ],
-});
+  );
+}
 
 export default logger;
@@ -0,0 +1,233 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { hideBin } from 'yargs/helpers';
+import yargs from 'yargs/yargs';
+
+import { METRIC_FILE_PATTERN } from './metrics/metrics-utils';
+import {
+  CURRENT_SCHEMA_VERSION,
+  formatSummary,
+  parseSummary,
+  parseTaskFile,
+  SUMMARY_SCHEMA,
+  TASK_FILE_SCHEMA,
+} from './metrics/schema';
+import { logger } from './utils';
+
+type FileStatus = 'valid' | 'invalid' | 'outdated' | 'migrated';
+
+type FileValidation = {
+  file: string;
+  status: FileStatus;
+  version?: number;
+  errors: string[];
+};
+
+type ValidateResult = {
+  success: boolean;
+  message: string;
+  files: FileValidation[];
+};
+
+class Validate {
+  private migrate: boolean;
+
+  /**
+   * Create a new Validate instance
+   * @param {boolean} migrate Rewrite valid files of older versions in the current format
+   */
+  constructor(migrate: boolean) {
+    this.migrate = migrate;
+  }
+
+  /**
+   * Static method to parse args and validate task files and summaries
+   * against their schemas
+   * @param argv Command line arguments
+   * @returns Promise with validation result
+   */
+  static async validate(argv: string[]): Promise<ValidateResult> {
+    const parsedArgs = yargs(hideBin(argv))
+      .option('directory', {
+        alias: 'd',
+        type: 'string',
+        description: 'Specify a custom metrics directory path',
+        default: path.join(os.homedir(), '.mcp-te-benchmark'),
+      })
+      .option('file', {
+        alias: 'f',
+        type: 'array',
+        string: true,
+        description:
+          'Validate these task or summary files instead of the metrics directory',
+      })
+      .option('migrate', {
+        type: 'boolean',
+        description: `Rewrite valid files of older versions in schema version ${CURRENT_SCHEMA_VERSION}`,
+        default: false,
+      })
+      .option('schemas', {
+        type: 'string',
+        description:
+          'Write the JSON Schemas of task files and summaries to this directory and exit',
+      })
+      .help()
+      .alias('help', 'h')
+      .parseSync();
+
+    if (parsedArgs.schemas) {
+      const files = await Validate.writeSchemas(parsedArgs.schemas);
+      return {
+        success: true,
+        message: `Wrote ${files.join(' and ')}`,
+        files: [],
+      };
+    }
+
+    const files =
+      parsedArgs.file ?? (await Validate.listFiles(parsedArgs.directory));
+    if (!files.length) {
+      return {
+        success: false,
+        message: `No task or summary files found in ${parsedArgs.directory}`,
+        files: [],
+      };
+    }
+
+    const validator = new Validate(parsedArgs.migrate);
+    const results = await Promise.all(
+      files.map((file) => validator.validateFile(file)),
+    );
+    results.forEach(Validate.printResult);
+
+    const count = (status: FileStatus) =>
+      results.filter((result) => result.status === status).length;
+    const invalid = count('invalid');
+    const outdated = count('outdated');
+    const migrated = count('migrated');
+    if (outdated) {
+      logger.warn(
+        `${outdated} files use an older schema and are upgraded when read. Run validate --migrate to rewrite them`,
+      );
+    }
+
+    return {
+      success: invalid === 0,
+      message: `Validated ${results.length} files: ${count('valid') + outdated + migrated} valid, ${invalid} invalid${migrated ? `, ${migrated} migrated` : ''}`,
+      files: results,
+    };
+  }
+
+  /**
+   * Write the JSON Schemas, e.g. for editors to check hand-edited files
+   * @param {string} directory Output directory
+   * @returns {Promise<string[]>} Paths of the schema files
+   */
+  private static async writeSchemas(directory: string): Promise<string[]> {
+    await fs.mkdir(directory, { recursive: true });
+    const schemas: [string, unknown][] = [
+      ['task-file.schema.json', TASK_FILE_SCHEMA],
+      ['summary.schema.json', SUMMARY_SCHEMA],
+    ];
+    return Promise.all(
+      schemas.map(async ([name, schema]) => {
+        const file = path.join(directory, name);
+        await fs.writeFile(file, `${JSON.stringify(schema, null, 2)}\n`);
+        return file;
+      }),
+    );
+  }
+
+  /**
+   * List the task files and summary of a metrics directory
+   * @param {string} directory Metrics directory
+   * @returns {Promise<string[]>} Paths of the files
+   */
+  private static async listFiles(directory: string): Promise<string[]> {
+    const tasksDir = path.join(directory, 'tasks');
+    const taskFiles = await fs.readdir(tasksDir).catch(() => []);
+    const summaryFile = path.join(directory, 'summary.json');
+    const hasSummary = await fs
+      .access(summaryFile)
+      .then(() => true)
+      .catch(() => false);
+    return [
+      ...taskFiles
+        .filter((file) => METRIC_FILE_PATTERN.test(file))
+        .sort()
+        .map((file) => path.join(tasksDir, file)),
+      ...(hasSummary ? [summaryFile] : []),
+    ];
+  }
+
+  /**
+   * Validate a task or summary file, telling them apart by their content,
+   * and migrate it if requested
+   * @param {string} file Path to the file
+   * @returns {Promise<FileValidation>} Result for the file
+   */
+  private async validateFile(file: string): Promise<FileValidation> {
+    let content: string;
+    let isSummary: boolean;
+    try {
+      content = await fs.readFile(file, 'utf8');
+      isSummary = Array.isArray(JSON.parse(content));
+    } catch (error) {
+      return { file, status: 'invalid', errors: [(error as Error).message] };
+    }
+
+    const parsed = isSummary ? parseSummary(content) : parseTaskFile(content);
+    if (parsed.errors.length) {
+      return {
+        file,
+        status: 'invalid',
+        version: parsed.version,
+        errors: parsed.errors,
+      };
+    }
+    if (parsed.version === CURRENT_SCHEMA_VERSION) {
+      return { file, status: 'valid', version: parsed.version, errors: [] };
+    }
+    if (!this.migrate) {
+      return { file, status: 'outdated', version: parsed.version, errors: [] };
+    }
+
+    await fs.writeFile(
+      file,
+      'runs' in parsed
+        ? formatSummary(parsed.runs)
+        : JSON.stringify(parsed.file, null, 2),
+    );
+    return { file, status: 'migrated', version: parsed.version, errors: [] };
+  }
+
+  /**
+   * Log the result of a file, with one line per invalid field
+   * @param {FileValidation} result Result for the file
+   */
+  private static printResult(result: FileValidation): void {
+    switch (result.status) {
+      case 'invalid':
+        logger.error(
+          `${result.file}: invalid\n  ${result.errors.join('\n  ')}`,
+        );
+        break;
+      case 'outdated':
+        logger.warn(
+          `${result.file}: valid, schema version ${result.version} is outdated`,
+        );
+        break;
+      case 'migrated':
+        logger.info(
+          `${result.file}: migrated from schema version ${result.version} to ${CURRENT_SCHEMA_VERSION}`,
+        );
+        break;
+      default:
+        logger.debug(`${result.file}: valid`);
+    }
+  }
+}
+
+export default Validate;